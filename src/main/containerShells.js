@@ -0,0 +1,233 @@
+/**
+ * Container Shells Module
+ * Running containers of a project that terminals can `docker exec` into
+ *
+ * A project qualifies when it has a `.devcontainer/devcontainer.json` (or
+ * `.devcontainer.json`) or a compose file in its root. Its containers are the
+ * running ones Docker labelled with the project folder: `devcontainer.local_folder`
+ * for dev containers, `com.docker.compose.project.working_dir` for compose services.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { buildExecEnv, resolveCommandPath } = require('../shared/pathUtils');
+
+const execFileAsync = promisify(execFile);
+
+const DEVCONTAINER_FILES = [
+  path.join('.devcontainer', 'devcontainer.json'),
+  '.devcontainer.json'
+];
+const COMPOSE_FILES = ['compose.yaml', 'compose.yml', 'docker-compose.yml', 'docker-compose.yaml'];
+const DOCKER_TIMEOUT_MS = 5000;
+const MAX_DEVCONTAINER_BYTES = 256 * 1024;
+
+// Docker's own container name rule; also keeps names from being read as flags
+const CONTAINER_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+const CONTAINER_USER_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*(?::[A-Za-z0-9_][A-Za-z0-9_.-]*)?$/;
+
+// Prefer bash, fall back to whatever sh the image has
+const CONTAINER_SHELL_SCRIPT = 'if command -v bash >/dev/null 2>&1; then exec bash -l; fi; exec sh -l';
+
+/**
+ * Whether a string is a valid container name
+ * @param {string} name
+ */
+function isValidContainerName(name) {
+  return typeof name === 'string' && name.length <= 255 && CONTAINER_NAME_PATTERN.test(name);
+}
+
+/**
+ * Parse JSON with comments and trailing commas, as devcontainer.json allows
+ * @param {string} text
+ */
+function parseJsonc(text) {
+  let result = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      result += char;
+      if (char === '\\') result += text[++i] || '';
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      result += char;
+    }
+  }
+  return JSON.parse(result.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+function readDevcontainerConfig(projectPath) {
+  for (const fileName of DEVCONTAINER_FILES) {
+    const filePath = path.join(projectPath, fileName);
+    try {
+      const stat = fs.statSync(filePath);
+      if (!stat.isFile() || stat.size > MAX_DEVCONTAINER_BYTES) continue;
+      const config = parseJsonc(fs.readFileSync(filePath, 'utf8'));
+      return config && typeof config === 'object' ? config : {};
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn(`Ignoring ${fileName}:`, err.message);
+        return {};
+      }
+    }
+  }
+  return null;
+}
+
+function hasComposeFile(projectPath) {
+  return COMPOSE_FILES.some((fileName) => fs.existsSync(path.join(projectPath, fileName)));
+}
+
+/**
+ * Path of the docker CLI, or null when it is not installed
+ */
+function findDockerBinary() {
+  return resolveCommandPath('docker', buildExecEnv().PATH);
+}
+
+// Running containers carrying a label, as [{name, service}]
+async function listLabelledContainers(docker, label) {
+  const { stdout } = await execFileAsync(docker, [
+    'ps',
+    '--filter', `label=${label}`,
+    '--format', '{{.Names}}\t{{.Label "com.docker.compose.service"}}'
+  ], { timeout: DOCKER_TIMEOUT_MS, env: buildExecEnv() });
+  return String(stdout).split('\n')
+    .map((line) => line.trim().split('\t'))
+    .filter(([name]) => isValidContainerName(name))
+    .map(([name, service]) => ({ name, service: service || null }));
+}
+
+/**
+ * Folder a dev container opens the project in, with devcontainer.json's
+ * `${localWorkspaceFolder}` and `${localWorkspaceFolderBasename}` filled in.
+ * Falls back to the dev containers default when it uses any other variable.
+ * @param {string} projectPath
+ * @param {*} workspaceFolder - `workspaceFolder` from devcontainer.json
+ * @returns {string}
+ */
+function resolveWorkspaceFolder(projectPath, workspaceFolder) {
+  const basename = path.basename(projectPath);
+  const fallback = `/workspaces/${basename}`;
+  if (typeof workspaceFolder !== 'string') return fallback;
+  const values = { localWorkspaceFolder: projectPath, localWorkspaceFolderBasename: basename };
+  const resolved = workspaceFolder.replace(/\$\{(localWorkspaceFolder|localWorkspaceFolderBasename)\}/g, (match, name) => values[name]);
+  if (!resolved.startsWith('/') || resolved.includes('${')) return fallback;
+  return resolved;
+}
+
+/**
+ * Build exec shell entries from a project's config and its running containers
+ * @param {string} projectPath
+ * @param {Object|null} devcontainer - Parsed devcontainer.json, null if there is none
+ * @param {Array<{name: string, service: string|null}>} devcontainers - Containers labelled as the project's dev container
+ * @param {Array<{name: string, service: string|null}>} services - Containers of the project's compose file
+ * @returns {Array<{id: string, name: string, path: null, container: string, source: string, user: string|null, workdir: string|null}>}
+ */
+function buildContainerShells(projectPath, devcontainer, devcontainers, services) {
+  const shells = [];
+  const seen = new Set();
+  const config = devcontainer || {};
+  const user = [config.remoteUser, config.containerUser]
+    .find((value) => typeof value === 'string' && CONTAINER_USER_PATTERN.test(value)) || null;
+  const workdir = resolveWorkspaceFolder(projectPath, config.workspaceFolder);
+
+  for (const container of devcontainers) {
+    if (seen.has(container.name)) continue;
+    seen.add(container.name);
+    shells.push({
+      id: 'container',
+      name: typeof config.name === 'string' && config.name ? config.name : container.name,
+      path: null,
+      container: container.name,
+      source: 'devcontainer',
+      user,
+      workdir
+    });
+  }
+  for (const container of services) {
+    if (seen.has(container.name)) continue;
+    seen.add(container.name);
+    shells.push({
+      id: 'container',
+      name: container.service || container.name,
+      path: null,
+      container: container.name,
+      source: 'compose',
+      user: null,
+      workdir: null
+    });
+  }
+  return shells;
+}
+
+/**
+ * Running containers of a project, as shell entries for the new terminal menu.
+ * Resolves to an empty list when the project has no container config or Docker is unavailable.
+ * @param {string|null} projectPath
+ */
+async function discoverContainers(projectPath) {
+  if (!projectPath || !path.isAbsolute(projectPath)) return [];
+  const devcontainer = readDevcontainerConfig(projectPath);
+  const compose = hasComposeFile(projectPath);
+  if (!devcontainer && !compose) return [];
+
+  const docker = findDockerBinary();
+  if (!docker) return [];
+
+  try {
+    const [devcontainers, services] = await Promise.all([
+      devcontainer ? listLabelledContainers(docker, `devcontainer.local_folder=${projectPath}`) : [],
+      compose ? listLabelledContainers(docker, `com.docker.compose.project.working_dir=${projectPath}`) : []
+    ]);
+    return buildContainerShells(projectPath, devcontainer, devcontainers, services);
+  } catch (err) {
+    // Docker installed but the daemon is not running
+    console.warn('Failed to list project containers:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Arguments for an interactive `docker exec` shell
+ * @param {{container: string, user?: string|null, workdir?: string|null}} entry
+ * @returns {string[]}
+ */
+function buildExecArgs(entry) {
+  if (!entry || !isValidContainerName(entry.container)) {
+    throw new Error(`Invalid container: ${entry && entry.container}`);
+  }
+  const args = ['exec', '-it'];
+  if (entry.user) {
+    if (!CONTAINER_USER_PATTERN.test(entry.user)) throw new Error(`Invalid container user: ${entry.user}`);
+    args.push('-u', entry.user);
+  }
+  if (entry.workdir) {
+    if (!entry.workdir.startsWith('/') || /\p{Cc}/u.test(entry.workdir)) throw new Error('Invalid container directory');
+    args.push('-w', entry.workdir);
+  }
+  args.push(entry.container, 'sh', '-c', CONTAINER_SHELL_SCRIPT);
+  return args;
+}
+
+module.exports = {
+  isValidContainerName,
+  parseJsonc,
+  resolveWorkspaceFolder,
+  buildContainerShells,
+  discoverContainers,
+  findDockerBinary,
+  buildExecArgs
+};
@@ -4,9 +4,20 @@
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { dialog } = require('electron');
 const { IPC } = require('../shared/ipcChannels');
+const { isPathWithinProject, isPathWithinProjectContent } = require('../shared/pathValidation');
+const terminalSettings = require('./terminalSettings');
+const terminalRecorder = require('./terminalRecorder');
+const savedPromptsManager = require('./savedPromptsManager');
+
+const TRANSCRIPT_FORMATS = {
+  html: { extension: '.html', filter: { name: 'HTML', extensions: ['html', 'htm'] } },
+  md: { extension: '.md', filter: { name: 'Markdown', extensions: ['md', 'markdown'] } }
+};
+const MAX_TRANSCRIPT_BYTES = 64 * 1024 * 1024;
 
 let mainWindow = null;
 let onProjectSelected = null;
@@ -86,6 +97,195 @@ async function showNewProjectDialog(event, projectName) {
   return { canceled: true };
 }
 
+/**
+ * Confirm replacing a file the save dialog did not warn about, as when the
+ * extension was added after it closed
+ * @param {string} filePath
+ * @returns {Promise<boolean>} true when the file does not exist or may be replaced
+ */
+async function confirmReplaceFile(filePath) {
+  if (!fs.existsSync(filePath)) return true;
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    buttons: ['Replace', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    message: `"${path.basename(filePath)}" already exists. Do you want to replace it?`,
+    detail: `It is in ${path.dirname(filePath)}. Replacing it will overwrite its contents.`
+  });
+  return response === 0;
+}
+
+/**
+ * Ask where to save a terminal transcript and write it there
+ * @param {{content?: string, format?: string, defaultName?: string, projectPath?: string|null}} payload
+ */
+async function saveTranscript(payload = {}) {
+  const { content, format, defaultName, projectPath } = payload;
+  const formatInfo = TRANSCRIPT_FORMATS[format];
+  if (!formatInfo) {
+    return { success: false, error: 'Unsupported transcript format' };
+  }
+  if (typeof content !== 'string' || Buffer.byteLength(content, 'utf8') > MAX_TRANSCRIPT_BYTES) {
+    return { success: false, error: 'Transcript is empty or too large' };
+  }
+
+  const baseName = (typeof defaultName === 'string' ? defaultName : '')
+    .replace(/[/\\:*?"<>|\p{Cc}]/gu, '-')
+    .trim()
+    .slice(0, 100) || 'terminal-transcript';
+  const hasProject = typeof projectPath === 'string' && path.isAbsolute(projectPath) && fs.existsSync(projectPath);
+  const defaultDir = hasProject ? projectPath : os.homedir();
+
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Transcript',
+    defaultPath: path.join(defaultDir, `${baseName}${formatInfo.extension}`),
+    filters: [formatInfo.filter],
+    properties: ['createDirectory', 'showOverwriteConfirmation']
+  });
+  if (result.canceled || !result.filePath) {
+    return { success: false, canceled: true };
+  }
+
+  let filePath = result.filePath;
+  const addExtension = !formatInfo.filter.extensions.includes(path.extname(filePath).slice(1).toLowerCase());
+  if (addExtension) {
+    filePath += formatInfo.extension;
+  }
+  // Never write into repository metadata such as .git/
+  if (hasProject && isPathWithinProject(filePath, projectPath) && !isPathWithinProjectContent(filePath, projectPath)) {
+    return { success: false, error: 'Cannot save a transcript inside .git' };
+  }
+  if (addExtension && !await confirmReplaceFile(filePath)) {
+    return { success: false, canceled: true };
+  }
+
+  try {
+    await fs.promises.writeFile(filePath, content, 'utf8');
+  } catch (err) {
+    return { success: false, error: `Failed to save transcript: ${err.message}` };
+  }
+  return { success: true, path: filePath };
+}
+
+/**
+ * Pick an iTerm2 / VS Code theme file and import it into the terminal settings
+ */
+async function importTerminalTheme() {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Terminal Theme',
+    properties: ['openFile'],
+    filters: [
+      { name: 'Terminal Themes', extensions: ['itermcolors', 'json', 'jsonc'] }
+    ]
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { success: false, canceled: true };
+  }
+
+  try {
+    const { id, name, settings } = terminalSettings.importThemeFile(result.filePaths[0]);
+    return { success: true, theme: { id, name }, settings };
+  } catch (err) {
+    return { success: false, error: `Failed to import theme: ${err.message}` };
+  }
+}
+
+function getPromptLibraryDefaultDir(projectPath) {
+  return typeof projectPath === 'string' && path.isAbsolute(projectPath) && fs.existsSync(projectPath)
+    ? projectPath
+    : os.homedir();
+}
+
+/**
+ * Export a saved prompt scope to a JSON file or a new folder of Markdown files
+ * @param {{scope: string, projectPath?: string, format: string}} options
+ */
+async function exportSavedPrompts({ scope, projectPath, format }) {
+  const isJson = format === 'json';
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: isJson ? 'Export Prompts as JSON' : 'Export Prompts as Markdown Folder',
+    defaultPath: path.join(getPromptLibraryDefaultDir(projectPath), `${scope}-prompts${isJson ? '.json' : ''}`),
+    filters: isJson ? [{ name: 'JSON', extensions: ['json'] }] : [],
+    properties: ['createDirectory', 'showOverwriteConfirmation']
+  });
+  if (result.canceled || !result.filePath) {
+    return { success: false, canceled: true };
+  }
+
+  let targetPath = result.filePath;
+  const addExtension = isJson && path.extname(targetPath).toLowerCase() !== '.json';
+  if (addExtension) {
+    targetPath += '.json';
+  }
+  // Never write into repository metadata such as .git/
+  const hasProject = typeof projectPath === 'string' && path.isAbsolute(projectPath) && fs.existsSync(projectPath);
+  if (hasProject && isPathWithinProject(targetPath, projectPath) && !isPathWithinProjectContent(targetPath, projectPath)) {
+    return { success: false, error: 'Cannot export prompts inside .git' };
+  }
+  if (addExtension && !await confirmReplaceFile(targetPath)) {
+    return { success: false, canceled: true };
+  }
+  try {
+    const count = await savedPromptsManager.exportPromptLibrary(scope, projectPath, format, targetPath);
+    return { success: true, path: targetPath, count };
+  } catch (err) {
+    return { success: false, error: `Failed to export prompts: ${err.message}` };
+  }
+}
+
+/**
+ * Import a JSON file or a folder of Markdown files into a saved prompt scope
+ * @param {{scope: string, projectPath?: string, format: string, strategy: string}} options
+ */
+async function importSavedPrompts({ scope, projectPath, format, strategy }) {
+  const isJson = format === 'json';
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: isJson ? 'Import Prompts from JSON' : 'Import Prompts from Markdown Folder',
+    defaultPath: getPromptLibraryDefaultDir(projectPath),
+    properties: [isJson ? 'openFile' : 'openDirectory'],
+    filters: isJson ? [{ name: 'JSON', extensions: ['json'] }] : []
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { success: false, canceled: true };
+  }
+
+  try {
+    const summary = await savedPromptsManager.importPromptLibrary(scope, projectPath, format, result.filePaths[0], strategy);
+    return { success: true, ...summary };
+  } catch (err) {
+    return { success: false, error: `Failed to import prompts: ${err.message}` };
+  }
+}
+
+/**
+ * Pick an asciicast recording (defaults to the app's recordings folder) and read it for replay
+ */
+async function openRecording() {
+  const recordingsDir = terminalRecorder.getRecordingsDir();
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Replay Terminal Recording',
+    defaultPath: recordingsDir && fs.existsSync(recordingsDir) ? recordingsDir : os.homedir(),
+    properties: ['openFile'],
+    filters: [{ name: 'Asciicast Recordings', extensions: ['cast'] }]
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { success: false, canceled: true };
+  }
+
+  const filePath = result.filePaths[0];
+  try {
+    const stat = await fs.promises.stat(filePath);
+    if (stat.size > terminalRecorder.MAX_RECORDING_BYTES) {
+      return { success: false, error: 'Recording is too large to replay' };
+    }
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    return { success: true, content, name: path.basename(filePath) };
+  } catch (err) {
+    return { success: false, error: `Failed to read recording: ${err.message}` };
+  }
+}
+
 /**
  * Setup IPC handlers
  */
@@ -101,11 +301,56 @@ function setupIPC(ipcMain) {
   ipcMain.handle(IPC.CREATE_NEW_PROJECT, async (event, payload = {}) => {
     return await showNewProjectDialog(event, payload.projectName);
   });
+
+  ipcMain.handle(IPC.TERMINAL_EXPORT_TRANSCRIPT, async (event, payload) => {
+    try {
+      return await saveTranscript(payload || {});
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.TERMINAL_RECORDING_OPEN, async () => {
+    try {
+      return await openRecording();
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.TERMINAL_THEME_IMPORT, async () => {
+    try {
+      return await importTerminalTheme();
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.SAVED_PROMPTS_EXPORT, async (event, payload) => {
+    try {
+      return await exportSavedPrompts(payload || {});
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.SAVED_PROMPTS_IMPORT, async (event, payload) => {
+    try {
+      return await importSavedPrompts(payload || {});
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
 }
 
 module.exports = {
   init,
   showFolderPicker,
   showNewProjectDialog,
+  saveTranscript,
+  importTerminalTheme,
+  exportSavedPrompts,
+  importSavedPrompts,
+  openRecording,
   setupIPC
 };
@@ -19,6 +19,14 @@ const menu = require('./menu');
 const dialogs = require('./dialogs');
 const fileTree = require('./fileTree');
 const promptLogger = require('./promptLogger');
+const scrollbackStore = require('./scrollbackStore');
+const terminalProfiles = require('./terminalProfiles');
+const projectEnv = require('./projectEnv');
+const sshHosts = require('./sshHosts');
+const terminalNotifications = require('./terminalNotifications');
+const terminalSettings = require('./terminalSettings');
+const shellIntegration = require('./shellIntegration');
+const terminalRecorder = require('./terminalRecorder');
 const workspace = require('./workspace');
 const fileEditor = require('./fileEditor');
 const pluginsManager = require('./pluginsManager');
@@ -98,6 +106,8 @@ function createWindow() {
 
   // Initialize modules with window reference
   ptyManager.init(mainWindow);
+  terminalNotifications.init(mainWindow);
+  terminalSettings.init(app, mainWindow);
   aiToolManager.init(mainWindow, app);
   menu.init(mainWindow, app, aiToolManager);
   dialogs.init(mainWindow, () => {});
@@ -152,6 +162,11 @@ function openExternalSafely(rawUrl) {
 function setupAllIPC() {
   // Setup module IPC handlers
   ptyManager.setupIPC(ipcMain);
+  terminalProfiles.setupIPC(ipcMain);
+  projectEnv.setupIPC(ipcMain);
+  sshHosts.setupIPC(ipcMain);
+  terminalNotifications.setupIPC(ipcMain);
+  terminalSettings.setupIPC(ipcMain);
   dialogs.setupIPC(ipcMain);
   fileTree.setupIPC(ipcMain);
   promptLogger.setupIPC(ipcMain);
@@ -209,6 +224,15 @@ function init() {
   // Initialize prompt logger with app paths
   promptLogger.init(app);
 
+  // Initialize terminal scrollback persistence
+  scrollbackStore.init(app);
+
+  // Install shell integration scripts (command marks, exit codes, cwd)
+  shellIntegration.init(app);
+
+  // Directory for asciicast terminal recordings
+  terminalRecorder.init(app);
+
   // Setup IPC handlers
   setupAllIPC();
 }
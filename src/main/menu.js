@@ -73,6 +73,11 @@ function getMenuTemplate() {
           accelerator: 'CmdOrCtrl+B',
           click: () => toggleSidebar()
         },
+        {
+          label: 'Terminal Settings…',
+          accelerator: 'CmdOrCtrl+,',
+          click: () => openTerminalSettings()
+        },
         { type: 'separator' },
         { role: 'resetZoom' },
         { role: 'zoomIn' },
@@ -249,15 +254,24 @@ function toggleSidebar() {
   }
 }
 
+/**
+ * Open the terminal appearance settings
+ */
+function openTerminalSettings() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(IPC.OPEN_TERMINAL_SETTINGS);
+  }
+}
+
 /**
  * Open history file in default editor
  */
 function openHistoryFile() {
-  const logPath = path.join(appPath, 'prompts-history.txt');
+  const logPath = path.join(appPath, 'prompts-history.jsonl');
 
   // Create file if it doesn't exist
   if (!fs.existsSync(logPath)) {
-    fs.writeFileSync(logPath, '# Prompt History\n\n', 'utf8');
+    fs.writeFileSync(logPath, '', 'utf8');
   }
 
   shell.openPath(logPath);
@@ -0,0 +1,250 @@
+/**
+ * Project Environment Module
+ * Environment variables injected into a project's new shells, declared in .frame/env.json
+ *
+ * File format:
+ * {
+ *   "env": { "PORT": "3000" }
+ * }
+ * When loading .env files is turned on for the project (a per-machine setting kept in the
+ * workspace), `.env` and then `.env.local` from the project root are read first;
+ * `env` entries override them, and a terminal's own env (from .frame/terminals.json)
+ * overrides both. Values are taken literally: `$VAR` references are not expanded.
+ *
+ * The file comes with the repository, so its variables only apply once the user has
+ * saved them from the environment editor on this machine, and again after any change
+ * made outside it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { IPC } = require('../shared/ipcChannels');
+const { isSecretKey, MASKED_VALUE } = require('../shared/envSecrets');
+const { sanitizeEnv, isProjectDirectory } = require('./terminalProfiles');
+const workspace = require('./workspace');
+
+const ENV_FILE = 'env.json';
+const DOTENV_FILES = ['.env', '.env.local'];
+const MAX_DOTENV_BYTES = 256 * 1024;
+const MAX_PROJECT_ENV_VARS = 512;
+
+/**
+ * Get env config file path (stored in .frame/ directory)
+ */
+function getEnvConfigPath(projectPath) {
+  return path.join(projectPath, '.frame', ENV_FILE);
+}
+
+// Inside double quotes a backslash escapes the next character
+function findClosingQuote(text, quote) {
+  for (let i = 0; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') i++;
+    else if (text[i] === quote) return i;
+  }
+  return -1;
+}
+
+/**
+ * Parse a .env file: `KEY=value` lines with optional `export`, quotes and `#` comments
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+function parseDotEnv(text) {
+  /** @type {Object<string, string>} */
+  const result = {};
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/.exec(lines[i]);
+    if (!match) continue;
+    const key = match[1];
+    let value = match[2];
+
+    const quote = value[0];
+    if (quote === '"' || quote === "'" || quote === '`') {
+      // Quoted values may span lines until the closing quote
+      let body = value.slice(1);
+      let end = findClosingQuote(body, quote);
+      while (end === -1 && i + 1 < lines.length) {
+        body += `\n${lines[++i]}`;
+        end = findClosingQuote(body, quote);
+      }
+      value = end === -1 ? body : body.slice(0, end);
+      if (quote === '"') {
+        value = value.replace(/\\n/g, '\n').replace(/\\r/g, '\r').replace(/\\t/g, '\t').replace(/\\(["\\])/g, '$1');
+      }
+    } else {
+      // Unquoted: an inline comment starts at ` #`
+      value = value.replace(/\s+#.*$/, '').trim();
+    }
+    result[key] = value;
+  }
+  return result;
+}
+
+function readDotEnvFile(filePath) {
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    return null;
+  }
+  if (!stat.isFile()) return null;
+  if (stat.size > MAX_DOTENV_BYTES) {
+    throw new Error(`${path.basename(filePath)} is too large`);
+  }
+  return parseDotEnv(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Fingerprint of a project's .frame/env.json variables, which the user's approval is tied to
+ * @param {Object<string, string>} env
+ * @returns {string|null} Null when there are no variables
+ */
+function getEnvFingerprint(env) {
+  if (Object.keys(env).length === 0) return null;
+  return crypto.createHash('sha256').update(JSON.stringify(env)).digest('hex');
+}
+
+/**
+ * Load a project's env config
+ * @param {string} projectPath
+ * @returns {{loadDotEnv: boolean, env: Object<string, string>, envTrusted: boolean}}
+ *   `envTrusted` is false while the file's variables have not been approved on this machine
+ */
+function loadConfig(projectPath) {
+  const loadDotEnv = workspace.getProjectLoadDotEnv(projectPath);
+  const filePath = getEnvConfigPath(projectPath);
+  if (!fs.existsSync(filePath)) return { loadDotEnv, env: {}, envTrusted: true };
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const env = sanitizeEnv(data && data.env, MAX_PROJECT_ENV_VARS) || {};
+  const fingerprint = getEnvFingerprint(env);
+  return {
+    loadDotEnv,
+    env,
+    envTrusted: !fingerprint || workspace.getProjectTrust(projectPath, 'env') === fingerprint
+  };
+}
+
+/**
+ * Write a project's env config. The user is saving these variables, so they are
+ * approved for this machine.
+ * @param {string} projectPath
+ * @param {{loadDotEnv?: boolean, env?: Object<string, string>}} config
+ * @returns {string} Path of the written file
+ */
+function saveConfig(projectPath, config) {
+  if (!isProjectDirectory(projectPath)) {
+    throw new Error('Invalid project path');
+  }
+  const data = {
+    env: sanitizeEnv(config && config.env, MAX_PROJECT_ENV_VARS) || {}
+  };
+  workspace.setProjectLoadDotEnv(projectPath, Boolean(config && config.loadDotEnv));
+
+  const filePath = getEnvConfigPath(projectPath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmpPath, filePath);
+  workspace.setProjectTrust(projectPath, 'env', getEnvFingerprint(data.env));
+  return filePath;
+}
+
+/**
+ * Variables a project's new shells get, with the file each one comes from
+ * @param {string} projectPath
+ * @returns {{env: Object<string, string>, sources: Object<string, string>}}
+ */
+function resolveProjectEnv(projectPath) {
+  /** @type {Object<string, string>} */
+  const env = {};
+  /** @type {Object<string, string>} */
+  const sources = {};
+  if (!isProjectDirectory(projectPath)) return { env, sources };
+
+  const add = (variables, source) => {
+    for (const [key, value] of Object.entries(variables || {})) {
+      env[key] = value;
+      sources[key] = source;
+    }
+  };
+
+  const config = loadConfig(projectPath);
+  if (config.loadDotEnv) {
+    for (const fileName of DOTENV_FILES) {
+      add(sanitizeEnv(readDotEnvFile(path.join(projectPath, fileName)), MAX_PROJECT_ENV_VARS), fileName);
+    }
+  }
+  if (config.envTrusted) {
+    add(config.env, `.frame/${ENV_FILE}`);
+  }
+  return { env, sources };
+}
+
+/**
+ * Values of the secret-looking variables in an env object
+ * @param {Object<string, string>|null} env
+ * @returns {string[]}
+ */
+function getSecretValues(env) {
+  return Object.entries(env || {})
+    .filter(([key, value]) => isSecretKey(key) && value)
+    .map(([, value]) => value);
+}
+
+/**
+ * Config and resolved variables for the settings UI; secret values are masked
+ * @param {string} projectPath
+ */
+function describeProjectEnv(projectPath) {
+  if (!isProjectDirectory(projectPath)) {
+    throw new Error('Invalid project path');
+  }
+  const config = loadConfig(projectPath);
+  const { env, sources } = resolveProjectEnv(projectPath);
+  const variables = Object.keys(env).sort().map((key) => {
+    const secret = isSecretKey(key);
+    return { key, value: secret ? MASKED_VALUE : env[key], source: sources[key], secret };
+  });
+  return {
+    config,
+    dotEnvFiles: DOTENV_FILES.filter((fileName) => fs.existsSync(path.join(projectPath, fileName))),
+    variables
+  };
+}
+
+/**
+ * Setup IPC handlers
+ */
+function setupIPC(ipcMain) {
+  ipcMain.handle(IPC.PROJECT_ENV_GET, (event, projectPath) => {
+    try {
+      return { success: true, ...describeProjectEnv(projectPath) };
+    } catch (err) {
+      return { success: false, error: err instanceof SyntaxError ? `Invalid ${ENV_FILE}: ${err.message}` : err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.PROJECT_ENV_SAVE, (event, data) => {
+    try {
+      const { projectPath, loadDotEnv, env } = data || {};
+      const filePath = saveConfig(projectPath, { loadDotEnv, env });
+      return { success: true, path: filePath, ...describeProjectEnv(projectPath) };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+module.exports = {
+  setupIPC,
+  getEnvConfigPath,
+  parseDotEnv,
+  getEnvFingerprint,
+  loadConfig,
+  saveConfig,
+  resolveProjectEnv,
+  getSecretValues,
+  describeProjectEnv
+};
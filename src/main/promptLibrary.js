@@ -0,0 +1,264 @@
+/**
+ * Prompt Library Module
+ * Saved prompt sets as shareable files: one JSON file, or a folder of
+ * Markdown files with frontmatter (one prompt per file):
+ *
+ *   ---
+ *   title: "Fix failing test"
+ *   category: debug
+ *   favorite: false
+ *   pressEnter: true
+ *   ---
+ *   Prompt content...
+ *
+ * Imported prompts are checked field by field; only ALLOWED_UPDATE_FIELDS are kept.
+ */
+
+const LIBRARY_VERSION = 1;
+const ALLOWED_UPDATE_FIELDS = ['title', 'content', 'category', 'favorite', 'pressEnter'];
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'duplicate'];
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_CATEGORY_LENGTH = 50;
+const MAX_CONTENT_LENGTH = 100 * 1024;
+const MAX_LIBRARY_PROMPTS = 1000;
+
+/**
+ * Check an imported prompt's fields
+ * @param {*} raw
+ * @returns {{prompt: {title: string, content: string, category: string, favorite: boolean, pressEnter: boolean}|null, error: string|null}}
+ */
+function validatePrompt(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { prompt: null, error: 'not an object' };
+  }
+  const unknown = Object.keys(raw).filter(key => !ALLOWED_UPDATE_FIELDS.includes(key) && !['id', 'createdAt', 'updatedAt'].includes(key));
+  if (unknown.length > 0) {
+    return { prompt: null, error: `unknown field ${unknown.map(key => `"${key}"`).join(', ')}` };
+  }
+
+  const title = typeof raw.title === 'string' ? raw.title.trim() : '';
+  if (!title) return { prompt: null, error: 'missing title' };
+  if (title.length > MAX_TITLE_LENGTH) return { prompt: null, error: `title longer than ${MAX_TITLE_LENGTH} characters` };
+
+  if (typeof raw.content !== 'string' || !raw.content.trim()) return { prompt: null, error: 'missing content' };
+  if (raw.content.length > MAX_CONTENT_LENGTH) return { prompt: null, error: 'content too long' };
+
+  if (raw.category !== undefined && typeof raw.category !== 'string') return { prompt: null, error: 'category must be text' };
+  const category = (raw.category || '').trim() || 'general';
+  if (category.length > MAX_CATEGORY_LENGTH) return { prompt: null, error: `category longer than ${MAX_CATEGORY_LENGTH} characters` };
+
+  for (const key of ['favorite', 'pressEnter']) {
+    if (raw[key] !== undefined && typeof raw[key] !== 'boolean') return { prompt: null, error: `${key} must be true or false` };
+  }
+
+  return {
+    prompt: {
+      title,
+      content: raw.content,
+      category,
+      favorite: raw.favorite === true,
+      pressEnter: raw.pressEnter === true
+    },
+    error: null
+  };
+}
+
+function pickExportFields(prompt) {
+  return {
+    title: prompt.title,
+    content: prompt.content,
+    category: prompt.category || 'general',
+    favorite: prompt.favorite === true,
+    pressEnter: prompt.pressEnter === true
+  };
+}
+
+/**
+ * Serialize prompts as a JSON library
+ * @param {Array<Object>} prompts
+ */
+function toJsonLibrary(prompts) {
+  return JSON.stringify({ version: LIBRARY_VERSION, prompts: prompts.map(pickExportFields) }, null, 2) + '\n';
+}
+
+/**
+ * Parse a JSON library: `{version, prompts: [...]}` or a bare array of prompts
+ * @param {string} text
+ * @returns {Array<*>} Raw prompts, still to be validated
+ */
+function parseJsonLibrary(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`, { cause: err });
+  }
+  const prompts = Array.isArray(data) ? data : data && data.prompts;
+  if (!Array.isArray(prompts)) {
+    throw new Error('Expected a "prompts" list');
+  }
+  if (prompts.length > MAX_LIBRARY_PROMPTS) {
+    throw new Error(`A library can hold at most ${MAX_LIBRARY_PROMPTS} prompts`);
+  }
+  return prompts;
+}
+
+// Frontmatter values: JSON-style "double quoted", 'single quoted', true/false or bare text
+function parseFrontmatterValue(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  return value;
+}
+
+/**
+ * Split a Markdown file into its `key: value` frontmatter and body
+ * @param {string} text
+ * @param {{strict?: boolean}} [options] - Strict parsing throws on lines that are
+ *   not `key: value`; otherwise they are ignored (YAML lists, nested maps, ...)
+ * @returns {{fields: Object<string, *>, body: string}}
+ */
+function parseFrontmatter(text, options = {}) {
+  const source = String(text).replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+  /** @type {Object<string, *>} */
+  const fields = {};
+  const match = /^---\n([\s\S]*?)\n---(?:\n|$)/.exec(source);
+  if (!match) return { fields, body: source };
+
+  for (const line of match[1].split('\n')) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const field = /^([A-Za-z][A-Za-z0-9_-]*)\s*:\s*(.*)$/.exec(line);
+    if (field) {
+      fields[field[1]] = parseFrontmatterValue(field[2].trim());
+    } else if (options.strict) {
+      throw new Error(`Invalid frontmatter line: ${line.trim().slice(0, 80)}`);
+    }
+  }
+  return { fields, body: source.slice(match[0].length) };
+}
+
+/**
+ * Parse one Markdown prompt; the title falls back to the file name
+ * @param {string} text
+ * @param {string} [fileName]
+ * @returns {Object} Raw prompt, still to be validated
+ */
+function parseMarkdownPrompt(text, fileName = '') {
+  const { fields, body } = parseFrontmatter(text, { strict: true });
+  const prompt = { ...fields };
+  if (prompt.title === undefined && fileName) {
+    prompt.title = fileName.replace(/\.(md|markdown)$/i, '');
+  }
+  prompt.content = body.replace(/^\n+/, '').replace(/\s+$/, '');
+  return prompt;
+}
+
+/**
+ * File name for a prompt title, unique among `used` (lowercase names)
+ * @param {string} title
+ * @param {Set<string>} used
+ */
+function toFileName(title, used) {
+  const base = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'prompt';
+  let name = `${base}.md`;
+  for (let n = 2; used.has(name); n++) name = `${base}-${n}.md`;
+  used.add(name);
+  return name;
+}
+
+/**
+ * Serialize prompts as Markdown files with frontmatter
+ * @param {Array<Object>} prompts
+ * @returns {Array<{fileName: string, text: string}>}
+ */
+function toMarkdownFiles(prompts) {
+  const used = new Set();
+  return prompts.map((prompt) => {
+    const fields = pickExportFields(prompt);
+    const text = [
+      '---',
+      `title: ${JSON.stringify(fields.title)}`,
+      `category: ${JSON.stringify(fields.category)}`,
+      `favorite: ${fields.favorite}`,
+      `pressEnter: ${fields.pressEnter}`,
+      '---',
+      '',
+      fields.content,
+      ''
+    ].join('\n');
+    return { fileName: toFileName(fields.title, used), text };
+  });
+}
+
+function titleKey(title) {
+  return String(title).trim().toLowerCase();
+}
+
+// "Title (2)", "Title (3)", ... the first one not taken
+function uniqueTitle(title, taken) {
+  let n = 2;
+  let candidate = `${title} (${n})`;
+  while (taken.has(titleKey(candidate))) candidate = `${title} (${++n})`;
+  return candidate;
+}
+
+/**
+ * Merge validated prompts into a prompt set; prompts conflict when their titles
+ * match (ignoring case)
+ * @param {Array<Object>} existing - Stored prompts (with id, createdAt, updatedAt)
+ * @param {Array<Object>} incoming - Validated prompts
+ * @param {string} strategy - 'skip', 'overwrite' or 'duplicate': what to do with a conflicting prompt
+ * @param {{generateId: function(): string, now?: string}} options
+ * @returns {{prompts: Array<Object>, added: number, updated: number, skipped: number}}
+ */
+function mergePrompts(existing, incoming, strategy, options) {
+  if (!CONFLICT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown conflict strategy: ${strategy}`);
+  }
+  const now = options.now || new Date().toISOString();
+  const prompts = existing.map(prompt => ({ ...prompt }));
+  const byTitle = new Map(prompts.map(prompt => [titleKey(prompt.title), prompt]));
+  let added = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  for (const prompt of incoming) {
+    const current = byTitle.get(titleKey(prompt.title));
+    if (current && strategy === 'skip') {
+      skipped++;
+    } else if (current && strategy === 'overwrite') {
+      Object.assign(current, prompt, { title: current.title, updatedAt: now });
+      updated++;
+    } else {
+      const title = current ? uniqueTitle(prompt.title, byTitle) : prompt.title;
+      const created = { id: options.generateId(), ...prompt, title, createdAt: now, updatedAt: now };
+      prompts.push(created);
+      byTitle.set(titleKey(title), created);
+      added++;
+    }
+  }
+  return { prompts, added, updated, skipped };
+}
+
+module.exports = {
+  ALLOWED_UPDATE_FIELDS,
+  CONFLICT_STRATEGIES,
+  MAX_LIBRARY_PROMPTS,
+  validatePrompt,
+  parseFrontmatter,
+  toJsonLibrary,
+  parseJsonLibrary,
+  parseMarkdownPrompt,
+  toMarkdownFiles,
+  mergePrompts
+};
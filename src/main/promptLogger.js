@@ -1,6 +1,15 @@
 /**
  * Prompt Logger Module
- * Logs terminal input to history file
+ * Logs terminal input to a JSONL history file, one entry per submitted line:
+ * {"timestamp", "text", "projectPath", "terminalId", "terminalName", "aiTool", "cwd", "id"}
+ * `id` is assigned when the entry is written and increases through the file, so it
+ * survives the rewrites below and pages the history reliably.
+ * The older flat `[timestamp] line` text file is migrated into it on startup.
+ *
+ * Retention settings (prompt-history-retention.json) cap the history by age and
+ * size, and keep input from excluded projects or matching ignore patterns out of it.
+ * Pruning and purging rewrite the whole file through a temp file and a rename, so
+ * removed entries never linger in a partially rewritten store.
  */
 
 const fs = require('fs');
@@ -8,16 +17,67 @@ const fsp = fs.promises;
 const path = require('path');
 const { IPC } = require('../shared/ipcChannels');
 
+const HISTORY_FILE = 'prompts-history.jsonl';
+const LEGACY_HISTORY_FILE = 'prompts-history.txt';
+const RETENTION_FILE = 'prompt-history-retention.json';
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_RETENTION_DAYS = 3650;
+const MAX_HISTORY_SIZE_MB = 1024;
+// Trim below the size cap so the next few writes do not each trigger a rewrite
+const SIZE_PRUNE_TARGET = 0.9;
+const MAX_EXCLUDED_PROJECTS = 200;
+const MAX_IGNORE_PATTERNS = 100;
+const MAX_IGNORE_PATTERN_LENGTH = 500;
+
+const DEFAULT_RETENTION = {
+  maxAgeDays: 0, // 0 keeps entries forever
+  maxSizeMB: 0, // 0 lets the file grow without limit
+  excludedProjects: [],
+  ignorePatterns: []
+};
+
 let logFilePath = null;
+let legacyFilePath = null;
+let retentionPath = null;
+let cachedRetention = null;
+let ignoreMatchers = [];
+let retentionTimer = null;
 const inputBuffers = new Map(); // Map<terminalId, inputBuffer>
 const keyBlockMode = new Map(); // Map<terminalId, boolean>
+const secretValues = new Map(); // Map<terminalId, string[]> injected secrets, longest first
+// Shorter values would redact ordinary words
+const MIN_SECRET_LENGTH = 4;
 let writeQueue = Promise.resolve();
+let nextEntryId = null; // Read from the history file before the first write
 
 /**
  * Initialize prompt logger
  */
 function init(app) {
-  logFilePath = path.join(app.getPath('userData'), 'prompts-history.txt');
+  logFilePath = path.join(app.getPath('userData'), HISTORY_FILE);
+  legacyFilePath = path.join(app.getPath('userData'), LEGACY_HISTORY_FILE);
+  retentionPath = path.join(app.getPath('userData'), RETENTION_FILE);
+  cachedRetention = null;
+  nextEntryId = null;
+  // Queued first so new entries land after the migrated ones
+  writeQueue = writeQueue
+    .then(() => migrateLegacyHistory())
+    .then(() => assignEntryIds())
+    .catch((err) => {
+      console.error('Error migrating prompt history:', err);
+    });
+  enforceRetention().catch(() => {});
+
+  // Entries age out while the app stays open
+  if (retentionTimer) clearInterval(retentionTimer);
+  retentionTimer = setInterval(() => {
+    enforceRetention().catch(() => {});
+  }, RETENTION_CHECK_INTERVAL_MS);
+  retentionTimer.unref();
 }
 
 /**
@@ -27,16 +87,207 @@ function getLogFilePath() {
   return logFilePath;
 }
 
-function enqueueLogWrite(logEntry) {
+/**
+ * Parse the legacy `[timestamp] line` history text into entries without metadata
+ * @param {string} text
+ */
+function parseLegacyHistory(text) {
+  const entries = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    const match = /^\[(.+?)\]\s(.*)$/.exec(line);
+    if (!match || !match[2].trim()) continue;
+    entries.push(createEntry(match[2], null, match[1]));
+  }
+  return entries;
+}
+
+async function migrateLegacyHistory() {
+  let legacyText;
+  try {
+    legacyText = await fsp.readFile(legacyFilePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+
+  let existing = '';
+  try {
+    existing = await fsp.readFile(logFilePath, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const migrated = parseLegacyHistory(legacyText).map(entry => `${JSON.stringify(entry)}\n`).join('');
+  const tmpPath = `${logFilePath}.${process.pid}.tmp`;
+  await fsp.writeFile(tmpPath, migrated + existing, 'utf8');
+  await fsp.rename(tmpPath, logFilePath);
+  await fsp.unlink(legacyFilePath);
+}
+
+/**
+ * Build a history entry
+ * @param {string} text - Sanitized input line
+ * @param {{terminalId?: string, projectPath?: string|null, terminalName?: string|null, aiTool?: string|null, cwd?: string|null}|null} context
+ * @param {string} [timestamp]
+ */
+function createEntry(text, context, timestamp = new Date().toISOString()) {
+  return {
+    timestamp,
+    text,
+    projectPath: (context && context.projectPath) || null,
+    terminalId: (context && context.terminalId) || null,
+    terminalName: (context && context.terminalName) || null,
+    aiTool: (context && context.aiTool) || null,
+    cwd: (context && context.cwd) || null
+  };
+}
+
+/**
+ * Give entries without an id (migrated, or written before ids existed) the next one
+ * in file order, and continue numbering after the highest. Must run inside the write queue.
+ */
+async function assignEntryIds() {
+  const records = parseRecords(await readHistoryText());
+  let lastId = 0;
+  let changed = false;
+  const lines = records.map(({ line, entry }) => {
+    if (!entry) return line;
+    if (entry.id !== null && entry.id > lastId) {
+      lastId = entry.id;
+      return line;
+    }
+    changed = true;
+    lastId++;
+    return JSON.stringify({ ...entry, id: lastId });
+  });
+  if (changed) {
+    await writeHistoryAtomically(lines.map(line => `${line}\n`).join(''));
+  }
+  nextEntryId = lastId + 1;
+}
+
+function enqueueLogWrite(entry) {
   if (!logFilePath) return;
   if (process.env.VIBECONSOLE_DISABLE_PROMPT_HISTORY === '1') return;
   writeQueue = writeQueue
-    .then(() => fsp.appendFile(logFilePath, logEntry, 'utf8'))
+    .then(async () => {
+      if (nextEntryId === null) await assignEntryIds();
+      const line = JSON.stringify({ ...entry, id: nextEntryId++ });
+      await fsp.appendFile(logFilePath, `${line}\n`, 'utf8');
+    })
+    .then(() => pruneOversizedHistory())
     .catch((err) => {
       console.error('Error writing prompt history:', err);
     });
 }
 
+/**
+ * Compile an ignore pattern (a case-insensitive regular expression)
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function compileIgnorePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    throw new Error(`Invalid ignore pattern "${pattern}": ${err.message}`, { cause: err });
+  }
+}
+
+function clampNumber(value, min, max, fallback) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+// Patterns keep their surrounding whitespace, which can be significant
+function uniqueStrings(values, limit, trim = true) {
+  if (!Array.isArray(values)) return [];
+  const strings = values
+    .filter(value => typeof value === 'string' && value.trim())
+    .map(value => (trim ? value.trim() : value));
+  return [...new Set(strings)].slice(0, limit);
+}
+
+/**
+ * Fill in defaults and drop invalid values
+ * @param {*} input
+ * @param {{strict?: boolean}} [options] - Throw on an invalid ignore pattern instead of dropping it
+ * @returns {{maxAgeDays: number, maxSizeMB: number, excludedProjects: string[], ignorePatterns: string[]}}
+ */
+function sanitizeRetention(input, options = {}) {
+  const source = input && typeof input === 'object' ? input : {};
+  const ignorePatterns = uniqueStrings(source.ignorePatterns, MAX_IGNORE_PATTERNS, false)
+    .filter((pattern) => {
+      if (pattern.length > MAX_IGNORE_PATTERN_LENGTH) {
+        if (options.strict) throw new Error(`Ignore patterns are limited to ${MAX_IGNORE_PATTERN_LENGTH} characters`);
+        return false;
+      }
+      try {
+        compileIgnorePattern(pattern);
+        return true;
+      } catch (err) {
+        if (options.strict) throw err;
+        return false;
+      }
+    });
+  return {
+    maxAgeDays: Math.round(clampNumber(source.maxAgeDays, 0, MAX_RETENTION_DAYS, DEFAULT_RETENTION.maxAgeDays)),
+    maxSizeMB: Math.round(clampNumber(source.maxSizeMB, 0, MAX_HISTORY_SIZE_MB, DEFAULT_RETENTION.maxSizeMB) * 100) / 100,
+    excludedProjects: uniqueStrings(source.excludedProjects, MAX_EXCLUDED_PROJECTS).filter(projectPath => path.isAbsolute(projectPath)),
+    ignorePatterns
+  };
+}
+
+function setRetentionCache(settings) {
+  cachedRetention = settings;
+  ignoreMatchers = settings.ignorePatterns.map(compileIgnorePattern);
+}
+
+/**
+ * Load retention settings (cached after the first read)
+ */
+function getRetention() {
+  if (cachedRetention) return cachedRetention;
+  let stored = null;
+  if (retentionPath) {
+    try {
+      stored = JSON.parse(fs.readFileSync(retentionPath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('Ignoring unreadable prompt history retention settings:', err.message);
+    }
+  }
+  setRetentionCache(sanitizeRetention(stored));
+  return cachedRetention;
+}
+
+/**
+ * Merge changes into the retention settings, persist them and prune the history to match
+ * @param {Object} changes - Partial settings
+ * @returns {Promise<{settings: Object, removed: number}>}
+ */
+async function updateRetention(changes) {
+  const next = sanitizeRetention({ ...getRetention(), ...(changes && typeof changes === 'object' ? changes : {}) }, { strict: true });
+  if (retentionPath) {
+    const tmpPath = `${retentionPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(next, null, 2), 'utf8');
+    fs.renameSync(tmpPath, retentionPath);
+  }
+  setRetentionCache(next);
+  const removed = await enforceRetention();
+  return { settings: next, removed };
+}
+
+/**
+ * Whether retention settings keep an entry out of the history
+ * @param {{text: string, projectPath: string|null}} entry
+ */
+function isIgnored(entry) {
+  const settings = getRetention();
+  if (entry.projectPath && settings.excludedProjects.includes(entry.projectPath)) return true;
+  return ignoreMatchers.some(matcher => matcher.test(entry.text));
+}
+
 function sanitizeHistoryLine(line, terminalId = 'global') {
   const key = terminalId || 'global';
   const raw = String(line ?? '');
@@ -60,6 +311,11 @@ function sanitizeHistoryLine(line, terminalId = 'global') {
 
   let out = raw;
 
+  // Secrets injected into this terminal's environment.
+  for (const secret of secretValues.get(key) || []) {
+    out = out.split(secret).join('[REDACTED]');
+  }
+
   // Common explicit auth header patterns.
   out = out.replace(/\bAuthorization\b\s*:\s*Bearer\s+[A-Za-z0-9._~+/=-]+/gi, 'Authorization: Bearer [REDACTED]');
   out = out.replace(/\bBearer\s+[A-Za-z0-9._~+/=-]{16,}\b/g, 'Bearer [REDACTED]');
@@ -86,12 +342,39 @@ function sanitizeHistoryLine(line, terminalId = 'global') {
   return out;
 }
 
+/**
+ * Secret values a terminal was started with (from its injected environment);
+ * they are redacted wherever they show up in that terminal's input
+ * @param {string} terminalId
+ * @param {string[]} values
+ */
+function setSecretValues(terminalId, values) {
+  const secrets = (values || [])
+    .filter((value) => typeof value === 'string' && value.length >= MIN_SECRET_LENGTH)
+    .sort((a, b) => b.length - a.length);
+  if (secrets.length > 0) {
+    secretValues.set(terminalId, secrets);
+  } else {
+    secretValues.delete(terminalId);
+  }
+}
+
+/**
+ * Drop per-terminal state once a terminal is gone
+ */
+function forgetTerminal(terminalId) {
+  inputBuffers.delete(terminalId);
+  keyBlockMode.delete(terminalId);
+  secretValues.delete(terminalId);
+}
+
 /**
  * Process and log input data
  * @param {string} data - Input data from terminal
  * @param {string} [terminalId='global'] - Terminal identifier to keep buffers isolated
+ * @param {{projectPath?: string|null, terminalName?: string|null, aiTool?: string|null, cwd?: string|null}|null} [context] - Where the input was typed
  */
-function logInput(data, terminalId = 'global') {
+function logInput(data, terminalId = 'global', context = null) {
   const key = terminalId || 'global';
   let inputBuffer = inputBuffers.get(key) || '';
 
@@ -99,10 +382,9 @@ function logInput(data, terminalId = 'global') {
     if (char === '\r' || char === '\n') {
       // Enter pressed - save the line
       if (inputBuffer.trim().length > 0) {
-        const timestamp = new Date().toISOString();
         const safeLine = sanitizeHistoryLine(inputBuffer, key);
-        const logEntry = `[${timestamp}] ${safeLine}\n`;
-        enqueueLogWrite(logEntry);
+        const entry = createEntry(safeLine, { ...context, terminalId: terminalId || null });
+        if (!isIgnored(entry)) enqueueLogWrite(entry);
       }
       inputBuffer = '';
     } else if (char === '\x7f' || char === '\b') {
@@ -117,39 +399,289 @@ function logInput(data, terminalId = 'global') {
   inputBuffers.set(key, inputBuffer);
 }
 
-/**
- * Get prompt history
- * @returns {Promise<string>} History file contents
- */
-async function getHistory() {
+async function readHistoryText() {
+  if (!logFilePath) return '';
   try {
-    if (logFilePath) {
-      await fsp.access(logFilePath);
-      return await fsp.readFile(logFilePath, 'utf8');
-    }
+    return await fsp.readFile(logFilePath, 'utf8');
   } catch (err) {
     if (err && err.code !== 'ENOENT') {
       console.error('Error reading prompt history:', err);
     }
+    return '';
+  }
+}
+
+/**
+ * Split history file text into its lines and the entries they hold
+ * @param {string} text
+ * @returns {Array<{line: string, entry: Object|null}>} One record per non-empty line; `entry` is null for unreadable lines
+ *   and its `id` is null until assignEntryIds() has numbered it
+ */
+function parseRecords(text) {
+  const records = [];
+  text.split('\n').forEach((line) => {
+    if (!line.trim()) return;
+    let entry = null;
+    try {
+      const parsed = JSON.parse(line);
+      if (parsed && typeof parsed.text === 'string') {
+        const id = Number.isSafeInteger(parsed.id) && parsed.id > 0 ? parsed.id : null;
+        entry = { ...createEntry(parsed.text, parsed, parsed.timestamp), id };
+      }
+    } catch {
+      // A line cut short by a crash mid-write
+    }
+    records.push({ line, entry });
+  });
+  return records;
+}
+
+/**
+ * Read every history entry, oldest first (and so in increasing `id` order)
+ * @returns {Promise<Array<Object>>}
+ */
+async function readEntries() {
+  // Let queued writes (and the migration) land first
+  await writeQueue;
+  return parseRecords(await readHistoryText()).map(record => record.entry).filter(Boolean);
+}
+
+/**
+ * Replace the history file: written to a temp file, flushed to disk, then renamed over it
+ * @param {string} content
+ */
+async function writeHistoryAtomically(content) {
+  const tmpPath = `${logFilePath}.${process.pid}.tmp`;
+  const handle = await fsp.open(tmpPath, 'w', 0o600);
+  try {
+    await handle.writeFile(content, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fsp.rename(tmpPath, logFilePath);
+}
+
+/**
+ * Rewrite the history keeping only some records; unreadable lines are dropped.
+ * Must run inside the write queue.
+ * @param {function(Array<{line: string, entry: Object}>): Array<{line: string, entry: Object}>} selectKept
+ * @returns {Promise<number>} Number of lines removed
+ */
+async function rewriteHistory(selectKept) {
+  if (!logFilePath) return 0;
+  const records = parseRecords(await readHistoryText());
+  const kept = selectKept(records.filter(record => record.entry));
+  const removed = records.length - kept.length;
+  if (removed > 0) {
+    await writeHistoryAtomically(kept.map(record => `${record.line}\n`).join(''));
+  }
+  return removed;
+}
+
+/**
+ * Queue a rewrite behind pending writes
+ * @param {function(Array<{line: string, entry: Object}>): Array<{line: string, entry: Object}>} selectKept
+ * @returns {Promise<number>} Number of lines removed
+ */
+function queueRewrite(selectKept) {
+  const run = writeQueue.then(() => rewriteHistory(selectKept));
+  writeQueue = run.then(() => {}, (err) => {
+    console.error('Error rewriting prompt history:', err);
+  });
+  return run;
+}
+
+/**
+ * Records that survive the age and size limits, oldest first
+ * @param {Array<{line: string, entry: Object}>} records - Oldest first
+ * @param {{maxAgeDays: number, maxSizeMB: number}} settings
+ * @param {number} [now]
+ * @param {number} [sizeRatio] - Fraction of the size limit to keep
+ */
+function applyRetention(records, settings, now = Date.now(), sizeRatio = 1) {
+  let kept = records;
+  if (settings.maxAgeDays > 0) {
+    const cutoff = now - settings.maxAgeDays * DAY_MS;
+    kept = kept.filter((record) => {
+      const time = Date.parse(record.entry.timestamp);
+      return Number.isNaN(time) || time >= cutoff;
+    });
+  }
+  if (settings.maxSizeMB > 0) {
+    const maxBytes = settings.maxSizeMB * 1024 * 1024 * sizeRatio;
+    let size = 0;
+    let start = kept.length;
+    while (start > 0) {
+      const bytes = Buffer.byteLength(kept[start - 1].line, 'utf8') + 1;
+      if (size + bytes > maxBytes) break;
+      size += bytes;
+      start--;
+    }
+    kept = kept.slice(start);
+  }
+  return kept;
+}
+
+/**
+ * Drop entries past the retention limits
+ * @returns {Promise<number>} Number of lines removed
+ */
+function enforceRetention() {
+  const settings = getRetention();
+  if (!settings.maxAgeDays && !settings.maxSizeMB) return Promise.resolve(0);
+  return queueRewrite(records => applyRetention(records, settings));
+}
+
+// Runs inside the write queue after an append
+async function pruneOversizedHistory() {
+  const settings = getRetention();
+  if (!(settings.maxSizeMB > 0)) return;
+  const stat = await fsp.stat(logFilePath);
+  if (stat.size <= settings.maxSizeMB * 1024 * 1024) return;
+  await rewriteHistory(records => applyRetention(records, settings, Date.now(), SIZE_PRUNE_TARGET));
+}
+
+/**
+ * Whether a history entry passes the history panel's filters
+ * @param {Object} entry
+ * @param {Object} [filter]
+ * @param {string} [filter.query] - Words that must all appear in the text, case-insensitive
+ * @param {string|null} [filter.projectPath] - Project path, null for global terminals; omit for any
+ * @param {string} [filter.terminalName]
+ * @param {string} [filter.aiTool] - Tool id, or 'none' for input outside an AI tool
+ * @param {number} [filter.since] - Earliest time (epoch ms), inclusive
+ * @param {number} [filter.until] - Latest time (epoch ms), exclusive
+ */
+function matchesFilter(entry, filter) {
+  if (!filter) return true;
+  if (filter.projectPath !== undefined && entry.projectPath !== filter.projectPath) return false;
+  if (filter.terminalName && entry.terminalName !== filter.terminalName) return false;
+  if (filter.aiTool && (entry.aiTool || 'none') !== filter.aiTool) return false;
+
+  if (Number.isFinite(filter.since) || Number.isFinite(filter.until)) {
+    const time = Date.parse(entry.timestamp);
+    if (Number.isNaN(time)) return false;
+    if (Number.isFinite(filter.since) && time < filter.since) return false;
+    if (Number.isFinite(filter.until) && time >= filter.until) return false;
+  }
+
+  if (typeof filter.query === 'string' && filter.query.trim()) {
+    const text = entry.text.toLowerCase();
+    return filter.query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
   }
-  return '';
+  return true;
+}
+
+function hasFilterCriteria(filter) {
+  if (!filter || typeof filter !== 'object') return false;
+  return filter.projectPath !== undefined ||
+    (typeof filter.query === 'string' && filter.query.trim() !== '') ||
+    Boolean(filter.terminalName) ||
+    Boolean(filter.aiTool) ||
+    Number.isFinite(filter.since) ||
+    Number.isFinite(filter.until);
+}
+
+/**
+ * Permanently remove entries matching a filter, e.g. `{projectPath}` for a whole project
+ * @param {Object} filter - See matchesFilter(); at least one criterion is required
+ * @returns {Promise<number>} Number of entries removed
+ */
+function purgeHistory(filter) {
+  if (!hasFilterCriteria(filter)) {
+    return Promise.reject(new Error('Choose which entries to purge'));
+  }
+  return queueRewrite(records => records.filter(record => !matchesFilter(record.entry, filter)));
+}
+
+/**
+ * Distinct values the history can be filtered by
+ * @param {Array<Object>} entries
+ */
+function getHistoryFacets(entries) {
+  const distinct = (key) => [...new Set(entries.map(entry => entry[key]).filter(Boolean))].sort();
+  return {
+    projects: distinct('projectPath'),
+    hasGlobal: entries.some(entry => !entry.projectPath),
+    terminals: distinct('terminalName'),
+    aiTools: distinct('aiTool')
+  };
+}
+
+/**
+ * A page of prompt history, newest first
+ * @param {Object} [options]
+ * @param {number|null} [options.before] - Only entries older than this id (the previous page's nextCursor)
+ * @param {number} [options.limit]
+ * @param {Object} [options.filter] - See matchesFilter()
+ * @param {boolean} [options.includeFacets] - Also return the values the history can be filtered by
+ * @returns {Promise<{entries: Array<Object>, nextCursor: number|null, total: number, matched: number, facets?: Object}>}
+ */
+async function getHistoryPage({ before = null, limit = DEFAULT_PAGE_SIZE, filter = null, includeFacets = false } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(String(limit), 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const all = await readEntries();
+  const matching = filter ? all.filter(entry => matchesFilter(entry, filter)) : all;
+  const older = Number.isInteger(before) ? matching.filter(entry => entry.id < before) : matching;
+  const entries = older.slice(-pageSize).reverse();
+  const hasMore = older.length > entries.length;
+  return {
+    entries,
+    nextCursor: hasMore && entries.length > 0 ? entries[entries.length - 1].id : null,
+    total: all.length,
+    matched: matching.length,
+    ...(includeFacets ? { facets: getHistoryFacets(all) } : {})
+  };
 }
 
 /**
  * Setup IPC handlers
  */
 function setupIPC(ipcMain) {
-  ipcMain.on(IPC.LOAD_PROMPT_HISTORY, async (event) => {
-    const data = await getHistory();
-    if (!event.sender.isDestroyed()) event.sender.send(IPC.PROMPT_HISTORY_DATA, data);
+  ipcMain.handle(IPC.PROMPT_HISTORY_PAGE, async (event, options) => {
+    try {
+      return { success: true, ...(await getHistoryPage(options || {})) };
+    } catch (err) {
+      return { success: false, error: err.message, entries: [], nextCursor: null, total: 0 };
+    }
+  });
+
+  ipcMain.handle(IPC.PROMPT_HISTORY_PURGE, async (event, filter) => {
+    try {
+      return { success: true, removed: await purgeHistory(filter) };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.PROMPT_HISTORY_RETENTION_GET, () => {
+    return { success: true, settings: getRetention() };
+  });
+
+  ipcMain.handle(IPC.PROMPT_HISTORY_RETENTION_UPDATE, async (event, changes) => {
+    try {
+      return { success: true, ...(await updateRetention(changes)) };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
   });
 }
 
 module.exports = {
   init,
   logInput,
-  getHistory,
+  parseLegacyHistory,
+  matchesFilter,
+  getHistoryPage,
+  purgeHistory,
+  sanitizeRetention,
+  applyRetention,
+  getRetention,
+  updateRetention,
+  enforceRetention,
   getLogFilePath,
   sanitizeHistoryLine,
+  setSecretValues,
+  forgetTerminal,
   setupIPC
 };
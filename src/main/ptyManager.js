@@ -3,18 +3,29 @@
  * Manages multiple PTY instances for multi-terminal support
  */
 
+const os = require('os');
 const pty = require('node-pty');
 const { IPC } = require('../shared/ipcChannels');
 const promptLogger = require('./promptLogger');
+const scrollbackStore = require('./scrollbackStore');
+const terminalProfiles = require('./terminalProfiles');
+const projectEnv = require('./projectEnv');
+const shellIntegration = require('./shellIntegration');
+const terminalRecorder = require('./terminalRecorder');
+const sshHosts = require('./sshHosts');
+const containerShells = require('./containerShells');
 const { buildAugmentedPath } = require('../shared/pathUtils');
 
 // Store multiple PTY instances
-const ptyInstances = new Map(); // Map<terminalId, {pty, cwd, projectPath}>
+// Instances outlive the renderer: a reloaded window reattaches to detached sessions.
+const ptyInstances = new Map(); // Map<terminalId, {pty, cwd, projectPath, scrollbackKey, backlog, attached}>
 let mainWindow = null;
 let terminalCounter = 0;
 // Global PTY ceiling across all projects/workspaces.
 const MAX_TERMINALS = 50;
 let cachedShells = null;
+// Throttle scrollback persistence so busy terminals don't rewrite files on every chunk.
+const SCROLLBACK_FLUSH_DELAY_MS = 2000;
 
 /**
  * Initialize PTY manager with window reference
@@ -23,6 +34,16 @@ function init(window) {
   mainWindow = window;
   cachedShells = null;
 
+  // A reload throws away every xterm in the renderer; keep the shells running
+  // as detached sessions so the new page can reattach to them.
+  if (window && window.webContents && typeof window.webContents.on === 'function') {
+    window.webContents.on('did-start-navigation', (details) => {
+      if (details && details.isMainFrame && !details.isSameDocument) {
+        detachAll();
+      }
+    });
+  }
+
   // Pre-warm shell cache so first terminal creation doesn't block on execSync.
   // Deferred so the execSync probes don't delay window startup.
   setTimeout(() => {
@@ -136,33 +157,76 @@ function getAvailableShells() {
   return shells.map(shell => ({ ...shell }));
 }
 
+/**
+ * Variables from the project's .env files and .frame/env.json; a broken config never blocks a shell
+ * @returns {Object<string, string>}
+ */
+function loadProjectEnv(projectPath) {
+  if (!projectPath) return {};
+  try {
+    return projectEnv.resolveProjectEnv(projectPath).env;
+  } catch (err) {
+    // Message only: the error must not carry variable values into the log
+    console.error('Ignoring project environment:', err.message);
+    return {};
+  }
+}
+
 /**
  * Create a new terminal instance
  * @param {string|null} workingDir - Working directory (defaults to HOME)
  * @param {string|null} projectPath - Associated project path (null = global)
  * @param {string|null} shellPath - Shell to use (defaults to system default)
+ * @param {Object} [options]
+ * @param {string} [options.scrollbackKey] - Stable session key used to persist scrollback
+ * @param {Object<string, string>} [options.env] - Extra environment variables for the shell
+ * @param {string} [options.initialCommand] - Command to run once the shell is ready
+ * @param {boolean} [options.shellIntegration] - Set to false to spawn the shell without integration scripts
+ * @param {string} [options.sshHost] - Host alias from ~/.ssh/config; spawns ssh instead of a local shell
+ * @param {string} [options.remoteCwd] - Directory to start in on the SSH host
+ * @param {{container: string, user?: string|null, workdir?: string|null}} [options.container] - Container to `docker exec` into
  * @returns {string} Terminal ID
  */
-function createTerminal(workingDir = null, projectPath = null, shellPath = null) {
+function createTerminal(workingDir = null, projectPath = null, shellPath = null, options = {}) {
   if (ptyInstances.size >= MAX_TERMINALS) {
     throw new Error(`Maximum terminal limit (${MAX_TERMINALS}) reached`);
   }
 
-  const terminalId = `term-${++terminalCounter}`;
-  const cwd = workingDir || process.env.HOME || process.env.USERPROFILE;
-  const shell = shellPath || getDefaultShell();
+  const sshHost = options && options.sshHost ? options.sshHost : null;
+  const remoteCwd = sshHost && options.remoteCwd ? options.remoteCwd : null;
+  const container = !sshHost && options && options.container ? options.container : null;
+  let shell = shellPath || getDefaultShell();
+  let shellArgs = [];
 
-  // Validate shell path against known shells to prevent arbitrary binary execution
-  if (shellPath) {
+  if (container) {
+    shell = containerShells.findDockerBinary();
+    if (!shell) {
+      throw new Error('Docker is not installed');
+    }
+    shellArgs = containerShells.buildExecArgs(container);
+  } else if (sshHost) {
+    // Only aliases the user configured in ~/.ssh/config can be opened
+    if (!sshHosts.listHosts().some(host => host.alias === sshHost)) {
+      throw new Error(`Unknown SSH host: ${sshHost}`);
+    }
+    shell = sshHosts.findSshBinary();
+    if (!shell) {
+      throw new Error('No ssh client found');
+    }
+    shellArgs = sshHosts.buildSshArgs(sshHost, remoteCwd);
+  } else if (shellPath) {
+    // Validate shell path against known shells to prevent arbitrary binary execution
     const allowedShells = getAvailableShells().map(s => s.path);
     if (!allowedShells.includes(shell)) {
       throw new Error(`Shell not allowed: ${shell}`);
     }
   }
 
+  const terminalId = `term-${++terminalCounter}`;
+  const cwd = workingDir || process.env.HOME || process.env.USERPROFILE;
+
   // Determine shell arguments based on shell type
-  let shellArgs = [];
-  if (process.platform !== 'win32') {
+  if (!sshHost && !container && process.platform !== 'win32') {
     // For Unix shells, use interactive login shell
     const shellName = shell.split('/').pop();
     if (shellName === 'fish') {
@@ -174,6 +238,28 @@ function createTerminal(workingDir = null, projectPath = null, shellPath = null)
     }
   }
 
+  // Project env (.env files, .frame/env.json), then the terminal's own overrides
+  const injectedEnv = {
+    ...loadProjectEnv(projectPath),
+    ...(terminalProfiles.sanitizeEnv(options && options.env) || {})
+  };
+  let env = {
+    ...process.env,
+    ...injectedEnv,
+    PATH: buildAugmentedPath(),
+    TERM: 'xterm-256color',
+    COLORTERM: 'truecolor'
+  };
+
+  // Report command boundaries, exit codes and cwd to the renderer (OSC 133/633)
+  const integration = sshHost || container || (options && options.shellIntegration === false)
+    ? null
+    : shellIntegration.getLaunchConfig(shell, env);
+  if (integration) {
+    shellArgs = integration.args;
+    env = { ...env, ...integration.env };
+  }
+
   let ptyProcess;
   try {
     ptyProcess = pty.spawn(shell, shellArgs, {
@@ -181,38 +267,276 @@ function createTerminal(workingDir = null, projectPath = null, shellPath = null)
       cols: 80,
       rows: 24,
       cwd: cwd,
-      env: {
-        ...process.env,
-        PATH: buildAugmentedPath(),
-        TERM: 'xterm-256color',
-        COLORTERM: 'truecolor'
-      }
+      env
     });
   } catch (err) {
     throw new Error(`Failed to spawn shell "${shell}": ${err.message}`, { cause: err });
   }
 
-  // Handle PTY output - send with terminal ID
-  const dataDisposable = ptyProcess.onData((data) => {
-    if (mainWindow && !mainWindow.isDestroyed()) {
+  const scrollbackKey = options && scrollbackStore.isValidKey(options.scrollbackKey)
+    ? options.scrollbackKey
+    : null;
+  const instance = {
+    pty: ptyProcess,
+    cwd,
+    projectPath,
+    shell,
+    sshHost,
+    remoteCwd,
+    container: container ? container.container : null,
+    cols: 80,
+    rows: 24,
+    // Active asciicast recording, if any
+    recorder: null,
+    createdAt: Date.now(),
+    dataDisposable: null,
+    scrollbackKey,
+    // Recent output, replayed on reattach and persisted when scrollbackKey is set
+    backlog: scrollbackStore.createRing(),
+    flushTimer: null,
+    attached: true,
+    name: null,
+    // Reported by the renderer: detected AI tool and the shell's current directory
+    aiTool: null,
+    currentCwd: null,
+    // Typed into the shell once it prints its first output (the prompt)
+    pendingCommand: options && typeof options.initialCommand === 'string' && options.initialCommand.trim()
+      ? options.initialCommand.replace(/[\r\n]+$/, '')
+      : null
+  };
+
+  if (scrollbackKey) {
+    // Seed with the previous session's output so the saved file keeps accumulating
+    // across restarts instead of being replaced by the new shell's first screen.
+    instance.backlog.append(scrollbackStore.readScrollbackSync(scrollbackKey));
+  }
+
+  // Handle PTY output - send with terminal ID while a renderer view is attached
+  instance.dataDisposable = ptyProcess.onData((data) => {
+    if (instance.pendingCommand) {
+      ptyProcess.write(`${instance.pendingCommand}\r`);
+      instance.pendingCommand = null;
+    }
+    instance.backlog.append(data);
+    if (instance.recorder) {
+      instance.recorder.write(data);
+    }
+    if (instance.scrollbackKey) {
+      scheduleScrollbackFlush(instance);
+    }
+    if (instance.attached && mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send(IPC.TERMINAL_OUTPUT_ID, { terminalId, data });
     }
   });
 
   // Handle PTY exit
   ptyProcess.onExit(({ exitCode, signal }) => {
-    dataDisposable.dispose();
+    instance.dataDisposable.dispose();
+    // Exit after destroyTerminal/destroyAll: already cleaned up
+    if (ptyInstances.get(terminalId) !== instance) return;
     ptyInstances.delete(terminalId);
+    stopRecorder(instance);
+    promptLogger.forgetTerminal(terminalId);
+    // The shell ended on its own, so there is no session left to restore
+    discardScrollback(instance);
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send(IPC.TERMINAL_DESTROYED, { terminalId, exitCode });
     }
   });
 
-  ptyInstances.set(terminalId, { pty: ptyProcess, cwd, projectPath, dataDisposable });
+  ptyInstances.set(terminalId, instance);
+  // Typed or pasted copies of injected secrets stay out of the prompt history
+  promptLogger.setSecretValues(terminalId, projectEnv.getSecretValues(injectedEnv));
 
   return terminalId;
 }
 
+/**
+ * Finish an instance's recording, if one is running
+ * @returns {{filePath: string, duration: number, bytes: number}|null}
+ */
+function stopRecorder(instance) {
+  const recorder = instance.recorder;
+  if (!recorder) return null;
+  instance.recorder = null;
+  try {
+    return recorder.stop();
+  } catch (err) {
+    console.error('Failed to finish terminal recording:', err);
+    return null;
+  }
+}
+
+/**
+ * Start recording a terminal's output to an asciicast file
+ * @param {string} terminalId
+ * @param {string} [title] - Recording title (terminal name)
+ * @returns {string} Path of the recording
+ */
+function startRecording(terminalId, title) {
+  const instance = ptyInstances.get(terminalId);
+  if (!instance) throw new Error('Terminal not found');
+  if (instance.recorder) return instance.recorder.filePath;
+
+  instance.recorder = terminalRecorder.startRecording({
+    cols: instance.cols,
+    rows: instance.rows,
+    title: typeof title === 'string' ? title.slice(0, 100) : null,
+    shell: instance.shell,
+    onLimit: () => {
+      const result = stopRecorder(instance);
+      if (result && mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send(IPC.TERMINAL_RECORDING_STOPPED, { terminalId, ...result, reason: 'limit' });
+      }
+    },
+    onError: (err) => {
+      console.error('Terminal recording failed:', err);
+      const result = stopRecorder(instance);
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send(IPC.TERMINAL_RECORDING_STOPPED, { terminalId, ...result, reason: 'error', error: err.message });
+      }
+    }
+  });
+  return instance.recorder.filePath;
+}
+
+/**
+ * Stop recording a terminal
+ * @returns {{filePath: string, duration: number, bytes: number}|null} Null when it was not recording
+ */
+function stopRecording(terminalId) {
+  const instance = ptyInstances.get(terminalId);
+  return instance ? stopRecorder(instance) : null;
+}
+
+/**
+ * Persist a terminal's scrollback shortly after output settles
+ */
+function scheduleScrollbackFlush(instance) {
+  if (instance.flushTimer) return;
+  instance.flushTimer = setTimeout(() => {
+    instance.flushTimer = null;
+    if (!instance.scrollbackKey) return;
+    scrollbackStore.writeScrollback(instance.scrollbackKey, instance.backlog.toString());
+  }, SCROLLBACK_FLUSH_DELAY_MS);
+  if (typeof instance.flushTimer.unref === 'function') instance.flushTimer.unref();
+}
+
+/**
+ * Write pending scrollback immediately (used on quit)
+ */
+function flushScrollbackSync(instance) {
+  if (instance.flushTimer) {
+    clearTimeout(instance.flushTimer);
+    instance.flushTimer = null;
+  }
+  if (instance.scrollbackKey) {
+    scrollbackStore.writeScrollbackSync(instance.scrollbackKey, instance.backlog.toString());
+  }
+}
+
+/**
+ * Drop in-memory and saved scrollback for a terminal
+ */
+function discardScrollback(instance) {
+  if (instance.flushTimer) {
+    clearTimeout(instance.flushTimer);
+    instance.flushTimer = null;
+  }
+  instance.backlog.clear();
+  if (instance.scrollbackKey) {
+    scrollbackStore.removeScrollback(instance.scrollbackKey);
+  }
+}
+
+/**
+ * Clear saved scrollback for a running terminal; recording continues from now on
+ * @returns {boolean} Whether the terminal has a scrollback key
+ */
+function clearScrollback(terminalId) {
+  const instance = ptyInstances.get(terminalId);
+  if (!instance || !instance.scrollbackKey) return false;
+  discardScrollback(instance);
+  return true;
+}
+
+/**
+ * Stop forwarding a terminal's output to the renderer; the shell keeps running
+ * and its output is kept in the backlog until it is reattached.
+ * @param {string} terminalId - Terminal ID
+ * @param {string|null} [name] - Display name to show in the running sessions list
+ * @returns {boolean} Whether the terminal exists
+ */
+function detachTerminal(terminalId, name = null) {
+  const instance = ptyInstances.get(terminalId);
+  if (!instance) return false;
+  instance.attached = false;
+  if (typeof name === 'string' && name.trim()) {
+    instance.name = name.trim().slice(0, 100);
+  }
+  return true;
+}
+
+/**
+ * Detach every terminal (renderer is reloading)
+ */
+function detachAll() {
+  for (const instance of ptyInstances.values()) {
+    instance.attached = false;
+  }
+}
+
+/**
+ * Reattach a terminal: replay its backlog, then resume live output.
+ * The renderer must already have a view for the terminal id.
+ * @param {string} terminalId - Terminal ID
+ * @param {Object} [sender] - webContents to replay to (defaults to the main window)
+ * @returns {boolean} Whether the terminal exists
+ */
+function attachTerminal(terminalId, sender = null) {
+  const instance = ptyInstances.get(terminalId);
+  if (!instance) return false;
+
+  const target = sender || (mainWindow && !mainWindow.isDestroyed() ? mainWindow.webContents : null);
+  // The shell is still running, so its terminal modes (alt screen, bracketed paste, ...)
+  // must be reproduced, not stripped; only old queries go, or xterm would answer them
+  // into the running program
+  const backlog = scrollbackStore.stripTerminalQueries(instance.backlog.toString());
+  if (target && backlog) {
+    target.send(IPC.TERMINAL_OUTPUT_ID, { terminalId, data: backlog });
+  }
+  instance.attached = true;
+  return true;
+}
+
+/**
+ * List running terminals so a renderer can reattach to them
+ * @param {Object} [filter]
+ * @param {boolean} [filter.detachedOnly] - Only include terminals without a renderer view
+ * @returns {Array<{terminalId: string, projectPath: string|null, cwd: string, shell: string, scrollbackKey: string|null, name: string|null, attached: boolean, recording: boolean, createdAt: number}>}
+ */
+function listSessions({ detachedOnly = false } = {}) {
+  const sessions = [];
+  for (const [terminalId, instance] of ptyInstances) {
+    if (detachedOnly && instance.attached) continue;
+    sessions.push({
+      terminalId,
+      projectPath: instance.projectPath,
+      cwd: instance.cwd,
+      shell: instance.shell,
+      sshHost: instance.sshHost,
+      remoteCwd: instance.remoteCwd,
+      container: instance.container,
+      scrollbackKey: instance.scrollbackKey,
+      name: instance.name,
+      attached: instance.attached,
+      recording: Boolean(instance.recorder),
+      createdAt: instance.createdAt
+    });
+  }
+  return sessions;
+}
+
 /**
  * Get terminals for a specific project
  * @param {string|null} projectPath - Project path or null for global
@@ -228,6 +552,52 @@ function getTerminalsByProject(projectPath) {
   return result;
 }
 
+/**
+ * Move a running terminal to another project; the shell keeps running
+ * @param {string} terminalId - Terminal ID
+ * @param {string|null} projectPath - Project path or null for global
+ * @returns {boolean} False when the terminal is not running
+ */
+function setTerminalProject(terminalId, projectPath) {
+  const instance = ptyInstances.get(terminalId);
+  if (!instance) return false;
+  instance.projectPath = projectPath || null;
+  return true;
+}
+
+/**
+ * Record how the renderer labels a terminal, for prompt history entries
+ * @param {string} terminalId - Terminal ID
+ * @param {{name?: string|null, aiTool?: string|null, cwd?: string|null}} context
+ * @returns {boolean} False when the terminal is not running
+ */
+function setTerminalContext(terminalId, { name, aiTool, cwd } = {}) {
+  const instance = ptyInstances.get(terminalId);
+  if (!instance) return false;
+  if (typeof name === 'string' && name.trim()) {
+    instance.name = name.trim().slice(0, 100);
+  }
+  instance.aiTool = typeof aiTool === 'string' && /^[a-z0-9-]{1,32}$/.test(aiTool) ? aiTool : null;
+  instance.currentCwd = typeof cwd === 'string' && cwd.length <= 4096 ? cwd : null;
+  return true;
+}
+
+/**
+ * Where input to a terminal is being typed, attached to its prompt history entries
+ * @param {string} terminalId - Terminal ID
+ * @returns {{projectPath: string|null, terminalName: string|null, aiTool: string|null, cwd: string|null}|null}
+ */
+function getPromptContext(terminalId) {
+  const instance = ptyInstances.get(terminalId);
+  if (!instance) return null;
+  return {
+    projectPath: instance.projectPath,
+    terminalName: instance.name,
+    aiTool: instance.aiTool,
+    cwd: instance.currentCwd || (instance.sshHost || instance.container ? null : instance.cwd)
+  };
+}
+
 /**
  * Get terminal info
  * @param {string} terminalId - Terminal ID
@@ -258,28 +628,39 @@ function resizeTerminal(terminalId, cols, rows) {
   const instance = ptyInstances.get(terminalId);
   if (instance && cols > 0 && rows > 0) {
     instance.pty.resize(cols, rows);
+    if (cols !== instance.cols || rows !== instance.rows) {
+      instance.cols = cols;
+      instance.rows = rows;
+      if (instance.recorder) instance.recorder.resize(cols, rows);
+    }
   }
 }
 
 /**
- * Destroy specific terminal
+ * Destroy specific terminal (closed by the user, so its saved scrollback goes too)
  */
 function destroyTerminal(terminalId) {
   const instance = ptyInstances.get(terminalId);
   if (instance) {
     if (instance.dataDisposable) instance.dataDisposable.dispose();
+    stopRecorder(instance);
+    discardScrollback(instance);
     instance.pty.kill();
     ptyInstances.delete(terminalId);
+    promptLogger.forgetTerminal(terminalId);
   }
 }
 
 /**
- * Destroy all terminals
+ * Destroy all terminals, saving their scrollback for the next launch
  */
 function destroyAll() {
-  for (const [_terminalId, instance] of ptyInstances) {
+  for (const [terminalId, instance] of ptyInstances) {
     if (instance.dataDisposable) instance.dataDisposable.dispose();
+    stopRecorder(instance);
+    flushScrollbackSync(instance);
     instance.pty.kill();
+    promptLogger.forgetTerminal(terminalId);
   }
   ptyInstances.clear();
 }
@@ -309,16 +690,22 @@ function hasTerminal(terminalId) {
  * Setup IPC handlers for multi-terminal
  */
 function setupIPC(ipcMain) {
-  // Get available shells
-  ipcMain.handle(IPC.GET_AVAILABLE_SHELLS, () => {
+  // Get available shells, plus the project's running containers when a project is given
+  ipcMain.handle(IPC.GET_AVAILABLE_SHELLS, async (event, projectPath) => {
     try {
       const shells = getAvailableShells();
+      if (typeof projectPath === 'string') {
+        shells.push(...await containerShells.discoverContainers(projectPath));
+      }
       return { shells, success: true };
     } catch (error) {
       return { shells: [], success: false, error: error.message };
     }
   });
 
+  // Hostname shells name in OSC 7 working-directory reports from this machine
+  ipcMain.handle(IPC.GET_LOCAL_HOSTNAME, () => os.hostname());
+
   // Create new terminal
   ipcMain.handle(IPC.TERMINAL_CREATE, async (event, data) => {
     try {
@@ -326,22 +713,51 @@ function setupIPC(ipcMain) {
       let workingDir = null;
       let projectPath = null;
       let shellPath = null;
+      let scrollbackKey = null;
+      let env = null;
+      let initialCommand = null;
+      let sshHost = null;
+      let remoteCwd = null;
+      let container = null;
 
       if (typeof data === 'string') {
         // Legacy format: just working directory
         workingDir = data;
       } else if (data && typeof data === 'object') {
-        // New format: { cwd, projectPath, shell }
+        // New format: { cwd, projectPath, shell, scrollbackKey, env, initialCommand, sshHost, remoteCwd, container }
         workingDir = data.cwd;
         projectPath = data.projectPath;
         shellPath = data.shell;
+        scrollbackKey = data.scrollbackKey;
+        env = data.env;
+        initialCommand = data.initialCommand;
+        sshHost = typeof data.sshHost === 'string' ? data.sshHost : null;
+        remoteCwd = typeof data.remoteCwd === 'string' ? data.remoteCwd : null;
+        container = typeof data.container === 'string' ? data.container : null;
+      }
+
+      // Only containers discovered for the project can be exec'd into
+      let containerEntry = null;
+      if (container) {
+        const containers = await containerShells.discoverContainers(projectPath);
+        containerEntry = containers.find(entry => entry.container === container);
+        if (!containerEntry) {
+          throw new Error(`Container is not running: ${container}`);
+        }
       }
 
       // Yield to event loop before spawning so back-to-back requests
       // don't starve other IPC handlers
       await new Promise(resolve => setImmediate(resolve));
 
-      const terminalId = createTerminal(workingDir, projectPath, shellPath);
+      const terminalId = createTerminal(workingDir, projectPath, shellPath, {
+        scrollbackKey,
+        env,
+        initialCommand,
+        sshHost,
+        remoteCwd,
+        container: containerEntry
+      });
       return { terminalId, success: true };
     } catch (error) {
       return { success: false, error: error.message };
@@ -357,8 +773,9 @@ function setupIPC(ipcMain) {
   ipcMain.on(IPC.TERMINAL_INPUT_ID, (event, { terminalId, data }) => {
     writeToTerminal(terminalId, data);
     // Keep terminal IO responsive under large paste bursts.
+    const context = getPromptContext(terminalId);
     setImmediate(() => {
-      promptLogger.logInput(data, terminalId);
+      promptLogger.logInput(data, terminalId, context);
     });
   });
 
@@ -366,6 +783,91 @@ function setupIPC(ipcMain) {
   ipcMain.on(IPC.TERMINAL_RESIZE_ID, (event, { terminalId, cols, rows }) => {
     resizeTerminal(terminalId, cols, rows);
   });
+
+  // Running sessions (optionally only detached ones)
+  ipcMain.handle(IPC.TERMINAL_LIST_SESSIONS, (event, options) => {
+    try {
+      const detachedOnly = Boolean(options && options.detachedOnly);
+      return { success: true, sessions: listSessions({ detachedOnly }) };
+    } catch (error) {
+      return { success: false, sessions: [], error: error.message };
+    }
+  });
+
+  // Reattach a renderer view to a running terminal (backlog arrives on TERMINAL_OUTPUT_ID)
+  ipcMain.handle(IPC.TERMINAL_ATTACH, (event, terminalId) => {
+    if (!attachTerminal(terminalId, event.sender)) {
+      return { success: false, error: 'Terminal session is no longer running' };
+    }
+    return { success: true };
+  });
+
+  // Name, AI tool and cwd the renderer shows for a terminal, recorded with its prompt history
+  ipcMain.on(IPC.TERMINAL_SET_CONTEXT, (event, data) => {
+    if (data && typeof data === 'object') {
+      setTerminalContext(data.terminalId, data);
+    }
+  });
+
+  // Detach a renderer view; the shell keeps running
+  ipcMain.on(IPC.TERMINAL_DETACH, (event, data) => {
+    if (data && typeof data === 'object') {
+      detachTerminal(data.terminalId, data.name);
+    }
+  });
+
+  // Move terminals (a tab and its split panes) to another project
+  ipcMain.handle(IPC.TERMINAL_SET_PROJECT, (event, data) => {
+    const { terminalIds, projectPath } = data || {};
+    if (!Array.isArray(terminalIds) || (projectPath != null && typeof projectPath !== 'string')) {
+      return { success: false, error: 'Invalid request' };
+    }
+    const missing = terminalIds.filter((terminalId) => !ptyInstances.has(terminalId));
+    if (missing.length > 0) {
+      return { success: false, error: 'Terminal session is no longer running' };
+    }
+    terminalIds.forEach((terminalId) => setTerminalProject(terminalId, projectPath));
+    return { success: true };
+  });
+
+  // Load saved scrollback for a session key (before re-spawning its shell)
+  ipcMain.handle(IPC.TERMINAL_SCROLLBACK_LOAD, async (event, scrollbackKey) => {
+    if (!scrollbackStore.isValidKey(scrollbackKey)) {
+      return { success: false, error: 'Invalid scrollback key' };
+    }
+    try {
+      const data = scrollbackStore.prepareReplay(await scrollbackStore.readScrollback(scrollbackKey));
+      return { success: true, data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Clear saved scrollback for a running terminal
+  ipcMain.handle(IPC.TERMINAL_SCROLLBACK_CLEAR, (event, terminalId) => {
+    if (!clearScrollback(terminalId)) {
+      return { success: false, error: 'Terminal has no saved scrollback' };
+    }
+    return { success: true };
+  });
+
+  // Record a terminal's output to an asciicast file
+  ipcMain.handle(IPC.TERMINAL_RECORD_START, (event, data) => {
+    try {
+      const { terminalId, title } = data || {};
+      return { success: true, path: startRecording(terminalId, title) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.TERMINAL_RECORD_STOP, (event, terminalId) => {
+    const result = stopRecording(terminalId);
+    if (!result) {
+      return { success: false, error: 'Terminal is not being recorded' };
+    }
+    return { success: true, path: result.filePath, duration: result.duration };
+  });
 }
 
 module.exports = {
@@ -375,10 +877,20 @@ module.exports = {
   resizeTerminal,
   destroyTerminal,
   destroyAll,
+  clearScrollback,
+  startRecording,
+  stopRecording,
+  attachTerminal,
+  detachTerminal,
+  detachAll,
+  listSessions,
   getTerminalCount,
   getTerminalIds,
   hasTerminal,
   getTerminalsByProject,
+  setTerminalProject,
+  setTerminalContext,
+  getPromptContext,
   getTerminalInfo,
   getAvailableShells,
   setupIPC
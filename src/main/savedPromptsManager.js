@@ -1,15 +1,31 @@
 /**
  * Saved Prompts Manager Module
- * Handles CRUD operations for saved prompts with dual storage (global + project)
+ * Handles CRUD operations for saved prompts with dual storage (global + project),
+ * import/export of prompt libraries, slash-command files (a third scope, see
+ * slashCommands.js), usage counts for sorting and ranking, plus the git values
+ * built-in template variables are filled in with
  */
 
 const fs = require('fs');
 const path = require('path');
 const { app } = require('electron');
 const { IPC } = require('../shared/ipcChannels');
+const { execFileGit } = require('./gitExecUtils');
+const promptLibrary = require('./promptLibrary');
+const slashCommands = require('./slashCommands');
+const promptUsage = require('../shared/promptUsage');
 
+const { ALLOWED_UPDATE_FIELDS } = promptLibrary;
 const EMPTY_PROMPTS = { prompts: [] };
-const ALLOWED_UPDATE_FIELDS = ['title', 'content', 'category', 'favorite'];
+const LIBRARY_FORMATS = ['json', 'markdown'];
+const MAX_LIBRARY_FILE_BYTES = 4 * 1024 * 1024;
+const MAX_MARKDOWN_PROMPT_BYTES = 256 * 1024;
+const MAX_USAGE_ENTRIES = 5000;
+
+// Usage entries by promptUsage.getUsageKey(), loaded on first use
+let usageEntries = null;
+// A whole staged diff can be far more than a prompt should carry
+const MAX_STAGED_DIFF_CHARS = 100 * 1024;
 
 /**
  * Initialize saved prompts manager
@@ -95,6 +111,60 @@ function savePrompts(filePath, data) {
   }
 }
 
+/**
+ * Get prompt usage file path
+ */
+function getUsagePath() {
+  return path.join(app.getPath('userData'), 'prompt-usage.json');
+}
+
+function loadUsage() {
+  if (usageEntries) return usageEntries;
+  usageEntries = {};
+  try {
+    const data = JSON.parse(fs.readFileSync(getUsagePath(), 'utf8'));
+    if (data && data.entries && typeof data.entries === 'object' && !Array.isArray(data.entries)) {
+      usageEntries = data.entries;
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('Error loading prompt usage:', err);
+  }
+  return usageEntries;
+}
+
+function saveUsage() {
+  usageEntries = promptUsage.pruneUsage(loadUsage(), MAX_USAGE_ENTRIES);
+  try {
+    fs.writeFileSync(getUsagePath(), JSON.stringify({ entries: usageEntries }), 'utf8');
+  } catch (err) {
+    console.error('Error saving prompt usage:', err);
+  }
+}
+
+/**
+ * Count a send or copy of a prompt
+ * @param {string} scope - 'global', 'project' or 'commands'
+ * @param {string|null} projectPath
+ * @param {string} promptId
+ * @param {string} action - 'send' or 'copy'
+ */
+function recordPromptUse(scope, projectPath, promptId, action) {
+  if (!['global', 'project', 'commands'].includes(scope) || typeof promptId !== 'string' || !promptId) {
+    throw new Error('Invalid prompt');
+  }
+  promptUsage.recordUsage(loadUsage(), promptUsage.getUsageKey(scope, projectPath, promptId), action);
+  saveUsage();
+}
+
+// Prompts with their usage entry attached as `usage`
+function withUsage(prompts, scope, projectPath) {
+  const entries = loadUsage();
+  return prompts.map((prompt) => {
+    const entry = entries[promptUsage.getUsageKey(scope, projectPath, prompt.id)];
+    return entry ? { ...prompt, usage: entry } : prompt;
+  });
+}
+
 /**
  * Generate unique prompt ID
  */
@@ -133,6 +203,7 @@ function addPrompt(scope, projectPath, promptData) {
     content: promptData.content || '',
     category: promptData.category || 'general',
     favorite: false,
+    pressEnter: promptData.pressEnter === true,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
@@ -161,6 +232,7 @@ function updatePrompt(scope, projectPath, promptId, updates) {
   for (const key of ALLOWED_UPDATE_FIELDS) {
     if (key in updates) safeUpdates[key] = updates[key];
   }
+  if ('pressEnter' in safeUpdates) safeUpdates.pressEnter = safeUpdates.pressEnter === true;
 
   Object.assign(data.prompts[index], safeUpdates, { updatedAt: new Date().toISOString() });
 
@@ -185,6 +257,177 @@ function deletePrompt(scope, projectPath, promptId) {
   return savePrompts(filePath, data);
 }
 
+function getLibraryPath(scope, projectPath) {
+  if (scope !== 'global' && scope !== 'project') throw new Error(`Unknown scope: ${scope}`);
+  if (scope === 'project' && (typeof projectPath !== 'string' || !path.isAbsolute(projectPath))) {
+    throw new Error('No project selected');
+  }
+  return getPathForScope(scope, projectPath);
+}
+
+/**
+ * Write a scope's prompts to a JSON file or a new folder of Markdown files
+ * @param {string} scope - 'global' or 'project'
+ * @param {string|null} projectPath
+ * @param {string} format - 'json' or 'markdown'
+ * @param {string} targetPath - JSON file, or a folder that is missing or empty
+ * @returns {Promise<number>} Number of prompts written
+ */
+async function exportPromptLibrary(scope, projectPath, format, targetPath) {
+  if (!LIBRARY_FORMATS.includes(format)) throw new Error(`Unknown format: ${format}`);
+  const { prompts } = loadPrompts(getLibraryPath(scope, projectPath));
+
+  if (format === 'json') {
+    await fs.promises.writeFile(targetPath, promptLibrary.toJsonLibrary(prompts), 'utf8');
+    return prompts.length;
+  }
+
+  await fs.promises.mkdir(targetPath, { recursive: true });
+  if ((await fs.promises.readdir(targetPath)).length > 0) {
+    throw new Error('The export folder must be empty');
+  }
+  for (const { fileName, text } of promptLibrary.toMarkdownFiles(prompts)) {
+    await fs.promises.writeFile(path.join(targetPath, fileName), text, 'utf8');
+  }
+  return prompts.length;
+}
+
+// Raw prompts of a library with where each came from, for error messages
+/** @returns {Promise<Array<{raw: *, source: string, error?: string}>>} */
+async function readLibrary(format, sourcePath) {
+  if (format === 'json') {
+    const stat = await fs.promises.stat(sourcePath);
+    if (stat.size > MAX_LIBRARY_FILE_BYTES) throw new Error('Library file is too large');
+    const prompts = promptLibrary.parseJsonLibrary(await fs.promises.readFile(sourcePath, 'utf8'));
+    return prompts.map((raw, index) => ({ raw, source: `prompt ${index + 1}` }));
+  }
+
+  const fileNames = (await fs.promises.readdir(sourcePath, { withFileTypes: true }))
+    .filter(entry => entry.isFile() && /\.(md|markdown)$/i.test(entry.name))
+    .map(entry => entry.name)
+    .sort();
+  if (fileNames.length > promptLibrary.MAX_LIBRARY_PROMPTS) {
+    throw new Error(`A library can hold at most ${promptLibrary.MAX_LIBRARY_PROMPTS} prompts`);
+  }
+
+  const entries = [];
+  for (const fileName of fileNames) {
+    const filePath = path.join(sourcePath, fileName);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      if (stat.size > MAX_MARKDOWN_PROMPT_BYTES) throw new Error('file is too large');
+      entries.push({ raw: promptLibrary.parseMarkdownPrompt(await fs.promises.readFile(filePath, 'utf8'), fileName), source: fileName });
+    } catch (err) {
+      entries.push({ raw: null, source: fileName, error: err.message });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Import a prompt library into a scope
+ * @param {string} scope - 'global' or 'project'
+ * @param {string|null} projectPath
+ * @param {string} format - 'json' or 'markdown'
+ * @param {string} sourcePath - JSON file or folder of Markdown files
+ * @param {string} strategy - 'skip', 'overwrite' or 'duplicate', for prompts whose title is already taken
+ * @returns {Promise<{added: number, updated: number, skipped: number, invalid: Array<{source: string, error: string}>}>}
+ */
+async function importPromptLibrary(scope, projectPath, format, sourcePath, strategy) {
+  if (!LIBRARY_FORMATS.includes(format)) throw new Error(`Unknown format: ${format}`);
+  if (!promptLibrary.CONFLICT_STRATEGIES.includes(strategy)) throw new Error(`Unknown conflict strategy: ${strategy}`);
+  const filePath = getLibraryPath(scope, projectPath);
+
+  const valid = [];
+  const invalid = [];
+  for (const entry of await readLibrary(format, sourcePath)) {
+    const { prompt, error } = entry.raw ? promptLibrary.validatePrompt(entry.raw) : { prompt: null, error: entry.error };
+    if (prompt) valid.push(prompt);
+    else invalid.push({ source: entry.source, error });
+  }
+  if (valid.length === 0) {
+    throw new Error(invalid.length > 0
+      ? `No valid prompts (${invalid[0].source}: ${invalid[0].error})`
+      : 'No prompts found');
+  }
+
+  const data = loadPrompts(filePath);
+  const result = promptLibrary.mergePrompts(data.prompts, valid, strategy, { generateId: generatePromptId });
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  if (!savePrompts(filePath, { ...data, prompts: result.prompts })) {
+    throw new Error('Failed to save prompts');
+  }
+  return { added: result.added, updated: result.updated, skipped: result.skipped, invalid };
+}
+
+/**
+ * Write a saved prompt as a slash-command file
+ * @param {string} scope - 'global' or 'project'
+ * @param {string|null} projectPath
+ * @param {string} promptId
+ * @param {string} target - 'project', 'user' or 'codex' commands folder
+ * @param {boolean} overwrite - Replace a command with the same name
+ * @returns {Promise<{filePath: string, invocation: string}>}
+ */
+async function promoteToCommand(scope, projectPath, promptId, target, overwrite) {
+  const { prompts } = loadPrompts(getLibraryPath(scope, projectPath));
+  const prompt = prompts.find(p => p.id === promptId);
+  if (!prompt) throw new Error('Prompt not found');
+  const commandDir = slashCommands.getCommandDirs(projectPath).find(entry => entry.source === target);
+  if (!commandDir) throw new Error(target === 'project' ? 'No project selected' : `Unknown command folder: ${target}`);
+
+  const name = slashCommands.toCommandName(prompt.title);
+  const filePath = await slashCommands.writeSlashCommand(commandDir.dir, prompt, { name, overwrite });
+  return { filePath, invocation: slashCommands.getInvocation({ source: target, name }) };
+}
+
+/**
+ * Copy a slash-command file into saved prompts
+ * @param {string} commandId - Id from the command list
+ * @param {string} scope - 'global' or 'project'
+ * @param {string|null} projectPath
+ */
+function copyCommandToPrompts(commandId, scope, projectPath) {
+  getLibraryPath(scope, projectPath); // Rejects an unknown scope or a missing project
+  const command = slashCommands.listSlashCommands(projectPath).find(entry => entry.id === commandId);
+  if (!command) throw new Error('Command file not found');
+  if (!command.content.trim()) throw new Error('The command file is empty');
+  const prompt = addPrompt(scope, projectPath, slashCommands.toSavedPrompt(command));
+  if (!prompt) throw new Error('Failed to save prompt');
+  return prompt;
+}
+
+/**
+ * Git values for built-in template variables; failures leave a value empty
+ * @param {string} projectPath
+ * @param {string[]} names - Variables the template uses
+ * @returns {Promise<{branch?: string, staged_diff?: string}>}
+ */
+async function getTemplateContext(projectPath, names) {
+  const context = {};
+  if (!projectPath || !path.isAbsolute(projectPath) || !Array.isArray(names)) return context;
+
+  if (names.includes('branch')) {
+    try {
+      const { stdout } = await execFileGit(['branch', '--show-current'], projectPath);
+      context.branch = stdout.trim();
+    } catch {
+      context.branch = '';
+    }
+  }
+  if (names.includes('staged_diff')) {
+    try {
+      const { stdout } = await execFileGit(['diff', '--cached', '--no-color'], projectPath, 10 * 1024 * 1024);
+      context.staged_diff = stdout.length > MAX_STAGED_DIFF_CHARS
+        ? `${stdout.slice(0, MAX_STAGED_DIFF_CHARS)}\n… (diff truncated)`
+        : stdout;
+    } catch {
+      context.staged_diff = '';
+    }
+  }
+  return context;
+}
+
 /**
  * Setup IPC handlers
  */
@@ -193,14 +436,60 @@ function setupIPC(ipcMain) {
     if (!sender.isDestroyed()) sender.send(channel, data);
   }
 
-  ipcMain.on(IPC.LOAD_SAVED_PROMPTS, (event, projectPath) => {
+  function sendPromptsData(sender, projectPath) {
     const globalData = loadPrompts(getGlobalPromptsPath());
     const projectData = projectPath ? loadPrompts(getProjectPromptsPath(projectPath)) : { prompts: [] };
-
-    safeSend(event.sender, IPC.SAVED_PROMPTS_DATA, {
-      globalPrompts: globalData.prompts,
-      projectPrompts: projectData.prompts
+    safeSend(sender, IPC.SAVED_PROMPTS_DATA, {
+      globalPrompts: withUsage(globalData.prompts, 'global', null),
+      projectPrompts: withUsage(projectData.prompts, 'project', projectPath),
+      commandPrompts: withUsage(slashCommands.listSlashCommands(projectPath || null), 'commands', projectPath)
     });
+  }
+
+  ipcMain.handle(IPC.PROMPT_TEMPLATE_CONTEXT, async (event, data) => {
+    try {
+      const { projectPath, names } = data || {};
+      return { success: true, context: await getTemplateContext(projectPath, names) };
+    } catch (err) {
+      return { success: false, error: err.message, context: {} };
+    }
+  });
+
+  ipcMain.on(IPC.LOAD_SAVED_PROMPTS, (event, projectPath) => {
+    sendPromptsData(event.sender, projectPath);
+  });
+
+  ipcMain.on(IPC.SAVED_PROMPT_USED, (event, data) => {
+    const { scope, projectPath, promptId, action } = data || {};
+    try {
+      recordPromptUse(scope, projectPath, promptId, action);
+      sendPromptsData(event.sender, projectPath);
+    } catch (err) {
+      console.error('SAVED_PROMPT_USED failed:', err.message);
+    }
+  });
+
+  ipcMain.handle(IPC.SAVED_PROMPT_TO_COMMAND, async (event, data) => {
+    const { scope, projectPath, promptId, target, overwrite } = data || {};
+    try {
+      const result = await promoteToCommand(scope, projectPath, promptId, target, overwrite === true);
+      sendPromptsData(event.sender, projectPath);
+      return { success: true, ...result };
+    } catch (err) {
+      if (err.code === 'EEXIST') return { success: false, exists: true, error: 'A command with that name already exists' };
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.SLASH_COMMAND_TO_PROMPT, async (event, data) => {
+    const { commandId, scope, projectPath } = data || {};
+    try {
+      const prompt = copyCommandToPrompts(commandId, scope, projectPath);
+      sendPromptsData(event.sender, projectPath);
+      return { success: true, prompt };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
   });
 
   ipcMain.on(IPC.ADD_SAVED_PROMPT, (event, { scope, projectPath, prompt }) => {
@@ -212,12 +501,7 @@ function setupIPC(ipcMain) {
     });
 
     // Send updated data
-    const globalData = loadPrompts(getGlobalPromptsPath());
-    const projectData = projectPath ? loadPrompts(getProjectPromptsPath(projectPath)) : { prompts: [] };
-    safeSend(event.sender, IPC.SAVED_PROMPTS_DATA, {
-      globalPrompts: globalData.prompts,
-      projectPrompts: projectData.prompts
-    });
+    sendPromptsData(event.sender, projectPath);
   });
 
   ipcMain.on(IPC.UPDATE_SAVED_PROMPT, (event, { scope, projectPath, promptId, updates }) => {
@@ -229,16 +513,18 @@ function setupIPC(ipcMain) {
     });
 
     // Send updated data
-    const globalData = loadPrompts(getGlobalPromptsPath());
-    const projectData = projectPath ? loadPrompts(getProjectPromptsPath(projectPath)) : { prompts: [] };
-    safeSend(event.sender, IPC.SAVED_PROMPTS_DATA, {
-      globalPrompts: globalData.prompts,
-      projectPrompts: projectData.prompts
-    });
+    sendPromptsData(event.sender, projectPath);
   });
 
   ipcMain.on(IPC.DELETE_SAVED_PROMPT, (event, { scope, projectPath, promptId }) => {
     const success = deletePrompt(scope, projectPath, promptId);
+    if (success) {
+      const usageKey = promptUsage.getUsageKey(scope, projectPath, promptId);
+      if (loadUsage()[usageKey]) {
+        delete usageEntries[usageKey];
+        saveUsage();
+      }
+    }
     safeSend(event.sender, IPC.SAVED_PROMPT_UPDATED, {
       action: 'delete',
       promptId,
@@ -246,16 +532,13 @@ function setupIPC(ipcMain) {
     });
 
     // Send updated data
-    const globalData = loadPrompts(getGlobalPromptsPath());
-    const projectData = projectPath ? loadPrompts(getProjectPromptsPath(projectPath)) : { prompts: [] };
-    safeSend(event.sender, IPC.SAVED_PROMPTS_DATA, {
-      globalPrompts: globalData.prompts,
-      projectPrompts: projectData.prompts
-    });
+    sendPromptsData(event.sender, projectPath);
   });
 }
 
 module.exports = {
   init,
+  exportPromptLibrary,
+  importPromptLibrary,
   setupIPC
 };
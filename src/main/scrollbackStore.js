@@ -0,0 +1,314 @@
+/**
+ * Scrollback Store Module
+ * Persists a bounded output ring per terminal under the user data dir
+ * so terminal history can be replayed after an app restart.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+const SCROLLBACK_DIR = 'terminal-scrollback';
+const MAX_SCROLLBACK_CHARS = 256 * 1024;
+const STALE_SCROLLBACK_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const ESC = '\u001b';
+// DEC private mode set/reset (alt screen, mouse tracking, bracketed paste, app cursor keys)
+const PRIVATE_MODE_PATTERN = new RegExp(`${ESC}\\[\\?[\\d;]*[hl]`, 'g');
+// Full reset, erase display / erase scrollback
+const RESET_PATTERN = new RegExp(`${ESC}c|${ESC}\\[[23]J`, 'g');
+// Requests the terminal answers as if typed: status and cursor position (n), device
+// attributes (c), mode reports ($p), window reports (t), version (>q), keyboard flags (?u),
+// color and clipboard queries (OSC ...;?) and setting/capability queries (DCS $q, DCS +q)
+const QUERY_PATTERN = new RegExp([
+  `${ESC}\\[\\??[\\d;]*n`,
+  `${ESC}\\[[>=]?[\\d;]*c`,
+  `${ESC}\\[\\??[\\d;]*\\$p`,
+  `${ESC}\\[[\\d;]*t`,
+  `${ESC}\\[>[\\d;]*q`,
+  `${ESC}\\[\\?u`,
+  `${ESC}\\]\\d+(?:;[^\\u0007\\u001b]*)?;\\?(?:\\u0007|${ESC}\\\\)`,
+  `${ESC}P[$+]q[^\\u001b]*${ESC}\\\\`
+].join('|'), 'g');
+
+let scrollbackDir = null;
+// In-flight async write per key, so writes to one file never overlap
+const pendingWrites = new Map();
+// Bumped when a key's scrollback is removed; writes started before that are dropped
+const generations = new Map();
+
+/**
+ * Initialize scrollback store
+ */
+function init(app) {
+  scrollbackDir = path.join(app.getPath('userData'), SCROLLBACK_DIR);
+  try {
+    fs.mkdirSync(scrollbackDir, { recursive: true });
+  } catch (err) {
+    console.error('Error creating scrollback directory:', err);
+  }
+  pruneStale().catch(() => {});
+}
+
+/**
+ * Keys come from the renderer, so only allow plain file-name-safe ids.
+ */
+function isValidKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+function getScrollbackPath(key) {
+  if (!scrollbackDir || !isValidKey(key)) return null;
+  return path.join(scrollbackDir, `${key}.log`);
+}
+
+/**
+ * Create an in-memory output ring that keeps only the newest `maxChars` characters.
+ * @param {number} [maxChars]
+ */
+function createRing(maxChars = MAX_SCROLLBACK_CHARS) {
+  let chunks = [];
+  let size = 0;
+
+  function trim() {
+    while (size > maxChars && chunks.length > 0) {
+      const overflow = size - maxChars;
+      const head = chunks[0];
+      if (head.length <= overflow) {
+        chunks.shift();
+        size -= head.length;
+      } else {
+        chunks[0] = head.slice(overflow);
+        size -= overflow;
+      }
+    }
+  }
+
+  return {
+    append(data) {
+      if (!data) return;
+      const text = String(data);
+      chunks.push(text);
+      size += text.length;
+      trim();
+    },
+    toString() {
+      if (chunks.length > 1) {
+        chunks = [chunks.join('')];
+      }
+      return chunks[0] || '';
+    },
+    clear() {
+      chunks = [];
+      size = 0;
+    },
+    get size() {
+      return size;
+    }
+  };
+}
+
+function tailChars(text, maxChars = MAX_SCROLLBACK_CHARS) {
+  return text.length > maxChars ? text.slice(text.length - maxChars) : text;
+}
+
+/**
+ * Read saved scrollback synchronously (used to seed a ring at spawn time).
+ * @returns {string}
+ */
+function readScrollbackSync(key) {
+  const filePath = getScrollbackPath(key);
+  if (!filePath) return '';
+  try {
+    return tailChars(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err && err.code !== 'ENOENT') {
+      console.error('Error reading terminal scrollback:', err);
+    }
+    return '';
+  }
+}
+
+/**
+ * Read saved scrollback
+ * @returns {Promise<string>}
+ */
+async function readScrollback(key) {
+  const filePath = getScrollbackPath(key);
+  if (!filePath) return '';
+  try {
+    return tailChars(await fsp.readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err && err.code !== 'ENOENT') {
+      console.error('Error reading terminal scrollback:', err);
+    }
+    return '';
+  }
+}
+
+function isStale(key, generation) {
+  return (generations.get(key) || 0) !== generation;
+}
+
+async function writeAtomically(key, filePath, text, generation) {
+  if (isStale(key, generation)) return false;
+  const tempPath = `${filePath}.tmp-${process.pid}`;
+  try {
+    await fsp.writeFile(tempPath, tailChars(String(text || '')), 'utf8');
+    if (isStale(key, generation)) {
+      await fsp.unlink(tempPath);
+      return false;
+    }
+    await fsp.rename(tempPath, filePath);
+    return true;
+  } catch (err) {
+    console.error('Error writing terminal scrollback:', err);
+    try {
+      await fsp.unlink(tempPath);
+    } catch {
+      // Ignore cleanup errors
+    }
+    return false;
+  }
+}
+
+/**
+ * Write scrollback atomically (temp file + rename). A write still in flight
+ * when the key is removed does not bring the file back.
+ * @returns {Promise<boolean>}
+ */
+async function writeScrollback(key, text) {
+  const filePath = getScrollbackPath(key);
+  if (!filePath) return false;
+  const generation = generations.get(key) || 0;
+  const previous = pendingWrites.get(key) || Promise.resolve(false);
+  const write = previous.then(() => writeAtomically(key, filePath, text, generation));
+  pendingWrites.set(key, write);
+  try {
+    return await write;
+  } finally {
+    if (pendingWrites.get(key) === write) pendingWrites.delete(key);
+  }
+}
+
+/**
+ * Synchronous variant used while the app is quitting.
+ */
+function writeScrollbackSync(key, text) {
+  const filePath = getScrollbackPath(key);
+  if (!filePath) return false;
+  try {
+    fs.writeFileSync(filePath, tailChars(String(text || '')), 'utf8');
+    return true;
+  } catch (err) {
+    console.error('Error writing terminal scrollback:', err);
+    return false;
+  }
+}
+
+/**
+ * Delete saved scrollback for a key
+ */
+function removeScrollback(key) {
+  const filePath = getScrollbackPath(key);
+  if (!filePath) return false;
+  const generation = (generations.get(key) || 0) + 1;
+  generations.set(key, generation);
+
+  // A rename already under way can land after this delete; delete again once it settles
+  const pending = pendingWrites.get(key);
+  if (pending) {
+    pending.then(() => {
+      if (!isStale(key, generation)) fs.rmSync(filePath, { force: true });
+    }).catch((err) => {
+      console.error('Error removing terminal scrollback:', err);
+    });
+  }
+
+  try {
+    fs.rmSync(filePath, { force: true });
+    return true;
+  } catch (err) {
+    console.error('Error removing terminal scrollback:', err);
+    return false;
+  }
+}
+
+/**
+ * Remove scrollback files that have not been written for a long time
+ * (terminals whose sessions were never restored).
+ */
+async function pruneStale(maxAgeMs = STALE_SCROLLBACK_MS) {
+  if (!scrollbackDir) return 0;
+  let removed = 0;
+  let entries;
+  try {
+    entries = await fsp.readdir(scrollbackDir);
+  } catch {
+    return 0;
+  }
+
+  const cutoff = Date.now() - maxAgeMs;
+  for (const entry of entries) {
+    if (!entry.endsWith('.log') && !entry.includes('.tmp-')) continue;
+    const filePath = path.join(scrollbackDir, entry);
+    try {
+      const stats = await fsp.stat(filePath);
+      if (stats.mtimeMs < cutoff) {
+        await fsp.unlink(filePath);
+        removed++;
+      }
+    } catch {
+      // Ignore files that vanished or cannot be read
+    }
+  }
+  return removed;
+}
+
+/**
+ * Drop the queries from output that is written into xterm again, so it does not
+ * answer them into the shell as typed input
+ * @param {string} text
+ * @returns {string}
+ */
+function stripTerminalQueries(text) {
+  return String(text || '').replace(QUERY_PATTERN, '');
+}
+
+/**
+ * Make saved output safe to write into a fresh xterm instance:
+ * start at a line boundary (the ring may have cut a sequence in half) and drop
+ * sequences that would clear the screen, switch terminal modes for the new shell or
+ * make xterm answer old queries into it.
+ * @param {string} text
+ * @returns {string}
+ */
+function prepareReplay(text) {
+  let out = String(text || '');
+  if (!out) return '';
+
+  const firstNewline = out.indexOf('\n');
+  if (out.length >= MAX_SCROLLBACK_CHARS && firstNewline !== -1) {
+    out = out.slice(firstNewline + 1);
+  }
+
+  out = stripTerminalQueries(out.replace(PRIVATE_MODE_PATTERN, '').replace(RESET_PATTERN, ''));
+
+  return out.trim() ? out : '';
+}
+
+module.exports = {
+  init,
+  isValidKey,
+  createRing,
+  readScrollback,
+  readScrollbackSync,
+  writeScrollback,
+  writeScrollbackSync,
+  removeScrollback,
+  pruneStale,
+  prepareReplay,
+  stripTerminalQueries,
+  MAX_SCROLLBACK_CHARS
+};
@@ -0,0 +1,90 @@
+# VibeConsole shell integration for bash
+# Loaded with --init-file: runs the user's startup files, then reports prompt
+# and command boundaries (OSC 133), the command line and cwd (OSC 633).
+
+if [ -n "$VIBECONSOLE_SHELL_INTEGRATION_LOADED" ]; then
+  return 0 2>/dev/null
+fi
+VIBECONSOLE_SHELL_INTEGRATION_LOADED=1
+
+# --init-file replaces the login startup sequence, so replay it here
+if [ "$VIBECONSOLE_SHELL_LOGIN" = "1" ]; then
+  [ -r /etc/profile ] && . /etc/profile
+  if [ -r "$HOME/.bash_profile" ]; then
+    . "$HOME/.bash_profile"
+  elif [ -r "$HOME/.bash_login" ]; then
+    . "$HOME/.bash_login"
+  elif [ -r "$HOME/.profile" ]; then
+    . "$HOME/.profile"
+  fi
+else
+  [ -r "$HOME/.bashrc" ] && . "$HOME/.bashrc"
+fi
+unset VIBECONSOLE_SHELL_LOGIN
+
+__vibeconsole_osc() {
+  builtin printf '\033]%s\007' "$1"
+}
+
+# Escape values so they cannot terminate or split the sequence
+__vibeconsole_escape() {
+  local s="$1"
+  s="${s//\\/\\\\}"
+  s="${s//;/\\x3b}"
+  s="${s//$'\n'/\\x0a}"
+  s="${s//$'\r'/\\x0d}"
+  s="${s//$'\a'/\\x07}"
+  s="${s//$'\033'/\\x1b}"
+  builtin printf '%s' "$s"
+}
+
+__vibeconsole_at_prompt=0
+__vibeconsole_executing=0
+
+__vibeconsole_precmd_start() {
+  local exit_status=$?
+  if [ "$__vibeconsole_executing" = "1" ]; then
+    __vibeconsole_osc "133;D;$exit_status"
+  fi
+  __vibeconsole_executing=0
+  __vibeconsole_osc "633;P;Cwd=$(__vibeconsole_escape "$PWD")"
+  return $exit_status
+}
+
+# Runs last so prompt frameworks that rebuild PS1 keep the markers
+__vibeconsole_precmd_end() {
+  case "$PS1" in
+    *'133;A'*) ;;
+    *) PS1='\[\033]133;A\007\]'"$PS1"'\[\033]133;B\007\]' ;;
+  esac
+  __vibeconsole_at_prompt=1
+}
+
+__vibeconsole_preexec() {
+  [ "$__vibeconsole_at_prompt" = "1" ] || return
+  [ -n "$COMP_LINE" ] && return
+  case "$BASH_COMMAND" in
+    __vibeconsole_*) return ;;
+  esac
+  __vibeconsole_at_prompt=0
+  __vibeconsole_executing=1
+
+  local cmd
+  cmd="$(HISTTIMEFORMAT= builtin history 1)"
+  if [[ "$cmd" =~ ^[[:space:]]*[0-9]+[*[:space:]]+(.*)$ ]]; then
+    cmd="${BASH_REMATCH[1]}"
+  fi
+  __vibeconsole_osc "633;E;$(__vibeconsole_escape "$cmd")"
+  __vibeconsole_osc "133;C"
+}
+
+if [[ "$(declare -p PROMPT_COMMAND 2>/dev/null)" == "declare -a"* ]]; then
+  PROMPT_COMMAND=(__vibeconsole_precmd_start "${PROMPT_COMMAND[@]}" __vibeconsole_precmd_end)
+else
+  PROMPT_COMMAND="__vibeconsole_precmd_start;${PROMPT_COMMAND:+$PROMPT_COMMAND;}__vibeconsole_precmd_end"
+fi
+
+# Leave an existing DEBUG trap alone; only command start marks are lost
+if [ -z "$(trap -p DEBUG)" ]; then
+  trap '__vibeconsole_preexec' DEBUG
+fi
@@ -0,0 +1,48 @@
+# VibeConsole shell integration for fish
+# Sourced with --init-command after config.fish; reports prompt and command
+# boundaries (OSC 133), the command line and cwd (OSC 633).
+
+if status is-interactive; and not set -q VIBECONSOLE_SHELL_INTEGRATION_LOADED
+    set -g VIBECONSOLE_SHELL_INTEGRATION_LOADED 1
+
+    function __vibeconsole_osc
+        printf '\e]%s\a' $argv[1]
+    end
+
+    # Escape values so they cannot terminate or split the sequence
+    function __vibeconsole_escape
+        string replace -a -- '\\' '\\\\' $argv[1] \
+            | string replace -a -- ';' '\\x3b' \
+            | string replace -a -- \a '\\x07' \
+            | string replace -a -- \e '\\x1b' \
+            | string replace -a -- \r '\\x0d' \
+            | string join -- '\\x0a'
+    end
+
+    set -g __vibeconsole_executing 0
+
+    function __vibeconsole_preexec --on-event fish_preexec
+        set -g __vibeconsole_executing 1
+        __vibeconsole_osc "633;E;"(__vibeconsole_escape "$argv")
+        __vibeconsole_osc "133;C"
+    end
+
+    function __vibeconsole_postexec --on-event fish_postexec
+        set -l exit_status $status
+        if test "$__vibeconsole_executing" = 1
+            __vibeconsole_osc "133;D;$exit_status"
+        end
+        set -g __vibeconsole_executing 0
+    end
+
+    function __vibeconsole_cwd --on-event fish_prompt
+        __vibeconsole_osc "633;P;Cwd="(__vibeconsole_escape "$PWD")
+    end
+
+    functions -c fish_prompt __vibeconsole_original_fish_prompt
+    function fish_prompt
+        __vibeconsole_osc "133;A"
+        __vibeconsole_original_fish_prompt
+        __vibeconsole_osc "133;B"
+    end
+end
@@ -0,0 +1,118 @@
+/**
+ * Shell Integration Module
+ * Installs rc snippets that make bash, zsh and fish report prompt/command
+ * boundaries (OSC 133), command lines and cwd (OSC 633), and builds the
+ * spawn arguments that load them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INTEGRATION_DIR = 'shell-integration';
+const SOURCE_DIR = path.join(__dirname, 'shell-integration');
+
+// Source file → installed location. zsh only reads dotfiles from ZDOTDIR.
+const SCRIPT_FILES = [
+  ['bash.sh', 'bash/vibeconsole.bash'],
+  ['zshenv.zsh', 'zsh/.zshenv'],
+  ['zprofile.zsh', 'zsh/.zprofile'],
+  ['zshrc.zsh', 'zsh/.zshrc'],
+  ['zlogin.zsh', 'zsh/.zlogin'],
+  ['fish.fish', 'fish/vibeconsole.fish']
+];
+
+let installDir = null;
+
+/**
+ * Initialize shell integration under the user data dir
+ */
+function init(app) {
+  installScripts(path.join(app.getPath('userData'), INTEGRATION_DIR));
+}
+
+/**
+ * Copy the rc snippets to a directory the shells can read.
+ * They ship inside the app archive, which shells cannot source directly.
+ * @param {string} targetDir
+ * @returns {boolean} Whether the scripts are available
+ */
+function installScripts(targetDir) {
+  try {
+    for (const [source, target] of SCRIPT_FILES) {
+      const content = fs.readFileSync(path.join(SOURCE_DIR, source), 'utf8');
+      const targetPath = path.join(targetDir, target);
+      let existing = null;
+      try {
+        existing = fs.readFileSync(targetPath, 'utf8');
+      } catch {
+        // Not installed yet
+      }
+      if (existing !== content) {
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+        fs.writeFileSync(targetPath, content, 'utf8');
+      }
+    }
+    installDir = targetDir;
+    return true;
+  } catch (err) {
+    console.error('Failed to install shell integration scripts:', err);
+    installDir = null;
+    return false;
+  }
+}
+
+/**
+ * Identify shells that have an integration script
+ * @param {string} shellPath
+ * @returns {'bash'|'zsh'|'fish'|null}
+ */
+function getShellType(shellPath) {
+  if (typeof shellPath !== 'string') return null;
+  const name = path.basename(shellPath).replace(/\.exe$/i, '');
+  return ['bash', 'zsh', 'fish'].includes(name) ? /** @type {'bash'|'zsh'|'fish'} */ (name) : null;
+}
+
+function quoteFish(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Spawn arguments and environment that load the integration for a shell
+ * @param {string} shellPath
+ * @param {Object<string, string>} env - Environment the shell will be spawned with
+ * @returns {{args: string[], env: Object<string, string>}|null} null when the shell is not supported
+ */
+function getLaunchConfig(shellPath, env = {}) {
+  if (!installDir || process.platform === 'win32') return null;
+
+  switch (getShellType(shellPath)) {
+    case 'bash':
+      // --init-file only applies to non-login shells; the script replays the login files
+      return {
+        args: ['--init-file', path.join(installDir, 'bash', 'vibeconsole.bash'), '-i'],
+        env: { VIBECONSOLE_SHELL_LOGIN: '1' }
+      };
+    case 'zsh':
+      return {
+        args: ['-i', '-l'],
+        env: {
+          ZDOTDIR: path.join(installDir, 'zsh'),
+          VIBECONSOLE_USER_ZDOTDIR: env.ZDOTDIR || env.HOME || ''
+        }
+      };
+    case 'fish':
+      return {
+        args: ['-i', '--init-command', `source ${quoteFish(path.join(installDir, 'fish', 'vibeconsole.fish'))}`],
+        env: {}
+      };
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  init,
+  installScripts,
+  getShellType,
+  getLaunchConfig
+};
@@ -0,0 +1,176 @@
+/**
+ * Slash Commands Module
+ * Custom commands AI tools read from Markdown files, shown as a third saved
+ * prompt scope:
+ *
+ *   <project>/.claude/commands/   Claude Code project commands, subfolders too  (/name)
+ *   ~/.claude/commands/           Claude Code user commands, subfolders too     (/name)
+ *   ~/.codex/prompts/             Codex custom prompts                          (/prompts:name)
+ *
+ * A file's optional frontmatter holds a `description`; the body is the prompt.
+ * Saved prompts can be written out as command files and command files copied
+ * back into saved prompts.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFrontmatter } = require('./promptLibrary');
+
+const COMMAND_SOURCES = ['project', 'user', 'codex'];
+const MAX_COMMAND_FILES = 500;
+const MAX_COMMAND_FILE_BYTES = 256 * 1024;
+const MAX_COMMAND_DEPTH = 3;
+const COMMAND_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+/**
+ * Folders command files are read from, by source
+ * @param {string|null} projectPath
+ * @returns {Array<{source: string, dir: string}>}
+ */
+function getCommandDirs(projectPath) {
+  const codexHome = process.env.CODEX_HOME && path.isAbsolute(process.env.CODEX_HOME)
+    ? process.env.CODEX_HOME
+    : path.join(os.homedir(), '.codex');
+  const dirs = [];
+  if (projectPath && path.isAbsolute(projectPath)) {
+    dirs.push({ source: 'project', dir: path.join(projectPath, '.claude', 'commands') });
+  }
+  dirs.push({ source: 'user', dir: path.join(os.homedir(), '.claude', 'commands') });
+  dirs.push({ source: 'codex', dir: path.join(codexHome, 'prompts') });
+  return dirs;
+}
+
+/**
+ * What a user types to run a command
+ * @param {{source: string, name: string}} command
+ */
+function getInvocation(command) {
+  return command.source === 'codex' ? `/prompts:${command.name}` : `/${command.name}`;
+}
+
+// Markdown files under a folder as paths relative to it; Codex only reads the top level
+function findCommandFiles(dir, recursive) {
+  const files = [];
+  const walk = (relativeDir, depth) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (files.length >= MAX_COMMAND_FILES) return;
+      if (entry.name.startsWith('.')) continue;
+      const relativePath = path.join(relativeDir, entry.name);
+      if (entry.isFile() && entry.name.toLowerCase().endsWith('.md')) {
+        files.push(relativePath);
+      } else if (entry.isDirectory() && recursive && depth < MAX_COMMAND_DEPTH) {
+        walk(relativePath, depth + 1);
+      }
+    }
+  };
+  walk('', 1);
+  return files;
+}
+
+/**
+ * Command files of a project and the user, as prompts
+ * @param {string|null} projectPath
+ * @param {{dirs?: Array<{source: string, dir: string}>}} [options] - Folders to read instead of the defaults
+ * @returns {Array<{id: string, name: string, title: string, description: string, content: string, category: string, source: string, filePath: string, favorite: boolean, updatedAt: string}>}
+ */
+function listSlashCommands(projectPath, options = {}) {
+  const commands = [];
+  for (const { source, dir } of options.dirs || getCommandDirs(projectPath)) {
+    for (const relativePath of findCommandFiles(dir, source !== 'codex')) {
+      const filePath = path.join(dir, relativePath);
+      try {
+        const stat = fs.statSync(filePath);
+        if (stat.size > MAX_COMMAND_FILE_BYTES) continue;
+        const { fields, body } = parseFrontmatter(fs.readFileSync(filePath, 'utf8'));
+        const name = path.basename(relativePath, path.extname(relativePath));
+        const namespace = path.dirname(relativePath) === '.' ? '' : path.dirname(relativePath).split(path.sep).join(':');
+        const command = {
+          id: `${source}:${relativePath.split(path.sep).join('/')}`,
+          name,
+          title: '',
+          description: typeof fields.description === 'string' ? fields.description : '',
+          content: body.replace(/^\n+/, '').replace(/\s+$/, ''),
+          category: namespace ? `${source}:${namespace}` : source,
+          source,
+          filePath,
+          favorite: false,
+          updatedAt: stat.mtime.toISOString()
+        };
+        command.title = getInvocation(command);
+        commands.push(command);
+      } catch (err) {
+        console.warn(`Ignoring command file ${filePath}:`, err.message);
+      }
+    }
+  }
+  return commands;
+}
+
+/**
+ * Command name for a prompt title, e.g. "Fix Failing Test" -> "fix-failing-test"
+ * @param {string} title
+ */
+function toCommandName(title) {
+  return String(title || '').toLowerCase().replace(/[^a-z0-9_]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'prompt';
+}
+
+/**
+ * Command file text for a saved prompt; its title becomes the description
+ * @param {{title?: string, content: string}} prompt
+ */
+function toCommandFileText(prompt) {
+  const lines = [];
+  if (prompt.title) lines.push('---', `description: ${JSON.stringify(prompt.title)}`, '---', '');
+  lines.push(prompt.content.replace(/\s+$/, ''), '');
+  return lines.join('\n');
+}
+
+/**
+ * Saved prompt fields for a command file; its description (or invocation) becomes the title
+ * @param {{name: string, source: string, description: string, content: string}} command
+ */
+function toSavedPrompt(command) {
+  return {
+    title: command.description || getInvocation(command),
+    content: command.content,
+    category: 'commands'
+  };
+}
+
+/**
+ * Write a saved prompt as a command file
+ * @param {string} dir - Commands folder
+ * @param {{title?: string, content: string}} prompt
+ * @param {{name?: string, overwrite?: boolean}} [options]
+ * @returns {Promise<string>} Path of the written file; rejects with code EEXIST
+ *   when the command exists and `overwrite` is not set
+ */
+async function writeSlashCommand(dir, prompt, options = {}) {
+  const name = options.name || toCommandName(prompt.title);
+  if (!COMMAND_NAME_PATTERN.test(name)) throw new Error(`Invalid command name: ${name}`);
+  if (typeof prompt.content !== 'string' || !prompt.content.trim()) throw new Error('The prompt is empty');
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  const filePath = path.join(dir, `${name}.md`);
+  await fs.promises.writeFile(filePath, toCommandFileText(prompt), { encoding: 'utf8', flag: options.overwrite ? 'w' : 'wx' });
+  return filePath;
+}
+
+module.exports = {
+  COMMAND_SOURCES,
+  getCommandDirs,
+  getInvocation,
+  listSlashCommands,
+  toCommandName,
+  toCommandFileText,
+  toSavedPrompt,
+  writeSlashCommand
+};
@@ -0,0 +1,217 @@
+/**
+ * SSH Hosts Module
+ * Host aliases from ~/.ssh/config, spawnable as remote terminals
+ *
+ * Only concrete `Host` aliases are listed; wildcard and negated patterns only
+ * carry defaults for other hosts. `Include` directives are followed (relative
+ * paths resolve against ~/.ssh, `*` and `?` match within a file name).
+ * Connection options are left to ssh itself, which re-reads the same config.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { IPC } = require('../shared/ipcChannels');
+
+const MAX_CONFIG_BYTES = 512 * 1024;
+const MAX_INCLUDE_DEPTH = 8;
+const MAX_REMOTE_CWD_LENGTH = 1024;
+
+// Aliases become an ssh argument: no leading dash, no whitespace or shell syntax
+const HOST_ALIAS_PATTERN = /^[A-Za-z0-9_.@%+][A-Za-z0-9_.@%+:-]*$/;
+
+/**
+ * Whether a string can be used as a host alias
+ * @param {string} alias
+ */
+function isValidHostAlias(alias) {
+  return typeof alias === 'string' && alias.length <= 255 && HOST_ALIAS_PATTERN.test(alias);
+}
+
+/**
+ * Whether a string can be used as a remote working directory
+ * @param {string} cwd
+ */
+function isValidRemoteCwd(cwd) {
+  return typeof cwd === 'string' &&
+    cwd.length > 0 &&
+    cwd.length <= MAX_REMOTE_CWD_LENGTH &&
+    !/\p{Cc}/u.test(cwd);
+}
+
+// Split a config line into keyword and arguments; `Keyword=value` is allowed too
+function splitConfigLine(line) {
+  const match = /^\s*([A-Za-z]+)\s*(?:=\s*|\s+)(.*)$/.exec(line);
+  if (!match) return null;
+  const args = [];
+  const argPattern = /"([^"]*)"|(\S+)/g;
+  let arg;
+  while ((arg = argPattern.exec(match[2])) !== null) {
+    if (arg[2] && arg[2].startsWith('#')) break;
+    args.push(arg[1] !== undefined ? arg[1] : arg[2]);
+  }
+  return { keyword: match[1].toLowerCase(), args };
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Files named by an Include argument, in name order
+function resolveInclude(arg, sshDir) {
+  const expanded = arg.startsWith('~/') ? path.join(os.homedir(), arg.slice(2)) : arg;
+  const fullPath = path.isAbsolute(expanded) ? expanded : path.join(sshDir, expanded);
+  const baseName = path.basename(fullPath);
+  if (!/[*?]/.test(baseName)) return [fullPath];
+
+  const dir = path.dirname(fullPath);
+  const matcher = globToRegExp(baseName);
+  try {
+    return fs.readdirSync(dir).filter((name) => matcher.test(name)).sort().map((name) => path.join(dir, name));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Parse ssh config text into host entries
+ * @param {string} text
+ * @param {{sshDir?: string, readFile?: function(string): (string|null), depth?: number}} [options]
+ * @returns {Array<{alias: string, hostName: string|null, user: string|null, port: number|null}>}
+ */
+function parseSshConfig(text, options = {}) {
+  const sshDir = options.sshDir || path.join(os.homedir(), '.ssh');
+  const readFile = options.readFile || readConfigFile;
+  const depth = options.depth || 0;
+  const hosts = [];
+  let current = [];
+
+  for (const line of String(text).split(/\r?\n/)) {
+    const parsed = splitConfigLine(line);
+    if (!parsed) continue;
+    const { keyword, args } = parsed;
+
+    if (keyword === 'host') {
+      current = args
+        .filter((alias) => !/[*?!]/.test(alias) && isValidHostAlias(alias))
+        .map((alias) => ({ alias, hostName: null, user: null, port: null }));
+      hosts.push(...current);
+    } else if (keyword === 'match') {
+      current = [];
+    } else if (keyword === 'include') {
+      if (depth >= MAX_INCLUDE_DEPTH) continue;
+      for (const arg of args) {
+        for (const filePath of resolveInclude(arg, sshDir)) {
+          const included = readFile(filePath);
+          if (included !== null) {
+            hosts.push(...parseSshConfig(included, { sshDir, readFile, depth: depth + 1 }));
+          }
+        }
+      }
+    } else if (args.length > 0) {
+      // ssh uses the first value it sees for each option
+      for (const host of current) {
+        if (keyword === 'hostname' && host.hostName === null) host.hostName = args[0];
+        else if (keyword === 'user' && host.user === null) host.user = args[0];
+        else if (keyword === 'port' && host.port === null) {
+          const port = parseInt(args[0], 10);
+          if (port > 0 && port < 65536) host.port = port;
+        }
+      }
+    }
+  }
+
+  // Keep the first entry of each alias
+  const seen = new Set();
+  return hosts.filter((host) => {
+    if (seen.has(host.alias)) return false;
+    seen.add(host.alias);
+    return true;
+  });
+}
+
+function readConfigFile(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    if (!stat.isFile() || stat.size > MAX_CONFIG_BYTES) return null;
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Host entries from the user's ~/.ssh/config
+ */
+function listHosts() {
+  const sshDir = path.join(os.homedir(), '.ssh');
+  const text = readConfigFile(path.join(sshDir, 'config'));
+  if (text === null) return [];
+  return parseSshConfig(text, { sshDir });
+}
+
+/**
+ * Path of the ssh client, or null when none is installed
+ */
+function findSshBinary() {
+  const candidates = process.platform === 'win32'
+    ? [path.join(process.env.SystemRoot || 'C:\\Windows', 'System32', 'OpenSSH', 'ssh.exe')]
+    : ['/usr/bin/ssh', '/usr/local/bin/ssh', '/opt/homebrew/bin/ssh'];
+  return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+// Single-quote for a POSIX remote shell; a leading ~/ stays outside the quotes so it expands
+function quoteRemotePath(remotePath) {
+  const quote = (value) => `'${value.replace(/'/g, `'\\''`)}'`;
+  if (remotePath === '~') return '~';
+  if (remotePath.startsWith('~/')) {
+    const rest = remotePath.slice(2);
+    return rest ? `~/${quote(rest)}` : '~/';
+  }
+  return quote(remotePath);
+}
+
+/**
+ * Arguments for an interactive ssh session, optionally starting in a remote directory
+ * @param {string} alias - Host alias from ~/.ssh/config
+ * @param {string|null} [remoteCwd]
+ * @returns {string[]}
+ */
+function buildSshArgs(alias, remoteCwd = null) {
+  if (!isValidHostAlias(alias)) {
+    throw new Error(`Invalid SSH host: ${alias}`);
+  }
+  const args = ['-t', '--', alias];
+  if (remoteCwd) {
+    if (!isValidRemoteCwd(remoteCwd)) {
+      throw new Error('Invalid remote directory');
+    }
+    // A failed cd still leaves the user in a login shell
+    args.push(`cd ${quoteRemotePath(remoteCwd)}; exec "$SHELL" -l`);
+  }
+  return args;
+}
+
+/**
+ * Setup IPC handlers
+ */
+function setupIPC(ipcMain) {
+  ipcMain.handle(IPC.SSH_HOSTS_LIST, () => {
+    try {
+      return { success: true, hosts: findSshBinary() ? listHosts() : [] };
+    } catch (err) {
+      return { success: false, error: err.message, hosts: [] };
+    }
+  });
+}
+
+module.exports = {
+  setupIPC,
+  isValidHostAlias,
+  isValidRemoteCwd,
+  parseSshConfig,
+  listHosts,
+  findSshBinary,
+  buildSshArgs
+};
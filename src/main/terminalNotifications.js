@@ -0,0 +1,75 @@
+/**
+ * Terminal Notifications Module
+ * Native notifications for terminals that finish or ring the bell in the background
+ */
+
+const { Notification } = require('electron');
+const { IPC } = require('../shared/ipcChannels');
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_BODY_LENGTH = 300;
+
+let mainWindow = null;
+// Hold references until dismissed; otherwise click handlers are lost to GC
+const activeNotifications = new Set();
+
+/**
+ * Initialize terminal notifications with window reference
+ */
+function init(window) {
+  mainWindow = window;
+}
+
+function truncate(value, maxLength) {
+  const text = typeof value === 'string' ? value : '';
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Show a notification that focuses the terminal when clicked
+ * @param {{terminalId: string, title: string, body: string}} data
+ * @returns {boolean} Whether a notification was shown
+ */
+function showTerminalNotification(data) {
+  if (!data || typeof data.terminalId !== 'string' || !Notification.isSupported()) {
+    return false;
+  }
+
+  const notification = new Notification({
+    title: truncate(data.title, MAX_TITLE_LENGTH) || 'Terminal',
+    body: truncate(data.body, MAX_BODY_LENGTH)
+  });
+  activeNotifications.add(notification);
+
+  const release = () => activeNotifications.delete(notification);
+  notification.on('close', release);
+  notification.on('click', () => {
+    release();
+    if (!mainWindow || mainWindow.isDestroyed()) return;
+    if (mainWindow.isMinimized()) mainWindow.restore();
+    mainWindow.show();
+    mainWindow.focus();
+    mainWindow.webContents.send(IPC.TERMINAL_NOTIFICATION_CLICKED, { terminalId: data.terminalId });
+  });
+
+  notification.show();
+  return true;
+}
+
+/**
+ * Setup IPC handlers
+ */
+function setupIPC(ipcMain) {
+  ipcMain.on(IPC.TERMINAL_NOTIFY, (event, data) => {
+    try {
+      showTerminalNotification(data);
+    } catch (err) {
+      console.error('Failed to show terminal notification:', err);
+    }
+  });
+}
+
+module.exports = {
+  init,
+  setupIPC
+};
@@ -0,0 +1,274 @@
+/**
+ * Terminal Profiles Module
+ * Per-project startup terminals declared in .frame/terminals.json
+ *
+ * File format:
+ * {
+ *   "terminals": [
+ *     { "name": "dev server", "shell": "zsh", "cwd": "web", "env": { "PORT": "3000" }, "command": "npm run dev" }
+ *   ]
+ * }
+ * `cwd` is relative to the project root and must stay inside it.
+ * Commands and env only apply once the user has approved them on this machine; until
+ * then (and again whenever they change) the terminals open without them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { IPC } = require('../shared/ipcChannels');
+const { isPathWithinDirectory } = require('../shared/pathValidation');
+const workspace = require('./workspace');
+
+const PROFILE_FILE = 'terminals.json';
+const MAX_PROFILE_TERMINALS = 9;
+const MAX_NAME_LENGTH = 64;
+const MAX_COMMAND_LENGTH = 4096;
+const MAX_ENV_VARS = 64;
+const MAX_ENV_VALUE_LENGTH = 8192;
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Variables that make the loader, the shell, git, a pager or editor, or an interpreter
+// run code of their choosing
+const BLOCKED_ENV_KEYS = new Set([
+  'LD_PRELOAD', 'LD_LIBRARY_PATH', 'LD_AUDIT', 'BASH_ENV', 'ENV', 'PROMPT_COMMAND', 'ZDOTDIR',
+  'SHELLOPTS', 'BASHOPTS', 'PS0', 'PS1', 'PS2', 'PS4', 'PROMPT', 'RPROMPT', 'FPATH',
+  'PAGER', 'MANPAGER', 'LESSOPEN', 'LESSCLOSE', 'EDITOR', 'VISUAL', 'BROWSER', 'SSH_ASKPASS',
+  'NODE_OPTIONS', 'NODE_PATH', 'PYTHONPATH', 'PYTHONSTARTUP', 'PYTHONHOME', 'PERL5OPT', 'PERL5LIB',
+  'PERLLIB', 'RUBYOPT', 'RUBYLIB', 'JAVA_TOOL_OPTIONS', '_JAVA_OPTIONS', 'JDK_JAVA_OPTIONS'
+]);
+// GIT_* covers GIT_CONFIG_COUNT/KEY_n/VALUE_n, GIT_PAGER, GIT_EDITOR, GIT_SSH_COMMAND, GIT_ASKPASS, ...
+const BLOCKED_ENV_PREFIXES = ['DYLD_', 'GIT_'];
+
+/**
+ * Get profile file path (stored in .frame/ directory)
+ */
+function getProfilePath(projectPath) {
+  return path.join(projectPath, '.frame', PROFILE_FILE);
+}
+
+function isProjectDirectory(projectPath) {
+  if (typeof projectPath !== 'string' || !path.isAbsolute(projectPath)) return false;
+  try {
+    return fs.statSync(projectPath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function trimmedString(value, maxLength) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed && trimmed.length <= maxLength ? trimmed : null;
+}
+
+/**
+ * Whether a variable may be injected into a shell's environment
+ * @param {string} key
+ */
+function isAllowedEnvKey(key) {
+  if (!ENV_KEY_PATTERN.test(key)) return false;
+  const upper = key.toUpperCase();
+  return !BLOCKED_ENV_KEYS.has(upper) && !BLOCKED_ENV_PREFIXES.some(prefix => upper.startsWith(prefix));
+}
+
+/**
+ * Keep only environment variables with portable, non-hook names and string values
+ * @param {*} env
+ * @param {number} [maxVars] - Keep at most this many variables
+ * @returns {Object<string, string>|null}
+ */
+function sanitizeEnv(env, maxVars = MAX_ENV_VARS) {
+  if (!env || typeof env !== 'object' || Array.isArray(env)) return null;
+  /** @type {Object<string, string>} */
+  const result = {};
+  let count = 0;
+  for (const [key, value] of Object.entries(env)) {
+    if (count >= maxVars) break;
+    if (!isAllowedEnvKey(key)) continue;
+    if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') continue;
+    const stringValue = String(value);
+    if (stringValue.length > MAX_ENV_VALUE_LENGTH || stringValue.includes('\0')) continue;
+    result[key] = stringValue;
+    count++;
+  }
+  return count > 0 ? result : null;
+}
+
+/**
+ * Validate one profile entry and resolve its cwd against the project root
+ * @returns {{name: string, shell: string|null, cwd: string, env: Object|null, command: string|null}|null}
+ */
+function sanitizeProfileTerminal(entry, projectPath) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const name = trimmedString(entry.name, MAX_NAME_LENGTH);
+  if (!name) return null;
+
+  let cwd = projectPath;
+  const relativeCwd = trimmedString(entry.cwd, 1024);
+  if (relativeCwd) {
+    const resolved = path.resolve(projectPath, relativeCwd);
+    if (!isPathWithinDirectory(resolved, projectPath)) {
+      console.warn(`Ignoring cwd outside project for terminal "${name}":`, relativeCwd);
+    } else {
+      cwd = resolved;
+    }
+  }
+
+  const command = typeof entry.command === 'string' && entry.command.trim() && entry.command.length <= MAX_COMMAND_LENGTH
+    ? entry.command.replace(/[\r\n]+$/, '')
+    : null;
+
+  return {
+    name,
+    shell: trimmedString(entry.shell, 1024),
+    cwd,
+    env: sanitizeEnv(entry.env),
+    command
+  };
+}
+
+function readProfileFile(projectPath) {
+  const filePath = getProfilePath(projectPath);
+  if (!fs.existsSync(filePath)) return null;
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return data && Array.isArray(data.terminals) ? data : { terminals: [] };
+}
+
+/**
+ * Load the startup profile for a project
+ * @param {string} projectPath
+ * @returns {{terminals: Array<Object>, fingerprint: string|null}|null} null when the project has no profile
+ */
+function loadProfile(projectPath) {
+  if (!isProjectDirectory(projectPath)) return null;
+  const data = readProfileFile(projectPath);
+  if (!data) return null;
+
+  const terminals = data.terminals
+    .map((entry) => sanitizeProfileTerminal(entry, projectPath))
+    .filter(Boolean)
+    .slice(0, MAX_PROFILE_TERMINALS);
+  return { terminals, fingerprint: getProfileFingerprint(terminals) };
+}
+
+/**
+ * Fingerprint of a profile's startup commands and env, which the user's approval is tied to
+ * @param {Array<{command: string|null, env: Object<string, string>|null}>} terminals
+ * @returns {string|null} Null when no terminal has a command or env
+ */
+function getProfileFingerprint(terminals) {
+  const approvable = terminals.map((entry) => [entry.command || null, entry.env || null]);
+  if (!approvable.some(([command, env]) => command || env)) return null;
+  return crypto.createHash('sha256').update(JSON.stringify(approvable)).digest('hex');
+}
+
+/**
+ * Write the given terminals as the project's startup profile.
+ * Entries whose name matches a terminal in the existing profile keep its cwd, env and command.
+ * @param {string} projectPath
+ * @param {Array<{name: string, shell?: string|null}>} terminals
+ * @returns {string} Path of the written file
+ */
+function saveProfile(projectPath, terminals) {
+  if (!isProjectDirectory(projectPath)) {
+    throw new Error('Invalid project path');
+  }
+  if (!Array.isArray(terminals) || terminals.length === 0) {
+    throw new Error('No terminals to save');
+  }
+
+  let previous = [];
+  try {
+    const data = readProfileFile(projectPath);
+    if (data) previous = data.terminals;
+  } catch (err) {
+    console.error('Ignoring unreadable terminal profile:', err.message);
+  }
+  const previousByName = new Map();
+  previous.forEach((entry) => {
+    const name = entry && trimmedString(entry.name, MAX_NAME_LENGTH);
+    if (name && !previousByName.has(name)) previousByName.set(name, entry);
+  });
+
+  const entries = [];
+  const usedNames = new Set();
+  for (const terminal of terminals.slice(0, MAX_PROFILE_TERMINALS)) {
+    const name = terminal && trimmedString(terminal.name, MAX_NAME_LENGTH);
+    if (!name) continue;
+
+    const entry = { name };
+    const shell = trimmedString(terminal.shell, 1024);
+    if (shell) entry.shell = shell;
+
+    const existing = usedNames.has(name) ? null : previousByName.get(name);
+    usedNames.add(name);
+    if (existing) {
+      if (typeof existing.cwd === 'string' && existing.cwd.trim()) entry.cwd = existing.cwd;
+      const env = sanitizeEnv(existing.env);
+      if (env) entry.env = env;
+      if (typeof existing.command === 'string' && existing.command.trim()) entry.command = existing.command;
+    }
+    entries.push(entry);
+  }
+
+  if (entries.length === 0) {
+    throw new Error('No terminals to save');
+  }
+
+  const filePath = getProfilePath(projectPath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ terminals: entries }, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmpPath, filePath);
+  return filePath;
+}
+
+/**
+ * Setup IPC handlers
+ */
+function setupIPC(ipcMain) {
+  ipcMain.handle(IPC.TERMINAL_PROFILE_LOAD, (event, projectPath) => {
+    try {
+      const profile = loadProfile(projectPath);
+      const trusted = Boolean(profile && profile.fingerprint) &&
+        workspace.getProjectTrust(projectPath, 'terminalProfile') === profile.fingerprint;
+      return { success: true, profile, trusted };
+    } catch (err) {
+      return { success: false, error: `Invalid ${PROFILE_FILE}: ${err.message}` };
+    }
+  });
+
+  // Remember that the user approved these startup commands and env for the project
+  ipcMain.handle(IPC.TERMINAL_PROFILE_TRUST, (event, data) => {
+    try {
+      const { projectPath, fingerprint } = data || {};
+      workspace.setProjectTrust(projectPath, 'terminalProfile', fingerprint);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.TERMINAL_PROFILE_SAVE, (event, data) => {
+    try {
+      const { projectPath, terminals } = data || {};
+      const filePath = saveProfile(projectPath, terminals);
+      return { success: true, path: filePath };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+module.exports = {
+  setupIPC,
+  getProfilePath,
+  isProjectDirectory,
+  isAllowedEnvKey,
+  sanitizeEnv,
+  loadProfile,
+  getProfileFingerprint,
+  saveProfile,
+  MAX_PROFILE_TERMINALS
+};
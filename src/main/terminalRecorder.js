@@ -0,0 +1,173 @@
+/**
+ * Terminal Recorder Module
+ * Writes PTY output to asciicast v2 files under the user data dir so agent
+ * sessions can be replayed later.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHeader, formatEvent } = require('../shared/asciicast');
+
+const RECORDINGS_DIR = 'terminal-recordings';
+const FLUSH_INTERVAL_MS = 500;
+const FLUSH_THRESHOLD_BYTES = 64 * 1024;
+// Recordings are loaded whole into the replay viewer, so keep them bounded
+const MAX_RECORDING_BYTES = 64 * 1024 * 1024;
+
+let recordingsDir = null;
+
+/**
+ * Initialize recorder
+ */
+function init(app) {
+  recordingsDir = path.join(app.getPath('userData'), RECORDINGS_DIR);
+}
+
+function getRecordingsDir() {
+  return recordingsDir;
+}
+
+/**
+ * Create a new `<title>-<date>.cast` file, adding a counter if two recordings start in the same second
+ * @returns {{filePath: string, fd: number}}
+ */
+function openRecordingFile(title, startedAt) {
+  const slug = String(title || 'terminal').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'terminal';
+  const stamp = new Date(startedAt).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  for (let attempt = 1; ; attempt++) {
+    const filePath = path.join(recordingsDir, `${slug}-${stamp}${attempt > 1 ? `-${attempt}` : ''}.cast`);
+    try {
+      return { filePath, fd: fs.openSync(filePath, 'wx') };
+    } catch (err) {
+      if (err.code !== 'EEXIST' || attempt >= 100) throw err;
+    }
+  }
+}
+
+/**
+ * Start a recording. Output is buffered and written in batches, so a
+ * recording costs one small synchronous write every FLUSH_INTERVAL_MS at most.
+ * @param {Object} options
+ * @param {number} options.cols
+ * @param {number} options.rows
+ * @param {string} [options.title]
+ * @param {string} [options.shell]
+ * @param {() => void} [options.onLimit] - Called when the size limit stops the recording
+ * @param {(err: Error) => void} [options.onError] - Called when a failed write (disk full, I/O error) stops the recording
+ * @returns {{filePath: string, startedAt: number, write: (data: string) => void, resize: (cols: number, rows: number) => void, stop: () => {filePath: string, duration: number, bytes: number}}}
+ */
+function startRecording({ cols, rows, title, shell, onLimit, onError }) {
+  if (!recordingsDir) {
+    throw new Error('Recorder is not initialized');
+  }
+  fs.mkdirSync(recordingsDir, { recursive: true });
+
+  const startedAt = Date.now();
+  const { filePath, fd } = openRecordingFile(title, startedAt);
+  const env = { TERM: 'xterm-256color' };
+  if (shell) env.SHELL = shell;
+
+  const header = createHeader({ width: cols, height: rows, timestamp: startedAt, title, env });
+  let bytes;
+  try {
+    bytes = fs.writeSync(fd, header);
+  } catch (err) {
+    fs.closeSync(fd);
+    throw err;
+  }
+  let pending = '';
+  let pendingBytes = 0;
+  let stopped = false;
+  let lastTime = 0;
+  let flushTimer = null;
+
+  const elapsed = () => (Date.now() - startedAt) / 1000;
+
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (!pending) return;
+    const data = pending;
+    pending = '';
+    pendingBytes = 0;
+    bytes += fs.writeSync(fd, data);
+  }
+
+  // Writes from the output handler and the flush timer must not throw: a
+  // failure stops the recording and is reported instead
+  function fail(err) {
+    if (!stopped) {
+      stopped = true;
+      try {
+        fs.closeSync(fd);
+      } catch {
+        // Already reporting the write error
+      }
+    }
+    if (onError) onError(err);
+  }
+
+  function flushSafely() {
+    try {
+      flush();
+    } catch (err) {
+      fail(err);
+    }
+  }
+
+  function append(type, data) {
+    if (stopped) return;
+    const time = elapsed();
+    const event = formatEvent(time, type, data);
+    const eventBytes = Buffer.byteLength(event);
+    // The event that would cross the limit is dropped so the file stays replayable
+    if (bytes + pendingBytes + eventBytes > MAX_RECORDING_BYTES) {
+      try {
+        stop();
+      } catch (err) {
+        fail(err);
+        return;
+      }
+      if (onLimit) onLimit();
+      return;
+    }
+    lastTime = time;
+    pending += event;
+    pendingBytes += eventBytes;
+    if (pendingBytes >= FLUSH_THRESHOLD_BYTES) {
+      flushSafely();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(flushSafely, FLUSH_INTERVAL_MS);
+      if (typeof flushTimer.unref === 'function') flushTimer.unref();
+    }
+  }
+
+  function stop() {
+    if (!stopped) {
+      stopped = true;
+      try {
+        flush();
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+    return { filePath, duration: lastTime, bytes };
+  }
+
+  return {
+    filePath,
+    startedAt,
+    write: (data) => append('o', data),
+    resize: (newCols, newRows) => append('r', `${newCols}x${newRows}`),
+    stop
+  };
+}
+
+module.exports = {
+  init,
+  getRecordingsDir,
+  startRecording,
+  MAX_RECORDING_BYTES
+};
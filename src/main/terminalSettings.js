@@ -0,0 +1,221 @@
+/**
+ * Terminal Settings Module
+ * Settings for every terminal (theme, font, cursor, scrollback, paste safety)
+ * persisted in the user data dir, plus themes imported from iTerm2 / VS Code files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { IPC } = require('../shared/ipcChannels');
+const {
+  BUILT_IN_THEMES,
+  DEFAULT_THEME_ID,
+  DEFAULT_TERMINAL_SETTINGS,
+  sanitizeThemeColors,
+  parseItermColors,
+  parseVSCodeTheme
+} = require('../shared/terminalThemes');
+
+const SETTINGS_FILE = 'terminal-settings.json';
+const MAX_CUSTOM_THEMES = 50;
+const MAX_THEME_FILE_BYTES = 1024 * 1024;
+const CURSOR_STYLES = ['block', 'underline', 'bar'];
+// Every line costs memory per terminal, so the upper bound stays moderate
+const MIN_SCROLLBACK = 1000;
+const MAX_SCROLLBACK = 100000;
+
+const DEFAULT_SETTINGS = DEFAULT_TERMINAL_SETTINGS;
+
+let settingsPath = null;
+let mainWindow = null;
+let cachedSettings = null;
+
+/**
+ * Initialize terminal settings
+ */
+function init(app, window) {
+  settingsPath = path.join(app.getPath('userData'), SETTINGS_FILE);
+  mainWindow = window;
+  cachedSettings = null;
+}
+
+function clampNumber(value, min, max, fallback) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+function sanitizeCustomThemes(themes) {
+  const result = {};
+  if (!themes || typeof themes !== 'object') return result;
+  for (const [id, theme] of Object.entries(themes).slice(0, MAX_CUSTOM_THEMES)) {
+    if (!/^custom-[a-z0-9-]{1,64}$/.test(id) || !theme || typeof theme !== 'object') continue;
+    const colors = sanitizeThemeColors(theme.colors);
+    if (!colors.background || !colors.foreground) continue;
+    const name = typeof theme.name === 'string' && theme.name.trim() ? theme.name.trim().slice(0, 80) : id;
+    result[id] = { name, colors };
+  }
+  return result;
+}
+
+/**
+ * Fill in defaults and drop invalid values
+ * @param {*} input
+ * @returns {Object} Complete settings object
+ */
+function sanitizeSettings(input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const customThemes = sanitizeCustomThemes(source.customThemes);
+  const themeExists = (id) => BUILT_IN_THEMES.some((theme) => theme.id === id) || Object.prototype.hasOwnProperty.call(customThemes, id);
+
+  const fontFamily = typeof source.fontFamily === 'string' ? source.fontFamily.replace(/[;{}]/g, '').trim().slice(0, 200) : '';
+  const booleanOrDefault = (key) => (typeof source[key] === 'boolean' ? source[key] : DEFAULT_SETTINGS[key]);
+  return {
+    themeId: typeof source.themeId === 'string' && themeExists(source.themeId) ? source.themeId : DEFAULT_SETTINGS.themeId,
+    fontFamily: fontFamily || DEFAULT_SETTINGS.fontFamily,
+    fontSize: Math.round(clampNumber(source.fontSize, 8, 32, DEFAULT_SETTINGS.fontSize)),
+    lineHeight: Math.round(clampNumber(source.lineHeight, 1, 2, DEFAULT_SETTINGS.lineHeight) * 100) / 100,
+    ligatures: booleanOrDefault('ligatures'),
+    cursorStyle: CURSOR_STYLES.includes(source.cursorStyle) ? source.cursorStyle : DEFAULT_SETTINGS.cursorStyle,
+    cursorBlink: booleanOrDefault('cursorBlink'),
+    scrollback: Math.round(clampNumber(source.scrollback, MIN_SCROLLBACK, MAX_SCROLLBACK, DEFAULT_SETTINGS.scrollback)),
+    bracketedPaste: booleanOrDefault('bracketedPaste'),
+    confirmMultilinePaste: booleanOrDefault('confirmMultilinePaste'),
+    warnDangerousPaste: booleanOrDefault('warnDangerousPaste'),
+    trimAiPasteNewlines: booleanOrDefault('trimAiPasteNewlines'),
+    customThemes
+  };
+}
+
+/**
+ * Load settings (cached after the first read)
+ */
+function getSettings() {
+  if (cachedSettings) return cachedSettings;
+  let stored = null;
+  if (settingsPath) {
+    try {
+      stored = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('Ignoring unreadable terminal settings:', err.message);
+    }
+  }
+  cachedSettings = sanitizeSettings(stored);
+  return cachedSettings;
+}
+
+/**
+ * Merge changes into the settings, persist them and tell the renderer
+ * @param {Object} changes - Partial settings
+ * @returns {Object} The new settings
+ */
+function updateSettings(changes) {
+  const next = sanitizeSettings({ ...getSettings(), ...(changes && typeof changes === 'object' ? changes : {}) });
+  if (settingsPath) {
+    const tmpPath = `${settingsPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(next, null, 2), 'utf8');
+    fs.renameSync(tmpPath, settingsPath);
+  }
+  cachedSettings = next;
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(IPC.TERMINAL_SETTINGS_CHANGED, next);
+  }
+  return next;
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48) || 'theme';
+}
+
+/**
+ * Import an .itermcolors or VS Code theme (.json) file and select it
+ * @param {string} filePath
+ * @returns {{id: string, name: string, settings: Object}}
+ */
+function importThemeFile(filePath) {
+  const stat = fs.statSync(filePath);
+  if (!stat.isFile()) {
+    throw new Error('Not a file');
+  }
+  if (stat.size > MAX_THEME_FILE_BYTES) {
+    throw new Error('Theme file is too large');
+  }
+  const text = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  const fallbackName = path.basename(filePath, extension);
+
+  let name = fallbackName;
+  let colors;
+  if (extension === '.itermcolors') {
+    colors = parseItermColors(text);
+  } else if (extension === '.json' || extension === '.jsonc') {
+    const theme = parseVSCodeTheme(text);
+    colors = theme.colors;
+    name = theme.name || fallbackName;
+  } else {
+    throw new Error('Unsupported theme file (expected .itermcolors or VS Code .json)');
+  }
+
+  const current = getSettings();
+  const customThemes = { ...current.customThemes };
+  // Re-importing a theme with the same name replaces it
+  const id = `custom-${slugify(name)}`;
+  if (!customThemes[id] && Object.keys(customThemes).length >= MAX_CUSTOM_THEMES) {
+    throw new Error(`At most ${MAX_CUSTOM_THEMES} imported themes are supported`);
+  }
+  customThemes[id] = { name, colors };
+  const settings = updateSettings({ customThemes, themeId: id });
+  return { id, name, settings };
+}
+
+/**
+ * Delete an imported theme; falls back to the default theme if it was selected
+ */
+function removeCustomTheme(themeId) {
+  const current = getSettings();
+  if (!Object.prototype.hasOwnProperty.call(current.customThemes, themeId)) {
+    throw new Error('Theme not found');
+  }
+  const customThemes = { ...current.customThemes };
+  delete customThemes[themeId];
+  return updateSettings({
+    customThemes,
+    themeId: current.themeId === themeId ? DEFAULT_THEME_ID : current.themeId
+  });
+}
+
+/**
+ * Setup IPC handlers
+ */
+function setupIPC(ipcMain) {
+  ipcMain.handle(IPC.TERMINAL_SETTINGS_GET, () => {
+    return { success: true, settings: getSettings() };
+  });
+
+  ipcMain.handle(IPC.TERMINAL_SETTINGS_UPDATE, (event, changes) => {
+    try {
+      return { success: true, settings: updateSettings(changes) };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.TERMINAL_THEME_REMOVE, (event, themeId) => {
+    try {
+      return { success: true, settings: removeCustomTheme(themeId) };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+module.exports = {
+  init,
+  setupIPC,
+  getSettings,
+  updateSettings,
+  sanitizeSettings,
+  importThemeFile,
+  removeCustomTheme,
+  DEFAULT_SETTINGS
+};
@@ -7,6 +7,7 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { IPC } = require('../shared/ipcChannels');
+const { isValidHostAlias, isValidRemoteCwd } = require('./sshHosts');
 
 const WORKSPACE_DIR = '.frame';
 const WORKSPACE_FILE = 'workspaces.json';
@@ -147,6 +148,120 @@ function updateProjectLastOpened(projectPath) {
   }
 }
 
+/**
+ * Set or clear the SSH host a project's remote terminals open by default.
+ * Kept here rather than in the project's .frame/ since aliases are per machine.
+ * @param {string} projectPath
+ * @param {{host: string, cwd?: string|null}|null} remote
+ */
+function setProjectRemote(projectPath, remote) {
+  const workspace = loadWorkspace();
+  const active = workspace.activeWorkspace;
+
+  const project = workspace.workspaces[active].projects.find(
+    p => p.path === projectPath
+  );
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  if (!remote || !remote.host) {
+    delete project.remote;
+  } else {
+    if (!isValidHostAlias(remote.host)) {
+      throw new Error(`Invalid SSH host: ${remote.host}`);
+    }
+    if (remote.cwd && !isValidRemoteCwd(remote.cwd)) {
+      throw new Error('Invalid remote directory');
+    }
+    project.remote = { host: remote.host, cwd: remote.cwd || null };
+  }
+  saveWorkspace(workspace);
+}
+
+/**
+ * Whether new shells of a project load its .env files. A per-machine opt-in,
+ * so a repository cannot turn it on for itself.
+ * @param {string} projectPath
+ */
+function getProjectLoadDotEnv(projectPath) {
+  const project = getProjects().find(p => p.path === projectPath);
+  return Boolean(project && project.loadDotEnv === true);
+}
+
+/**
+ * Turn loading a project's .env files on or off
+ * @param {string} projectPath
+ * @param {boolean} enabled
+ */
+function setProjectLoadDotEnv(projectPath, enabled) {
+  const workspace = loadWorkspace();
+  const active = workspace.activeWorkspace;
+
+  const project = workspace.workspaces[active].projects.find(
+    p => p.path === projectPath
+  );
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  if (enabled) {
+    project.loadDotEnv = true;
+  } else {
+    delete project.loadDotEnv;
+  }
+  saveWorkspace(workspace);
+}
+
+// What the user approved per project, by kind; each holds a fingerprint of the approved content
+const TRUST_KINDS = ['terminalProfile', 'env'];
+
+/**
+ * Fingerprint of project-provided content the user approved on this machine.
+ * Kept here rather than in the project's .frame/ so a cloned repo cannot trust itself.
+ * @param {string} projectPath
+ * @param {string} kind - One of TRUST_KINDS
+ * @returns {string|null}
+ */
+function getProjectTrust(projectPath, kind) {
+  const project = getProjects().find(p => p.path === projectPath);
+  return (project && project.trust && typeof project.trust[kind] === 'string') ? project.trust[kind] : null;
+}
+
+/**
+ * Record (or with a null fingerprint, revoke) the user's approval of project-provided content
+ * @param {string} projectPath
+ * @param {string} kind - One of TRUST_KINDS
+ * @param {string|null} fingerprint
+ */
+function setProjectTrust(projectPath, kind, fingerprint) {
+  if (!TRUST_KINDS.includes(kind)) {
+    throw new Error(`Unknown trust kind: ${kind}`);
+  }
+  const workspace = loadWorkspace();
+  const active = workspace.activeWorkspace;
+
+  const project = workspace.workspaces[active].projects.find(
+    p => p.path === projectPath
+  );
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  const trust = { ...(project.trust || {}) };
+  if (typeof fingerprint === 'string' && fingerprint) {
+    trust[kind] = fingerprint;
+  } else {
+    delete trust[kind];
+  }
+  if (Object.keys(trust).length > 0) {
+    project.trust = trust;
+  } else {
+    delete project.trust;
+  }
+  saveWorkspace(workspace);
+}
+
 /**
  * Setup IPC handlers
  */
@@ -167,6 +282,17 @@ function setupIPC(ipcMain) {
     const projects = getProjects();
     if (!event.sender.isDestroyed()) event.sender.send(IPC.WORKSPACE_UPDATED, projects);
   });
+
+  ipcMain.handle(IPC.SET_PROJECT_REMOTE, (event, { projectPath, remote }) => {
+    try {
+      setProjectRemote(projectPath, remote);
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+    const projects = getProjects();
+    if (!event.sender.isDestroyed()) event.sender.send(IPC.WORKSPACE_UPDATED, projects);
+    return { success: true };
+  });
 }
 
 module.exports = {
@@ -176,5 +302,10 @@ module.exports = {
   addProject,
   removeProject,
   updateProjectLastOpened,
+  setProjectRemote,
+  getProjectLoadDotEnv,
+  setProjectLoadDotEnv,
+  getProjectTrust,
+  setProjectTrust,
   setupIPC
 };
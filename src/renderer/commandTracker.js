@@ -0,0 +1,298 @@
+/**
+ * Command Tracker Module
+ * Follows shell integration sequences (OSC 133 / OSC 633) to learn where each
+ * command's prompt starts, what was run, and how it exited. Finished commands
+ * get a success/failure mark in the gutter; prompts can be jumped between.
+ * The shell's working directory comes from OSC 633 "Cwd" or OSC 7.
+ */
+
+// Oldest commands are dropped past this many (their markers usually are too)
+const MAX_TRACKED_COMMANDS = 500;
+
+const COMMAND_MARK_TITLES = {
+  success: 'Command succeeded',
+  error: 'Command failed'
+};
+
+/**
+ * Undo the escaping applied by the shell scripts (\\ and \xNN)
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeSequenceValue(value) {
+  return value.replace(/\\(\\|x([0-9a-fA-F]{2}))/g, (match, escaped, hex) => {
+    return hex ? String.fromCharCode(parseInt(hex, 16)) : '\\';
+  });
+}
+
+/**
+ * Whether the host part of a file URI names this machine
+ * @param {string} host - Host from the URI, possibly empty
+ * @param {string|null} [localHostname]
+ * @returns {boolean}
+ */
+function isLocalUriHost(host, localHostname) {
+  const name = host.toLowerCase();
+  if (!name || name === 'localhost') return true;
+  if (!localHostname) return false;
+  const local = localHostname.toLowerCase();
+  // Shells may report the short name or the fully qualified one
+  return name === local || name.split('.')[0] === local.split('.')[0];
+}
+
+/**
+ * Extract the local path from an OSC 7 payload (file://host/path)
+ * Paths on other hosts (an SSH session, a container) are ignored.
+ * @param {string} data
+ * @param {string|null} [localHostname] - This machine's hostname
+ * @returns {string|null}
+ */
+function parseCwdUri(data, localHostname = null) {
+  if (typeof data !== 'string') return null;
+  const match = /^file:\/\/([^/]*)(\/.*)$/.exec(data.trim());
+  if (!match || !isLocalUriHost(match[1], localHostname)) return null;
+  try {
+    let cwd = decodeURIComponent(match[2]);
+    // Windows shells report file:///C:/path
+    if (/^\/[A-Za-z]:\//.test(cwd)) cwd = cwd.slice(1);
+    return cwd;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse the payload of an OSC 133 / OSC 633 sequence
+ * @param {string} data - Everything after "133;" or "633;"
+ * @returns {{type: string, exitCode?: number|null, commandLine?: string, key?: string, value?: string}|null}
+ */
+function parseShellIntegrationSequence(data) {
+  if (typeof data !== 'string' || !data) return null;
+  const [type, ...args] = data.split(';');
+
+  switch (type) {
+    case 'A':
+    case 'B':
+    case 'C':
+      return { type };
+    case 'D': {
+      const exitCode = args.length > 0 && /^-?\d+$/.test(args[0]) ? parseInt(args[0], 10) : null;
+      return { type, exitCode };
+    }
+    case 'E':
+      return { type, commandLine: unescapeSequenceValue(args[0] || '') };
+    case 'P': {
+      const property = args.join(';');
+      const separator = property.indexOf('=');
+      if (separator <= 0) return null;
+      return {
+        type,
+        key: property.slice(0, separator),
+        value: unescapeSequenceValue(property.slice(separator + 1))
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+class CommandTracker {
+  /**
+   * @param {import('@xterm/xterm').Terminal} terminal
+   * @param {Object} [callbacks]
+   * @param {function(Object): void} [callbacks.onCommandStart] - A command line started executing
+   * @param {function(Object): void} [callbacks.onCommandFinished] - A command finished with an exit code
+   * @param {function(): void} [callbacks.onActivated] - The first integration sequence arrived
+   * @param {function(string): void} [callbacks.onCwdChange] - The shell reported a new working directory
+   * @param {Object} [options]
+   * @param {function(): (string|null)} [options.getLocalHostname] - Hostname that OSC 7 URIs must name
+   */
+  constructor(terminal, callbacks = {}, options = {}) {
+    this.terminal = terminal;
+    this.callbacks = callbacks;
+    this.options = options;
+    // True once the shell has reported anything; until then nothing is known
+    this.enabled = false;
+    this.cwd = null;
+    this.commands = []; // [{promptMarker, commandLine, cwd, exitCode, startedAt, finishedAt, decoration}]
+    this._current = null;
+
+    const handler = (data) => this._handleSequence(data);
+    this._disposables = [
+      terminal.parser.registerOscHandler(133, handler),
+      terminal.parser.registerOscHandler(633, handler),
+      terminal.parser.registerOscHandler(7, (data) => {
+        const hostname = this.options.getLocalHostname ? this.options.getLocalHostname() : null;
+        const cwd = parseCwdUri(data, hostname);
+        if (cwd) this._setCwd(cwd);
+        return true;
+      })
+    ];
+  }
+
+  /**
+   * Most recent command that finished, if any
+   */
+  getLastFinishedCommand() {
+    for (let i = this.commands.length - 1; i >= 0; i--) {
+      if (this.commands[i].finishedAt) return this.commands[i];
+    }
+    return null;
+  }
+
+  /**
+   * Scroll so the previous command prompt above the viewport top is the first line
+   * @returns {boolean} Whether there was a prompt to jump to
+   */
+  scrollToPreviousCommand() {
+    const top = this.terminal.buffer.active.viewportY;
+    const lines = this._getPromptLines();
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (lines[i] < top) {
+        this.terminal.scrollToLine(lines[i]);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Scroll to the next command prompt below the viewport top, or to the bottom
+   * @returns {boolean} Whether the viewport moved
+   */
+  scrollToNextCommand() {
+    const buffer = this.terminal.buffer.active;
+    const top = buffer.viewportY;
+    const next = this._getPromptLines().find((line) => line > top);
+    if (next !== undefined && next <= buffer.baseY) {
+      this.terminal.scrollToLine(next);
+      return true;
+    }
+    if (top < buffer.baseY) {
+      this.terminal.scrollToBottom();
+      return true;
+    }
+    return false;
+  }
+
+  dispose() {
+    this._disposables.forEach((disposable) => disposable.dispose());
+    this._disposables = [];
+    this.commands.forEach((command) => this._disposeCommand(command));
+    this.commands = [];
+    this._current = null;
+  }
+
+  _getPromptLines() {
+    return this.commands
+      .filter((command) => !command.promptMarker.isDisposed && command.promptMarker.line >= 0)
+      .map((command) => command.promptMarker.line);
+  }
+
+  _handleSequence(data) {
+    const sequence = parseShellIntegrationSequence(data);
+    if (!sequence) return false;
+
+    if (!this.enabled) {
+      this.enabled = true;
+      if (this.callbacks.onActivated) this.callbacks.onActivated();
+    }
+
+    switch (sequence.type) {
+      case 'A':
+        this._startPrompt();
+        break;
+      case 'E':
+        if (this._current) this._current.commandLine = sequence.commandLine;
+        break;
+      case 'C':
+        if (this._current && !this._current.startedAt) {
+          this._current.startedAt = Date.now();
+          if (this.callbacks.onCommandStart) this.callbacks.onCommandStart(this._current);
+        }
+        break;
+      case 'D':
+        this._finishCommand(sequence.exitCode);
+        break;
+      case 'P':
+        if (sequence.key === 'Cwd' && sequence.value) {
+          this._setCwd(sequence.value);
+        }
+        break;
+      default:
+        break;
+    }
+    return true;
+  }
+
+  _setCwd(cwd) {
+    if (cwd === this.cwd) return;
+    this.cwd = cwd;
+    if (this.callbacks.onCwdChange) this.callbacks.onCwdChange(cwd);
+  }
+
+  _startPrompt() {
+    // A prompt that was abandoned (Ctrl+C, empty line) is replaced, not kept
+    if (this._current && !this._current.startedAt) {
+      this._removeCommand(this._current);
+    }
+
+    const promptMarker = this.terminal.registerMarker(0);
+    if (!promptMarker) {
+      this._current = null;
+      return;
+    }
+
+    this._current = {
+      promptMarker,
+      commandLine: '',
+      cwd: this.cwd,
+      exitCode: null,
+      startedAt: 0,
+      finishedAt: 0,
+      decoration: null
+    };
+    this.commands.push(this._current);
+    while (this.commands.length > MAX_TRACKED_COMMANDS) {
+      this._disposeCommand(this.commands.shift());
+    }
+  }
+
+  _finishCommand(exitCode) {
+    const command = this._current;
+    if (!command || !command.startedAt || command.finishedAt) return;
+    command.finishedAt = Date.now();
+    command.exitCode = exitCode;
+    this._current = null;
+    this._addMark(command);
+    if (this.callbacks.onCommandFinished) this.callbacks.onCommandFinished(command);
+  }
+
+  _addMark(command) {
+    if (command.promptMarker.isDisposed || command.exitCode === null) return;
+    const decoration = this.terminal.registerDecoration({ marker: command.promptMarker, width: 1 });
+    if (!decoration) return;
+
+    const status = command.exitCode === 0 ? 'success' : 'error';
+    decoration.onRender((element) => {
+      element.classList.add('terminal-command-mark', status);
+      element.title = command.exitCode === 0
+        ? COMMAND_MARK_TITLES.success
+        : `${COMMAND_MARK_TITLES.error} (exit ${command.exitCode})`;
+    });
+    command.decoration = decoration;
+  }
+
+  _removeCommand(command) {
+    const index = this.commands.indexOf(command);
+    if (index !== -1) this.commands.splice(index, 1);
+    this._disposeCommand(command);
+  }
+
+  _disposeCommand(command) {
+    if (command.decoration) command.decoration.dispose();
+    command.promptMarker.dispose();
+  }
+}
+
+module.exports = { CommandTracker, parseShellIntegrationSequence, parseCwdUri, unescapeSequenceValue };
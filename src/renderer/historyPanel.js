@@ -1,10 +1,16 @@
 /**
  * History Panel Module
- * Toggle, load, render prompt history
+ * Toggle, load, search and filter prompt history; re-send, copy or save entries,
+ * purge entries and edit retention settings
  */
 
 const { ipcRenderer } = require('./electronBridge');
 const { IPC } = require('../shared/ipcChannels');
+const state = require('./state');
+const savedPromptsPanel = require('./savedPromptsPanel');
+const historyRetentionModal = require('./historyRetentionModal');
+const { writeClipboardText } = require('./clipboardWrite');
+const { createToast } = require('./toast');
 const { registerPanel, showPanel, hidePanel, togglePanel } = require('./panelCoordinator');
 
 let historyPanel = null;
@@ -12,9 +18,22 @@ let historyContent = null;
 let historyVisible = false;
 let onToggleCallback = null;
 let lastHistoryToggleAt = 0;
+let nextCursor = null;
+let loadToken = 0;
+let searchTimer = null;
+let lastDayKey = null;
+let matchedCount = 0;
+let toast = null;
+const renderedEntries = new Map();
+const filterInputs = {};
 
 const PANEL_ID = 'history';
 const HISTORY_TOGGLE_DEDUP_MS = 150;
+const HISTORY_PAGE_SIZE = 200;
+const SEARCH_DEBOUNCE_MS = 200;
+const SAVED_TITLE_LENGTH = 60;
+const GLOBAL_PROJECT_VALUE = '__global__';
+const NO_TOOL_VALUE = 'none';
 
 /**
  * Initialize history panel
@@ -23,6 +42,17 @@ function init(panelId, contentId, onToggle) {
   historyPanel = document.getElementById(panelId);
   historyContent = document.getElementById(contentId);
   onToggleCallback = onToggle;
+  if (historyPanel) toast = createToast(historyPanel);
+
+  setupFilters();
+  historyContent?.addEventListener('click', handleEntryAction);
+  document.getElementById('history-purge-btn')?.addEventListener('click', purgeMatching);
+  document.getElementById('history-retention-btn')?.addEventListener('click', () => {
+    historyRetentionModal.open((removed) => {
+      toast?.show(removed > 0 ? `Retention settings saved, ${formatCount(removed)} removed` : 'Retention settings saved', 'success');
+      if (removed > 0 && historyVisible) loadPromptHistory();
+    });
+  });
 
   registerPanel(PANEL_ID, {
     show: showHistoryPanelRaw,
@@ -83,58 +113,371 @@ function toggleHistoryPanel() {
 }
 
 /**
- * Load prompt history from file
+ * Wire the search box and filter selects; any change reloads from the newest entry
  */
-function loadPromptHistory() {
-  ipcRenderer.send(IPC.LOAD_PROMPT_HISTORY);
+function setupFilters() {
+  const ids = {
+    query: 'history-search',
+    project: 'history-filter-project',
+    terminal: 'history-filter-terminal',
+    tool: 'history-filter-tool',
+    from: 'history-filter-from',
+    to: 'history-filter-to'
+  };
+  for (const [key, id] of Object.entries(ids)) {
+    const input = /** @type {HTMLInputElement|HTMLSelectElement|null} */ (document.getElementById(id));
+    if (!input) continue;
+    filterInputs[key] = input;
+    if (key === 'query') {
+      input.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(loadPromptHistory, SEARCH_DEBOUNCE_MS);
+      });
+      input.addEventListener('keydown', (/** @type {KeyboardEvent} */ e) => {
+        if (e.key === 'Escape' && input.value) {
+          e.stopPropagation();
+          input.value = '';
+          loadPromptHistory();
+        }
+      });
+    } else {
+      input.addEventListener('change', loadPromptHistory);
+    }
+  }
+}
+
+// Start of a YYYY-MM-DD date input's day in local time, as epoch ms
+function parseDateInput(value, dayOffset = 0) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return undefined;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + dayOffset).getTime();
+}
+
+/**
+ * Current filter values in the shape promptLogger expects
+ */
+function getFilter() {
+  const value = (key) => (filterInputs[key] ? filterInputs[key].value : '');
+  const filter = {};
+  if (value('query').trim()) filter.query = value('query').trim();
+  const project = value('project');
+  if (project) filter.projectPath = project === GLOBAL_PROJECT_VALUE ? null : project;
+  if (value('terminal')) filter.terminalName = value('terminal');
+  if (value('tool')) filter.aiTool = value('tool');
+  const since = parseDateInput(value('from'));
+  if (since !== undefined) filter.since = since;
+  // The "to" day is included, so stop at the start of the next one
+  const until = parseDateInput(value('to'), 1);
+  if (until !== undefined) filter.until = until;
+  return filter;
+}
+
+function hasActiveFilter() {
+  return Object.keys(getFilter()).length > 0;
+}
+
+function fillSelect(select, allLabel, options) {
+  if (!select) return;
+  const current = select.value;
+  select.textContent = '';
+  const all = document.createElement('option');
+  all.value = '';
+  all.textContent = allLabel;
+  select.appendChild(all);
+  for (const { value, label } of options) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  // Keep a selection even when no entry carries it any more
+  select.value = current;
+  if (select.value !== current) select.value = '';
 }
 
 /**
- * Render prompt history data
+ * Rebuild the project, terminal and tool selects from the values in the history
  */
-function renderPromptHistory(historyData) {
-  historyContent.innerHTML = '';
+function renderFacets(facets) {
+  if (!facets) return;
+  const projects = facets.projects.map(projectPath => ({ value: projectPath, label: getProjectName(projectPath) }));
+  if (facets.hasGlobal) projects.unshift({ value: GLOBAL_PROJECT_VALUE, label: 'Global terminals' });
+  fillSelect(filterInputs.project, 'All projects', projects);
+  fillSelect(filterInputs.terminal, 'All terminals', facets.terminals.map(name => ({ value: name, label: name })));
+  fillSelect(filterInputs.tool, 'Any tool', [
+    ...facets.aiTools.map(tool => ({ value: tool, label: tool })),
+    { value: NO_TOOL_VALUE, label: 'No AI tool' }
+  ]);
+}
+
+/**
+ * Load the newest page of prompt history
+ */
+function loadPromptHistory() {
+  clearTimeout(searchTimer);
+  nextCursor = null;
+  return loadPage(null);
+}
 
-  if (!historyData || historyData.trim() === '') {
-    historyContent.innerHTML = '<div class="history-empty-state">No history yet</div>';
+async function loadPage(before) {
+  if (!historyContent) return;
+  const token = ++loadToken;
+  const firstPage = before === null;
+  let response;
+  try {
+    response = await ipcRenderer.invoke(IPC.PROMPT_HISTORY_PAGE, {
+      before,
+      limit: HISTORY_PAGE_SIZE,
+      filter: getFilter(),
+      includeFacets: firstPage
+    });
+  } catch (err) {
+    response = { success: false, error: err.message };
+  }
+  // A newer load (reopened panel, changed filter) replaced this one
+  if (token !== loadToken) return;
+
+  if (firstPage) {
+    historyContent.innerHTML = '';
+    renderedEntries.clear();
+    lastDayKey = null;
+  }
+  historyContent.querySelector('.history-load-more')?.remove();
+
+  if (!response || !response.success) {
+    console.error('Failed to load prompt history:', response && response.error);
+    if (firstPage) {
+      historyContent.innerHTML = '<div class="history-empty-state">Could not load history</div>';
+    }
     return;
   }
 
-  const lines = historyData.trim().split('\n');
+  if (firstPage) {
+    renderFacets(response.facets);
+    matchedCount = response.matched;
+  }
+
+  if (firstPage && response.entries.length === 0) {
+    const message = response.total > 0 && hasActiveFilter() ? 'No matching prompts' : 'No history yet';
+    historyContent.innerHTML = `<div class="history-empty-state">${message}</div>`;
+    return;
+  }
+
+  renderEntries(response.entries);
+  nextCursor = response.nextCursor;
+  if (nextCursor !== null) {
+    const more = document.createElement('button');
+    more.type = 'button';
+    more.className = 'history-load-more';
+    more.textContent = 'Load older';
+    more.addEventListener('click', () => {
+      more.disabled = true;
+      loadPage(nextCursor);
+    });
+    historyContent.appendChild(more);
+  }
+}
+
+function getProjectName(projectPath) {
+  return projectPath.split(/[\\/]/).filter(Boolean).pop() || projectPath;
+}
+
+/**
+ * Short description of where an entry was typed: project, terminal and AI tool
+ */
+function describeEntrySource(entry) {
+  const parts = [];
+  if (entry.projectPath) parts.push(getProjectName(entry.projectPath));
+  if (entry.terminalName) parts.push(entry.terminalName);
+  if (entry.aiTool) parts.push(entry.aiTool);
+  return parts.join(' · ');
+}
+
+function getDayKey(date) {
+  return `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+}
+
+/**
+ * Day header label: Today, Yesterday or the date
+ */
+function formatDay(date) {
+  const today = new Date();
+  const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+  if (getDayKey(date) === getDayKey(today)) return 'Today';
+  if (getDayKey(date) === getDayKey(yesterday)) return 'Yesterday';
+  return date.toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+const ACTION_ICONS = {
+  rerun: '<polygon points="5 3 19 12 5 21 5 3"/>',
+  copy: '<rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>',
+  save: '<path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/>'
+};
+
+function createActionButton(action, title) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'history-action-btn';
+  button.dataset.action = action;
+  button.title = title;
+  button.setAttribute('aria-label', title);
+  button.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${ACTION_ICONS[action]}</svg>`;
+  return button;
+}
+
+/**
+ * Append history entries (newest first) to the panel, under a header per day
+ */
+function renderEntries(entries) {
+  entries.forEach(entry => {
+    const date = new Date(entry.timestamp);
+    const validDate = !Number.isNaN(date.getTime());
+    const dayKey = validDate ? getDayKey(date) : 'unknown';
+    if (dayKey !== lastDayKey) {
+      const header = document.createElement('div');
+      header.className = 'history-day-header';
+      header.textContent = validDate ? formatDay(date) : 'Unknown date';
+      historyContent.appendChild(header);
+      lastDayKey = dayKey;
+    }
 
-  // Reverse to show newest first
-  lines.reverse().forEach(line => {
-    const match = line.match(/\[(.*?)\]\s+(.*)/);
-    if (match) {
-      const timestamp = match[1];
-      const command = match[2];
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.dataset.entryId = String(entry.id);
+    renderedEntries.set(String(entry.id), entry);
 
-      const item = document.createElement('div');
-      item.className = 'history-item';
+    const top = document.createElement('div');
+    top.className = 'history-item-top';
 
-      const ts = document.createElement('div');
-      ts.className = 'history-timestamp';
-      ts.textContent = new Date(timestamp).toLocaleString();
+    const ts = document.createElement('div');
+    ts.className = 'history-timestamp';
+    ts.textContent = validDate ? date.toLocaleTimeString() : '';
+    if (validDate) ts.title = date.toLocaleString();
 
-      const cmd = document.createElement('div');
-      cmd.className = 'history-command';
-      cmd.textContent = command;
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    actions.appendChild(createActionButton('rerun', 'Send to active terminal'));
+    actions.appendChild(createActionButton('copy', 'Copy to clipboard'));
+    actions.appendChild(createActionButton('save', 'Save as prompt'));
 
-      item.appendChild(ts);
-      item.appendChild(cmd);
-      historyContent.appendChild(item);
+    top.appendChild(ts);
+    top.appendChild(actions);
+
+    const cmd = document.createElement('div');
+    cmd.className = 'history-command';
+    cmd.textContent = entry.text;
+
+    item.appendChild(top);
+    item.appendChild(cmd);
+
+    const source = describeEntrySource(entry);
+    if (source) {
+      const meta = document.createElement('div');
+      meta.className = 'history-source';
+      meta.textContent = source;
+      if (entry.cwd) meta.title = entry.cwd;
+      item.appendChild(meta);
     }
+    historyContent.appendChild(item);
   });
 }
 
+/**
+ * Handle clicks on an entry's re-run, copy and save buttons
+ */
+async function handleEntryAction(e) {
+  const button = /** @type {HTMLElement|null} */ (/** @type {HTMLElement} */ (e.target).closest('.history-action-btn'));
+  if (!button) return;
+  const item = /** @type {HTMLElement|null} */ (button.closest('.history-item'));
+  const entry = item ? renderedEntries.get(item.dataset.entryId) : null;
+  if (!entry) return;
+
+  if (button.dataset.action === 'rerun') {
+    // Pasted through the terminal's safety checks and left for the user to run,
+    // so redacted values can be filled in first
+    const onSent = () => {
+      if (entry.text.includes('[REDACTED]')) {
+        toast?.show('Pasted into terminal; replace [REDACTED] before running', 'info');
+      } else {
+        toast?.show('Pasted into terminal; press Enter to run', 'success');
+      }
+    };
+    const sent = typeof window.terminalSendPrompt === 'function' &&
+      window.terminalSendPrompt(entry.text, null, { submit: false, onSent });
+    if (!sent) {
+      toast?.show('No active terminal', 'error');
+    }
+  } else if (button.dataset.action === 'copy') {
+    const copied = await writeClipboardText(entry.text);
+    toast?.show(copied ? 'Copied to clipboard' : 'Failed to copy', copied ? 'success' : 'error');
+  } else if (button.dataset.action === 'save') {
+    const firstLine = entry.text.trim().split('\n')[0];
+    savedPromptsPanel.openAddPrompt({
+      title: firstLine.length > SAVED_TITLE_LENGTH ? `${firstLine.slice(0, SAVED_TITLE_LENGTH - 1)}…` : firstLine,
+      content: entry.text,
+      scope: entry.projectPath && entry.projectPath === state.getProjectPath() ? 'project' : 'global'
+    });
+  }
+}
+
+function formatCount(count) {
+  return `${count} ${count === 1 ? 'entry' : 'entries'}`;
+}
+
+/**
+ * Permanently remove history entries matching a filter, after confirming
+ * @param {Object} filter - Same shape as getFilter()
+ * @param {string} description - What is being purged, for the confirmation
+ * @param {function(string, string): void} notify - Shows the outcome (message, toast type)
+ * @returns {Promise<boolean>} Whether the purge ran
+ */
+async function purgeHistory(filter, description, notify) {
+  if (!window.confirm(`Permanently delete ${description} from prompt history?\n\nThis cannot be undone.`)) return false;
+  let response;
+  try {
+    response = await ipcRenderer.invoke(IPC.PROMPT_HISTORY_PURGE, filter);
+  } catch (err) {
+    response = { success: false, error: err.message };
+  }
+  if (!response || !response.success) {
+    notify((response && response.error) || 'Failed to purge history', 'error');
+    return false;
+  }
+  notify(`Purged ${formatCount(response.removed)}`, 'success');
+  if (historyVisible) loadPromptHistory();
+  return true;
+}
+
+/**
+ * Purge the entries the search and filters currently show
+ */
+function purgeMatching() {
+  if (!hasActiveFilter()) {
+    toast?.show('Search or filter first to choose what to purge', 'info');
+    return;
+  }
+  if (matchedCount === 0) {
+    toast?.show('No matching entries', 'info');
+    return;
+  }
+  purgeHistory(getFilter(), `${formatCount(matchedCount)} matching the current filters`, (message, type) => toast?.show(message, type));
+}
+
+/**
+ * Purge every entry typed in a project's terminals
+ * @param {{path: string, name?: string}} project
+ * @param {function(string, string): void} notify - Shows the outcome (message, toast type)
+ */
+function purgeProjectHistory(project, notify) {
+  if (!project || !project.path) return Promise.resolve(false);
+  const name = project.name || getProjectName(project.path);
+  return purgeHistory({ projectPath: project.path }, `all history for "${name}"`, notify);
+}
+
 /**
  * Setup IPC listeners
  */
 function setupIPC() {
-  ipcRenderer.on(IPC.PROMPT_HISTORY_DATA, (event, data) => {
-    renderPromptHistory(data);
-  });
-
   ipcRenderer.on(IPC.TOGGLE_HISTORY_PANEL, () => {
     toggleHistoryPanel();
   });
@@ -146,5 +489,6 @@ module.exports = {
   showHistoryPanel,
   hideHistoryPanel,
   toggleHistoryPanel,
-  loadPromptHistory
+  loadPromptHistory,
+  purgeProjectHistory
 };
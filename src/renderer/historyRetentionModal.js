@@ -0,0 +1,117 @@
+/**
+ * Prompt History Retention Modal
+ * Edits how long prompt history is kept, its size cap, excluded projects and ignore patterns
+ */
+
+const { ipcRenderer } = require('./electronBridge');
+const { IPC } = require('../shared/ipcChannels');
+const { createToast } = require('./toast');
+
+let modal = null;
+let maxAgeInput = null;
+let maxSizeInput = null;
+let excludedInput = null;
+let patternsInput = null;
+let saveBtn = null;
+let toast = null;
+
+let isOpen = false;
+let onSavedCallback = null;
+
+function init() {
+  modal = document.getElementById('history-retention-modal');
+  if (!modal) return;
+
+  maxAgeInput = /** @type {HTMLInputElement} */ (modal.querySelector('#history-retention-max-age'));
+  maxSizeInput = /** @type {HTMLInputElement} */ (modal.querySelector('#history-retention-max-size'));
+  excludedInput = /** @type {HTMLTextAreaElement} */ (modal.querySelector('#history-retention-excluded'));
+  patternsInput = /** @type {HTMLTextAreaElement} */ (modal.querySelector('#history-retention-patterns'));
+  saveBtn = /** @type {HTMLButtonElement} */ (modal.querySelector('#history-retention-save'));
+  toast = createToast(modal.querySelector('.modal-container'));
+
+  modal.querySelector('#history-retention-modal-close').addEventListener('click', closeModal);
+  modal.querySelector('#history-retention-cancel').addEventListener('click', closeModal);
+  saveBtn.addEventListener('click', save);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (isOpen && e.key === 'Escape') closeModal();
+  });
+}
+
+// Blank lines are skipped; whitespace inside a pattern line is kept
+function splitLines(text) {
+  return text.split('\n').map(line => line.replace(/\r$/, '')).filter(line => line.trim());
+}
+
+/**
+ * Open the modal with the current settings
+ * @param {function(number): void} [onSaved] - Called with the number of entries the new limits removed
+ */
+async function openModal(onSaved) {
+  if (!modal) return;
+  onSavedCallback = onSaved || null;
+  isOpen = true;
+  saveBtn.disabled = true;
+  modal.classList.add('visible');
+
+  try {
+    const response = await ipcRenderer.invoke(IPC.PROMPT_HISTORY_RETENTION_GET);
+    if (!isOpen) return;
+    if (!response || !response.success) {
+      toast.show((response && response.error) || 'Failed to load retention settings', 'error');
+      return;
+    }
+    const settings = response.settings;
+    maxAgeInput.value = settings.maxAgeDays ? String(settings.maxAgeDays) : '';
+    maxSizeInput.value = settings.maxSizeMB ? String(settings.maxSizeMB) : '';
+    excludedInput.value = settings.excludedProjects.join('\n');
+    patternsInput.value = settings.ignorePatterns.join('\n');
+    saveBtn.disabled = false;
+    maxAgeInput.focus();
+  } catch (err) {
+    toast.show(`Failed to load retention settings: ${err.message}`, 'error');
+  }
+}
+
+function closeModal() {
+  if (!modal) return;
+  isOpen = false;
+  onSavedCallback = null;
+  modal.classList.remove('visible');
+}
+
+async function save() {
+  if (!isOpen || saveBtn.disabled) return;
+  const changes = {
+    maxAgeDays: Number(maxAgeInput.value) || 0,
+    maxSizeMB: Number(maxSizeInput.value) || 0,
+    excludedProjects: splitLines(excludedInput.value),
+    ignorePatterns: splitLines(patternsInput.value)
+  };
+
+  saveBtn.disabled = true;
+  try {
+    const response = await ipcRenderer.invoke(IPC.PROMPT_HISTORY_RETENTION_UPDATE, changes);
+    if (!isOpen) return;
+    if (!response || !response.success) {
+      toast.show((response && response.error) || 'Failed to save retention settings', 'error');
+      return;
+    }
+    const onSaved = onSavedCallback;
+    closeModal();
+    if (onSaved) onSaved(response.removed || 0);
+  } catch (err) {
+    toast.show(`Failed to save retention settings: ${err.message}`, 'error');
+  } finally {
+    saveBtn.disabled = false;
+  }
+}
+
+module.exports = {
+  init,
+  open: openModal,
+  close: closeModal
+};
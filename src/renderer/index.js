@@ -15,6 +15,12 @@ const sidebarResize = require('./sidebarResize');
 const aiToolSelector = require('./aiToolSelector');
 const savedPromptsPanel = require('./savedPromptsPanel');
 const updaterModal = require('./updaterModal');
+const terminalSettingsModal = require('./terminalSettingsModal');
+const projectEnvModal = require('./projectEnvModal');
+const projectRemoteModal = require('./projectRemoteModal');
+const historyRetentionModal = require('./historyRetentionModal');
+const promptTemplateModal = require('./promptTemplateModal');
+const promptQuickPicker = require('./promptQuickPicker');
 const { createToast } = require('./toast');
 const { ipcRenderer, pathApi } = require('./electronBridge');
 const { IPC } = require('../shared/ipcChannels');
@@ -113,14 +119,14 @@ function init() {
   // Connect terminal file path links to editor
   const manager = terminal.getTerminal();
   if (manager) {
-    manager.onFilePathActivate = (filePath, line, col) => {
-      const projectPath = state.getProjectPath();
-      if (!projectPath) return;
+    manager.onFilePathActivate = (filePath, line, col, cwd) => {
+      const baseDir = cwd || state.getProjectPath();
+      if (!baseDir) return;
 
-      // Resolve path: strip leading ./ then join with project path if relative
+      // Resolve path: strip leading ./ then join with the terminal's cwd if relative
       let resolved = filePath.replace(/^\.\//, '');
       if (!resolved.startsWith('/')) {
-        resolved = pathApi.join(projectPath, resolved);
+        resolved = pathApi.join(baseDir, resolved);
       }
 
       editor.openFile(resolved, 'terminal', { line, col });
@@ -148,6 +154,16 @@ function init() {
   // Initialize updater modal
   try { updaterModal.init(); } catch (err) { console.error('Failed to initialize updater modal:', err); }
 
+  // Initialize terminal settings modal
+  try { terminalSettingsModal.init(); } catch (err) { console.error('Failed to initialize terminal settings modal:', err); }
+
+  // Initialize project environment modal
+  try { projectEnvModal.init(); } catch (err) { console.error('Failed to initialize project environment modal:', err); }
+  try { projectRemoteModal.init(); } catch (err) { console.error('Failed to initialize project remote host modal:', err); }
+  try { historyRetentionModal.init(); } catch (err) { console.error('Failed to initialize history retention modal:', err); }
+  try { promptTemplateModal.init(); } catch (err) { console.error('Failed to initialize prompt template modal:', err); }
+  try { promptQuickPicker.init(); } catch (err) { console.error('Failed to initialize prompt quick picker:', err); }
+
   // Initialize sidebar resize
   try {
     sidebarResize.init(() => {
@@ -373,6 +389,11 @@ function setupKeyboardShortcuts() {
       e.preventDefault();
       savedPromptsPanel.toggle();
     }
+    // Ctrl/Cmd+Alt+P - Prompt quick picker (by code: Option+P types a character on macOS)
+    if (modKey && e.altKey && !e.shiftKey && e.code === 'KeyP') {
+      e.preventDefault();
+      promptQuickPicker.toggle();
+    }
   });
 }
 
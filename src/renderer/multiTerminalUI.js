@@ -13,12 +13,13 @@ class MultiTerminalUI {
     this.tabBar = null;
     this.grid = null;
     this.contentContainer = null;
+    this.broadcastBanner = null;
     this.initialized = false;
     this.autoCreateInitialTerminal = true; // Flag to control initial terminal creation
     this._terminalCreationQueue = Promise.resolve(); // Serialize terminal creation requests
     this._renderScheduled = false; // Debounce flag for render
     this._pendingState = null; // Pending state for debounced render
-    this._mountedTerminalId = null; // Track currently mounted terminal to avoid unnecessary re-mounts
+    this._mountedTabKey = null; // Track currently mounted tab layout to avoid unnecessary re-mounts
     this._lastViewMode = 'tabs'; // Track last rendered view mode
 
     this._setup();
@@ -39,7 +40,19 @@ class MultiTerminalUI {
     this.contentContainer = document.createElement('div');
     this.contentContainer.className = 'terminal-content';
 
+    // Always-visible notice while keystrokes are being mirrored
+    this.broadcastBanner = document.createElement('div');
+    this.broadcastBanner.className = 'terminal-broadcast-banner';
+    this.broadcastBanner.innerHTML = `
+      <span class="terminal-broadcast-label"></span>
+      <button class="terminal-broadcast-stop" title="Stop Broadcasting (Ctrl/Cmd+Shift+A)">Stop</button>
+    `;
+    this.broadcastBanner.querySelector('.terminal-broadcast-stop').addEventListener('click', () => {
+      this.manager.setBroadcastEnabled(false);
+    });
+
     this.container.appendChild(tabBarContainer);
+    this.container.appendChild(this.broadcastBanner);
     this.container.appendChild(this.contentContainer);
 
     // Initialize components
@@ -52,9 +65,12 @@ class MultiTerminalUI {
     // Setup keyboard shortcuts
     this._setupKeyboardShortcuts();
 
-    // Create first terminal (global terminal for initial state)
+    // Restore global terminals from the last session, or create the first one
     if (this.autoCreateInitialTerminal) {
-      this.manager.createTerminal({ projectPath: null }).then(() => {
+      this.manager.restoreSavedTerminals(null).then((restored) => {
+        if (restored > 0) return null;
+        return this.manager.createTerminal({ projectPath: null });
+      }).then(() => {
         this.initialized = true;
       }).catch((err) => {
         console.error('Failed to create initial terminal:', err);
@@ -140,6 +156,7 @@ class MultiTerminalUI {
         const s = this._pendingState;
         // Update tab bar
         this.tabBar.update(s);
+        this._updateBroadcastBanner(s);
         // Render based on view mode
         if (s.viewMode === 'tabs') {
           this._renderTabView(s);
@@ -150,15 +167,23 @@ class MultiTerminalUI {
     }
   }
 
+  _updateBroadcastBanner(state) {
+    this.broadcastBanner.classList.toggle('visible', !!state.broadcastEnabled);
+    this.broadcastBanner.querySelector('.terminal-broadcast-label').textContent = state.broadcastEnabled
+      ? `Broadcasting input to ${state.broadcastCount} terminals`
+      : '';
+  }
+
   /**
    * Render tab view (single terminal)
    * Optimized: only re-mounts the terminal when the active terminal actually changes,
    * avoiding unnecessary DOM teardown/rebuild.
    */
   _renderTabView(state) {
-    const activeChanged = this._mountedTerminalId !== state.activeTerminalId;
+    const tabKey = this.manager.getTabLayoutKey(state.activeTabId);
+    const activeChanged = this._mountedTabKey !== tabKey;
     const viewModeChanged = this._lastViewMode !== 'tabs';
-    const becameEmpty = state.terminals.length === 0 && this._mountedTerminalId !== null;
+    const becameEmpty = state.terminals.length === 0 && this._mountedTabKey !== null;
     const needsRemount = activeChanged || viewModeChanged || becameEmpty;
 
     this._lastViewMode = 'tabs';
@@ -194,15 +219,15 @@ class MultiTerminalUI {
         </div>
       `;
       contentArea.appendChild(emptyState);
-      this._mountedTerminalId = null;
+      this._mountedTabKey = null;
       return;
     }
 
-    // Mount only active terminal
-    if (state.activeTerminalId) {
-      this.manager.mountTerminal(state.activeTerminalId, contentArea);
+    // Mount only the active tab (a single terminal or its split panes)
+    if (state.activeTabId) {
+      this.manager.mountTab(state.activeTabId, contentArea);
     }
-    this._mountedTerminalId = state.activeTerminalId;
+    this._mountedTabKey = tabKey;
     // mountTerminal handles its own fit/scroll timing
   }
 
@@ -210,10 +235,10 @@ class MultiTerminalUI {
    * Render grid view (multiple terminals)
    */
   _renderGridView(state) {
-    this._mountedTerminalId = null; // Reset so tabs will re-mount when switching back
+    this._mountedTabKey = null; // Reset so tabs will re-mount when switching back
     this._lastViewMode = 'grid';
     this.contentContainer.className = 'terminal-content grid-view';
-    this.grid.render(state.terminals, state.gridLayout);
+    this.grid.render(state.terminals, state.gridLayout, state.broadcastEnabled);
 
     // Fit after render
     setTimeout(() => this.manager.fitAll(), 50);
@@ -235,18 +260,38 @@ class MultiTerminalUI {
         });
       }
 
-      // Ctrl/Cmd+Shift+W - Close current terminal
+      // Ctrl/Cmd+Shift+W - Close current terminal (or split pane)
       if (modKey && e.shiftKey && key === 'w') {
         e.preventDefault();
-        if (this.manager.activeTerminalId) {
-          // Allow closing if there are other terminals in the current project
+        const activeId = this.manager.activeTerminalId;
+        if (activeId) {
+          // Allow closing if there are other terminals or panes in the current project
           const projectTerminals = this.manager.getTerminalStates();
-          if (projectTerminals.length > 1) {
-            this.manager.closeTerminal(this.manager.activeTerminalId);
+          const isSplit = this.manager.getTabTerminalIds(this.manager.getTabId(activeId)).length > 1;
+          if (projectTerminals.length > 1 || isSplit) {
+            this.manager.closeTerminal(activeId);
           }
         }
       }
 
+      // Ctrl/Cmd+Shift+D - Split active pane right
+      // Ctrl/Cmd+Shift+- - Split active pane down
+      const isSplitRight = modKey && e.shiftKey && !e.altKey && key === 'd';
+      const isSplitDown = modKey && e.shiftKey && !e.altKey && (e.code === 'Minus' || e.key === '_');
+      if ((isSplitRight || isSplitDown) && this.manager.activeTerminalId) {
+        e.preventDefault();
+        this.manager.splitTerminal(this.manager.activeTerminalId, isSplitRight ? 'row' : 'column')
+          .catch(err => console.error('Split failed:', err));
+      }
+
+      // Ctrl/Cmd+Alt+Arrow - Move focus between split panes
+      if (modKey && e.altKey && !e.shiftKey && e.key.startsWith('Arrow')) {
+        const direction = { ArrowLeft: 'left', ArrowRight: 'right', ArrowUp: 'up', ArrowDown: 'down' }[e.key];
+        if (direction && this.manager.focusPane(direction)) {
+          e.preventDefault();
+        }
+      }
+
       // Ctrl/Cmd+Tab - Next terminal
       if (modKey && e.key === 'Tab' && !e.shiftKey) {
         e.preventDefault();
@@ -265,10 +310,16 @@ class MultiTerminalUI {
         const index = e.key === '0' ? 9 : parseInt(e.key, 10) - 1;
         const terminals = this.manager.getTerminalStates();
         if (index < terminals.length) {
-          this.manager.setActiveTerminal(terminals[index].id);
+          this.manager.activateTab(terminals[index].id);
         }
       }
 
+      // Ctrl/Cmd+Shift+A - Toggle broadcast input
+      if (modKey && e.shiftKey && !e.altKey && key === 'a') {
+        e.preventDefault();
+        this.manager.setBroadcastEnabled(!this.manager.broadcastEnabled);
+      }
+
       // Ctrl/Cmd+Shift+L - Toggle grid view
       if (modKey && e.shiftKey && key === 'l') {
         e.preventDefault();
@@ -285,14 +336,15 @@ class MultiTerminalUI {
     const terminals = this.manager.getTerminalStates();
     if (terminals.length <= 1) return;
 
-    const currentIndex = terminals.findIndex(t => t.id === this.manager.activeTerminalId);
+    const activeTabId = this.manager.getTabId(this.manager.activeTerminalId);
+    const currentIndex = terminals.findIndex(t => t.id === activeTabId);
     let newIndex = currentIndex + direction;
 
     // Wrap around
     if (newIndex < 0) newIndex = terminals.length - 1;
     if (newIndex >= terminals.length) newIndex = 0;
 
-    this.manager.setActiveTerminal(terminals[newIndex].id);
+    this.manager.activateTab(terminals[newIndex].id);
   }
 
   // Public API for backward compatibility
@@ -311,6 +363,13 @@ class MultiTerminalUI {
     this.manager.sendCommand(command, terminalId);
   }
 
+  /**
+   * Paste a (possibly multi-line) prompt into active terminal or specific terminal
+   */
+  sendPrompt(text, terminalId = null, options = {}) {
+    return this.manager.sendPrompt(text, terminalId, options);
+  }
+
   /**
    * Set active terminal
    */
@@ -0,0 +1,97 @@
+/**
+ * Paste Confirmation Dialog
+ * Asks before a multi-line or dangerous paste reaches a terminal.
+ */
+
+let pending = null; // { resolve, previousFocus }
+
+function getElements() {
+  const modal = document.getElementById('paste-confirm-modal');
+  if (!modal) return null;
+  return {
+    modal,
+    title: modal.querySelector('#paste-confirm-title'),
+    warnings: modal.querySelector('#paste-confirm-warnings'),
+    summary: modal.querySelector('#paste-confirm-summary'),
+    preview: modal.querySelector('#paste-confirm-preview'),
+    okBtn: /** @type {HTMLButtonElement} */ (modal.querySelector('#paste-confirm-ok')),
+    cancelBtn: /** @type {HTMLButtonElement} */ (modal.querySelector('#paste-confirm-cancel'))
+  };
+}
+
+function finish(confirmed) {
+  const elements = getElements();
+  if (elements) elements.modal.classList.remove('visible');
+  if (!pending) return;
+  const { resolve, previousFocus } = pending;
+  pending = null;
+  document.removeEventListener('keydown', onKeyDown, true);
+  if (previousFocus && typeof previousFocus.focus === 'function') previousFocus.focus();
+  resolve(confirmed);
+}
+
+function onKeyDown(e) {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    e.stopPropagation();
+    finish(false);
+  }
+}
+
+let listenersBound = false;
+function bindListeners(elements) {
+  if (listenersBound) return;
+  listenersBound = true;
+  elements.okBtn.addEventListener('click', () => finish(true));
+  elements.cancelBtn.addEventListener('click', () => finish(false));
+  elements.modal.addEventListener('click', (e) => {
+    if (e.target === elements.modal) finish(false);
+  });
+}
+
+/**
+ * Show the paste preview and wait for the user's answer
+ * @param {import('./pasteSafety').PasteAnalysis} analysis
+ * @param {{terminalName?: string}} [options]
+ * @returns {Promise<boolean>} Whether to paste
+ */
+function confirmPaste(analysis, options = {}) {
+  const elements = getElements();
+  // Without the dialog markup there is nobody to ask; keep the old behavior
+  if (!elements) return Promise.resolve(true);
+  // A second paste while the dialog is open replaces the first one
+  if (pending) finish(false);
+  bindListeners(elements);
+
+  const dangerous = analysis.warnings.length > 0;
+  const target = options.terminalName ? ` into ${options.terminalName}` : '';
+  elements.title.textContent = dangerous
+    ? `Paste possibly dangerous text${target}?`
+    : `Paste ${analysis.lineCount} lines${target}?`;
+
+  elements.warnings.textContent = '';
+  for (const warning of analysis.warnings) {
+    const item = document.createElement('li');
+    item.textContent = warning;
+    elements.warnings.appendChild(item);
+  }
+
+  const summary = [`${analysis.lineCount} ${analysis.lineCount === 1 ? 'line' : 'lines'}`];
+  if (analysis.endsWithNewline) summary.push('ends with a newline, so the last line runs immediately');
+  elements.summary.textContent = summary.join(' · ');
+  elements.preview.textContent = analysis.preview.join('\n') +
+    (analysis.hiddenLineCount > 0 ? `\n… ${analysis.hiddenLineCount} more ${analysis.hiddenLineCount === 1 ? 'line' : 'lines'}` : '');
+
+  elements.modal.classList.toggle('dangerous', dangerous);
+  elements.okBtn.textContent = dangerous ? 'Paste Anyway' : 'Paste';
+
+  return new Promise((resolve) => {
+    pending = { resolve, previousFocus: /** @type {HTMLElement|null} */ (document.activeElement) };
+    document.addEventListener('keydown', onKeyDown, true);
+    elements.modal.classList.add('visible');
+    // Enter should not paste something dangerous by accident
+    (dangerous ? elements.cancelBtn : elements.okBtn).focus();
+  });
+}
+
+module.exports = { confirmPaste };
@@ -0,0 +1,112 @@
+/**
+ * Paste Safety Module
+ * Inspects clipboard text before it reaches a shell: line count, a short
+ * preview and warnings for commands that are destructive or run remote code.
+ */
+
+const PREVIEW_MAX_LINES = 12;
+const PREVIEW_MAX_LINE_LENGTH = 200;
+
+// Options of an `rm` invocation that turn on recursive + force
+const RM_PATTERN = /(?:^|[\s;&|(`])(?:sudo\s+)?rm((?:\s+-{1,2}[\w-]+)+)/;
+const DANGEROUS_PATTERNS = [
+  {
+    test: (line) => {
+      const match = line.match(RM_PATTERN);
+      if (!match) return false;
+      const flags = match[1].split(/\s+/).filter(Boolean);
+      const has = (short, long) => flags.some((flag) => flag === long || (/^-[a-zA-Z]+$/.test(flag) && short.test(flag)));
+      return has(/[rR]/, '--recursive') && has(/f/, '--force');
+    },
+    message: 'Recursively force-deletes files (rm -rf)'
+  },
+  {
+    test: (line) => /\b(?:curl|wget|fetch)\b[^|]*\|\s*(?:sudo\s+)?(?:env\s+)?(?:ba|z|k|da|fi)?sh\b/.test(line) ||
+      /\b(?:curl|wget)\b[^|]*\|\s*(?:sudo\s+)?(?:python\d?|perl|ruby|node)\b/.test(line),
+    message: 'Downloads a script and runs it (curl | sh)'
+  },
+  {
+    test: (line) => /\bdd\b.*\bof=\/dev\//.test(line) || /\bmkfs(?:\.\w+)?\b/.test(line) || />\s*\/dev\/(?:sd|nvme|disk|hd)/.test(line),
+    message: 'Writes directly to a disk device'
+  },
+  {
+    test: (line) => /:\(\)\s*\{\s*:\s*\|\s*:\s*&\s*\}\s*;\s*:/.test(line),
+    message: 'Fork bomb'
+  },
+  {
+    test: (line) => /\b(?:chmod|chown)\s+(?:-\w*R\w*\s+)(?:\S+\s+)?\/(?:\s|$)/.test(line),
+    message: 'Changes permissions or ownership of the whole filesystem'
+  },
+  {
+    test: (line) => /\bgit\s+(?:reset\s+--hard|clean\s+-\w*f)/.test(line),
+    message: 'Discards uncommitted changes (git reset --hard / git clean)'
+  }
+];
+// Escape sequences can end bracketed paste early and run the rest as typed input
+const CONTROL_CHAR_PATTERN = /[^\P{Cc}\t\n\r]/u;
+
+/**
+ * Remove trailing line breaks (and the blank space around them)
+ * @param {string} text
+ * @returns {string}
+ */
+function stripTrailingNewlines(text) {
+  return String(text).replace(/[ \t]*(?:\r?\n[ \t]*)+$/, '');
+}
+
+function showControlChar(char) {
+  const code = char.charCodeAt(0);
+  if (char === '\t') return '    ';
+  if (code < 32) return `^${String.fromCharCode(code + 64)}`;
+  if (code === 127) return '^?';
+  return `\\u${code.toString(16).padStart(4, '0')}`;
+}
+
+function splitLines(text) {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * @typedef {Object} PasteAnalysis
+ * @property {number} lineCount - Lines in the paste (a single trailing newline does not count)
+ * @property {boolean} endsWithNewline - The last line would run immediately in a shell
+ * @property {string[]} warnings - Why the paste may be dangerous, one entry per kind
+ * @property {string[]} preview - First lines, shortened for display
+ * @property {number} hiddenLineCount - Lines not included in the preview
+ */
+
+/**
+ * Analyze clipboard text before pasting it into a terminal
+ * @param {string} text
+ * @returns {PasteAnalysis}
+ */
+function analyzePaste(text) {
+  const source = String(text || '');
+  const lines = splitLines(source);
+
+  const warnings = [];
+  for (const pattern of DANGEROUS_PATTERNS) {
+    if (lines.some((line) => pattern.test(line))) warnings.push(pattern.message);
+  }
+  if (CONTROL_CHAR_PATTERN.test(source)) {
+    warnings.push('Contains hidden terminal control characters');
+  }
+
+  const preview = lines.slice(0, PREVIEW_MAX_LINES).map((line) => {
+    // Show control characters as visible symbols instead of letting them render
+    const visible = line.replace(/\p{Cc}/gu, showControlChar);
+    return visible.length > PREVIEW_MAX_LINE_LENGTH ? `${visible.slice(0, PREVIEW_MAX_LINE_LENGTH)}…` : visible;
+  });
+
+  return {
+    lineCount: lines.length,
+    endsWithNewline: /\r?\n$/.test(source),
+    warnings,
+    preview,
+    hiddenLineCount: Math.max(0, lines.length - PREVIEW_MAX_LINES)
+  };
+}
+
+module.exports = { analyzePaste, stripTrailingNewlines };
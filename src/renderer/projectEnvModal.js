@@ -0,0 +1,230 @@
+/**
+ * Project Environment Modal
+ * Edits the variables in a project's .frame/env.json and whether its .env
+ * files are loaded, and previews what new terminals of the project get.
+ * Saving also approves the variables for this machine.
+ */
+
+const { ipcRenderer } = require('./electronBridge');
+const { IPC } = require('../shared/ipcChannels');
+const { isSecretKey } = require('../shared/envSecrets');
+const { createToast } = require('./toast');
+
+let modal = null;
+let projectLabel = null;
+let loadDotEnvInput = null;
+let dotEnvFilesLabel = null;
+let untrustedNotice = null;
+let rowsContainer = null;
+let previewList = null;
+let saveBtn = null;
+let toast = null;
+
+let isOpen = false;
+let projectPath = null;
+
+function init() {
+  modal = document.getElementById('project-env-modal');
+  if (!modal) return;
+
+  projectLabel = modal.querySelector('#project-env-project');
+  loadDotEnvInput = /** @type {HTMLInputElement} */ (modal.querySelector('#project-env-load-dotenv'));
+  dotEnvFilesLabel = modal.querySelector('#project-env-dotenv-files');
+  untrustedNotice = /** @type {HTMLElement} */ (modal.querySelector('#project-env-untrusted'));
+  rowsContainer = modal.querySelector('#project-env-rows');
+  previewList = modal.querySelector('#project-env-preview');
+  saveBtn = /** @type {HTMLButtonElement} */ (modal.querySelector('#project-env-save'));
+  toast = createToast(modal.querySelector('.modal-container'));
+
+  modal.querySelector('#project-env-modal-close').addEventListener('click', closeModal);
+  modal.querySelector('#project-env-cancel').addEventListener('click', closeModal);
+  modal.querySelector('#project-env-add').addEventListener('click', () => {
+    const row = addRow('', '');
+    row.querySelector('input').focus();
+  });
+  saveBtn.addEventListener('click', save);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (isOpen && e.key === 'Escape') closeModal();
+  });
+}
+
+/**
+ * Open the editor for a project
+ * @param {string} path - Project path
+ * @param {string} [name] - Project name for the header
+ */
+async function openModal(path, name) {
+  if (!modal || !path) return;
+  projectPath = path;
+  isOpen = true;
+  projectLabel.textContent = name || path;
+  projectLabel.setAttribute('title', path);
+  rowsContainer.textContent = '';
+  previewList.textContent = '';
+  untrustedNotice.hidden = true;
+  saveBtn.disabled = true;
+  modal.classList.add('visible');
+
+  try {
+    const response = await ipcRenderer.invoke(IPC.PROJECT_ENV_GET, path);
+    if (!isOpen || projectPath !== path) return;
+    if (!response || !response.success) {
+      toast.show((response && response.error) || 'Failed to load environment', 'error');
+      return;
+    }
+    render(response);
+    saveBtn.disabled = false;
+  } catch (err) {
+    toast.show(`Failed to load environment: ${err.message}`, 'error');
+  }
+}
+
+function closeModal() {
+  if (!modal) return;
+  isOpen = false;
+  projectPath = null;
+  modal.classList.remove('visible');
+  // Do not keep secret values around in the hidden inputs
+  rowsContainer.textContent = '';
+}
+
+function render({ config, dotEnvFiles, variables }) {
+  loadDotEnvInput.checked = config.loadDotEnv;
+  dotEnvFilesLabel.textContent = dotEnvFiles.length > 0
+    ? `Found: ${dotEnvFiles.join(', ')}`
+    : 'No .env files in the project root';
+  untrustedNotice.hidden = config.envTrusted;
+
+  rowsContainer.textContent = '';
+  for (const [key, value] of Object.entries(config.env)) {
+    addRow(key, value);
+  }
+  renderPreview(variables);
+}
+
+function renderPreview(variables) {
+  previewList.textContent = '';
+  if (variables.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'project-env-empty';
+    empty.textContent = 'No extra variables';
+    previewList.appendChild(empty);
+    return;
+  }
+  for (const variable of variables) {
+    const item = document.createElement('li');
+    const key = document.createElement('span');
+    key.className = 'project-env-key';
+    key.textContent = variable.key;
+    const value = document.createElement('span');
+    value.className = 'project-env-value';
+    value.textContent = variable.value;
+    const source = document.createElement('span');
+    source.className = 'project-env-source';
+    source.textContent = variable.source;
+    item.append(key, value, source);
+    previewList.appendChild(item);
+  }
+}
+
+function addRow(key, value) {
+  const row = document.createElement('div');
+  row.className = 'project-env-row';
+
+  const keyInput = document.createElement('input');
+  keyInput.type = 'text';
+  keyInput.className = 'project-env-key-input';
+  keyInput.placeholder = 'NAME';
+  keyInput.spellcheck = false;
+  keyInput.autocomplete = 'off';
+  keyInput.value = key;
+
+  const valueInput = document.createElement('input');
+  valueInput.className = 'project-env-value-input';
+  valueInput.placeholder = 'value';
+  valueInput.spellcheck = false;
+  valueInput.autocomplete = 'off';
+  valueInput.value = value;
+
+  // Secret-looking names get a password field
+  const updateMasking = () => {
+    valueInput.type = isSecretKey(keyInput.value) ? 'password' : 'text';
+  };
+  updateMasking();
+  keyInput.addEventListener('input', updateMasking);
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'btn btn-close';
+  removeBtn.dataset.size = 'icon-sm';
+  removeBtn.dataset.variant = 'danger';
+  removeBtn.title = 'Remove';
+  removeBtn.setAttribute('aria-label', 'Remove variable');
+  removeBtn.textContent = '✕';
+  removeBtn.addEventListener('click', () => row.remove());
+
+  row.append(keyInput, valueInput, removeBtn);
+  rowsContainer.appendChild(row);
+  return row;
+}
+
+/**
+ * Variables from the editor rows
+ * @returns {{env: Object<string, string>, invalid: string[]}}
+ */
+function collectRows() {
+  /** @type {Object<string, string>} */
+  const env = {};
+  const invalid = [];
+  rowsContainer.querySelectorAll('.project-env-row').forEach((row) => {
+    const key = /** @type {HTMLInputElement} */ (row.querySelector('.project-env-key-input')).value.trim();
+    const value = /** @type {HTMLInputElement} */ (row.querySelector('.project-env-value-input')).value;
+    if (!key) return;
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+      invalid.push(key);
+      return;
+    }
+    env[key] = value;
+  });
+  return { env, invalid };
+}
+
+async function save() {
+  if (!projectPath) return;
+  const { env, invalid } = collectRows();
+  if (invalid.length > 0) {
+    toast.show(`Invalid variable name: ${invalid[0]}`, 'error');
+    return;
+  }
+
+  const path = projectPath;
+  saveBtn.disabled = true;
+  try {
+    const response = await ipcRenderer.invoke(IPC.PROJECT_ENV_SAVE, {
+      projectPath: path,
+      loadDotEnv: loadDotEnvInput.checked,
+      env
+    });
+    if (!isOpen || projectPath !== path) return;
+    if (!response || !response.success) {
+      toast.show((response && response.error) || 'Failed to save environment', 'error');
+      return;
+    }
+    render(response);
+    toast.show('Saved to .frame/env.json', 'success');
+  } catch (err) {
+    toast.show(`Failed to save environment: ${err.message}`, 'error');
+  } finally {
+    saveBtn.disabled = false;
+  }
+}
+
+module.exports = {
+  init,
+  open: openModal,
+  close: closeModal
+};
@@ -8,6 +8,9 @@ const { IPC } = require('../shared/ipcChannels');
 const { writeClipboardText } = require('./clipboardWrite');
 const { createToast } = require('./toast');
 const { createContextMenu } = require('./contextMenu');
+const projectEnvModal = require('./projectEnvModal');
+const projectRemoteModal = require('./projectRemoteModal');
+const historyPanel = require('./historyPanel');
 
 let projectsListElement = null;
 let activeProjectPath = null;
@@ -181,6 +184,20 @@ function showProjectContextMenu(x, y, project) {
 
     menu.addSeparator();
 
+    menu.addItem('Environment Variables…', () => {
+      projectEnvModal.open(project.path, project.name);
+    });
+
+    menu.addItem('Remote Host…', () => {
+      projectRemoteModal.open(project);
+    });
+
+    menu.addSeparator();
+
+    menu.addItem('Purge Prompt History…', () => {
+      historyPanel.purgeProjectHistory(project, showProjectToast);
+    });
+
     menu.addItem('Remove from List', () => {
       confirmRemoveProject(project.path, project.name);
     });
@@ -288,6 +305,14 @@ function setupIPC() {
   });
 }
 
+/**
+ * Projects in the workspace, in sidebar order
+ * @returns {Array<{path: string, name: string, remote: {host: string, cwd: string|null}|null}>}
+ */
+function getProjects() {
+  return projects.map((project) => ({ path: project.path, name: project.name, remote: project.remote || null }));
+}
+
 /**
  * Select next project in list
  */
@@ -383,6 +408,7 @@ module.exports = {
   selectProject,
   setActiveProject,
   getActiveProject,
+  getProjects,
   addProject,
   removeProject,
   selectNextProject,
@@ -0,0 +1,130 @@
+/**
+ * Project Remote Host Modal
+ * Picks the SSH host and remote directory a project's remote terminals open
+ */
+
+const { ipcRenderer } = require('./electronBridge');
+const { IPC } = require('../shared/ipcChannels');
+const { createToast } = require('./toast');
+
+let modal = null;
+let projectLabel = null;
+let hostSelect = null;
+let cwdInput = null;
+let saveBtn = null;
+let toast = null;
+
+let isOpen = false;
+let projectPath = null;
+
+function init() {
+  modal = document.getElementById('project-remote-modal');
+  if (!modal) return;
+
+  projectLabel = modal.querySelector('#project-remote-project');
+  hostSelect = /** @type {HTMLSelectElement} */ (modal.querySelector('#project-remote-host'));
+  cwdInput = /** @type {HTMLInputElement} */ (modal.querySelector('#project-remote-cwd'));
+  saveBtn = /** @type {HTMLButtonElement} */ (modal.querySelector('#project-remote-save'));
+  toast = createToast(modal.querySelector('.modal-container'));
+
+  modal.querySelector('#project-remote-modal-close').addEventListener('click', closeModal);
+  modal.querySelector('#project-remote-cancel').addEventListener('click', closeModal);
+  saveBtn.addEventListener('click', save);
+  hostSelect.addEventListener('change', () => {
+    cwdInput.disabled = !hostSelect.value;
+  });
+  cwdInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') save();
+  });
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (isOpen && e.key === 'Escape') closeModal();
+  });
+}
+
+function addOption(value, label) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  hostSelect.appendChild(option);
+}
+
+/**
+ * Open the picker for a project
+ * @param {{path: string, name?: string, remote?: {host: string, cwd: string|null}|null}} project
+ */
+async function openModal(project) {
+  if (!modal || !project || !project.path) return;
+  const path = project.path;
+  const remote = project.remote || null;
+  projectPath = path;
+  isOpen = true;
+  projectLabel.textContent = project.name || path;
+  projectLabel.setAttribute('title', path);
+  hostSelect.textContent = '';
+  addOption('', 'None');
+  cwdInput.value = remote && remote.cwd ? remote.cwd : '';
+  saveBtn.disabled = true;
+  modal.classList.add('visible');
+
+  try {
+    const response = await ipcRenderer.invoke(IPC.SSH_HOSTS_LIST);
+    if (!isOpen || projectPath !== path) return;
+    if (!response || !response.success) {
+      toast.show((response && response.error) || 'Failed to read SSH hosts', 'error');
+    }
+    const hosts = (response && response.hosts) || [];
+    hosts.forEach((host) => addOption(host.alias, host.hostName ? `${host.alias} (${host.hostName})` : host.alias));
+    // Keep a saved host that is no longer in the config selectable
+    if (remote && !hosts.some((host) => host.alias === remote.host)) {
+      addOption(remote.host, `${remote.host} (not in ~/.ssh/config)`);
+    }
+    if (hosts.length === 0 && !remote) {
+      toast.show('No hosts found in ~/.ssh/config', 'info');
+    }
+    hostSelect.value = remote ? remote.host : '';
+    cwdInput.disabled = !hostSelect.value;
+    saveBtn.disabled = false;
+    hostSelect.focus();
+  } catch (err) {
+    toast.show(`Failed to read SSH hosts: ${err.message}`, 'error');
+  }
+}
+
+function closeModal() {
+  if (!modal) return;
+  isOpen = false;
+  projectPath = null;
+  modal.classList.remove('visible');
+}
+
+async function save() {
+  if (!projectPath || saveBtn.disabled) return;
+  const host = hostSelect.value;
+  const remote = host ? { host, cwd: cwdInput.value.trim() || null } : null;
+
+  const path = projectPath;
+  saveBtn.disabled = true;
+  try {
+    const response = await ipcRenderer.invoke(IPC.SET_PROJECT_REMOTE, { projectPath: path, remote });
+    if (!isOpen || projectPath !== path) return;
+    if (!response || !response.success) {
+      toast.show((response && response.error) || 'Failed to save remote host', 'error');
+      return;
+    }
+    closeModal();
+  } catch (err) {
+    toast.show(`Failed to save remote host: ${err.message}`, 'error');
+  } finally {
+    saveBtn.disabled = false;
+  }
+}
+
+module.exports = {
+  init,
+  open: openModal,
+  close: closeModal
+};
@@ -0,0 +1,172 @@
+/**
+ * Prompt Quick Picker
+ * Keyboard-driven list of saved prompts, most used (recently) first; Enter sends
+ * the selected prompt to the active terminal
+ */
+
+const savedPromptsPanel = require('./savedPromptsPanel');
+const { createToast } = require('./toast');
+const { rankPrompts, formatLastUsed } = require('../shared/promptUsage');
+
+const TOP_PROMPT_LIMIT = 10;
+const MATCH_LIMIT = 50;
+const SCOPE_LABELS = { global: 'G', project: 'P', commands: '/' };
+
+let modal = null;
+let inputElement = null;
+let listElement = null;
+let toast = null;
+
+let isOpen = false;
+let items = [];
+let selectedIndex = 0;
+
+function init() {
+  modal = document.getElementById('prompt-quick-picker');
+  if (!modal) return;
+
+  inputElement = /** @type {HTMLInputElement} */ (modal.querySelector('#prompt-quick-picker-input'));
+  listElement = modal.querySelector('#prompt-quick-picker-list');
+  toast = createToast(modal.querySelector('.modal-container'));
+
+  inputElement.addEventListener('input', () => {
+    selectedIndex = 0;
+    render();
+  });
+  inputElement.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (items.length === 0) return;
+      selectedIndex = (selectedIndex + (e.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+      updateSelection();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      choose(selectedIndex);
+    }
+  });
+
+  listElement.addEventListener('click', (e) => {
+    const item = /** @type {HTMLElement} */ (e.target).closest('.prompt-quick-picker-item');
+    if (item) choose(Number(item.dataset.index));
+  });
+  listElement.addEventListener('mousemove', (e) => {
+    const item = /** @type {HTMLElement} */ (e.target).closest('.prompt-quick-picker-item');
+    if (item && Number(item.dataset.index) !== selectedIndex) {
+      selectedIndex = Number(item.dataset.index);
+      updateSelection();
+    }
+  });
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closePicker();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (isOpen && e.key === 'Escape') closePicker();
+  });
+
+  // Prompts are (re)loaded when the picker opens
+  savedPromptsPanel.onPromptsLoaded(() => {
+    if (isOpen) render();
+  });
+}
+
+function matches(prompt, query) {
+  return prompt.title.toLowerCase().includes(query) ||
+    (prompt.description || '').toLowerCase().includes(query) ||
+    prompt.content.toLowerCase().includes(query);
+}
+
+function render() {
+  const query = inputElement.value.trim().toLowerCase();
+  const ranked = rankPrompts(savedPromptsPanel.getAllPrompts());
+  items = query
+    ? ranked.filter(prompt => matches(prompt, query)).slice(0, MATCH_LIMIT)
+    : ranked.slice(0, TOP_PROMPT_LIMIT);
+  if (selectedIndex >= items.length) selectedIndex = 0;
+
+  listElement.textContent = '';
+  if (items.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'prompt-quick-picker-empty';
+    empty.textContent = query ? 'No matching prompts' : 'No saved prompts';
+    listElement.appendChild(empty);
+    return;
+  }
+
+  items.forEach((prompt, index) => {
+    const item = document.createElement('div');
+    item.className = 'prompt-quick-picker-item';
+    item.id = `prompt-quick-picker-item-${index}`;
+    item.dataset.index = String(index);
+    item.setAttribute('role', 'option');
+
+    const scope = document.createElement('span');
+    scope.className = `saved-prompt-scope scope-${prompt.scope}`;
+    scope.textContent = SCOPE_LABELS[prompt.scope] || '';
+
+    const title = document.createElement('span');
+    title.className = 'saved-prompt-title';
+    title.textContent = prompt.title;
+    if (prompt.description) title.title = prompt.description;
+
+    item.appendChild(scope);
+    item.appendChild(title);
+    if (prompt.usage) {
+      const usage = document.createElement('span');
+      usage.className = 'saved-prompt-usage';
+      usage.textContent = `${prompt.usage.sent + prompt.usage.copied}× · ${formatLastUsed(prompt.usage.lastUsedAt)}`;
+      item.appendChild(usage);
+    }
+    listElement.appendChild(item);
+  });
+  updateSelection();
+}
+
+function updateSelection() {
+  listElement.querySelectorAll('.prompt-quick-picker-item').forEach((item, index) => {
+    const selected = index === selectedIndex;
+    item.classList.toggle('selected', selected);
+    item.setAttribute('aria-selected', String(selected));
+    if (selected) item.scrollIntoView({ block: 'nearest' });
+  });
+  inputElement.setAttribute('aria-activedescendant', items.length ? `prompt-quick-picker-item-${selectedIndex}` : '');
+}
+
+function choose(index) {
+  const prompt = items[index];
+  if (!isOpen || !prompt) return;
+  if (!savedPromptsPanel.sendPrompt(prompt.id, prompt.scope)) {
+    toast.show('No active terminal', 'error');
+    return;
+  }
+  closePicker();
+}
+
+function openPicker() {
+  if (!modal) return;
+  isOpen = true;
+  selectedIndex = 0;
+  inputElement.value = '';
+  savedPromptsPanel.loadPrompts();
+  render();
+  modal.classList.add('visible');
+  inputElement.focus();
+}
+
+function closePicker() {
+  if (!modal) return;
+  isOpen = false;
+  modal.classList.remove('visible');
+}
+
+function togglePicker() {
+  if (isOpen) closePicker();
+  else openPicker();
+}
+
+module.exports = {
+  init,
+  open: openPicker,
+  close: closePicker,
+  toggle: togglePicker
+};
@@ -0,0 +1,248 @@
+/**
+ * Prompt Template Modal
+ * Fill-in form for a saved prompt's {{variables}}; sends the rendered prompt to the active terminal
+ */
+
+const { ipcRenderer } = require('./electronBridge');
+const { IPC } = require('../shared/ipcChannels');
+const state = require('./state');
+const editor = require('./editor');
+const { writeClipboardText } = require('./clipboardWrite');
+const { createToast } = require('./toast');
+const { BUILT_IN_VARIABLES, parseTemplate, renderTemplate } = require('../shared/promptTemplates');
+
+// Built-ins that usually span several lines
+const MULTILINE_VARIABLES = ['staged_diff', 'selection'];
+const GIT_VARIABLES = ['branch', 'staged_diff'];
+
+let modal = null;
+let titleElement = null;
+let fieldsElement = null;
+let previewElement = null;
+let sendBtn = null;
+let toast = null;
+
+let isOpen = false;
+let content = '';
+let targetTerminalId = null;
+let pressEnter = false;
+let onUse = null;
+let openToken = 0;
+
+function init() {
+  modal = document.getElementById('prompt-template-modal');
+  if (!modal) return;
+
+  titleElement = modal.querySelector('#prompt-template-modal-title');
+  fieldsElement = modal.querySelector('#prompt-template-fields');
+  previewElement = modal.querySelector('#prompt-template-preview');
+  sendBtn = /** @type {HTMLButtonElement} */ (modal.querySelector('#prompt-template-send'));
+  toast = createToast(modal.querySelector('.modal-container'));
+
+  modal.querySelector('#prompt-template-modal-close').addEventListener('click', closeModal);
+  modal.querySelector('#prompt-template-cancel').addEventListener('click', closeModal);
+  modal.querySelector('#prompt-template-copy').addEventListener('click', copyRendered);
+  sendBtn.addEventListener('click', send);
+  fieldsElement.addEventListener('input', updatePreview);
+  fieldsElement.addEventListener('change', updatePreview);
+  fieldsElement.addEventListener('keydown', (/** @type {KeyboardEvent} */ e) => {
+    if (e.key === 'Enter' && /** @type {HTMLElement} */ (e.target).tagName === 'INPUT') {
+      e.preventDefault();
+      send();
+    }
+  });
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (isOpen && e.key === 'Escape') closeModal();
+  });
+}
+
+// Editor file as a project-relative path when it lies inside the project
+function getCurrentFileValue(projectPath) {
+  const filePath = editor.getCurrentFile();
+  if (!filePath) return '';
+  if (projectPath && (filePath.startsWith(`${projectPath}/`) || filePath.startsWith(`${projectPath}\\`))) {
+    return filePath.slice(projectPath.length + 1);
+  }
+  return filePath;
+}
+
+function createControl(variable, value) {
+  if (variable.choices) {
+    const select = document.createElement('select');
+    for (const choice of variable.choices) {
+      const option = document.createElement('option');
+      option.value = choice;
+      option.textContent = choice;
+      select.appendChild(option);
+    }
+    select.value = value;
+    return select;
+  }
+  if (MULTILINE_VARIABLES.includes(variable.name) || value.includes('\n')) {
+    const textarea = document.createElement('textarea');
+    textarea.rows = 4;
+    textarea.spellcheck = false;
+    textarea.value = value;
+    return textarea;
+  }
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.autocomplete = 'off';
+  input.spellcheck = false;
+  input.value = value;
+  return input;
+}
+
+function renderFields(variables, values) {
+  fieldsElement.textContent = '';
+  variables.forEach((variable, index) => {
+    const field = document.createElement('div');
+    field.className = 'modal-field';
+
+    const controlId = `prompt-template-var-${index}`;
+    const label = document.createElement('label');
+    label.htmlFor = controlId;
+    label.textContent = variable.name;
+    if (variable.builtIn) {
+      const badge = document.createElement('span');
+      badge.className = 'prompt-template-builtin';
+      badge.textContent = 'built-in';
+      badge.title = BUILT_IN_VARIABLES[variable.name];
+      label.appendChild(badge);
+    }
+
+    const control = createControl(variable, values[variable.name] || '');
+    control.id = controlId;
+    control.dataset.variable = variable.name;
+
+    field.appendChild(label);
+    field.appendChild(control);
+    fieldsElement.appendChild(field);
+  });
+}
+
+function getValues() {
+  /** @type {Object<string, string>} */
+  const values = {};
+  fieldsElement.querySelectorAll('[data-variable]').forEach((control) => {
+    values[control.dataset.variable] = control.value;
+  });
+  return values;
+}
+
+function getRendered() {
+  return renderTemplate(content, getValues());
+}
+
+function updatePreview() {
+  if (previewElement) previewElement.textContent = getRendered();
+}
+
+/**
+ * Open the form for a saved prompt
+ * @param {{title?: string, content: string, pressEnter?: boolean}} prompt
+ * @param {{terminalId?: string|null, onUse?: function(string): void}} [options] - Terminal to send
+ *   to instead of the active one; `onUse` is called with 'send' or 'copy' when the prompt is used
+ */
+async function openModal(prompt, options = {}) {
+  if (!modal || !prompt) return;
+  const token = ++openToken;
+  content = prompt.content || '';
+  targetTerminalId = options.terminalId || null;
+  pressEnter = prompt.pressEnter === true;
+  onUse = typeof options.onUse === 'function' ? options.onUse : null;
+  isOpen = true;
+  titleElement.textContent = prompt.title || 'Fill In Prompt';
+
+  const variables = parseTemplate(content);
+  const names = variables.map(variable => variable.name);
+  const projectPath = state.getProjectPath();
+  /** @type {Object<string, string>} */
+  const values = {};
+  for (const variable of variables) values[variable.name] = variable.defaultValue;
+  // Read before the modal takes focus
+  if (names.includes('selection') && typeof window.terminalGetSelection === 'function') {
+    values.selection = window.terminalGetSelection();
+  }
+  if (names.includes('file')) values.file = getCurrentFileValue(projectPath);
+  if (names.includes('project')) values.project = projectPath || '';
+
+  sendBtn.disabled = true;
+  renderFields(variables, values);
+  updatePreview();
+  modal.classList.add('visible');
+
+  if (projectPath && names.some(name => GIT_VARIABLES.includes(name))) {
+    try {
+      const response = await ipcRenderer.invoke(IPC.PROMPT_TEMPLATE_CONTEXT, { projectPath, names });
+      if (!isOpen || token !== openToken) return;
+      if (response && response.success) {
+        const gitValues = response.context || {};
+        // Fields edited while git was running keep their text
+        fieldsElement.querySelectorAll('[data-variable]').forEach((control) => {
+          const name = control.dataset.variable;
+          if (GIT_VARIABLES.includes(name) && gitValues[name] && control.value === (values[name] || '')) {
+            control.value = gitValues[name];
+          }
+        });
+        updatePreview();
+      } else {
+        toast.show((response && response.error) || 'Failed to read git state', 'error');
+      }
+    } catch (err) {
+      toast.show(`Failed to read git state: ${err.message}`, 'error');
+    }
+  }
+
+  if (!isOpen || token !== openToken) return;
+  sendBtn.disabled = false;
+  /** @type {HTMLElement|null} */ (fieldsElement.querySelector('[data-variable]'))?.focus();
+}
+
+function closeModal() {
+  if (!modal) return;
+  isOpen = false;
+  content = '';
+  targetTerminalId = null;
+  onUse = null;
+  modal.classList.remove('visible');
+}
+
+async function copyRendered() {
+  if (!isOpen) return;
+  const copied = await writeClipboardText(getRendered());
+  if (copied && onUse) onUse('copy');
+  toast.show(copied ? 'Copied to clipboard' : 'Failed to copy', copied ? 'success' : 'error');
+}
+
+function send() {
+  if (!isOpen || sendBtn.disabled) return;
+  const rendered = getRendered();
+  if (!rendered.trim()) {
+    toast.show('The prompt is empty', 'error');
+    return;
+  }
+  // Counted once it is pasted (a shell may ask to confirm first), after closeModal has cleared onUse
+  const recordSend = onUse;
+  const onSent = () => {
+    if (recordSend) recordSend('send');
+    if (typeof window.terminalFocus === 'function') window.terminalFocus();
+  };
+  const sent = typeof window.terminalSendPrompt === 'function' &&
+    window.terminalSendPrompt(rendered, targetTerminalId, { submit: pressEnter, onSent });
+  if (!sent) {
+    toast.show(targetTerminalId ? 'That terminal is no longer open' : 'No active terminal', 'error');
+    return;
+  }
+  closeModal();
+}
+
+module.exports = {
+  init,
+  open: openModal,
+  close: closeModal
+};
@@ -0,0 +1,275 @@
+/**
+ * Recording Player Module
+ * Replays asciicast v2 recordings in a read-only xterm with play/pause,
+ * speed control and seeking. One xterm instance is reused for every replay.
+ */
+
+const { Terminal } = require('@xterm/xterm');
+const { parseAsciicast, findEventIndex, parseResize } = require('../shared/asciicast');
+const { resolveThemeColors } = require('../shared/terminalThemes');
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+// Pauses longer than this are shortened unless the recording sets its own limit
+const DEFAULT_IDLE_TIME_LIMIT = 3;
+// Seeking replays everything before the target; feed xterm in slices so its write buffer never overflows
+const SEEK_CHUNK_CHARS = 512 * 1024;
+const SEEK_STEP_SECONDS = 5;
+
+function formatTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const minutes = Math.floor(total / 60);
+  return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+}
+
+class RecordingPlayer {
+  constructor() {
+    this.terminal = null;
+    this.cast = null;
+    this.position = 0; // Seconds into the recording
+    this.nextIndex = 0; // First event not yet written
+    this.speed = 1;
+    this.playing = false;
+    this.isOpen = false;
+    this._rafId = null;
+    this._lastFrameAt = 0;
+    this._seekGeneration = 0;
+    this._catchingUp = false; // A seek is still feeding earlier output
+    this.element = this._render();
+    document.body.appendChild(this.element);
+  }
+
+  _render() {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay recording-player-overlay';
+    overlay.tabIndex = -1;
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Recording replay');
+    overlay.innerHTML = `
+      <div class="modal-container recording-player">
+        <div class="modal-header">
+          <h3 class="recording-player-title"></h3>
+          <button class="btn btn-close recording-player-close" data-size="icon-sm" data-variant="danger" title="Close (Escape)" aria-label="Close">&#10005;</button>
+        </div>
+        <div class="recording-player-screen"></div>
+        <div class="recording-player-controls">
+          <button class="recording-player-play" title="Play / Pause (Space)" aria-label="Play"></button>
+          <span class="recording-player-time">0:00 / 0:00</span>
+          <input type="range" class="recording-player-seek" min="0" max="0" step="0.1" value="0" aria-label="Seek">
+          <select class="recording-player-speed" aria-label="Playback speed">
+            ${SPEEDS.map((speed) => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${speed}×</option>`).join('')}
+          </select>
+        </div>
+      </div>
+    `;
+
+    this.titleEl = /** @type {HTMLElement} */ (overlay.querySelector('.recording-player-title'));
+    this.screenEl = /** @type {HTMLElement} */ (overlay.querySelector('.recording-player-screen'));
+    this.playBtn = /** @type {HTMLButtonElement} */ (overlay.querySelector('.recording-player-play'));
+    this.timeEl = /** @type {HTMLElement} */ (overlay.querySelector('.recording-player-time'));
+    this.seekInput = /** @type {HTMLInputElement} */ (overlay.querySelector('.recording-player-seek'));
+    this.speedSelect = /** @type {HTMLSelectElement} */ (overlay.querySelector('.recording-player-speed'));
+
+    overlay.querySelector('.recording-player-close').addEventListener('click', () => this.close());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.close();
+    });
+    this.playBtn.addEventListener('click', () => this.togglePlay());
+    this.seekInput.addEventListener('input', () => this.seek(Number(this.seekInput.value)));
+    this.speedSelect.addEventListener('change', () => {
+      this.speed = Number(this.speedSelect.value) || 1;
+    });
+    // Capture phase: the xterm textarea would otherwise swallow the keys
+    overlay.addEventListener('keydown', (e) => this._onKeyDown(e), true);
+
+    return overlay;
+  }
+
+  _onKeyDown(e) {
+    // Inputs keep their own arrow keys, buttons their own Space
+    const onInput = e.target === this.seekInput || e.target === this.speedSelect;
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      this.close();
+    } else if (e.key === ' ' && !onInput && !(e.target instanceof HTMLButtonElement)) {
+      e.preventDefault();
+      this.togglePlay();
+    } else if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && !onInput) {
+      e.preventDefault();
+      this.seek(this.position + (e.key === 'ArrowLeft' ? -SEEK_STEP_SECONDS : SEEK_STEP_SECONDS));
+    }
+  }
+
+  /**
+   * xterm reused across replays; appearance follows the terminal settings
+   * @param {Object} settings - TerminalManager settings
+   */
+  _ensureTerminal(settings) {
+    const options = {
+      theme: { ...resolveThemeColors(settings) },
+      fontFamily: settings.fontFamily,
+      fontSize: settings.fontSize,
+      lineHeight: settings.lineHeight
+    };
+    if (!this.terminal) {
+      this.terminal = new Terminal({
+        ...options,
+        disableStdin: true,
+        cursorBlink: false,
+        scrollback: 5000
+      });
+      this.terminal.open(this.screenEl);
+    } else {
+      Object.assign(this.terminal.options, options);
+    }
+    this.screenEl.style.background = options.theme.background;
+  }
+
+  /**
+   * Load a recording and start playing it
+   * @param {string} content - asciicast v2 file content
+   * @param {Object} options
+   * @param {string} [options.title] - Shown in the header (file name)
+   * @param {Object} options.settings - Terminal settings for theme and font
+   */
+  open(content, { title, settings }) {
+    const cast = parseAsciicast(content, { idleTimeLimit: DEFAULT_IDLE_TIME_LIMIT });
+    this.cast = cast;
+    this.isOpen = true;
+    this.titleEl.textContent = cast.header.title || title || 'Recording';
+    this.titleEl.title = title || '';
+    this.seekInput.max = String(cast.duration);
+    this.element.classList.add('visible');
+    this._ensureTerminal(settings);
+    this.seek(0);
+    this.play();
+    this.element.focus();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.pause();
+    this.isOpen = false;
+    this._seekGeneration++;
+    this._catchingUp = false;
+    this.cast = null;
+    this.element.classList.remove('visible');
+    if (this.terminal) this.terminal.reset();
+  }
+
+  togglePlay() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  play() {
+    if (!this.cast || this.playing) return;
+    // Play from the start again once the end was reached
+    if (this.position >= this.cast.duration) this.seek(0);
+    this.playing = true;
+    this._lastFrameAt = performance.now();
+    this._rafId = requestAnimationFrame((now) => this._tick(now));
+    this._updateControls();
+  }
+
+  pause() {
+    this.playing = false;
+    if (this._rafId) {
+      cancelAnimationFrame(this._rafId);
+      this._rafId = null;
+    }
+    this._updateControls();
+  }
+
+  _tick(now) {
+    this._rafId = null;
+    if (!this.playing || !this.cast) return;
+    this.position = Math.min(this.cast.duration, this.position + ((now - this._lastFrameAt) / 1000) * this.speed);
+    this._lastFrameAt = now;
+    if (!this._catchingUp) {
+      this._writeEventsUntil(findEventIndex(this.cast.events, this.position));
+    }
+
+    if (this.position >= this.cast.duration && !this._catchingUp) {
+      this.pause();
+      return;
+    }
+    this._updateControls();
+    this._rafId = requestAnimationFrame((next) => this._tick(next));
+  }
+
+  /**
+   * Write events [nextIndex, endIndex) to the terminal
+   */
+  _writeEventsUntil(endIndex) {
+    let output = '';
+    for (; this.nextIndex < endIndex; this.nextIndex++) {
+      const event = this.cast.events[this.nextIndex];
+      if (event.type === 'o') {
+        output += event.data;
+      } else if (event.type === 'r') {
+        const size = parseResize(event.data);
+        if (!size) continue;
+        // Resize after the output written so far has been processed
+        const { cols, rows } = size;
+        this.terminal.write(output, () => this.terminal.resize(cols, rows));
+        output = '';
+      }
+    }
+    if (output) this.terminal.write(output);
+  }
+
+  /**
+   * Jump to a time: the screen is rebuilt from the start of the recording
+   * @param {number} time - Seconds
+   */
+  seek(time) {
+    if (!this.cast) return;
+    const target = Math.max(0, Math.min(this.cast.duration, time));
+    const generation = ++this._seekGeneration;
+    const endIndex = findEventIndex(this.cast.events, target);
+
+    this.terminal.reset();
+    this.terminal.resize(this.cast.header.width, this.cast.header.height);
+    this.position = target;
+    this.nextIndex = 0;
+    this._updateControls();
+
+    // Slice the catch-up output so large recordings do not overflow xterm's write buffer
+    const writeSlice = () => {
+      if (generation !== this._seekGeneration || !this.cast) return;
+      this._writeEventsUntil(this._findSliceEnd(endIndex));
+      this._catchingUp = this.nextIndex < endIndex;
+      if (this._catchingUp) {
+        this.terminal.write('', writeSlice);
+      }
+    };
+    writeSlice();
+  }
+
+  _findSliceEnd(endIndex) {
+    let chars = 0;
+    let index = this.nextIndex;
+    while (index < endIndex && chars < SEEK_CHUNK_CHARS) {
+      chars += this.cast.events[index].data.length;
+      index++;
+    }
+    return index;
+  }
+
+  _updateControls() {
+    if (!this.cast) return;
+    this.playBtn.classList.toggle('playing', this.playing);
+    this.playBtn.setAttribute('aria-label', this.playing ? 'Pause' : 'Play');
+    this.playBtn.innerHTML = this.playing
+      ? '<svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>'
+      : '<svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><polygon points="6 4 20 12 6 20 6 4"/></svg>';
+    this.timeEl.textContent = `${formatTime(this.position)} / ${formatTime(this.cast.duration)}`;
+    if (document.activeElement !== this.seekInput) {
+      this.seekInput.value = String(this.position);
+    }
+  }
+}
+
+module.exports = { RecordingPlayer };
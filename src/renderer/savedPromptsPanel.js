@@ -1,26 +1,52 @@
 /**
  * Saved Prompts Panel Module
- * UI for managing and pasting saved prompts to terminal
+ * UI for managing and pasting saved prompts to terminal; prompts with
+ * {{variables}} open a fill-in form before they are sent. Prompt sets can be
+ * imported from and exported to JSON files or folders of Markdown files.
+ * Slash-command files (.claude/commands, ~/.claude/commands, ~/.codex/prompts)
+ * are listed as a third scope; prompts can be saved as commands and back.
+ * Sends and copies are counted for the "most used" / "recent" sort modes and
+ * the quick picker.
  */
 
 const { ipcRenderer } = require('./electronBridge');
 const { IPC } = require('../shared/ipcChannels');
 const state = require('./state');
+const editor = require('./editor');
 const { createPanelHeaderDropdown } = require('./panelHeaderDropdown');
 const { writeClipboardText } = require('./clipboardWrite');
 const { createToast } = require('./toast');
 const { createPanelVisibility } = require('./panelVisibility');
 const { registerPanel, showPanel, hidePanel, togglePanel } = require('./panelCoordinator');
+const promptTemplateModal = require('./promptTemplateModal');
+const { createContextMenu } = require('./contextMenu');
+const { hasTemplateVariables } = require('../shared/promptTemplates');
+const { SORT_MODES, sortPrompts, formatLastUsed } = require('../shared/promptUsage');
 let globalPrompts = [];
 let projectPrompts = [];
-let currentScope = 'all'; // all, global, project
+let commandPrompts = [];
+let currentScope = 'all'; // all, global, project, commands
 let currentCategory = 'all';
 let searchQuery = '';
+let sortMode = 'default'; // default, most-used, recent
 let editingPromptId = null;
 let editingPromptScope = null;
 
 const PASTE_DEDUP_WINDOW_MS = 250;
 const PANEL_ID = 'saved-prompts';
+const SORT_STORAGE_KEY = 'saved-prompts-sort';
+const LIBRARY_FORMAT_LABELS = { json: 'JSON File', markdown: 'Markdown Folder' };
+const CONFLICT_LABELS = {
+  skip: 'Keep Existing Prompts',
+  overwrite: 'Overwrite Existing Prompts',
+  duplicate: 'Import as Copies'
+};
+const COMMAND_TARGET_LABELS = {
+  project: 'Claude Project Command (.claude/commands)',
+  user: 'Claude User Command (~/.claude/commands)',
+  codex: 'Codex Prompt (~/.codex/prompts)'
+};
+const COMMAND_SOURCE_LABELS = { project: 'Project command', user: 'User command', codex: 'Codex prompt' };
 
 // DOM Elements
 let panelElement = null;
@@ -30,6 +56,10 @@ let searchInput = null;
 let scopeDropdownControl = null;
 let _toast = null;
 let _panel = null;
+const _loadListeners = [];
+const _targetMenu = createContextMenu();
+const _libraryMenu = createContextMenu();
+const _commandMenu = createContextMenu();
 
 /**
  * Initialize saved prompts panel
@@ -56,6 +86,7 @@ function init() {
   // Clear project prompts and reload when project changes
   state.onProjectChange(() => {
     projectPrompts = [];
+    commandPrompts = [];
     hidePromptModal(); // Close modal to prevent stale edits
     if (_panel && _panel.isVisible()) loadPrompts();
   });
@@ -75,7 +106,16 @@ function setupEventListeners() {
 
   // Add button
   const addBtn = document.getElementById('saved-prompts-add-btn');
-  if (addBtn) addBtn.addEventListener('click', showAddPromptModal);
+  if (addBtn) addBtn.addEventListener('click', () => showAddPromptModal());
+
+  // Import / export button
+  const libraryBtn = document.getElementById('saved-prompts-library-btn');
+  if (libraryBtn) {
+    libraryBtn.addEventListener('click', () => {
+      const rect = libraryBtn.getBoundingClientRect();
+      showLibraryMenu(rect.left, rect.bottom);
+    });
+  }
 
   // Header dropdown scope filter
   const scopeDropdown = document.getElementById('saved-prompts-scope-dropdown');
@@ -93,13 +133,29 @@ function setupEventListeners() {
     });
   }
 
+  // Sort mode
+  const sortSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('saved-prompts-sort'));
+  if (sortSelect) {
+    const savedMode = localStorage.getItem(SORT_STORAGE_KEY);
+    if (SORT_MODES.includes(savedMode)) sortMode = savedMode;
+    sortSelect.value = sortMode;
+    sortSelect.addEventListener('change', () => {
+      sortMode = SORT_MODES.includes(sortSelect.value) ? sortSelect.value : 'default';
+      localStorage.setItem(SORT_STORAGE_KEY, sortMode);
+      render();
+    });
+  }
+
   if (contentElement) {
     contentElement.addEventListener('click', (e) => {
+      const sendBtn = e.target.closest('.saved-prompt-send-btn');
+      const sendToBtn = e.target.closest('.saved-prompt-send-to-btn');
       const copyBtn = e.target.closest('.saved-prompt-copy-btn');
+      const commandBtn = e.target.closest('.saved-prompt-command-btn');
       const favBtn = e.target.closest('.saved-prompt-fav-btn');
       const editBtn = e.target.closest('.saved-prompt-edit-btn');
       const deleteBtn = e.target.closest('.saved-prompt-delete-btn');
-      if (!copyBtn && !favBtn && !editBtn && !deleteBtn) return;
+      if (!sendBtn && !sendToBtn && !copyBtn && !commandBtn && !favBtn && !editBtn && !deleteBtn) return;
 
       const item = e.target.closest('.saved-prompt-item');
       if (!item) return;
@@ -109,8 +165,16 @@ function setupEventListeners() {
       if (!promptId || !scope) return;
 
       e.stopPropagation();
-      if (copyBtn) {
+      if (sendBtn) {
+        sendToTerminal(promptId, scope);
+      } else if (sendToBtn) {
+        const rect = sendToBtn.getBoundingClientRect();
+        showSendToMenu(rect.left, rect.bottom, promptId, scope);
+      } else if (copyBtn) {
         copyToClipboard(promptId, scope);
+      } else if (commandBtn) {
+        const rect = commandBtn.getBoundingClientRect();
+        showCommandMenu(rect.left, rect.bottom, promptId, scope);
       } else if (favBtn) {
         toggleFavorite(promptId, scope);
       } else if (editBtn) {
@@ -129,7 +193,9 @@ function setupIPCListeners() {
   ipcRenderer.on(IPC.SAVED_PROMPTS_DATA, (event, data) => {
     globalPrompts = data.globalPrompts || [];
     projectPrompts = data.projectPrompts || [];
+    commandPrompts = data.commandPrompts || [];
     render();
+    for (const listener of _loadListeners) listener();
   });
 
   ipcRenderer.on(IPC.SAVED_PROMPT_UPDATED, (event, { action, success }) => {
@@ -174,6 +240,16 @@ function setScope(scope, options = {}) {
   render();
 }
 
+/**
+ * Prompts of one scope
+ * @param {string} scope - 'global', 'project' or 'commands'
+ */
+function getPromptsForScope(scope) {
+  if (scope === 'global') return globalPrompts;
+  if (scope === 'commands') return commandPrompts;
+  return projectPrompts;
+}
+
 /**
  * Get merged and filtered prompts
  */
@@ -186,6 +262,9 @@ function getMergedPrompts() {
   if (currentScope === 'all' || currentScope === 'project') {
     merged = merged.concat(projectPrompts.map(p => ({ ...p, scope: 'project' })));
   }
+  if (currentScope === 'all' || currentScope === 'commands') {
+    merged = merged.concat(commandPrompts.map(p => ({ ...p, scope: 'commands' })));
+  }
 
   // Filter by category
   if (currentCategory !== 'all') {
@@ -196,18 +275,56 @@ function getMergedPrompts() {
   if (searchQuery) {
     merged = merged.filter(p =>
       p.title.toLowerCase().includes(searchQuery) ||
-      p.content.toLowerCase().includes(searchQuery)
+      p.content.toLowerCase().includes(searchQuery) ||
+      (p.description || '').toLowerCase().includes(searchQuery)
     );
   }
 
-  // Sort: favorites first, then by updatedAt desc
-  merged.sort((a, b) => {
-    if (a.favorite && !b.favorite) return -1;
-    if (!a.favorite && b.favorite) return 1;
-    return new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime();
+  return sortPrompts(merged, sortMode);
+}
+
+/**
+ * Prompts of every scope, unfiltered, each with its `scope`
+ */
+function getAllPrompts() {
+  return [
+    ...globalPrompts.map(p => ({ ...p, scope: 'global' })),
+    ...projectPrompts.map(p => ({ ...p, scope: 'project' })),
+    ...commandPrompts.map(p => ({ ...p, scope: 'commands' }))
+  ];
+}
+
+/**
+ * Call a listener whenever prompt data arrives from the backend
+ * @param {function(): void} listener
+ */
+function onPromptsLoaded(listener) {
+  _loadListeners.push(listener);
+}
+
+/**
+ * Count a send or copy of a prompt
+ * @param {string} promptId
+ * @param {string} scope
+ * @param {string} action - 'send' or 'copy'
+ */
+function recordUse(promptId, scope, action) {
+  ipcRenderer.send(IPC.SAVED_PROMPT_USED, {
+    scope,
+    projectPath: state.getProjectPath() || null,
+    promptId,
+    action
   });
+}
 
-  return merged;
+/**
+ * Use count and last-used time of a prompt, empty when it was never used
+ */
+function renderUsage(prompt) {
+  if (!prompt.usage) return '';
+  const { sent, copied, lastUsedAt } = prompt.usage;
+  const details = `Sent ${sent}×, copied ${copied}×, last used ${new Date(lastUsedAt).toLocaleString()}`;
+  return `<span class="saved-prompt-usage" title="${escapeAttr(details)}">${sent + copied}× · ${escapeHtml(formatLastUsed(lastUsedAt))}</span>`;
 }
 
 /**
@@ -250,6 +367,8 @@ function renderCategories() {
  * Render a single prompt item
  */
 function renderPromptItem(prompt) {
+  if (prompt.scope === 'commands') return renderCommandItem(prompt);
+
   const scopeBadge = prompt.scope === 'global'
     ? '<span class="saved-prompt-scope scope-global" title="Global">G</span>'
     : '<span class="saved-prompt-scope scope-project" title="Project">P</span>';
@@ -263,16 +382,34 @@ function renderPromptItem(prompt) {
         ${scopeBadge}
         <span class="saved-prompt-title">${escapeHtml(prompt.title)}</span>
         ${prompt.category ? `<span class="saved-prompt-category">${escapeHtml(prompt.category)}</span>` : ''}
+        ${hasTemplateVariables(prompt.content) ? '<span class="saved-prompt-template-badge" title="Has fill-in values">{{ }}</span>' : ''}
+        ${prompt.pressEnter ? '<span class="saved-prompt-template-badge" title="Presses Enter after sending">↵</span>' : ''}
+        ${renderUsage(prompt)}
       </div>
       <div class="saved-prompt-content">
         <code>${contentPreview}</code>
       </div>
       <div class="saved-prompt-actions">
+        <button class="saved-prompt-send-btn" title="Send to active terminal">
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polygon points="5 3 19 12 5 21 5 3"/>
+          </svg>
+        </button>
+        <button class="saved-prompt-send-to-btn" title="Send to…">
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <rect x="2" y="4" width="20" height="16" rx="2"/><polyline points="6 9 9 12 6 15"/><line x1="12" y1="15" x2="17" y2="15"/>
+          </svg>
+        </button>
         <button class="saved-prompt-copy-btn" title="Copy to clipboard">
           <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>
           </svg>
         </button>
+        <button class="saved-prompt-command-btn" title="Save as slash command…">
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="16" y1="3" x2="8" y2="21"/>
+          </svg>
+        </button>
         <button class="saved-prompt-fav-btn ${favClass}" title="Toggle favorite">
           <svg width="12" height="12" viewBox="0 0 24 24" fill="${prompt.favorite ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2">
             <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
@@ -294,6 +431,56 @@ function renderPromptItem(prompt) {
   `;
 }
 
+/**
+ * Render a slash-command file; only project commands can be edited (in the editor)
+ */
+function renderCommandItem(command) {
+  const contentPreview = escapeHtml(command.content.length > 120 ? command.content.substring(0, 120) + '...' : command.content);
+  const sourceLabel = COMMAND_SOURCE_LABELS[command.source] || 'Command';
+
+  return `
+    <div class="saved-prompt-item" data-prompt-id="${escapeAttr(command.id)}" data-scope="commands">
+      <div class="saved-prompt-header">
+        <span class="saved-prompt-scope scope-commands" title="${escapeAttr(sourceLabel)}">/</span>
+        <span class="saved-prompt-title" title="${escapeAttr(command.description || command.title)}">${escapeHtml(command.title)}</span>
+        <span class="saved-prompt-category">${escapeHtml(command.category)}</span>
+        ${renderUsage(command)}
+      </div>
+      <div class="saved-prompt-content">
+        <code>${contentPreview}</code>
+      </div>
+      <div class="saved-prompt-actions">
+        <button class="saved-prompt-send-btn" title="Type ${escapeAttr(command.title)} in the active terminal">
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polygon points="5 3 19 12 5 21 5 3"/>
+          </svg>
+        </button>
+        <button class="saved-prompt-send-to-btn" title="Type in…">
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <rect x="2" y="4" width="20" height="16" rx="2"/><polyline points="6 9 9 12 6 15"/><line x1="12" y1="15" x2="17" y2="15"/>
+          </svg>
+        </button>
+        <button class="saved-prompt-copy-btn" title="Copy command text">
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>
+          </svg>
+        </button>
+        <button class="saved-prompt-command-btn" title="Save as saved prompt…">
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/>
+          </svg>
+        </button>
+        ${command.source === 'project' ? `<button class="saved-prompt-edit-btn" title="Open in editor">
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+          </svg>
+        </button>` : ''}
+      </div>
+    </div>
+  `;
+}
+
 /**
  * Copy prompt content to clipboard
  */
@@ -302,8 +489,7 @@ async function copyToClipboard(promptId, scope) {
   if (_copyLock) return;
   _copyLock = true;
 
-  const prompts = scope === 'global' ? globalPrompts : projectPrompts;
-  const prompt = prompts.find(p => p.id === promptId);
+  const prompt = getPromptsForScope(scope).find(p => p.id === promptId);
   if (!prompt || !prompt.content) {
     _copyLock = false;
     return;
@@ -312,6 +498,7 @@ async function copyToClipboard(promptId, scope) {
   try {
     const copied = await writeClipboardText(prompt.content);
     if (copied) {
+      recordUse(promptId, scope, 'copy');
       showToast('Copied to clipboard', 'success');
     } else {
       showToast('Failed to copy', 'error');
@@ -323,12 +510,184 @@ async function copyToClipboard(promptId, scope) {
   }
 }
 
+/**
+ * Send a prompt to a terminal (the active one by default), through the fill-in
+ * form when it has variables; Enter is pressed after it when the prompt asks for it.
+ * Slash commands are typed as their invocation, left open for arguments.
+ * @param {string} promptId
+ * @param {string} scope
+ * @param {string|null} [terminalId]
+ * @returns {boolean} Whether the prompt was sent (or is waiting for paste confirmation) or its fill-in form opened
+ */
+function sendToTerminal(promptId, scope, terminalId = null) {
+  const prompt = getPromptsForScope(scope).find(p => p.id === promptId);
+  if (!prompt || !prompt.content) return false;
+
+  const isCommand = scope === 'commands';
+  if (!isCommand && hasTemplateVariables(prompt.content)) {
+    promptTemplateModal.open(prompt, { terminalId, onUse: action => recordUse(promptId, scope, action) });
+    return true;
+  }
+  const text = isCommand ? `${prompt.title} ` : prompt.content;
+  // Counted once it is pasted: a shell may still ask to confirm the paste
+  const onSent = () => {
+    recordUse(promptId, scope, 'send');
+    if (terminalId) {
+      showToast('Prompt sent', 'success');
+    } else if (typeof window.terminalFocus === 'function') {
+      window.terminalFocus();
+    }
+  };
+  const sent = typeof window.terminalSendPrompt === 'function' &&
+    window.terminalSendPrompt(text, terminalId, { submit: !isCommand && prompt.pressEnter === true, onSent });
+  if (!sent) {
+    showToast(terminalId ? 'That terminal is no longer open' : 'No active terminal', 'error');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Import / export menu for the global and project prompt sets
+ */
+function showLibraryMenu(x, y) {
+  const scopes = state.getProjectPath() ? ['global', 'project'] : ['global'];
+  _libraryMenu.show(x, y, (menu) => {
+    for (const scope of scopes) {
+      const scopeLabel = scope === 'global' ? 'Global' : 'Project';
+      for (const format of Object.keys(LIBRARY_FORMAT_LABELS)) {
+        menu.addItem(`Export ${scopeLabel} Prompts as ${LIBRARY_FORMAT_LABELS[format]}…`, () => exportLibrary(scope, format));
+      }
+    }
+    menu.addSeparator();
+    for (const scope of scopes) {
+      const scopeLabel = scope === 'global' ? 'Global' : 'Project';
+      for (const format of Object.keys(LIBRARY_FORMAT_LABELS)) {
+        menu.addItem(`Import ${LIBRARY_FORMAT_LABELS[format]} into ${scopeLabel} Prompts…`, () => {
+          // Ask how to treat prompts whose title is already taken
+          _libraryMenu.show(x, y, (strategyMenu) => {
+            for (const strategy of Object.keys(CONFLICT_LABELS)) {
+              strategyMenu.addItem(CONFLICT_LABELS[strategy], () => importLibrary(scope, format, strategy));
+            }
+          });
+        });
+      }
+    }
+  });
+}
+
+async function exportLibrary(scope, format) {
+  const projectPath = scope === 'project' ? state.getProjectPath() : null;
+  try {
+    const result = await ipcRenderer.invoke(IPC.SAVED_PROMPTS_EXPORT, { scope, projectPath, format });
+    if (result && result.success) {
+      showToast(`Exported ${result.count} prompt${result.count === 1 ? '' : 's'}`, 'success');
+    } else if (!result || !result.canceled) {
+      showToast((result && result.error) || 'Failed to export prompts', 'error');
+    }
+  } catch (err) {
+    showToast(`Failed to export prompts: ${err.message}`, 'error');
+  }
+}
+
+async function importLibrary(scope, format, strategy) {
+  const projectPath = scope === 'project' ? state.getProjectPath() : null;
+  try {
+    const result = await ipcRenderer.invoke(IPC.SAVED_PROMPTS_IMPORT, { scope, projectPath, format, strategy });
+    if (result && result.success) {
+      const parts = [`${result.added} added`];
+      if (result.updated) parts.push(`${result.updated} overwritten`);
+      if (result.skipped) parts.push(`${result.skipped} skipped`);
+      if (result.invalid.length) parts.push(`${result.invalid.length} invalid`);
+      showToast(`Imported prompts: ${parts.join(', ')}`, result.invalid.length ? 'info' : 'success');
+      if (result.invalid.length) {
+        console.warn('Invalid prompts not imported:', result.invalid);
+      }
+      loadPrompts();
+    } else if (!result || !result.canceled) {
+      showToast((result && result.error) || 'Failed to import prompts', 'error');
+    }
+  } catch (err) {
+    showToast(`Failed to import prompts: ${err.message}`, 'error');
+  }
+}
+
+/**
+ * Save a prompt as a slash-command file, or a command file as a saved prompt
+ */
+function showCommandMenu(x, y, promptId, scope) {
+  const hasProject = !!state.getProjectPath();
+  _commandMenu.show(x, y, (menu) => {
+    if (scope === 'commands') {
+      menu.addItem('Add to Global Prompts', () => copyCommandToPrompts(promptId, 'global'));
+      if (hasProject) menu.addItem('Add to Project Prompts', () => copyCommandToPrompts(promptId, 'project'));
+      return;
+    }
+    for (const target of Object.keys(COMMAND_TARGET_LABELS)) {
+      if (target === 'project' && !hasProject) continue;
+      menu.addItem(COMMAND_TARGET_LABELS[target], () => saveAsCommand(promptId, scope, target));
+    }
+  });
+}
+
+async function saveAsCommand(promptId, scope, target, overwrite = false) {
+  const projectPath = state.getProjectPath();
+  try {
+    const result = await ipcRenderer.invoke(IPC.SAVED_PROMPT_TO_COMMAND, {
+      scope, projectPath: projectPath || null, promptId, target, overwrite
+    });
+    if (result && result.success) {
+      showToast(`Saved as ${result.invocation}`, 'success');
+    } else if (result && result.exists && !overwrite) {
+      if (confirm('A command with this name already exists. Overwrite it?')) {
+        await saveAsCommand(promptId, scope, target, true);
+      }
+    } else {
+      showToast((result && result.error) || 'Failed to save command', 'error');
+    }
+  } catch (err) {
+    showToast(`Failed to save command: ${err.message}`, 'error');
+  }
+}
+
+async function copyCommandToPrompts(commandId, scope) {
+  const projectPath = state.getProjectPath();
+  try {
+    const result = await ipcRenderer.invoke(IPC.SLASH_COMMAND_TO_PROMPT, { commandId, scope, projectPath: projectPath || null });
+    if (result && result.success) {
+      showToast('Prompt saved', 'success');
+    } else {
+      showToast((result && result.error) || 'Failed to save prompt', 'error');
+    }
+  } catch (err) {
+    showToast(`Failed to save prompt: ${err.message}`, 'error');
+  }
+}
+
+/**
+ * Menu of the current project's terminals to send a prompt to
+ */
+function showSendToMenu(x, y, promptId, scope) {
+  const targets = typeof window.terminalGetPromptTargets === 'function' ? window.terminalGetPromptTargets() : [];
+  if (targets.length === 0) {
+    showToast('No open terminals', 'info');
+    return;
+  }
+  _targetMenu.show(x, y, (menu) => {
+    for (const target of targets) {
+      const label = [target.name, target.aiTool ? `(${target.aiTool})` : '', target.isActive ? '— active' : '']
+        .filter(Boolean).join(' ');
+      menu.addItem(label, () => sendToTerminal(promptId, scope, target.id));
+    }
+  });
+}
+
 /**
  * Toggle favorite status
  */
 function toggleFavorite(promptId, scope) {
-  const prompts = scope === 'global' ? globalPrompts : projectPrompts;
-  const prompt = prompts.find(p => p.id === promptId);
+  if (scope === 'commands') return;
+  const prompt = getPromptsForScope(scope).find(p => p.id === promptId);
   if (!prompt) return;
 
   const projectPath = state.getProjectPath();
@@ -344,6 +703,7 @@ function toggleFavorite(promptId, scope) {
  * Delete a prompt
  */
 function deletePrompt(promptId, scope) {
+  if (scope === 'commands') return;
   if (!confirm('Delete this saved prompt?')) return;
 
   const projectPath = state.getProjectPath();
@@ -356,8 +716,9 @@ function deletePrompt(promptId, scope) {
 
 /**
  * Show add prompt modal
+ * @param {{title?: string, content?: string, scope?: 'global'|'project'}} [prefill] - Initial form values
  */
-function showAddPromptModal() {
+function showAddPromptModal(prefill = {}) {
   const modal = document.getElementById('saved-prompt-modal');
   const form = document.getElementById('saved-prompt-form');
   const title = document.getElementById('saved-prompt-modal-title');
@@ -378,7 +739,12 @@ function showAddPromptModal() {
     if (projectOption) {
       projectOption.disabled = !state.getProjectPath();
     }
+    if (prefill.scope === 'project' && state.getProjectPath()) {
+      scopeSelect.value = 'project';
+    }
   }
+  if (prefill.title) document.getElementById('saved-prompt-title-input').value = prefill.title;
+  if (prefill.content) document.getElementById('saved-prompt-content-input').value = prefill.content;
 
   modal.classList.add('visible');
   document.getElementById('saved-prompt-title-input')?.focus();
@@ -388,9 +754,12 @@ function showAddPromptModal() {
  * Show edit prompt modal
  */
 function showEditPromptModal(promptId, scope) {
-  const prompts = scope === 'global' ? globalPrompts : projectPrompts;
-  const prompt = prompts.find(p => p.id === promptId);
+  const prompt = getPromptsForScope(scope).find(p => p.id === promptId);
   if (!prompt) return;
+  if (scope === 'commands') {
+    if (prompt.source === 'project') editor.openFile(prompt.filePath, 'savedPrompts');
+    return;
+  }
 
   const modal = document.getElementById('saved-prompt-modal');
   const form = document.getElementById('saved-prompt-form');
@@ -404,6 +773,7 @@ function showEditPromptModal(promptId, scope) {
   editingPromptScope = scope;
 
   // Fill form
+  /** @type {HTMLInputElement} */ (document.getElementById('saved-prompt-press-enter-input')).checked = prompt.pressEnter === true;
   document.getElementById('saved-prompt-title-input').value = prompt.title || '';
   document.getElementById('saved-prompt-content-input').value = prompt.content || '';
   document.getElementById('saved-prompt-category-input').value = prompt.category || '';
@@ -435,6 +805,7 @@ function handlePromptFormSubmit(e) {
   const contentVal = document.getElementById('saved-prompt-content-input').value.trim();
   const categoryVal = document.getElementById('saved-prompt-category-input').value.trim();
   const scopeVal = document.getElementById('saved-prompt-scope-input').value;
+  const pressEnterVal = /** @type {HTMLInputElement} */ (document.getElementById('saved-prompt-press-enter-input')).checked;
 
   if (!titleVal || !contentVal) {
     showToast('Title and content are required', 'error');
@@ -449,7 +820,7 @@ function handlePromptFormSubmit(e) {
       scope: editingPromptScope,
       projectPath: projectPath || null,
       promptId: editingPromptId,
-      updates: { title: titleVal, content: contentVal, category: categoryVal || 'general' }
+      updates: { title: titleVal, content: contentVal, category: categoryVal || 'general', pressEnter: pressEnterVal }
     });
     showToast('Prompt updated', 'success');
   } else {
@@ -457,7 +828,7 @@ function handlePromptFormSubmit(e) {
     ipcRenderer.send(IPC.ADD_SAVED_PROMPT, {
       scope: scopeVal,
       projectPath: projectPath || null,
-      prompt: { title: titleVal, content: contentVal, category: categoryVal || 'general' }
+      prompt: { title: titleVal, content: contentVal, category: categoryVal || 'general', pressEnter: pressEnterVal }
     });
   }
 
@@ -528,5 +899,10 @@ module.exports = {
   show,
   hide,
   toggle,
+  openAddPrompt: showAddPromptModal,
+  loadPrompts,
+  getAllPrompts,
+  onPromptsLoaded,
+  sendPrompt: sendToTerminal,
   isVisible: () => _panel ? _panel.isVisible() : false
 };
@@ -0,0 +1,200 @@
+/**
+ * Split Layout Module
+ * Pure helpers for the binary split tree behind split panes in a terminal tab.
+ *
+ * A tree node is either a leaf `{ type: 'leaf', id }` or a split
+ * `{ type: 'split', direction: 'row'|'column', ratio, children: [first, second] }`.
+ * 'row' places children side by side (vertical divider), 'column' stacks them.
+ */
+
+const MIN_RATIO = 0.1;
+const MAX_RATIO = 0.9;
+const MAX_DEPTH = 16;
+
+function createLeaf(id) {
+  return { type: 'leaf', id };
+}
+
+function clampRatio(ratio) {
+  const value = Number(ratio);
+  if (!Number.isFinite(value)) return 0.5;
+  return Math.min(MAX_RATIO, Math.max(MIN_RATIO, value));
+}
+
+/**
+ * Leaf ids in document order (left-to-right, top-to-bottom)
+ * @returns {string[]}
+ */
+function getLeafIds(tree) {
+  if (!tree) return [];
+  if (tree.type === 'leaf') return [tree.id];
+  return [...getLeafIds(tree.children[0]), ...getLeafIds(tree.children[1])];
+}
+
+function hasLeaf(tree, id) {
+  return getLeafIds(tree).includes(id);
+}
+
+/**
+ * Split the leaf `targetId`, placing `newId` after it (right/below) or before it.
+ * @param {Object} tree
+ * @param {string} targetId
+ * @param {string} newId
+ * @param {'row'|'column'} direction
+ * @param {boolean} [before=false]
+ * @returns {Object} New tree (unchanged if targetId is not found)
+ */
+function splitLeaf(tree, targetId, newId, direction, before = false) {
+  if (!tree) return tree;
+  if (tree.type === 'leaf') {
+    if (tree.id !== targetId) return tree;
+    const newLeaf = createLeaf(newId);
+    return {
+      type: 'split',
+      direction: direction === 'column' ? 'column' : 'row',
+      ratio: 0.5,
+      children: before ? [newLeaf, tree] : [tree, newLeaf]
+    };
+  }
+  return {
+    ...tree,
+    children: [
+      splitLeaf(tree.children[0], targetId, newId, direction, before),
+      splitLeaf(tree.children[1], targetId, newId, direction, before)
+    ]
+  };
+}
+
+/**
+ * Map leaf ids through `fn`; leaves mapped to null/undefined are removed and
+ * splits left with a single child collapse into that child.
+ * @returns {Object|null}
+ */
+function mapLeafIds(tree, fn) {
+  if (!tree) return null;
+  if (tree.type === 'leaf') {
+    const id = fn(tree.id);
+    return id ? createLeaf(id) : null;
+  }
+  const first = mapLeafIds(tree.children[0], fn);
+  const second = mapLeafIds(tree.children[1], fn);
+  if (!first) return second;
+  if (!second) return first;
+  return { ...tree, children: [first, second] };
+}
+
+/**
+ * Remove a leaf from the tree
+ * @returns {Object|null} New tree, or null when the last leaf was removed
+ */
+function removeLeaf(tree, id) {
+  return mapLeafIds(tree, (leafId) => (leafId === id ? null : leafId));
+}
+
+/**
+ * Normalized rectangles (0..1) for every leaf
+ * @returns {Map<string, {x: number, y: number, w: number, h: number}>}
+ */
+function computeLeafRects(tree, rect = { x: 0, y: 0, w: 1, h: 1 }, result = new Map()) {
+  if (!tree) return result;
+  if (tree.type === 'leaf') {
+    result.set(tree.id, rect);
+    return result;
+  }
+  const ratio = clampRatio(tree.ratio);
+  if (tree.direction === 'row') {
+    const firstWidth = rect.w * ratio;
+    computeLeafRects(tree.children[0], { x: rect.x, y: rect.y, w: firstWidth, h: rect.h }, result);
+    computeLeafRects(tree.children[1], { x: rect.x + firstWidth, y: rect.y, w: rect.w - firstWidth, h: rect.h }, result);
+  } else {
+    const firstHeight = rect.h * ratio;
+    computeLeafRects(tree.children[0], { x: rect.x, y: rect.y, w: rect.w, h: firstHeight }, result);
+    computeLeafRects(tree.children[1], { x: rect.x, y: rect.y + firstHeight, w: rect.w, h: rect.h - firstHeight }, result);
+  }
+  return result;
+}
+
+/**
+ * Find the pane next to `id` in a direction (like tmux select-pane -L/-R/-U/-D).
+ * Prefers the candidate sharing the longest edge with the current pane.
+ * @param {'left'|'right'|'up'|'down'} direction
+ * @returns {string|null}
+ */
+function findNeighbor(tree, id, direction) {
+  const rects = computeLeafRects(tree);
+  const current = rects.get(id);
+  if (!current) return null;
+
+  const EPSILON = 1e-6;
+  const horizontal = direction === 'left' || direction === 'right';
+  let best = null;
+  let bestOverlap = 0;
+
+  for (const [candidateId, rect] of rects) {
+    if (candidateId === id) continue;
+
+    let touches = false;
+    if (direction === 'left') touches = Math.abs(rect.x + rect.w - current.x) < EPSILON;
+    if (direction === 'right') touches = Math.abs(current.x + current.w - rect.x) < EPSILON;
+    if (direction === 'up') touches = Math.abs(rect.y + rect.h - current.y) < EPSILON;
+    if (direction === 'down') touches = Math.abs(current.y + current.h - rect.y) < EPSILON;
+    if (!touches) continue;
+
+    const overlap = horizontal
+      ? Math.min(rect.y + rect.h, current.y + current.h) - Math.max(rect.y, current.y)
+      : Math.min(rect.x + rect.w, current.x + current.w) - Math.max(rect.x, current.x);
+    if (overlap > bestOverlap + EPSILON) {
+      best = candidateId;
+      bestOverlap = overlap;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Structural fingerprint of a tree (ignores ratios), used to decide when to re-render
+ * @returns {string}
+ */
+function layoutSignature(tree) {
+  if (!tree) return '';
+  if (tree.type === 'leaf') return tree.id;
+  return `${tree.direction}(${layoutSignature(tree.children[0])},${layoutSignature(tree.children[1])})`;
+}
+
+/**
+ * Validate and copy a tree loaded from storage
+ * @returns {Object|null} Sanitized tree, or null if the shape is invalid
+ */
+function sanitizeTree(value, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > MAX_DEPTH) return null;
+  if (value.type === 'leaf') {
+    return typeof value.id === 'string' && value.id ? createLeaf(value.id) : null;
+  }
+  if (value.type !== 'split' || !Array.isArray(value.children) || value.children.length !== 2) {
+    return null;
+  }
+  const first = sanitizeTree(value.children[0], depth + 1);
+  const second = sanitizeTree(value.children[1], depth + 1);
+  if (!first || !second) return null;
+  return {
+    type: 'split',
+    direction: value.direction === 'column' ? 'column' : 'row',
+    ratio: clampRatio(value.ratio),
+    children: [first, second]
+  };
+}
+
+module.exports = {
+  createLeaf,
+  clampRatio,
+  getLeafIds,
+  hasLeaf,
+  splitLeaf,
+  mapLeafIds,
+  removeLeaf,
+  computeLeafRects,
+  findNeighbor,
+  layoutSignature,
+  sanitizeTree
+};
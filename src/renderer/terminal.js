@@ -103,8 +103,24 @@ function getActiveTerminalState() {
   return manager.getActiveTerminalState();
 }
 
+/**
+ * Paste a (possibly multi-line) prompt into active terminal or specific terminal
+ * @param {{submit?: boolean}} [options] - `submit` presses Enter after the paste
+ * @returns {boolean} Whether there was a terminal to send to
+ */
+function sendPrompt(text, terminalId = null, options = {}) {
+  return multiTerminalUI ? multiTerminalUI.sendPrompt(text, terminalId, options) : false;
+}
+
 // Expose sendCommand globally for modules that can't import terminal directly (circular dependency)
 window.terminalSendCommand = sendCommand;
+window.terminalSendPrompt = sendPrompt;
+window.terminalGetSelection = function() {
+  return multiTerminalUI ? multiTerminalUI.getManager().getActiveSelection() : '';
+};
+window.terminalGetPromptTargets = function() {
+  return multiTerminalUI ? multiTerminalUI.getManager().getPromptTargets() : [];
+};
 
 // Expose focus function globally for returning focus from other panels
 window.terminalFocus = function() {
@@ -142,6 +158,7 @@ module.exports = {
   startTerminal,
   restartTerminal,
   sendCommand,
+  sendPrompt,
   setActiveTerminal,
   getActiveTerminalState,
   getMultiTerminalUI
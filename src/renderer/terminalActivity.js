@@ -0,0 +1,94 @@
+/**
+ * Terminal Activity Module
+ * Tracks output bursts per terminal and reports when a terminal goes quiet
+ */
+
+// Quiet time after the last output before a terminal counts as idle
+const IDLE_AFTER_MS = 4000;
+// A burst must last this long (or produce this much output) to be worth reporting
+const MIN_BURST_MS = 3000;
+const MIN_BURST_CHARS = 4096;
+
+// Badge priority when a tab has several panes
+const ACTIVITY_PRIORITY = { activity: 1, idle: 2, bell: 3 };
+
+/**
+ * Pick the status that should win when combining panes of one tab
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {string|null}
+ */
+function mergeActivityStatus(a, b) {
+  return (ACTIVITY_PRIORITY[b] || 0) > (ACTIVITY_PRIORITY[a] || 0) ? b : a || null;
+}
+
+class TerminalActivityTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.idleMs] - Quiet time that ends a burst
+   * @param {number} [options.minBurstMs] - Minimum burst duration to report
+   * @param {number} [options.minBurstChars] - Minimum burst size to report
+   * @param {function(string, {duration: number, chars: number}): void} [options.onIdle]
+   *   Called when a terminal goes quiet after a reportable burst
+   */
+  constructor(options = {}) {
+    this.idleMs = options.idleMs ?? IDLE_AFTER_MS;
+    this.minBurstMs = options.minBurstMs ?? MIN_BURST_MS;
+    this.minBurstChars = options.minBurstChars ?? MIN_BURST_CHARS;
+    this.onIdle = options.onIdle || null;
+    this._bursts = new Map(); // Map<terminalId, {startedAt, lastOutputAt, chars, timer}>
+  }
+
+  /**
+   * Record a chunk of output and restart the idle timer
+   * @param {string} terminalId
+   * @param {number} chars - Length of the chunk
+   * @param {number} [now]
+   */
+  recordOutput(terminalId, chars, now = Date.now()) {
+    let burst = this._bursts.get(terminalId);
+    if (!burst) {
+      burst = { startedAt: now, lastOutputAt: now, chars: 0, timer: null };
+      this._bursts.set(terminalId, burst);
+    }
+    burst.lastOutputAt = now;
+    burst.chars += chars;
+
+    if (burst.timer) clearTimeout(burst.timer);
+    burst.timer = setTimeout(() => this._endBurst(terminalId), this.idleMs);
+  }
+
+  /**
+   * Whether the terminal has produced output within the idle window
+   */
+  isActive(terminalId) {
+    return this._bursts.has(terminalId);
+  }
+
+  /**
+   * Stop tracking a terminal (closed or detached)
+   */
+  forget(terminalId) {
+    const burst = this._bursts.get(terminalId);
+    if (burst && burst.timer) clearTimeout(burst.timer);
+    this._bursts.delete(terminalId);
+  }
+
+  dispose() {
+    Array.from(this._bursts.keys()).forEach((id) => this.forget(id));
+  }
+
+  _endBurst(terminalId) {
+    const burst = this._bursts.get(terminalId);
+    if (!burst) return;
+    this._bursts.delete(terminalId);
+
+    const duration = burst.lastOutputAt - burst.startedAt;
+    if (duration < this.minBurstMs && burst.chars < this.minBurstChars) return;
+    if (this.onIdle) {
+      this.onIdle(terminalId, { duration, chars: burst.chars });
+    }
+  }
+}
+
+module.exports = { TerminalActivityTracker, mergeActivityStatus };
@@ -25,8 +25,11 @@ class TerminalGrid {
 
   /**
    * Render grid with terminals
+   * @param {Array<Object>} terminals - Tab states from TerminalManager.getTerminalStates()
+   * @param {string} layout - Key of GRID_LAYOUTS
+   * @param {boolean} [broadcastEnabled] - Whether input is being mirrored to the broadcast group
    */
-  render(terminals, layout) {
+  render(terminals, layout, broadcastEnabled = false) {
     const config = GRID_LAYOUTS[layout] || GRID_LAYOUTS['2x2'];
     const maxCells = config.rows * config.cols;
     const terminalsToShow = terminals.slice(0, maxCells);
@@ -51,12 +54,12 @@ class TerminalGrid {
     for (let index = 0; index < maxCells; index += 1) {
       const terminal = terminalsToShow[index];
       if (terminal) {
-        const cell = this._createCell(terminal, index, maxCells);
+        const cell = this._createCell(terminal, index, maxCells, broadcastEnabled);
         this.container.appendChild(cell);
 
-        // Mount terminal in cell content
+        // Mount terminal (or its split panes) in cell content
         const contentArea = cell.querySelector('.grid-cell-content');
-        this.manager.mountTerminal(terminal.id, contentArea);
+        this.manager.mountTab(terminal.id, contentArea);
       } else {
         this.container.appendChild(this._createEmptyCell(index));
       }
@@ -66,16 +69,25 @@ class TerminalGrid {
   /**
    * Create a grid cell
    */
-  _createCell(terminal, index, totalCells) {
+  _createCell(terminal, index, totalCells, broadcastEnabled) {
     const cell = document.createElement('div');
     cell.className = `grid-cell ${terminal.isActive ? 'active' : ''}`;
+    cell.classList.toggle('broadcasting', !!(broadcastEnabled && terminal.inBroadcastGroup));
     cell.dataset.terminalId = terminal.id;
     cell.dataset.index = index;
 
     cell.innerHTML = `
       <div class="grid-cell-header">
+        ${terminal.sshHost || terminal.container ? `<span class="terminal-host-label">${this._escapeHtml(terminal.sshHost || terminal.container)}</span>` : ''}
         <span class="grid-cell-name">${this._escapeHtml(terminal.customName || terminal.name)}</span>
         <div class="grid-cell-actions">
+          <button class="btn btn-grid-broadcast ${terminal.inBroadcastGroup ? 'in-group' : ''}" data-size="icon-sm" data-variant="ghost"
+            title="${terminal.inBroadcastGroup ? 'Remove from broadcast group' : 'Add to broadcast group'}" aria-label="Toggle broadcast group membership">
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <circle cx="12" cy="12" r="2"/>
+              <path d="M16.24 7.76a6 6 0 0 1 0 8.49M7.76 16.24a6 6 0 0 1 0-8.49"/>
+            </svg>
+          </button>
           <button class="btn btn-grid-focus" data-size="icon-sm" data-variant="ghost" title="Focus terminal" aria-label="Focus terminal">
             <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
               <path d="M8 3H5a2 2 0 0 0-2 2v3m18 0V5a2 2 0 0 0-2-2h-3m0 18h3a2 2 0 0 0 2-2v-3M3 16v3a2 2 0 0 0 2 2h3"/>
@@ -143,15 +155,24 @@ class TerminalGrid {
     // Click to focus
     cell.addEventListener('click', (e) => {
       if (!e.target.closest('.grid-cell-actions')) {
-        this.manager.setActiveTerminal(terminalId);
+        // Panes set focus themselves; only switch when focus is in another cell
+        if (this.manager.getTabId(this.manager.activeTerminalId) !== terminalId) {
+          this.manager.activateTab(terminalId);
+        }
         this._updateActiveCell(terminalId);
       }
     });
 
+    // Broadcast group toggle
+    cell.querySelector('.btn-grid-broadcast').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.manager.toggleBroadcastMember(terminalId);
+    });
+
     // Focus button
     cell.querySelector('.btn-grid-focus').addEventListener('click', (e) => {
       e.stopPropagation();
-      this.manager.setActiveTerminal(terminalId);
+      this.manager.activateTab(terminalId);
       this.manager.setViewMode('tabs'); // Switch to tabs to show focused terminal
     });
 
@@ -159,7 +180,7 @@ class TerminalGrid {
     cell.querySelector('.btn-grid-close').addEventListener('click', (e) => {
       e.stopPropagation();
       if (!confirm('Close this terminal?')) return;
-      this.manager.closeTerminal(terminalId);
+      this.manager.closeTab(terminalId);
     });
 
     // Setup resizers
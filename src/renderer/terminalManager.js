@@ -3,43 +3,44 @@
  * Manages multiple terminal instances in the renderer
  */
 
-const { ipcRenderer, clipboard, getPathForFile } = require('./electronBridge');
+const { ipcRenderer, clipboard, getPathForFile, pathApi } = require('./electronBridge');
 const { Terminal } = require('@xterm/xterm');
 const { FitAddon } = require('@xterm/addon-fit');
 const { WebLinksAddon } = require('@xterm/addon-web-links');
+const { SearchAddon } = require('@xterm/addon-search');
 const { IPC } = require('../shared/ipcChannels');
 const { writeClipboardText } = require('./clipboardWrite');
 const { shellQuote } = require('./shellEscape');
 const { registerFilePathLinks } = require('./filePathLinker');
-
-// Terminal theme (VS Code dark)
-const terminalTheme = {
-  background: '#12121a',
-  foreground: '#d4d4e4',
-  cursor: '#a78bfa',
-  cursorAccent: '#12121a',
-  selectionBackground: 'rgba(167, 139, 250, 0.25)',
-  black: '#16161e',
-  red: '#f47067',
-  green: '#57cc99',
-  yellow: '#e0a458',
-  blue: '#78a5d4',
-  magenta: '#c4b5fd',
-  cyan: '#56d4dd',
-  white: '#e4e4ed',
-  brightBlack: '#6b6880',
-  brightRed: '#ff8080',
-  brightGreen: '#7ee8b0',
-  brightYellow: '#ffd580',
-  brightBlue: '#a0c4f0',
-  brightMagenta: '#ddd6fe',
-  brightCyan: '#80e8f0',
-  brightWhite: '#f0f0f8'
-};
+const splitLayout = require('./splitLayout');
+const { TerminalSplitView } = require('./terminalSplitView');
+const { TerminalSearchBar, SEARCH_HIGHLIGHT_LIMIT } = require('./terminalSearchBar');
+const { TerminalActivityTracker, mergeActivityStatus } = require('./terminalActivity');
+const { CommandTracker } = require('./commandTracker');
+const { serializeToHtml, serializeToMarkdown } = require('./terminalTranscript');
+const { DEFAULT_TERMINAL_SETTINGS, resolveThemeColors } = require('../shared/terminalThemes');
+const { analyzePaste, stripTrailingNewlines } = require('./pasteSafety');
+const { confirmPaste } = require('./pasteConfirmDialog');
+const { isSecretKey, MASKED_VALUE } = require('../shared/envSecrets');
 
 // Session storage key
 const SESSION_STORAGE_KEY = 'vibeconsole-terminal-sessions';
+const NOTIFICATIONS_STORAGE_KEY = 'vibeconsole-terminal-notifications';
 const GLOBAL_PROJECT_KEY = '__global__';
+// Must match the key format accepted by the main-process scrollback store
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Broadcast turns itself off when nothing has been mirrored for this long
+const BROADCAST_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+// Output right after a terminal opens (prompt, replayed backlog) is not activity
+const ACTIVITY_GRACE_MS = 2000;
+// At most one desktop notification per terminal in this window
+const NOTIFICATION_COOLDOWN_MS = 10000;
+const ESC = '\u001b';
+// Replies xterm sends on its own (focus, cursor position, device attributes,
+// mouse reports, OSC/DCS responses); these are never mirrored to other terminals
+const TERMINAL_REPORT_PATTERN = new RegExp(
+  `^(?:${ESC}\\[(?:I|O|\\d+;\\d+R|[?>][\\d;]*c|<\\d+;\\d+;\\d+[Mm]|M[\\s\\S]{3})|${ESC}[\\]P][\\s\\S]*)+$`
+);
 const AI_TOOL_COMMAND_MAP = {
   claude: 'claude',
   codex: 'codex'
@@ -57,7 +58,35 @@ class TerminalManager {
     this.onStateChange = null;
     this.onFilePathActivate = null; // callback(filePath, line, col) for file path links
     this.currentProjectPath = null; // Current active project (null = global)
+    this._restoringProjects = new Set(); // Session keys whose saved terminals are being recreated
+    this._activatedProjects = new Set(); // Projects already activated this run (startup profile runs once)
+    // Split panes: a tab is its host terminal; extra panes carry state.splitHostId
+    this.splitTrees = new Map(); // Map<tabId, split tree> (only for tabs that are split)
+    this._lastFocusedPane = new Map(); // Map<tabId, terminalId>
+    // Broadcast input: keystrokes in one group member are mirrored to the others
+    this.broadcastGroup = new Set(); // Set<terminalId>
+    this.broadcastEnabled = false;
+    this._broadcastIdleTimer = null;
+    // Background activity badges ('activity' | 'idle' | 'bell') and desktop notifications
+    this._activity = new TerminalActivityTracker({
+      onIdle: (terminalId, burst) => this._onTerminalIdle(terminalId, burst)
+    });
+    this.notificationsEnabled = localStorage.getItem(NOTIFICATIONS_STORAGE_KEY) === 'true';
+    // Theme, font, scrollback and paste handling; defaults until the saved settings arrive
+    this.settings = DEFAULT_TERMINAL_SETTINGS;
+    this._splitView = new TerminalSplitView(this);
+    // Working-directory reports naming another host are not local paths
+    this._localHostname = null;
     this._setupIPC();
+    this._loadSettings();
+    this._loadLocalHostname();
+
+    // Persist every project's terminal layout so it can be recreated on next launch
+    window.addEventListener('beforeunload', () => this.saveAllProjectSessions());
+  }
+
+  _generateSessionId() {
+    return `sess-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
   }
 
   _countTerminalsForProject(projectPath) {
@@ -66,9 +95,10 @@ class TerminalManager {
       .length;
   }
 
+  // Tab-level terminals only; split panes are ordered by their tab's tree
   _getProjectTerminalEntries(projectPath) {
     return Array.from(this.terminals.entries())
-      .filter(([, instance]) => instance.state.projectPath === projectPath)
+      .filter(([, instance]) => instance.state.projectPath === projectPath && !instance.state.splitHostId)
       .sort(([, a], [, b]) => this._compareTerminalState(a.state, b.state));
   }
 
@@ -133,7 +163,7 @@ class TerminalManager {
     }
   }
 
-  _pasteInChunks(terminal, rawText) {
+  _pasteInChunks(terminal, rawText, onDone = null) {
     const text = (rawText || '').replace(/\r\n/g, '\n');
     if (!text) return false;
 
@@ -141,6 +171,7 @@ class TerminalManager {
     const DIRECT_PASTE_LIMIT = 2048;
     if (text.length <= DIRECT_PASTE_LIMIT) {
       terminal.paste(text);
+      if (onDone) onDone();
       return true;
     }
 
@@ -148,7 +179,10 @@ class TerminalManager {
     let index = 0;
 
     const pump = () => {
-      if (index >= text.length) return;
+      if (index >= text.length) {
+        if (onDone) onDone();
+        return;
+      }
       terminal.paste(text.slice(index, index + CHUNK_SIZE));
       index += CHUNK_SIZE;
       setTimeout(pump, 0);
@@ -158,6 +192,60 @@ class TerminalManager {
     return true;
   }
 
+  /**
+   * Paste text with a single terminal.paste call, so a program in bracketed paste
+   * mode receives it as one paste however long it is
+   */
+  _pasteWhole(terminal, text, onDone = null) {
+    terminal.paste(text);
+    if (onDone) onDone();
+    return true;
+  }
+
+  /**
+   * Paste clipboard text after the paste safety checks from the settings:
+   * trailing newlines are dropped for AI tool prompts, and multi-line or
+   * dangerous text is shown for confirmation first.
+   * @param {string} terminalId
+   * @param {string} rawText
+   * @param {(() => void)|null} [onDone] - Called after the text is pasted, not when the paste is cancelled
+   * @param {{whole?: boolean}} [options] - `whole` pastes in one piece instead of in chunks
+   * @returns {boolean} Whether there was text to paste (the paste itself may still be cancelled)
+   */
+  _pasteWithSafetyChecks(terminalId, rawText, onDone = null, options = {}) {
+    const instance = this.terminals.get(terminalId);
+    let text = (rawText || '').replace(/\r\n/g, '\n');
+    if (!instance || !text) return false;
+
+    const { state, terminal } = instance;
+    // A trailing newline would submit the prompt before the user can edit it
+    if (state.aiTool && this.settings.trimAiPasteNewlines) {
+      text = stripTrailingNewlines(text);
+      if (!text) return false;
+    }
+
+    const paste = () => options.whole
+      ? this._pasteWhole(terminal, text, onDone)
+      : this._pasteInChunks(terminal, text, onDone);
+    const analysis = analyzePaste(text);
+    const showWarnings = this.settings.warnDangerousPaste && analysis.warnings.length > 0;
+    // AI tool prompts take multi-line text as one message, so only shells need the confirmation
+    const confirmLines = this.settings.confirmMultilinePaste && !state.aiTool && analysis.lineCount > 1;
+    if (!showWarnings && !confirmLines) {
+      return paste();
+    }
+
+    confirmPaste(showWarnings ? analysis : { ...analysis, warnings: [] }, { terminalName: state.customName || state.name })
+      .then((confirmed) => {
+        // The terminal may have been closed while the dialog was open
+        if (confirmed && this.terminals.get(terminalId) === instance) {
+          paste();
+        }
+      })
+      .catch((err) => console.error('Paste confirmation failed:', err));
+    return true;
+  }
+
   _isAtOrNearBottom(terminal, thresholdLines = 1) {
     if (!terminal) return true;
     const buf = terminal.buffer?.active;
@@ -195,6 +283,8 @@ class TerminalManager {
     // Save current project session before switching
     if (this.currentProjectPath !== projectPath) {
       this.saveProjectSession(this.currentProjectPath);
+      // Never keep mirroring into terminals that are no longer on screen
+      this.setBroadcastEnabled(false);
     }
 
     this.currentProjectPath = projectPath;
@@ -230,17 +320,58 @@ class TerminalManager {
     const projectTerminals = this.getTerminalsByProject(projectPath);
 
     if (projectTerminals.length === 0) {
-      return; // Nothing to save
+      // All terminals were closed: don't recreate them on next launch.
+      // Skip while a restore is still spawning them.
+      if (!this._restoringProjects.has(sessionKey)) {
+        this._forgetSavedTerminals(sessionKey);
+      }
+      return;
     }
 
+    const paneStates = Array.from(this.terminals.values())
+      .filter((t) => t.state.projectPath === projectPath && t.state.splitHostId)
+      .map((t) => ({ ...t.state }));
+    const sessionIdsById = new Map(
+      [...projectTerminals, ...paneStates].map((t) => [t.id, t.sessionId])
+    );
+    const activeInstance = this.terminals.get(this.activeTerminalId);
+    const activeState = activeInstance && activeInstance.state.projectPath === projectPath
+      ? activeInstance.state
+      : null;
     const sessionData = {
       activeTerminalId: this.activeTerminalId,
+      activeSessionId: activeState ? activeState.sessionId : null,
       viewMode: this.viewMode,
       gridLayout: this.gridLayout,
       terminalNames: {}, // Map of terminalId -> customName
-      terminalOrder: projectTerminals.map((t) => t.id)
+      terminalOrder: projectTerminals.map((t) => t.id),
+      // Stable per-terminal records used to recreate terminals after a restart
+      terminals: [
+        ...projectTerminals.map((t) => ({
+          sessionId: t.sessionId,
+          customName: t.customName || null,
+          shell: t.shell || null,
+          ...this._getRemoteRecord(t)
+        })),
+        ...paneStates.map((t) => ({
+          sessionId: t.sessionId,
+          customName: t.customName || null,
+          shell: t.shell || null,
+          ...this._getRemoteRecord(t),
+          splitHostSessionId: sessionIdsById.get(t.splitHostId) || null
+        }))
+      ],
+      // Split trees keyed by the tab's session id, with session ids as leaves
+      splitLayouts: {}
     };
 
+    projectTerminals.forEach((t) => {
+      const tree = this.splitTrees.get(t.id);
+      if (tree && t.sessionId) {
+        sessionData.splitLayouts[t.sessionId] = splitLayout.mapLeafIds(tree, (id) => sessionIdsById.get(id) || null);
+      }
+    });
+
     // Save custom names
     projectTerminals.forEach(t => {
       if (t.customName) {
@@ -250,6 +381,12 @@ class TerminalManager {
 
     try {
       const allSessions = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || '{}');
+      const previous = allSessions[sessionKey];
+      // View settings are shared across projects; only the current project owns them
+      if (projectPath !== this.currentProjectPath && previous) {
+        sessionData.viewMode = previous.viewMode;
+        sessionData.gridLayout = previous.gridLayout;
+      }
       allSessions[sessionKey] = sessionData;
       localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(allSessions));
     } catch (err) {
@@ -258,12 +395,142 @@ class TerminalManager {
     }
   }
 
+  /**
+   * Save sessions for every project that currently has terminals
+   */
+  saveAllProjectSessions() {
+    const projectPaths = new Set([this.currentProjectPath]);
+    for (const instance of this.terminals.values()) {
+      projectPaths.add(instance.state.projectPath);
+    }
+    projectPaths.forEach((projectPath) => this.saveProjectSession(projectPath));
+  }
+
+  _forgetSavedTerminals(sessionKey) {
+    try {
+      const allSessions = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || '{}');
+      if (!allSessions[sessionKey] || !allSessions[sessionKey].terminals) return;
+      delete allSessions[sessionKey].terminals;
+      delete allSessions[sessionKey].activeSessionId;
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(allSessions));
+    } catch (err) {
+      console.error('Failed to update terminal session:', err);
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  }
+
+  _getSavedSession(projectPath) {
+    try {
+      const allSessions = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || '{}');
+      return allSessions[projectPath || GLOBAL_PROJECT_KEY] || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Recreate terminals saved for a project in a previous app run, replaying
+   * each one's saved scrollback above its new shell prompt.
+   * @param {string|null} projectPath - Project path or null for global
+   * @returns {Promise<number>} Number of terminals recreated
+   */
+  async restoreSavedTerminals(projectPath) {
+    const sessionKey = projectPath || GLOBAL_PROJECT_KEY;
+    const sessionData = this._getSavedSession(projectPath);
+    const saved = sessionData && Array.isArray(sessionData.terminals)
+      ? sessionData.terminals.filter((t) => t && SESSION_ID_PATTERN.test(t.sessionId))
+      : [];
+
+    if (saved.length === 0 || this._restoringProjects.has(sessionKey)) return 0;
+    if (this._countTerminalsForProject(projectPath) > 0) return 0;
+
+    this._restoringProjects.add(sessionKey);
+    let restored = 0;
+    let activeId = null;
+    const restoredIds = new Map(); // Map<sessionId, terminalId>
+    try {
+      // Shells that survived a window reload are reattached instead of respawned
+      const running = new Map();
+      try {
+        const sessions = await this.listRunningSessions();
+        sessions.forEach((session) => {
+          if (session.scrollbackKey && !this.terminals.has(session.terminalId)) {
+            running.set(session.scrollbackKey, session);
+          }
+        });
+      } catch (err) {
+        console.error('Failed to list running terminal sessions:', err);
+      }
+
+      for (const entry of saved.slice(0, this.maxTerminals)) {
+        // Panes are listed after their tab, so the host already has a terminal id
+        const splitHostId = entry.splitHostSessionId
+          ? restoredIds.get(entry.splitHostSessionId) || null
+          : null;
+        const session = running.get(entry.sessionId);
+        if (session) {
+          try {
+            const terminalId = await this.attachSession(session, {
+              customName: entry.customName || null,
+              splitHostId
+            });
+            restored++;
+            restoredIds.set(entry.sessionId, terminalId);
+            if (entry.sessionId === sessionData.activeSessionId) activeId = terminalId;
+            continue;
+          } catch (err) {
+            console.error('Failed to reattach terminal session:', err);
+          }
+        }
+
+        let scrollback = '';
+        try {
+          const response = await ipcRenderer.invoke(IPC.TERMINAL_SCROLLBACK_LOAD, entry.sessionId);
+          if (response && response.success) scrollback = response.data || '';
+        } catch (err) {
+          console.error('Failed to load terminal scrollback:', err);
+        }
+
+        try {
+          const terminalId = await this.createTerminal({
+            projectPath,
+            sessionId: entry.sessionId,
+            customName: entry.customName || null,
+            shell: entry.shell || null,
+            sshHost: entry.sshHost || null,
+            remoteCwd: entry.remoteCwd || null,
+            container: entry.container || null,
+            splitHostId,
+            restoredScrollback: scrollback
+          });
+          restored++;
+          restoredIds.set(entry.sessionId, terminalId);
+          if (entry.sessionId === sessionData.activeSessionId) activeId = terminalId;
+        } catch (err) {
+          console.error('Failed to restore terminal:', err);
+        }
+      }
+      this._restoreSplitLayouts(sessionData.splitLayouts, restoredIds);
+    } finally {
+      this._restoringProjects.delete(sessionKey);
+    }
+
+    if (this.currentProjectPath === projectPath) {
+      const projectTerminals = this.getTerminalsByProject(projectPath);
+      const target = activeId || (projectTerminals[0] && projectTerminals[0].id);
+      if (target) this.setActiveTerminal(target);
+    }
+    return restored;
+  }
+
   /**
    * Restore project session from localStorage
    * @param {string|null} projectPath - Project path or null for global
    */
   restoreProjectSession(projectPath) {
     const sessionKey = projectPath || GLOBAL_PROJECT_KEY;
+    const firstActivation = !!projectPath && !this._activatedProjects.has(projectPath);
+    if (projectPath) this._activatedProjects.add(projectPath);
 
     try {
       const allSessions = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || '{}');
@@ -278,8 +545,20 @@ class TerminalManager {
           this.gridLayout = sessionData.gridLayout;
         }
 
-        // Restore custom names for existing terminals
+        // Recreate terminals from a previous app run
         const projectTerminals = this.getTerminalsByProject(projectPath);
+        if (projectTerminals.length === 0 && Array.isArray(sessionData.terminals) && sessionData.terminals.length > 0) {
+          this.activeTerminalId = null;
+          this.restoreSavedTerminals(projectPath).then((restored) => {
+            if (restored === 0 && firstActivation) return this.applyStartupProfile(projectPath);
+            return restored;
+          }).catch((err) => {
+            console.error('Failed to restore saved terminals:', err);
+          });
+          return;
+        }
+
+        // Restore custom names for existing terminals
         if (Array.isArray(sessionData.terminalOrder)) {
           this._applyProjectOrder(projectPath, sessionData.terminalOrder);
         }
@@ -309,6 +588,11 @@ class TerminalManager {
         this.setActiveTerminal(projectTerminals[0].id);
       } else {
         this.activeTerminalId = null;
+        if (firstActivation) {
+          this.applyStartupProfile(projectPath).catch((err) => {
+            console.error('Failed to apply terminal startup profile:', err);
+          });
+        }
       }
     } catch (err) {
       console.error('Failed to restore terminal session:', err);
@@ -316,6 +600,170 @@ class TerminalManager {
     }
   }
 
+  /**
+   * Spawn the terminals declared in the project's .frame/terminals.json.
+   * Skipped when the project already has terminals. Startup commands and env the user
+   * has not approved for this project yet are shown for confirmation first; when
+   * declined, the terminals open without them.
+   * @param {string} projectPath
+   * @returns {Promise<number>} Number of terminals created
+   */
+  async applyStartupProfile(projectPath) {
+    if (!projectPath || this._countTerminalsForProject(projectPath) > 0) return 0;
+
+    const response = await ipcRenderer.invoke(IPC.TERMINAL_PROFILE_LOAD, projectPath);
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Failed to load terminal profile');
+    }
+    const profile = response.profile;
+    if (!profile || profile.terminals.length === 0) return 0;
+    // The user may have opened a terminal while the profile was loading
+    if (this._countTerminalsForProject(projectPath) > 0) return 0;
+
+    let shells = [];
+    if (profile.terminals.some((entry) => entry.shell)) {
+      try {
+        shells = await this.getAvailableShells();
+      } catch (err) {
+        console.error('Failed to list shells for terminal profile:', err);
+      }
+    }
+
+    const approved = response.trusted || this._confirmStartupProfile(projectPath, profile);
+
+    let created = 0;
+    let firstId = null;
+    for (const entry of profile.terminals.slice(0, this.maxTerminals)) {
+      try {
+        const terminalId = await this.createTerminal({
+          projectPath,
+          cwd: entry.cwd,
+          customName: entry.name,
+          shell: this._resolveProfileShell(entry.shell, shells),
+          env: approved ? entry.env : null,
+          initialCommand: approved ? entry.command : null
+        });
+        created++;
+        if (!firstId) firstId = terminalId;
+      } catch (err) {
+        console.error(`Failed to create profile terminal "${entry.name}":`, err);
+      }
+    }
+
+    if (firstId && this.currentProjectPath === projectPath) {
+      this.setActiveTerminal(firstId);
+    }
+    return created;
+  }
+
+  /**
+   * Ask whether to apply a profile's startup commands and env, remembering a yes for
+   * this project until they change
+   * @returns {boolean}
+   */
+  _confirmStartupProfile(projectPath, profile) {
+    if (!profile.fingerprint) return false;
+    const lines = [];
+    profile.terminals.forEach((entry) => {
+      Object.entries(entry.env || {}).forEach(([key, value]) => {
+        lines.push(`${entry.name}: ${key}=${isSecretKey(key) ? MASKED_VALUE : value}`);
+      });
+      if (entry.command) lines.push(`${entry.name}: ${entry.command}`);
+    });
+    const approved = confirm(
+      `This project's .frame/terminals.json sets these variables and runs these commands when its terminals open:\n\n${lines.join('\n')}\n\n` +
+      'Apply them now and whenever the project opens? Choose Cancel to open the terminals without them.'
+    );
+    if (approved) {
+      ipcRenderer.invoke(IPC.TERMINAL_PROFILE_TRUST, { projectPath, fingerprint: profile.fingerprint })
+        .then((result) => {
+          if (!result || !result.success) {
+            console.error('Failed to remember startup profile approval:', result && result.error);
+          }
+        })
+        .catch((err) => console.error('Failed to remember startup profile approval:', err));
+    }
+    return approved;
+  }
+
+  /**
+   * Match a profile shell (path, id such as "zsh", or display name) against the available shells
+   * @returns {string|null} Shell path, or null for the default shell
+   */
+  _resolveProfileShell(shell, shells) {
+    if (!shell) return null;
+    const wanted = shell.toLowerCase();
+    const match = shells.find((s) => [s.path, s.id, s.name]
+      .some((value) => typeof value === 'string' && value.toLowerCase() === wanted));
+    if (!match) {
+      console.warn(`Terminal profile shell "${shell}" is not available, using the default shell`);
+      return null;
+    }
+    return match.path;
+  }
+
+  /**
+   * Write the project's current terminals (tabs, then their split panes) to .frame/terminals.json
+   * @param {string|null} [projectPath] - Defaults to the current project
+   * @returns {Promise<{success: boolean, path?: string, error?: string}>}
+   */
+  async saveStartupProfile(projectPath = this.currentProjectPath) {
+    if (!projectPath) {
+      return { success: false, error: 'Open a project to save a startup profile' };
+    }
+    const terminals = [];
+    this.getTerminalsByProject(projectPath).forEach((tab) => {
+      this.getTabTerminalIds(tab.id).forEach((id) => {
+        const instance = this.terminals.get(id);
+        if (!instance) return;
+        terminals.push({
+          name: instance.state.customName || instance.state.name,
+          shell: instance.state.shell || null
+        });
+      });
+    });
+    if (terminals.length === 0) {
+      return { success: false, error: 'No terminals to save' };
+    }
+    return ipcRenderer.invoke(IPC.TERMINAL_PROFILE_SAVE, { projectPath, terminals });
+  }
+
+  /**
+   * Rebuild split trees from a saved session once its terminals exist again.
+   * Panes whose layout could not be restored become regular tabs.
+   * @param {Object} savedLayouts - Map of tab session id -> tree with session id leaves
+   * @param {Map<string, string>} restoredIds - Map of session id -> new terminal id
+   */
+  _restoreSplitLayouts(savedLayouts, restoredIds) {
+    const placed = new Set();
+    Object.entries(savedLayouts || {}).forEach(([hostSessionId, savedTree]) => {
+      const hostId = restoredIds.get(hostSessionId);
+      const sanitized = splitLayout.sanitizeTree(savedTree);
+      if (!hostId || !sanitized) return;
+
+      const tree = splitLayout.mapLeafIds(sanitized, (sessionId) => {
+        const terminalId = restoredIds.get(sessionId);
+        const instance = this.terminals.get(terminalId);
+        if (!instance || placed.has(terminalId)) return null;
+        if (terminalId !== hostId && instance.state.splitHostId !== hostId) return null;
+        return terminalId;
+      });
+      const leafIds = splitLayout.getLeafIds(tree);
+      if (leafIds.length < 2 || !leafIds.includes(hostId)) return;
+
+      leafIds.forEach((id) => placed.add(id));
+      this.splitTrees.set(hostId, tree);
+    });
+
+    for (const [terminalId, instance] of this.terminals) {
+      if (instance.state.splitHostId && !placed.has(terminalId)) {
+        instance.state.splitHostId = null;
+        instance.state.order = this._getNextOrderForProject(instance.state.projectPath);
+      }
+    }
+    this._notifyStateChange();
+  }
+
   /**
    * Create a new terminal
    * @param {Object} [options] - Options for terminal creation
@@ -324,6 +772,15 @@ class TerminalManager {
    * @param {string} [options.name] - Custom terminal name
    * @param {string|null} [options.shell] - Shell path to use
    * @param {string|null} [options.aiTool] - AI tool id associated with this terminal
+   * @param {string} [options.sessionId] - Stable session id (reused when restoring a saved terminal)
+   * @param {string|null} [options.customName] - User-assigned name to restore
+   * @param {string} [options.restoredScrollback] - Saved output to replay before the new shell starts
+   * @param {string|null} [options.splitHostId] - Tab the terminal is a split pane of
+   * @param {Object<string, string>|null} [options.env] - Extra environment variables for the shell
+   * @param {string|null} [options.initialCommand] - Command typed into the shell once it is ready
+   * @param {string|null} [options.sshHost] - Host alias from ~/.ssh/config to open instead of a local shell
+   * @param {string|null} [options.remoteCwd] - Directory to start in on the SSH host
+   * @param {string|null} [options.container] - Name of a project container to exec into
    */
   async createTerminal(options = {}) {
     // Use provided projectPath or current project
@@ -337,12 +794,21 @@ class TerminalManager {
 
     // Working directory: use provided cwd, or project path, or home directory
     const workingDir = options.cwd || projectPath || null;
+    const sessionId = SESSION_ID_PATTERN.test(options.sessionId || '')
+      ? options.sessionId
+      : this._generateSessionId();
 
     const response = await this._invokeWithTimeout(
       ipcRenderer.invoke(IPC.TERMINAL_CREATE, {
         cwd: workingDir,
         projectPath,
-        shell: options.shell || null
+        shell: options.shell || null,
+        scrollbackKey: sessionId,
+        env: options.env || null,
+        initialCommand: options.initialCommand || null,
+        sshHost: options.sshHost || null,
+        remoteCwd: options.remoteCwd || null,
+        container: options.container || null
       }),
       12000,
       'Terminal creation timed out'
@@ -352,7 +818,8 @@ class TerminalManager {
       this._initializeTerminal(response.terminalId, {
         ...options,
         projectPath,
-        cwd: workingDir
+        cwd: workingDir,
+        sessionId
       });
       return response.terminalId;
     } else {
@@ -360,12 +827,98 @@ class TerminalManager {
     }
   }
 
+  /**
+   * List PTY sessions running in the main process
+   * @param {Object} [options]
+   * @param {boolean} [options.detachedOnly] - Only sessions without a view in this window
+   * @returns {Promise<Array<Object>>}
+   */
+  async listRunningSessions(options = {}) {
+    const response = await ipcRenderer.invoke(IPC.TERMINAL_LIST_SESSIONS, {
+      detachedOnly: Boolean(options.detachedOnly)
+    });
+    if (response && response.success) {
+      return response.sessions;
+    }
+    throw new Error((response && response.error) || 'Failed to list terminal sessions');
+  }
+
+  /**
+   * Create a view for a running PTY session and resume its output.
+   * The main process replays the session backlog on TERMINAL_OUTPUT_ID.
+   * @param {Object} session - Entry from listRunningSessions()
+   * @param {Object} [options]
+   * @param {string|null} [options.customName] - Name to show for the terminal
+   * @param {string|null} [options.splitHostId] - Tab the terminal is a split pane of
+   * @returns {Promise<string>} Terminal ID
+   */
+  async attachSession(session, options = {}) {
+    const terminalId = session.terminalId;
+    if (this.terminals.has(terminalId)) return terminalId;
+
+    if (this._countTerminalsForProject(session.projectPath) >= this.maxTerminals) {
+      throw new Error(`Maximum terminal limit (${this.maxTerminals}) reached for this project`);
+    }
+
+    // The view must exist before attaching, otherwise the replayed backlog is dropped
+    this._initializeTerminal(terminalId, {
+      projectPath: session.projectPath,
+      cwd: session.cwd,
+      // Remote sessions run the ssh or docker client; the target is what identifies them
+      shell: session.sshHost || session.container ? null : session.shell || null,
+      sshHost: session.sshHost || null,
+      remoteCwd: session.remoteCwd || null,
+      container: session.container || null,
+      sessionId: session.scrollbackKey || undefined,
+      customName: options.customName || null,
+      splitHostId: options.splitHostId || null,
+      recording: Boolean(session.recording)
+    });
+
+    let response;
+    try {
+      response = await ipcRenderer.invoke(IPC.TERMINAL_ATTACH, terminalId);
+    } catch (err) {
+      response = { success: false, error: err.message };
+    }
+    if (!response || !response.success) {
+      this._removeTerminalView(terminalId);
+      this._notifyStateChange();
+      throw new Error((response && response.error) || 'Failed to attach terminal session');
+    }
+    return terminalId;
+  }
+
+  /**
+   * Fields a saved session record needs to reopen a remote or container terminal
+   * @param {Object} state - Terminal state
+   * @returns {{sshHost?: string, remoteCwd?: string|null, container?: string}}
+   */
+  _getRemoteRecord(state) {
+    if (state.sshHost) return { sshHost: state.sshHost, remoteCwd: state.remoteCwd || null };
+    if (state.container) return { container: state.container };
+    return {};
+  }
+
+  /**
+   * SSH host aliases from ~/.ssh/config
+   * @returns {Promise<Array<{alias: string, hostName: string|null, user: string|null, port: number|null}>>}
+   */
+  async getSshHosts() {
+    const response = await ipcRenderer.invoke(IPC.SSH_HOSTS_LIST);
+    if (response && response.success) {
+      return response.hosts;
+    }
+    throw new Error((response && response.error) || 'Failed to read SSH hosts');
+  }
+
   /**
    * Get available shells from main process
-   * @returns {Promise<Array<{id: string, name: string, path: string}>>}
+   * @param {string|null} [projectPath] - Also list the project's running containers
+   * @returns {Promise<Array<{id: string, name: string, path: string|null, container?: string}>>}
    */
-  async getAvailableShells() {
-    const response = await ipcRenderer.invoke(IPC.GET_AVAILABLE_SHELLS);
+  async getAvailableShells(projectPath = null) {
+    const response = await ipcRenderer.invoke(IPC.GET_AVAILABLE_SHELLS, projectPath);
     if (response.success) {
       return response.shells;
     } else {
@@ -378,12 +931,10 @@ class TerminalManager {
    */
   _initializeTerminal(terminalId, options) {
     const terminal = new Terminal({
-      cursorBlink: true,
-      fontSize: 14,
-      fontFamily: '"Geist Mono", "SF Mono", Consolas, monospace',
-      theme: terminalTheme,
+      ...this._getSettingsOptions(),
       allowTransparency: false,
-      scrollback: 10000
+      // Decorations (search match highlights, command marks) are still proposed API in xterm 5
+      allowProposedApi: true
     });
 
     const fitAddon = new FitAddon();
@@ -394,10 +945,14 @@ class TerminalManager {
     });
     terminal.loadAddon(webLinksAddon);
 
+    const searchAddon = new SearchAddon({ highlightLimit: SEARCH_HIGHLIGHT_LIMIT });
+    terminal.loadAddon(searchAddon);
+
     // File path link provider (e.g. src/renderer/editor.js:42 → open in editor)
     registerFilePathLinks(terminal, (filePath, line, col) => {
       if (this.onFilePathActivate) {
-        this.onFilePathActivate(filePath, line, col);
+        // Relative paths are relative to wherever the shell was when it printed them
+        this.onFilePathActivate(filePath, line, col, this.getTerminalCwd(terminalId));
       }
     });
 
@@ -405,6 +960,7 @@ class TerminalManager {
     const element = document.createElement('div');
     element.id = `terminal-${terminalId}`;
     element.className = 'terminal-instance';
+    element.classList.toggle('ligatures', this.settings.ligatures);
     element.style.height = '100%';
     element.style.width = '100%';
 
@@ -415,6 +971,19 @@ class TerminalManager {
     scrollBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="6 9 12 15 18 9"/></svg>';
     element.appendChild(scrollBtn);
 
+    // Find bar (Cmd/Ctrl+F)
+    const searchBar = new TerminalSearchBar(terminal, searchAddon);
+    element.appendChild(searchBar.element);
+
+    // Command boundaries and exit codes reported by the shell integration scripts
+    const commandTracker = new CommandTracker(terminal, {
+      onCommandStart: (command) => this._detectAiToolFromCommand(terminalId, command.commandLine),
+      onCommandFinished: (command) => this._onCommandFinished(terminalId, command),
+      onCwdChange: (cwd) => this._onCwdChange(terminalId, cwd)
+    }, {
+      getLocalHostname: () => this._localHostname
+    });
+
     const syncScrollBtn = () => {
       const isAtBottom = this._isAtOrNearBottom(terminal, 1);
       scrollBtn.classList.toggle('visible', !isAtBottom);
@@ -495,19 +1064,33 @@ class TerminalManager {
 
     const isCodeMatch = (event, code) => event.code === code || event.key.toLowerCase() === code.slice(-1).toLowerCase();
     const pasteClipboardText = (text) => {
-      return this._pasteInChunks(terminal, text);
+      return this._pasteWithSafetyChecks(terminalId, text);
     };
     const pasteFromSystemClipboard = () => pasteClipboardText(clipboard?.readText() ?? '');
 
     const state = {
       id: terminalId,
-      name: options.name || `Terminal ${++this.terminalCounter}`,
-      customName: null,
+      sessionId: options.sessionId,
+      name: options.customName || options.name || (options.splitHostId ? 'Pane' : `Terminal ${++this.terminalCounter}`),
+      customName: options.customName || null,
+      shell: options.shell || null,
+      // SSH host alias for remote terminals
+      sshHost: options.sshHost || null,
+      remoteCwd: options.remoteCwd || null,
+      // Container name for `docker exec` terminals
+      container: options.container || null,
+      splitHostId: options.splitHostId || null,
       isActive: false,
       createdAt: Date.now(),
       order: this._getNextOrderForProject(options.projectPath !== undefined ? options.projectPath : this.currentProjectPath),
       projectPath: options.projectPath !== undefined ? options.projectPath : this.currentProjectPath,
-      aiTool: options.aiTool || null
+      aiTool: options.aiTool || null,
+      activity: null,
+      lastExitCode: null,
+      // Updated from OSC 7 / shell integration as the shell changes directory
+      cwd: options.cwd || null,
+      // Output is being written to an asciicast file
+      recording: Boolean(options.recording)
     };
 
     this.terminals.set(terminalId, {
@@ -517,9 +1100,12 @@ class TerminalManager {
       scrollBtn,
       syncScrollBtn,
       scheduleSyncScrollBtn,
+      searchBar,
+      commandTracker,
       state,
       lastSentCols: null,
-      lastSentRows: null
+      lastSentRows: null,
+      lastNotifiedAt: 0
     });
 
     // Allow app-level shortcuts to pass through when terminal has focus
@@ -555,6 +1141,23 @@ class TerminalManager {
           // Let the paste event flow run for Cmd/Ctrl+V to avoid duplicate inserts.
           return true;
         }
+        // Find: Ctrl/Cmd+F
+        if (modKey && !event.shiftKey && !event.altKey && isCodeMatch(event, 'KeyF')) {
+          event.preventDefault();
+          searchBar.open();
+          return false;
+        }
+        // Previous/next command prompt: Ctrl/Cmd+Up/Down (only when the shell reports prompts)
+        if (modKey && !event.shiftKey && !event.altKey && commandTracker.enabled &&
+            (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
+          event.preventDefault();
+          if (event.key === 'ArrowUp') {
+            commandTracker.scrollToPreviousCommand();
+          } else {
+            commandTracker.scrollToNextCommand();
+          }
+          return false;
+        }
         if (isPasteShiftInsert) {
           // Shift+Insert may not trigger native paste reliably across platforms.
           if (pasteFromSystemClipboard()) {
@@ -605,6 +1208,10 @@ class TerminalManager {
       if (modKey && event.key === 'Tab') {
         return false;
       }
+      // Ctrl/Cmd + Alt + Arrow (split pane navigation) → pass to app
+      if (modKey && event.altKey && event.key.startsWith('Arrow')) {
+        return false;
+      }
       // Let terminal handle everything else
       return true;
     });
@@ -623,10 +1230,17 @@ class TerminalManager {
       pasteFromSystemClipboard();
     });
 
+    if (options.restoredScrollback) {
+      // Replay saved output; PTY output is queued behind it so the new prompt lands below
+      terminal.write(options.restoredScrollback);
+      terminal.write('\x1b[0m\r\n\x1b[2m── Restored from previous session ──\x1b[0m\r\n');
+    }
+
+    terminal.onBell(() => this._onTerminalBell(terminalId));
+
     // Handle input
     terminal.onData((data) => {
-      this._trackInputForAiTool(terminalId, data);
-      ipcRenderer.send(IPC.TERMINAL_INPUT_ID, { terminalId, data });
+      this._sendUserInput(terminalId, data);
     });
 
     // If first terminal or no active terminal, make it active
@@ -635,6 +1249,7 @@ class TerminalManager {
     }
 
     this._renumberTerminals(state.projectPath);
+    this._syncTerminalContext(terminalId);
     this._notifyStateChange();
     return terminalId;
   }
@@ -699,9 +1314,434 @@ class TerminalManager {
     if (current) {
       current.state.isActive = true;
       current.terminal.focus();
+      this._lastFocusedPane.set(this.getTabId(terminalId), terminalId);
+      this._splitView.updateActivePane(document, terminalId);
+      // The tab is on screen now, so its badges have been seen
+      this.getTabTerminalIds(this.getTabId(terminalId)).forEach((id) => {
+        const instance = this.terminals.get(id);
+        if (instance) instance.state.activity = null;
+      });
+    }
+
+    this._notifyStateChange();
+  }
+
+  /**
+   * Turn desktop notifications for background terminals on or off
+   */
+  setNotificationsEnabled(enabled) {
+    this.notificationsEnabled = !!enabled;
+    try {
+      localStorage.setItem(NOTIFICATIONS_STORAGE_KEY, this.notificationsEnabled ? 'true' : 'false');
+    } catch (err) {
+      console.error('Failed to save notification setting:', err);
+    }
+  }
+
+  /**
+   * Whether a terminal's tab is currently on screen
+   */
+  _isTerminalVisible(terminalId) {
+    const instance = this.terminals.get(terminalId);
+    if (!instance || instance.state.projectPath !== this.currentProjectPath) return false;
+    if (this.viewMode === 'grid') return true;
+    return this.getTabId(terminalId) === this.getTabId(this.activeTerminalId);
+  }
+
+  /**
+   * Whether the user is looking at this terminal right now
+   */
+  _isTerminalFocused(terminalId) {
+    return terminalId === this.activeTerminalId && document.hasFocus() && !document.hidden;
+  }
+
+  _setActivityStatus(terminalId, status) {
+    const instance = this.terminals.get(terminalId);
+    if (!instance || instance.state.activity === status) return;
+    instance.state.activity = status;
+    this._notifyStateChange();
+  }
+
+  _recordOutputActivity(terminalId, data) {
+    const instance = this.terminals.get(terminalId);
+    if (!instance || Date.now() - instance.state.createdAt < ACTIVITY_GRACE_MS) return;
+
+    this._activity.recordOutput(terminalId, data.length);
+    if (!this._isTerminalVisible(terminalId) && !instance.state.activity) {
+      this._setActivityStatus(terminalId, 'activity');
+    }
+  }
+
+  _onTerminalIdle(terminalId, burst) {
+    const instance = this.terminals.get(terminalId);
+    if (!instance) return;
+
+    if (!this._isTerminalVisible(terminalId) && instance.state.activity === 'activity') {
+      this._setActivityStatus(terminalId, 'idle');
+    }
+    if (!this._isTerminalFocused(terminalId)) {
+      const seconds = Math.max(1, Math.round(burst.duration / 1000));
+      this._sendNotification(terminalId, `Went quiet after ${seconds}s of output`);
+    }
+  }
+
+  _onTerminalBell(terminalId) {
+    if (this._isTerminalFocused(terminalId)) return;
+    if (!this._isTerminalVisible(terminalId)) {
+      this._setActivityStatus(terminalId, 'bell');
+    }
+    this._sendNotification(terminalId, 'Bell');
+  }
+
+  _onCommandFinished(terminalId, command) {
+    const instance = this.terminals.get(terminalId);
+    if (!instance || instance.state.lastExitCode === command.exitCode) return;
+    instance.state.lastExitCode = command.exitCode;
+    this._notifyStateChange();
+  }
+
+  _onCwdChange(terminalId, cwd) {
+    const instance = this.terminals.get(terminalId);
+    if (!instance || instance.state.cwd === cwd) return;
+    // Remote and container shells report paths that do not exist on this machine
+    if (instance.state.sshHost || instance.state.container) return;
+    instance.state.cwd = cwd;
+    this._syncTerminalContext(terminalId);
+    this._notifyStateChange();
+  }
+
+  /**
+   * Tell the main process a terminal's name, AI tool and cwd, which it records with prompt history
+   * @param {string} terminalId
+   */
+  _syncTerminalContext(terminalId) {
+    const instance = this.terminals.get(terminalId);
+    if (!instance) return;
+    const { state } = instance;
+    ipcRenderer.send(IPC.TERMINAL_SET_CONTEXT, {
+      terminalId,
+      name: state.customName || state.name,
+      aiTool: state.aiTool || null,
+      cwd: state.cwd || null
+    });
+  }
+
+  /**
+   * Current working directory of a terminal's shell, falling back to its project
+   * @param {string} terminalId
+   * @returns {string|null}
+   */
+  getTerminalCwd(terminalId) {
+    const instance = this.terminals.get(terminalId);
+    if (!instance) return null;
+    return instance.state.cwd || instance.state.projectPath || null;
+  }
+
+  /**
+   * Working directory shown for a tab: its focused pane's, else the tab's own
+   */
+  _getTabCwd(tabId) {
+    const paneId = this._lastFocusedPane.get(tabId);
+    return (paneId && this.terminals.has(paneId) && this.getTerminalCwd(paneId)) || this.getTerminalCwd(tabId);
+  }
+
+  _sendNotification(terminalId, body) {
+    const instance = this.terminals.get(terminalId);
+    if (!this.notificationsEnabled || !instance) return;
+    const now = Date.now();
+    if (instance.lastNotifiedAt && now - instance.lastNotifiedAt < NOTIFICATION_COOLDOWN_MS) return;
+    instance.lastNotifiedAt = now;
+    const projectName = instance.state.projectPath ? pathApi.basename(instance.state.projectPath) : null;
+    const name = instance.state.customName || instance.state.name;
+    ipcRenderer.send(IPC.TERMINAL_NOTIFY, {
+      terminalId,
+      title: projectName ? `${name} — ${projectName}` : name,
+      body
+    });
+  }
+
+  /**
+   * Badge for a tab: the most urgent status among its panes
+   * @returns {string|null}
+   */
+  _getTabActivity(tabId) {
+    return this.getTabTerminalIds(tabId).reduce((status, id) => {
+      const instance = this.terminals.get(id);
+      return mergeActivityStatus(status, instance ? instance.state.activity : null);
+    }, null);
+  }
+
+  /**
+   * Activate a tab, focusing the pane that was last focused inside it
+   * @param {string} tabId - Tab (host terminal) ID
+   */
+  activateTab(tabId) {
+    const tree = this.splitTrees.get(tabId);
+    const lastPane = this._lastFocusedPane.get(tabId);
+    if (tree && lastPane && splitLayout.hasLeaf(tree, lastPane)) {
+      this.setActiveTerminal(lastPane);
+    } else {
+      this.setActiveTerminal(tabId);
+    }
+  }
+
+  /**
+   * Get the tab a terminal belongs to (itself unless it is a split pane)
+   * @param {string|null} terminalId
+   * @returns {string|null}
+   */
+  getTabId(terminalId) {
+    const instance = this.terminals.get(terminalId);
+    if (!instance) return null;
+    return instance.state.splitHostId || terminalId;
+  }
+
+  /**
+   * Get the split tree of a tab, or null when the tab is not split
+   */
+  getSplitTree(tabId) {
+    return this.splitTrees.get(tabId) || null;
+  }
+
+  /**
+   * Terminal IDs shown in a tab, in pane order
+   * @param {string} tabId
+   * @returns {string[]}
+   */
+  getTabTerminalIds(tabId) {
+    const tree = this.splitTrees.get(tabId);
+    if (tree) return splitLayout.getLeafIds(tree);
+    return this.terminals.has(tabId) ? [tabId] : [];
+  }
+
+  /**
+   * Mount a tab into a container: its single terminal, or all of its split panes
+   */
+  mountTab(tabId, container) {
+    const tree = this.splitTrees.get(tabId);
+    if (!tree) {
+      this.mountTerminal(tabId, container);
+      return;
+    }
+    this._splitView.render(container, tree, this.activeTerminalId);
+  }
+
+  /**
+   * Structural key for a tab's layout (changes when panes are added/removed)
+   */
+  getTabLayoutKey(tabId) {
+    if (!tabId) return null;
+    return `${tabId}|${splitLayout.layoutSignature(this.splitTrees.get(tabId))}`;
+  }
+
+  /**
+   * Split a terminal's pane, opening a new shell next to it
+   * @param {string} [terminalId] - Pane to split (defaults to the active terminal)
+   * @param {'row'|'column'} [direction='row'] - 'row' splits right, 'column' splits down
+   * @returns {Promise<string|null>} New terminal ID
+   */
+  async splitTerminal(terminalId = this.activeTerminalId, direction = 'row') {
+    const instance = this.terminals.get(terminalId);
+    if (!instance) return null;
+
+    const tabId = this.getTabId(terminalId);
+    const newId = await this.createTerminal({
+      projectPath: instance.state.projectPath,
+      shell: instance.state.shell || null,
+      sshHost: instance.state.sshHost,
+      remoteCwd: instance.state.remoteCwd,
+      container: instance.state.container,
+      cwd: this.getTerminalCwd(terminalId),
+      splitHostId: tabId
+    });
+
+    const newInstance = this.terminals.get(newId);
+    if (!newInstance) return null;
+
+    // The pane being split was closed while the shell spawned: keep the new one as a tab
+    if (!this.terminals.has(terminalId) || !this.terminals.has(tabId)) {
+      newInstance.state.splitHostId = null;
+      newInstance.state.order = this._getNextOrderForProject(newInstance.state.projectPath);
+      this._notifyStateChange();
+      return newId;
+    }
+
+    const tree = this.splitTrees.get(tabId) || splitLayout.createLeaf(tabId);
+    this.splitTrees.set(tabId, splitLayout.splitLeaf(tree, terminalId, newId, direction));
+    this.setActiveTerminal(newId);
+    this._notifyStateChange();
+    return newId;
+  }
+
+  /**
+   * Move focus to the neighbouring pane of the active tab
+   * @param {'left'|'right'|'up'|'down'} direction
+   * @returns {boolean} Whether focus moved
+   */
+  focusPane(direction) {
+    const tabId = this.getTabId(this.activeTerminalId);
+    const tree = this.splitTrees.get(tabId);
+    if (!tree) return false;
+    const neighbor = splitLayout.findNeighbor(tree, this.activeTerminalId, direction);
+    if (!neighbor) return false;
+    this.setActiveTerminal(neighbor);
+    return true;
+  }
+
+  /**
+   * Close a tab and every split pane in it
+   */
+  closeTab(tabId) {
+    this._getTabTerminalIdsHostLast(tabId).forEach((terminalId) => this.closeTerminal(terminalId));
+  }
+
+  /**
+   * Detach a tab and every split pane in it
+   */
+  detachTab(tabId) {
+    this._getTabTerminalIdsHostLast(tabId).forEach((terminalId) => this.detachTerminal(terminalId));
+  }
+
+  // Panes before the host, so removing them does not re-host the tab on the way
+  _getTabTerminalIdsHostLast(tabId) {
+    const ids = this.getTabTerminalIds(tabId);
+    return [...ids.filter((id) => id !== tabId), ...ids.filter((id) => id === tabId)];
+  }
+
+  /**
+   * Take a terminal out of its tab's split tree.
+   * If it hosted the tab, the first remaining pane becomes the new host.
+   * @returns {string|null} Pane that should receive focus instead
+   */
+  _removeFromSplit(terminalId) {
+    const tabId = this.getTabId(terminalId);
+    const tree = this.splitTrees.get(tabId);
+    if (!tree) return null;
+
+    /** @type {Array<'left'|'up'|'right'|'down'>} */
+    const directions = ['left', 'up', 'right', 'down'];
+    const focusCandidate = directions
+      .map((direction) => splitLayout.findNeighbor(tree, terminalId, direction))
+      .find(Boolean) || null;
+    const nextTree = splitLayout.removeLeaf(tree, terminalId);
+    const remaining = splitLayout.getLeafIds(nextTree);
+    this.splitTrees.delete(tabId);
+    this._lastFocusedPane.delete(tabId);
+    if (remaining.length === 0) return null;
+
+    let hostId = tabId;
+    if (terminalId === tabId) {
+      hostId = remaining[0];
+      const oldHost = this.terminals.get(tabId).state;
+      const newHost = this.terminals.get(hostId).state;
+      newHost.splitHostId = null;
+      newHost.order = oldHost.order;
+      if (oldHost.customName && !newHost.customName) {
+        newHost.customName = oldHost.customName;
+        newHost.name = oldHost.customName;
+      }
+    }
+
+    if (remaining.length > 1) {
+      this.splitTrees.set(hostId, nextTree);
+      remaining.forEach((id) => {
+        if (id !== hostId) this.terminals.get(id).state.splitHostId = hostId;
+      });
     }
+    return focusCandidate;
+  }
 
+  /**
+   * Whether a tab (any of its panes) is in the broadcast group
+   */
+  isInBroadcastGroup(tabId) {
+    return this.getTabTerminalIds(tabId).some((id) => this.broadcastGroup.has(id));
+  }
+
+  /**
+   * Add or remove a tab (all of its panes) from the broadcast group
+   * @returns {boolean} Whether the tab is now in the group
+   */
+  toggleBroadcastMember(tabId) {
+    const ids = this.getTabTerminalIds(tabId);
+    if (ids.length === 0) return false;
+    const include = !this.isInBroadcastGroup(tabId);
+    ids.forEach((id) => {
+      if (include) this.broadcastGroup.add(id);
+      else this.broadcastGroup.delete(id);
+    });
+    if (this.broadcastEnabled && this._getBroadcastTargets().length < 2) {
+      this.setBroadcastEnabled(false);
+      return include;
+    }
     this._notifyStateChange();
+    return include;
+  }
+
+  /**
+   * Turn broadcast input on or off. Turning it on with fewer than two group
+   * members in the current project selects all of the project's terminals.
+   * @returns {boolean} Whether broadcast is now enabled
+   */
+  setBroadcastEnabled(enabled) {
+    if (enabled) {
+      if (this._getBroadcastTargets().length < 2) {
+        this.broadcastGroup.clear();
+        this.getTerminalStates().forEach((t) => {
+          this.getTabTerminalIds(t.id).forEach((id) => this.broadcastGroup.add(id));
+        });
+      }
+      if (this._getBroadcastTargets().length < 2) enabled = false;
+    }
+
+    if (this.broadcastEnabled === enabled) return enabled;
+    this.broadcastEnabled = enabled;
+    if (enabled) {
+      this._resetBroadcastIdleTimer();
+    } else if (this._broadcastIdleTimer) {
+      clearTimeout(this._broadcastIdleTimer);
+      this._broadcastIdleTimer = null;
+    }
+    this._notifyStateChange();
+    return enabled;
+  }
+
+  /**
+   * Group members in the current project that can receive mirrored input
+   * @returns {string[]}
+   */
+  _getBroadcastTargets() {
+    return Array.from(this.broadcastGroup).filter((id) => {
+      const instance = this.terminals.get(id);
+      return instance && instance.state.projectPath === this.currentProjectPath;
+    });
+  }
+
+  _broadcastInput(sourceId, data) {
+    // Only what the user types in the focused terminal is mirrored
+    if (sourceId !== this.activeTerminalId || !this.broadcastGroup.has(sourceId)) return;
+    if (TERMINAL_REPORT_PATTERN.test(data)) return;
+    this._getBroadcastTargets().forEach((id) => {
+      if (id === sourceId) return;
+      this._trackInputForAiTool(id, data);
+      ipcRenderer.send(IPC.TERMINAL_INPUT_ID, { terminalId: id, data });
+    });
+    this._resetBroadcastIdleTimer();
+  }
+
+  _resetBroadcastIdleTimer() {
+    if (this._broadcastIdleTimer) clearTimeout(this._broadcastIdleTimer);
+    this._broadcastIdleTimer = setTimeout(() => {
+      this._broadcastIdleTimer = null;
+      this.setBroadcastEnabled(false);
+    }, BROADCAST_IDLE_TIMEOUT_MS);
+  }
+
+  _removeFromBroadcastGroup(terminalId) {
+    if (!this.broadcastGroup.delete(terminalId)) return;
+    if (this.broadcastEnabled && this._getBroadcastTargets().length < 2) {
+      this.setBroadcastEnabled(false);
+    }
   }
 
   /**
@@ -712,6 +1752,7 @@ class TerminalManager {
     if (instance) {
       instance.state.customName = newName;
       instance.state.name = newName;
+      this._syncTerminalContext(terminalId);
       this._notifyStateChange();
     }
   }
@@ -728,27 +1769,72 @@ class TerminalManager {
     if (instance.state.aiTool === aiTool) return;
 
     instance.state.aiTool = aiTool;
+    this._syncTerminalContext(terminalId);
     this._notifyStateChange();
   }
 
+  /**
+   * Delete a terminal's saved scrollback so it is not replayed on next launch
+   * @param {string} terminalId - Terminal ID
+   */
+  async clearSavedScrollback(terminalId) {
+    const response = await ipcRenderer.invoke(IPC.TERMINAL_SCROLLBACK_CLEAR, terminalId);
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Failed to clear saved scrollback');
+    }
+  }
+
   /**
    * Close terminal
    */
   closeTerminal(terminalId) {
+    const instance = this._removeTerminalView(terminalId);
+    if (instance) {
+      ipcRenderer.send(IPC.TERMINAL_DESTROY, terminalId);
+    }
+  }
+
+  /**
+   * Remove a terminal's view but keep its shell running in the main process.
+   * It shows up in the running sessions list and can be reattached later.
+   */
+  detachTerminal(terminalId) {
+    const instance = this._removeTerminalView(terminalId);
+    if (instance) {
+      ipcRenderer.send(IPC.TERMINAL_DETACH, {
+        terminalId,
+        name: instance.state.customName || instance.state.name
+      });
+    }
+  }
+
+  /**
+   * Dispose a terminal's xterm instance and local state
+   * @returns {Object|null} The removed instance
+   */
+  _removeTerminalView(terminalId) {
     const instance = this.terminals.get(terminalId);
     if (instance) {
+      const paneFocus = this._removeFromSplit(terminalId);
       this._inputLineBuffers.delete(terminalId);
+      this._removeFromBroadcastGroup(terminalId);
+      this._activity.forget(terminalId);
+      instance.searchBar.dispose();
+      instance.commandTracker.dispose();
       instance.terminal.dispose();
       instance.element.remove();
       this.terminals.delete(terminalId);
-      ipcRenderer.send(IPC.TERMINAL_DESTROY, terminalId);
 
-      if (this.activeTerminalId === terminalId) {
+      if (this.activeTerminalId === terminalId && paneFocus) {
+        // Stay in the same tab: focus the neighbouring pane
+        this.activeTerminalId = null;
+        this.setActiveTerminal(paneFocus);
+      } else if (this.activeTerminalId === terminalId) {
         // Select from same project's terminals, not all terminals
         const projectTerminals = this.getTerminalsByProject(instance.state.projectPath);
         if (projectTerminals.length > 0) {
-          this.activeTerminalId = projectTerminals[projectTerminals.length - 1].id;
-          this.setActiveTerminal(this.activeTerminalId);
+          this.activeTerminalId = null;
+          this.activateTab(projectTerminals[projectTerminals.length - 1].id);
         } else {
           this.activeTerminalId = null;
         }
@@ -756,7 +1842,97 @@ class TerminalManager {
 
       this._renumberTerminals(instance.state.projectPath);
       this._notifyStateChange();
+      return instance;
     }
+    return null;
+  }
+
+  /**
+   * Save a terminal's output as a standalone HTML page or Markdown, sectioned by command
+   * @param {string} terminalId
+   * @param {'html'|'md'} format
+   * @returns {Promise<{success: boolean, path?: string, canceled?: boolean, error?: string}>}
+   */
+  async exportTranscript(terminalId, format) {
+    const instance = this.terminals.get(terminalId);
+    if (!instance) return { success: false, error: 'Terminal not found' };
+
+    const { terminal, commandTracker, state } = instance;
+    const title = state.customName || state.name;
+    const options = {
+      title,
+      cwd: this.getTerminalCwd(terminalId),
+      theme: terminal.options.theme,
+      commands: commandTracker.commands
+        .filter((command) => !command.promptMarker.isDisposed)
+        .map((command) => ({
+          line: command.promptMarker.line,
+          commandLine: command.commandLine,
+          startedAt: command.startedAt,
+          finishedAt: command.finishedAt,
+          exitCode: command.exitCode
+        }))
+    };
+    // The normal buffer holds the history even while a full-screen app is open
+    const buffer = terminal.buffer.normal;
+    const content = format === 'html' ? serializeToHtml(buffer, options) : serializeToMarkdown(buffer, options);
+    const date = new Date().toISOString().slice(0, 10);
+
+    return ipcRenderer.invoke(IPC.TERMINAL_EXPORT_TRANSCRIPT, {
+      content,
+      format,
+      defaultName: `${title} ${date}`,
+      projectPath: state.projectPath
+    });
+  }
+
+  /**
+   * Start recording a terminal's output to an asciicast file
+   * @param {string} terminalId
+   * @returns {Promise<{success: boolean, path?: string, error?: string}>}
+   */
+  async startRecording(terminalId) {
+    const instance = this.terminals.get(terminalId);
+    if (!instance) return { success: false, error: 'Terminal not found' };
+
+    const response = await ipcRenderer.invoke(IPC.TERMINAL_RECORD_START, {
+      terminalId,
+      title: instance.state.customName || instance.state.name
+    });
+    if (response && response.success) {
+      this._setRecording(terminalId, true);
+    }
+    return response;
+  }
+
+  /**
+   * Stop recording a terminal
+   * @param {string} terminalId
+   * @returns {Promise<{success: boolean, path?: string, duration?: number, error?: string}>}
+   */
+  async stopRecording(terminalId) {
+    const response = await ipcRenderer.invoke(IPC.TERMINAL_RECORD_STOP, terminalId);
+    this._setRecording(terminalId, false);
+    return response;
+  }
+
+  isRecording(terminalId) {
+    const instance = this.terminals.get(terminalId);
+    return Boolean(instance && instance.state.recording);
+  }
+
+  /**
+   * Whether any pane of a tab is being recorded
+   */
+  isTabRecording(tabId) {
+    return this.getTabTerminalIds(tabId).some((id) => this.isRecording(id));
+  }
+
+  _setRecording(terminalId, recording) {
+    const instance = this.terminals.get(terminalId);
+    if (!instance || instance.state.recording === recording) return;
+    instance.state.recording = recording;
+    this._notifyStateChange();
   }
 
   /**
@@ -812,19 +1988,92 @@ class TerminalManager {
   }
 
   /**
-   * Get all terminal states (filtered by current project)
+   * Move a tab (with its split panes) to another project or the global scope.
+   * The shells keep running; both projects' saved sessions are updated.
+   * @param {string} terminalId - Tab or one of its panes
+   * @param {string|null} projectPath - Target project, null for global
+   */
+  async moveTabToProject(terminalId, projectPath) {
+    const tabId = this.getTabId(terminalId);
+    const instance = this.terminals.get(tabId);
+    if (!instance) throw new Error('Terminal not found');
+
+    const sourcePath = instance.state.projectPath;
+    const targetPath = projectPath || null;
+    if (sourcePath === targetPath) return;
+
+    // Recreate the target's terminals from the last run first, or saving its session would drop them
+    if (this._countTerminalsForProject(targetPath) === 0) {
+      await this.restoreSavedTerminals(targetPath);
+    }
+
+    // The tab may have been closed or moved while the target's terminals were restored;
+    // check before the main process is told, so both sides keep agreeing on its project
+    if (this.terminals.get(tabId) !== instance || instance.state.projectPath !== sourcePath) return;
+
+    const ids = this.getTabTerminalIds(tabId);
+    if (this._countTerminalsForProject(targetPath) + ids.length > this.maxTerminals) {
+      throw new Error(`Maximum terminal limit (${this.maxTerminals}) reached for that project`);
+    }
+
+    const response = await ipcRenderer.invoke(IPC.TERMINAL_SET_PROJECT, { terminalIds: ids, projectPath: targetPath });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Failed to move terminal');
+    }
+    // Closed while the main process was updating: its shells are gone on both sides
+    if (this.terminals.get(tabId) !== instance) return;
+
+    const order = this._getNextOrderForProject(targetPath);
+    const wasActive = ids.includes(this.activeTerminalId);
+    ids.forEach((id) => {
+      const pane = this.terminals.get(id);
+      if (!pane) return;
+      pane.state.projectPath = targetPath;
+      pane.state.isActive = false;
+      // Broadcast only reaches terminals on screen
+      this._removeFromBroadcastGroup(id);
+    });
+    instance.state.order = order;
+
+    if (wasActive) {
+      this.activeTerminalId = null;
+      const remaining = this.getTerminalsByProject(sourcePath);
+      if (remaining.length > 0 && sourcePath === this.currentProjectPath) {
+        this.activateTab(remaining[remaining.length - 1].id);
+      }
+    }
+
+    this._normalizeProjectOrder(sourcePath);
+    this._renumberTerminals(sourcePath);
+    this._renumberTerminals(targetPath);
+    this.saveProjectSession(sourcePath);
+    this.saveProjectSession(targetPath);
+    this._notifyStateChange();
+  }
+
+  /**
+   * Get tab-level terminal states (filtered by current project).
+   * Split panes are not listed; a tab is active when any of its panes is focused.
    * @param {boolean} allProjects - If true, return all terminals regardless of project
    */
   getTerminalStates(allProjects = false) {
-    let terminals = Array.from(this.terminals.values());
+    let terminals = Array.from(this.terminals.values()).filter(t => !t.state.splitHostId);
 
     if (!allProjects) {
       // Filter by current project
       terminals = terminals.filter(t => t.state.projectPath === this.currentProjectPath);
     }
 
+    const activeTabId = this.getTabId(this.activeTerminalId);
     return terminals
-      .map(t => ({ ...t.state }))
+      .map(t => ({
+        ...t.state,
+        isActive: t.state.id === activeTabId,
+        inBroadcastGroup: this.isInBroadcastGroup(t.state.id),
+        activity: this._getTabActivity(t.state.id),
+        cwd: this._getTabCwd(t.state.id),
+        recording: this.isTabRecording(t.state.id)
+      }))
       .sort((a, b) => this._compareTerminalState(a, b));
   }
 
@@ -861,6 +2110,64 @@ class TerminalManager {
     this._syncScrollDownButton(instance);
   }
 
+  /**
+   * xterm options derived from the terminal settings
+   */
+  _getSettingsOptions() {
+    const { fontFamily, fontSize, lineHeight, cursorStyle, cursorBlink, scrollback, bracketedPaste } = this.settings;
+    return {
+      theme: { ...resolveThemeColors(this.settings) },
+      fontFamily,
+      fontSize,
+      lineHeight,
+      cursorStyle,
+      cursorBlink,
+      scrollback,
+      ignoreBracketedPasteMode: !bracketedPaste
+    };
+  }
+
+  async _loadLocalHostname() {
+    try {
+      this._localHostname = await ipcRenderer.invoke(IPC.GET_LOCAL_HOSTNAME);
+    } catch (err) {
+      console.error('Failed to load local hostname:', err);
+    }
+  }
+
+  async _loadSettings() {
+    try {
+      const response = await ipcRenderer.invoke(IPC.TERMINAL_SETTINGS_GET);
+      if (response && response.success) {
+        this.applySettings(response.settings);
+      }
+    } catch (err) {
+      console.error('Failed to load terminal settings:', err);
+    }
+  }
+
+  /**
+   * Apply the settings to every open terminal without restarting it
+   * @param {Object} settings - From the main-process terminalSettings module
+   */
+  applySettings(settings) {
+    if (!settings) return;
+    this.settings = { ...DEFAULT_TERMINAL_SETTINGS, ...settings };
+    const options = this._getSettingsOptions();
+    document.documentElement.style.setProperty('--terminal-bg', options.theme.background);
+
+    for (const [id, instance] of this.terminals) {
+      try {
+        Object.assign(instance.terminal.options, options);
+        instance.element.classList.toggle('ligatures', this.settings.ligatures);
+      } catch (err) {
+        console.error(`Failed to apply settings to terminal ${id}:`, err);
+      }
+    }
+    // Font size and line height change the cell size, so the grid needs refitting
+    requestAnimationFrame(() => this.fitAll());
+  }
+
   /**
    * Fit all mounted terminals and push resize events only when geometry changed.
    */
@@ -915,7 +2222,68 @@ class TerminalManager {
     }
   }
 
+  /**
+   * Paste a prompt into the active terminal or a specific terminal.
+   * It goes in as one paste (bracketed when the program asks for it), so
+   * multi-line prompts reach AI tools intact and Enter only follows the whole
+   * prompt; in a shell, every prompt goes through the paste checks first.
+   * @param {string} text - Prompt to send
+   * @param {string} [terminalId] - Optional specific terminal ID
+   * @param {{submit?: boolean, onSent?: () => void}} [options] - `submit` presses Enter after the paste;
+   *   `onSent` is called once the prompt is written, not when the paste confirmation is cancelled
+   * @returns {boolean} Whether there was a terminal and text to send (the paste itself may still be cancelled)
+   */
+  sendPrompt(text, terminalId = null, options = {}) {
+    const targetId = terminalId || this.activeTerminalId;
+    const instance = targetId ? this.terminals.get(targetId) : null;
+    const prompt = stripTrailingNewlines(String(text || '').replace(/\r\n/g, '\n'));
+    if (!instance || !prompt) return false;
+
+    const submit = () => {
+      if (this.terminals.get(targetId) !== instance) return;
+      if (options.submit) this._sendUserInput(targetId, '\r');
+      if (options.onSent) options.onSent();
+    };
+    if (!instance.state.aiTool) {
+      return this._pasteWithSafetyChecks(targetId, prompt, submit, { whole: true });
+    }
+    return this._pasteWhole(instance.terminal, prompt, submit);
+  }
+
+  /**
+   * Terminals a prompt can be sent to: the current project's tabs
+   * @returns {Array<{id: string, name: string, aiTool: string|null, isActive: boolean}>}
+   */
+  getPromptTargets() {
+    return this.getTerminalStates().map((terminal) => ({
+      id: terminal.id,
+      name: terminal.customName || terminal.name,
+      aiTool: terminal.aiTool || null,
+      isActive: terminal.isActive
+    }));
+  }
+
+  /**
+   * Text selected in the active terminal, or an empty string
+   */
+  getActiveSelection() {
+    const instance = this.activeTerminalId ? this.terminals.get(this.activeTerminalId) : null;
+    if (!instance || !instance.terminal.hasSelection()) return '';
+    return instance.terminal.getSelection();
+  }
+
   // Private methods
+  /**
+   * Forward input to a terminal's pty as if typed: AI tool detection and broadcast included
+   */
+  _sendUserInput(terminalId, data) {
+    this._trackInputForAiTool(terminalId, data);
+    ipcRenderer.send(IPC.TERMINAL_INPUT_ID, { terminalId, data });
+    if (this.broadcastEnabled) {
+      this._broadcastInput(terminalId, data);
+    }
+  }
+
   _isInDOM(instance) {
     return instance.element && instance.element.isConnected;
   }
@@ -941,6 +2309,9 @@ class TerminalManager {
 
   _trackInputForAiTool(terminalId, data) {
     if (!data) return;
+    // Shell integration reports the exact command line; no need to guess from keystrokes
+    const instance = this.terminals.get(terminalId);
+    if (instance && instance.commandTracker.enabled) return;
 
     const sanitized = this._stripTerminalControlSequences(data);
     let buffer = this._inputLineBuffers.get(terminalId) || '';
@@ -1058,9 +2429,12 @@ class TerminalManager {
       this.onStateChange({
         terminals: this.getTerminalStates(),
         activeTerminalId: this.activeTerminalId,
+        activeTabId: this.getTabId(this.activeTerminalId),
         viewMode: this.viewMode,
         gridLayout: this.gridLayout,
-        currentProjectPath: this.currentProjectPath
+        currentProjectPath: this.currentProjectPath,
+        broadcastEnabled: this.broadcastEnabled,
+        broadcastCount: this.broadcastEnabled ? this._getBroadcastTargets().length : 0
       });
     }
   }
@@ -1094,6 +2468,25 @@ class TerminalManager {
       const instance = this.terminals.get(terminalId);
       if (instance) {
         this._writeKeepingBottom(instance, data);
+        this._recordOutputActivity(terminalId, data);
+      }
+    });
+
+    // Terminal settings changed (settings modal, theme import)
+    ipcRenderer.on(IPC.TERMINAL_SETTINGS_CHANGED, (event, settings) => {
+      this.applySettings(settings);
+    });
+
+    // Recording stopped by the main process (size limit)
+    ipcRenderer.on(IPC.TERMINAL_RECORDING_STOPPED, (event, { terminalId }) => {
+      this._setRecording(terminalId, false);
+    });
+
+    // Desktop notification clicked: bring its terminal forward
+    ipcRenderer.on(IPC.TERMINAL_NOTIFICATION_CLICKED, (event, { terminalId }) => {
+      const instance = this.terminals.get(terminalId);
+      if (instance && instance.state.projectPath === this.currentProjectPath) {
+        this.setActiveTerminal(terminalId);
       }
     });
 
@@ -1120,6 +2513,7 @@ class TerminalManager {
         const newName = `Terminal ${index + 1}`;
         if (instance.state.name !== newName) {
           instance.state.name = newName;
+          this._syncTerminalContext(tState.id);
           changed = true;
         }
       }
@@ -0,0 +1,201 @@
+/**
+ * Terminal Search Bar Module
+ * Per-terminal find bar backed by the xterm search addon
+ */
+
+const SEARCH_DECORATIONS = {
+  matchBackground: '#4c3d78',
+  matchBorder: '#6b5aa8',
+  matchOverviewRuler: '#a78bfa',
+  activeMatchBackground: '#e0a458',
+  activeMatchBorder: '#ffd580',
+  activeMatchColorOverviewRuler: '#ffd580'
+};
+
+// Must match the highlightLimit passed to the SearchAddon
+const SEARCH_HIGHLIGHT_LIMIT = 1000;
+
+/**
+ * Why a search term cannot be searched for with these options, null when it can
+ * @param {string} term
+ * @param {{regex?: boolean}} options
+ * @returns {string|null}
+ */
+function getSearchError(term, options) {
+  if (!options.regex) return null;
+  try {
+    new RegExp(term);
+    return null;
+  } catch {
+    return 'Invalid regex';
+  }
+}
+
+/**
+ * Match count text for the search addon's result state
+ * @param {{resultIndex: number, resultCount: number}} results - resultIndex is -1 when
+ *   the active match is beyond the highlight limit
+ * @param {boolean} hasTerm
+ */
+function formatMatchCount({ resultIndex, resultCount }, hasTerm) {
+  if (resultCount === 0) return hasTerm ? 'No results' : '';
+  if (resultIndex === -1) {
+    return resultCount >= SEARCH_HIGHLIGHT_LIMIT ? `${SEARCH_HIGHLIGHT_LIMIT}+ matches` : `${resultCount} matches`;
+  }
+  return `${resultIndex + 1} of ${resultCount}`;
+}
+
+class TerminalSearchBar {
+  /**
+   * @param {Object} terminal - xterm Terminal
+   * @param {Object} searchAddon - Loaded SearchAddon instance
+   */
+  constructor(terminal, searchAddon) {
+    this.terminal = terminal;
+    this.searchAddon = searchAddon;
+    this.options = { caseSensitive: false, regex: false, wholeWord: false };
+    this.isOpen = false;
+    this.element = this._render();
+    this._resultsDisposable = searchAddon.onDidChangeResults((results) => this._updateCount(results));
+  }
+
+  _render() {
+    const bar = document.createElement('div');
+    bar.className = 'terminal-search-bar';
+    bar.innerHTML = `
+      <input type="text" class="terminal-search-input" placeholder="Find" spellcheck="false" aria-label="Find in terminal">
+      <span class="terminal-search-count"></span>
+      <button class="terminal-search-toggle" data-option="caseSensitive" title="Match Case" aria-label="Match case">Aa</button>
+      <button class="terminal-search-toggle" data-option="wholeWord" title="Match Whole Word" aria-label="Match whole word"><u>ab</u></button>
+      <button class="terminal-search-toggle" data-option="regex" title="Use Regular Expression" aria-label="Use regular expression">.*</button>
+      <button class="terminal-search-btn" data-action="previous" title="Previous Match (Shift+Enter)" aria-label="Previous match">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="18 15 12 9 6 15"/></svg>
+      </button>
+      <button class="terminal-search-btn" data-action="next" title="Next Match (Enter)" aria-label="Next match">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="6 9 12 15 18 9"/></svg>
+      </button>
+      <button class="terminal-search-btn" data-action="close" title="Close (Escape)" aria-label="Close search">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+      </button>
+    `;
+
+    this.input = /** @type {HTMLInputElement} */ (bar.querySelector('.terminal-search-input'));
+    this.countEl = /** @type {HTMLElement} */ (bar.querySelector('.terminal-search-count'));
+
+    // Keep terminal container handlers (focus on click, paste into shell, drop) away from the bar
+    ['click', 'mousedown', 'contextmenu', 'paste', 'drop', 'dragover'].forEach((type) => {
+      bar.addEventListener(type, (e) => e.stopPropagation());
+    });
+
+    this.input.addEventListener('input', () => this._search('next', true));
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this._search(e.shiftKey ? 'previous' : 'next');
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      }
+    });
+
+    bar.querySelectorAll('.terminal-search-toggle').forEach((/** @type {HTMLElement} */ btn) => {
+      btn.addEventListener('click', () => {
+        const option = btn.dataset.option;
+        this.options[option] = !this.options[option];
+        btn.classList.toggle('active', this.options[option]);
+        this._search('next', true);
+        this.input.focus();
+      });
+    });
+
+    bar.querySelectorAll('.terminal-search-btn').forEach((/** @type {HTMLElement} */ btn) => {
+      btn.addEventListener('click', () => {
+        const action = btn.dataset.action;
+        if (action === 'close') {
+          this.close();
+          return;
+        }
+        this._search(action);
+        this.input.focus();
+      });
+    });
+
+    return bar;
+  }
+
+  /**
+   * Show the bar, seeded with the terminal selection when there is one
+   */
+  open() {
+    const selection = this.terminal.hasSelection() ? this.terminal.getSelection() : '';
+    if (selection && !selection.includes('\n')) {
+      this.input.value = selection;
+    }
+    this.isOpen = true;
+    this.element.classList.add('visible');
+    this.input.focus();
+    this.input.select();
+    if (this.input.value) {
+      this._search('next', true);
+    }
+  }
+
+  /**
+   * Hide the bar, clear highlights and return focus to the terminal
+   */
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.element.classList.remove('visible');
+    this.searchAddon.clearDecorations();
+    this.countEl.textContent = '';
+    this.terminal.focus();
+  }
+
+  dispose() {
+    if (this._resultsDisposable) {
+      this._resultsDisposable.dispose();
+      this._resultsDisposable = null;
+    }
+    this.element.remove();
+  }
+
+  _search(direction, incremental = false) {
+    const term = this.input.value;
+    if (!term) {
+      this.searchAddon.clearDecorations();
+      this.input.classList.remove('invalid');
+      this.countEl.textContent = '';
+      return;
+    }
+
+    const error = getSearchError(term, this.options);
+    if (error) {
+      this.searchAddon.clearDecorations();
+      this.input.classList.add('invalid');
+      this.countEl.textContent = error;
+      return;
+    }
+    this.input.classList.remove('invalid');
+
+    const searchOptions = {
+      ...this.options,
+      incremental: incremental && direction === 'next',
+      decorations: SEARCH_DECORATIONS
+    };
+    const found = direction === 'previous'
+      ? this.searchAddon.findPrevious(term, searchOptions)
+      : this.searchAddon.findNext(term, searchOptions);
+
+    if (!found) {
+      this.countEl.textContent = 'No results';
+    }
+  }
+
+  _updateCount(results) {
+    if (!this.isOpen) return;
+    this.countEl.textContent = formatMatchCount(results, !!this.input.value);
+  }
+}
+
+module.exports = { TerminalSearchBar, SEARCH_HIGHLIGHT_LIMIT, getSearchError, formatMatchCount };
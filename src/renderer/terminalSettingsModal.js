@@ -0,0 +1,209 @@
+/**
+ * Terminal Settings Modal
+ * Theme, font, cursor, scrollback and paste settings for all terminals. Every change is saved
+ * right away; the main process broadcasts the new settings and the terminal
+ * manager applies them to the open terminals.
+ */
+
+const { ipcRenderer } = require('./electronBridge');
+const { IPC } = require('../shared/ipcChannels');
+const { BUILT_IN_THEMES, DEFAULT_TERMINAL_SETTINGS } = require('../shared/terminalThemes');
+const { createToast } = require('./toast');
+
+// Boolean paste settings and their checkbox ids
+const PASTE_CHECKBOX_IDS = {
+  confirmMultilinePaste: 'terminal-settings-confirm-multiline',
+  warnDangerousPaste: 'terminal-settings-warn-dangerous',
+  trimAiPasteNewlines: 'terminal-settings-trim-ai-paste',
+  bracketedPaste: 'terminal-settings-bracketed-paste'
+};
+
+let modal = null;
+let themeSelect = null;
+let removeThemeBtn = null;
+let fontFamilyInput = null;
+let fontSizeInput = null;
+let lineHeightInput = null;
+let cursorStyleSelect = null;
+let cursorBlinkInput = null;
+let ligaturesInput = null;
+let scrollbackInput = null;
+/** @type {Object<string, HTMLInputElement>} */
+const pasteCheckboxes = {};
+let toast = null;
+
+let isOpen = false;
+let settings = DEFAULT_TERMINAL_SETTINGS;
+
+function init() {
+  modal = document.getElementById('terminal-settings-modal');
+  if (!modal) return;
+
+  themeSelect = /** @type {HTMLSelectElement} */ (modal.querySelector('#terminal-settings-theme'));
+  removeThemeBtn = /** @type {HTMLButtonElement} */ (modal.querySelector('#terminal-settings-remove-theme'));
+  fontFamilyInput = /** @type {HTMLInputElement} */ (modal.querySelector('#terminal-settings-font-family'));
+  fontSizeInput = /** @type {HTMLInputElement} */ (modal.querySelector('#terminal-settings-font-size'));
+  lineHeightInput = /** @type {HTMLInputElement} */ (modal.querySelector('#terminal-settings-line-height'));
+  cursorStyleSelect = /** @type {HTMLSelectElement} */ (modal.querySelector('#terminal-settings-cursor-style'));
+  cursorBlinkInput = /** @type {HTMLInputElement} */ (modal.querySelector('#terminal-settings-cursor-blink'));
+  ligaturesInput = /** @type {HTMLInputElement} */ (modal.querySelector('#terminal-settings-ligatures'));
+  scrollbackInput = /** @type {HTMLInputElement} */ (modal.querySelector('#terminal-settings-scrollback'));
+  for (const [key, id] of Object.entries(PASTE_CHECKBOX_IDS)) {
+    pasteCheckboxes[key] = /** @type {HTMLInputElement} */ (modal.querySelector(`#${id}`));
+  }
+  toast = createToast(modal.querySelector('.modal-container'));
+
+  setupEventListeners();
+
+  ipcRenderer.on(IPC.OPEN_TERMINAL_SETTINGS, () => openModal());
+  ipcRenderer.on(IPC.TERMINAL_SETTINGS_CHANGED, (event, next) => {
+    settings = next;
+    if (isOpen) render();
+  });
+}
+
+function setupEventListeners() {
+  const closeBtn = modal.querySelector('#terminal-settings-modal-close');
+  const doneBtn = modal.querySelector('#terminal-settings-done');
+  const resetBtn = modal.querySelector('#terminal-settings-reset');
+  const importBtn = modal.querySelector('#terminal-settings-import-theme');
+
+  closeBtn.addEventListener('click', closeModal);
+  doneBtn.addEventListener('click', closeModal);
+  resetBtn.addEventListener('click', () => {
+    // Imported themes survive a reset; only the appearance values go back to defaults
+    const defaults = { ...DEFAULT_TERMINAL_SETTINGS };
+    delete defaults.customThemes;
+    saveChanges(defaults);
+  });
+  importBtn.addEventListener('click', importTheme);
+  removeThemeBtn.addEventListener('click', removeSelectedTheme);
+
+  themeSelect.addEventListener('change', () => saveChanges({ themeId: themeSelect.value }));
+  fontFamilyInput.addEventListener('change', () => saveChanges({ fontFamily: fontFamilyInput.value }));
+  fontSizeInput.addEventListener('change', () => saveChanges({ fontSize: Number(fontSizeInput.value) }));
+  lineHeightInput.addEventListener('change', () => saveChanges({ lineHeight: Number(lineHeightInput.value) }));
+  cursorStyleSelect.addEventListener('change', () => saveChanges({ cursorStyle: cursorStyleSelect.value }));
+  cursorBlinkInput.addEventListener('change', () => saveChanges({ cursorBlink: cursorBlinkInput.checked }));
+  ligaturesInput.addEventListener('change', () => saveChanges({ ligatures: ligaturesInput.checked }));
+  scrollbackInput.addEventListener('change', () => saveChanges({ scrollback: Number(scrollbackInput.value) }));
+  for (const [key, input] of Object.entries(pasteCheckboxes)) {
+    input.addEventListener('change', () => saveChanges({ [key]: input.checked }));
+  }
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (isOpen && e.key === 'Escape') closeModal();
+  });
+}
+
+async function openModal() {
+  if (!modal) return;
+  isOpen = true;
+  modal.classList.add('visible');
+  try {
+    const response = await ipcRenderer.invoke(IPC.TERMINAL_SETTINGS_GET);
+    if (response && response.success) settings = response.settings;
+  } catch (err) {
+    console.error('Failed to load terminal settings:', err);
+  }
+  render();
+  themeSelect.focus();
+}
+
+function closeModal() {
+  if (!modal) return;
+  isOpen = false;
+  modal.classList.remove('visible');
+}
+
+function render() {
+  themeSelect.textContent = '';
+  const builtInGroup = document.createElement('optgroup');
+  builtInGroup.label = 'Built-in';
+  for (const theme of BUILT_IN_THEMES) {
+    builtInGroup.appendChild(new Option(theme.name, theme.id));
+  }
+  themeSelect.appendChild(builtInGroup);
+
+  const customEntries = Object.entries(settings.customThemes || {});
+  if (customEntries.length > 0) {
+    const customGroup = document.createElement('optgroup');
+    customGroup.label = 'Imported';
+    for (const [id, theme] of customEntries) {
+      customGroup.appendChild(new Option(theme.name, id));
+    }
+    themeSelect.appendChild(customGroup);
+  }
+
+  themeSelect.value = settings.themeId;
+  removeThemeBtn.disabled = !Object.prototype.hasOwnProperty.call(settings.customThemes || {}, settings.themeId);
+  fontFamilyInput.value = settings.fontFamily;
+  fontSizeInput.value = String(settings.fontSize);
+  lineHeightInput.value = String(settings.lineHeight);
+  cursorStyleSelect.value = settings.cursorStyle;
+  cursorBlinkInput.checked = settings.cursorBlink;
+  ligaturesInput.checked = settings.ligatures;
+  scrollbackInput.value = String(settings.scrollback);
+  for (const [key, input] of Object.entries(pasteCheckboxes)) {
+    input.checked = settings[key];
+  }
+}
+
+async function saveChanges(changes) {
+  try {
+    const response = await ipcRenderer.invoke(IPC.TERMINAL_SETTINGS_UPDATE, changes);
+    if (!response || !response.success) {
+      toast.show((response && response.error) || 'Failed to save terminal settings', 'error');
+      return;
+    }
+    settings = response.settings;
+  } catch (err) {
+    toast.show(`Failed to save terminal settings: ${err.message}`, 'error');
+  }
+  // Re-render so clamped values (e.g. a font size of 100) show what was saved
+  render();
+}
+
+async function importTheme() {
+  try {
+    const response = await ipcRenderer.invoke(IPC.TERMINAL_THEME_IMPORT);
+    if (!response || response.canceled) return;
+    if (!response.success) {
+      toast.show(response.error || 'Failed to import theme', 'error');
+      return;
+    }
+    settings = response.settings;
+    render();
+    toast.show(`Imported "${response.theme.name}"`, 'success');
+  } catch (err) {
+    toast.show(`Failed to import theme: ${err.message}`, 'error');
+  }
+}
+
+async function removeSelectedTheme() {
+  const themeId = settings.themeId;
+  const theme = (settings.customThemes || {})[themeId];
+  if (!theme) return;
+  try {
+    const response = await ipcRenderer.invoke(IPC.TERMINAL_THEME_REMOVE, themeId);
+    if (!response || !response.success) {
+      toast.show((response && response.error) || 'Failed to remove theme', 'error');
+      return;
+    }
+    settings = response.settings;
+    render();
+    toast.show(`Removed "${theme.name}"`, 'info');
+  } catch (err) {
+    toast.show(`Failed to remove theme: ${err.message}`, 'error');
+  }
+}
+
+module.exports = {
+  init,
+  open: openModal,
+  close: closeModal
+};
@@ -0,0 +1,124 @@
+/**
+ * Terminal Split View Module
+ * Renders a tab's split tree as nested panes with draggable dividers
+ */
+
+const { clampRatio } = require('./splitLayout');
+
+class TerminalSplitView {
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  /**
+   * Render a split tree into a container and mount each pane's terminal
+   * @param {HTMLElement} container
+   * @param {Object} tree - Split tree from TerminalManager.getSplitTree()
+   * @param {string|null} activeTerminalId - Focused pane
+   */
+  render(container, tree, activeTerminalId) {
+    container.innerHTML = '';
+    const root = this._renderNode(tree, activeTerminalId);
+    root.style.flex = '1 1 100%';
+    container.appendChild(root);
+  }
+
+  /**
+   * Update focus styling without re-rendering
+   */
+  updateActivePane(container, activeTerminalId) {
+    container.querySelectorAll('.split-pane-leaf').forEach((leaf) => {
+      leaf.classList.toggle('active', leaf.dataset.terminalId === activeTerminalId);
+    });
+  }
+
+  _renderNode(node, activeTerminalId) {
+    if (node.type === 'leaf') {
+      const leaf = document.createElement('div');
+      leaf.className = `split-pane-leaf ${node.id === activeTerminalId ? 'active' : ''}`;
+      leaf.dataset.terminalId = node.id;
+
+      const content = document.createElement('div');
+      content.className = 'split-pane-content';
+      leaf.appendChild(content);
+
+      // Capture phase so focus moves even though xterm handles the mouse event
+      leaf.addEventListener('mousedown', () => {
+        if (this.manager.activeTerminalId !== node.id) {
+          this.manager.setActiveTerminal(node.id);
+        }
+      }, true);
+
+      this.manager.mountTerminal(node.id, content);
+      return leaf;
+    }
+
+    const split = document.createElement('div');
+    split.className = `split-pane-container split-${node.direction}`;
+
+    const first = this._renderNode(node.children[0], activeTerminalId);
+    const second = this._renderNode(node.children[1], activeTerminalId);
+    const divider = document.createElement('div');
+    divider.className = `split-pane-divider split-pane-divider-${node.direction}`;
+
+    this._applyRatio(first, second, node.ratio);
+    split.appendChild(first);
+    split.appendChild(divider);
+    split.appendChild(second);
+
+    this._setupDivider(divider, split, node, first, second);
+    return split;
+  }
+
+  _applyRatio(first, second, ratio) {
+    const value = clampRatio(ratio);
+    first.style.flex = `${value} 1 0`;
+    second.style.flex = `${1 - value} 1 0`;
+  }
+
+  _setupDivider(divider, split, node, first, second) {
+    const isRow = node.direction === 'row';
+    let fitRafId = null;
+
+    const onMouseMove = (e) => {
+      const rect = split.getBoundingClientRect();
+      const size = isRow ? rect.width : rect.height;
+      if (size <= 0) return;
+      const offset = isRow ? e.clientX - rect.left : e.clientY - rect.top;
+      node.ratio = clampRatio(offset / size);
+      this._applyRatio(first, second, node.ratio);
+
+      if (!fitRafId) {
+        fitRafId = requestAnimationFrame(() => {
+          fitRafId = null;
+          this.manager.fitAll();
+        });
+      }
+    };
+
+    const onMouseUp = () => {
+      document.removeEventListener('mousemove', onMouseMove);
+      document.removeEventListener('mouseup', onMouseUp);
+      document.body.style.cursor = '';
+      divider.classList.remove('active');
+      this.manager.fitAll();
+    };
+
+    divider.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      document.addEventListener('mousemove', onMouseMove);
+      document.addEventListener('mouseup', onMouseUp);
+      document.body.style.cursor = isRow ? 'col-resize' : 'row-resize';
+      divider.classList.add('active');
+    });
+
+    // Double-click resets to an even split
+    divider.addEventListener('dblclick', () => {
+      node.ratio = 0.5;
+      this._applyRatio(first, second, node.ratio);
+      this.manager.fitAll();
+    });
+  }
+}
+
+module.exports = { TerminalSplitView };
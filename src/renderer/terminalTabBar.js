@@ -3,21 +3,29 @@
  * Renders and manages the terminal tab bar UI
  */
 
-const { ipcRenderer } = require('./electronBridge');
+const { ipcRenderer, pathApi } = require('./electronBridge');
 const { IPC } = require('../shared/ipcChannels');
 const { escapeHtml, escapeAttr } = require('./escapeHtml');
 const pluginsPanel = require('./pluginsPanel');
 const githubPanel = require('./githubPanel');
 const savedPromptsPanel = require('./savedPromptsPanel');
 const updaterModal = require('./updaterModal');
+const projectListUI = require('./projectListUI');
 const { AI_TOOL_ICONS } = require('./aiToolSelector');
 const { createToast } = require('./toast');
+const { RecordingPlayer } = require('./recordingPlayer');
 
 const AI_TOOL_FULL_NAMES = {
   claude: 'Claude Code',
   codex: 'Codex CLI'
 };
 
+const ACTIVITY_BADGE_TITLES = {
+  activity: 'New output',
+  idle: 'Finished: quiet after a burst of output',
+  bell: 'Bell'
+};
+
 class TerminalTabBar {
   constructor(container, manager) {
     this.container = container;
@@ -35,12 +43,19 @@ class TerminalTabBar {
     this._stateCleanup = [];
     this._draggingTerminalId = null;
     this._dropTarget = null;
+    this._shellMenuToken = 0; // Ignore stale async running-session lookups
     this._toast = createToast(container);
+    this._recordingPlayer = null; // Created on first replay
     this._injectStyles();
     this._render();
     this._createContextMenu();
     this._createShellMenu();
     this._loadAvailableShells();
+    this._addIpcListener(IPC.TERMINAL_RECORDING_STOPPED, (event, data) => {
+      if (data && data.reason === 'error') {
+        this._toast.show(`Recording stopped: ${data.error || 'write failed'}`, 'error');
+      }
+    });
   }
 
   destroy() {
@@ -124,6 +139,15 @@ class TerminalTabBar {
         .shell-menu {
           min-width: 160px;
         }
+        .terminal-context-menu-item .running-session-cwd {
+          font-size: 10px;
+          color: var(--text-secondary);
+          margin-left: auto;
+          max-width: 140px;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
         .shell-menu-header {
           padding: 6px 12px;
           font-size: 11px;
@@ -196,6 +220,12 @@ class TerminalTabBar {
               <path d="M3 12h18M12 3v18"/>
             </svg>
           </button>
+          <button class="toolbar-btn btn-broadcast-toggle" title="Broadcast Input (Ctrl/Cmd+Shift+A)" aria-label="Toggle broadcast input" aria-pressed="false">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <circle cx="12" cy="12" r="2"/>
+              <path d="M16.24 7.76a6 6 0 0 1 0 8.49M7.76 16.24a6 6 0 0 1 0-8.49M19.07 4.93a10 10 0 0 1 0 14.14M4.93 19.07a10 10 0 0 1 0-14.14"/>
+            </svg>
+          </button>
           <div class="grid-layout-dropdown" title="Grid Layout">
             <div class="grid-layout-dropdown-label">
               <span>2×2</span>
@@ -246,6 +276,32 @@ class TerminalTabBar {
     this._setupEventHandlers();
   }
 
+  /**
+   * Show a background tab's activity status ('activity' | 'idle' | 'bell' | null)
+   */
+  _updateActivityBadge(tabEl, activity) {
+    if (!tabEl) return;
+    const status = activity || '';
+    if (tabEl.dataset.activity === status) return;
+    tabEl.dataset.activity = status;
+    const badge = tabEl.querySelector('.tab-activity-badge');
+    if (badge) badge.title = ACTIVITY_BADGE_TITLES[status] || '';
+  }
+
+  /**
+   * Tab tooltip: name and the shell's current directory
+   */
+  _getTabTooltip(terminal) {
+    const name = terminal.customName || terminal.name;
+    if (terminal.sshHost) {
+      return `${name}\nSSH: ${terminal.sshHost}${terminal.remoteCwd ? `:${terminal.remoteCwd}` : ''}`;
+    }
+    if (terminal.container) {
+      return `${name}\nContainer: ${terminal.container}`;
+    }
+    return terminal.cwd ? `${name}\n${terminal.cwd}` : name;
+  }
+
   /**
    * Update tab bar based on state
    */
@@ -270,6 +326,11 @@ class TerminalTabBar {
         // Update active class
         if (t.isActive) tabEl.classList.add('active');
         else tabEl.classList.remove('active');
+        tabEl.classList.toggle('broadcasting', !!(state.broadcastEnabled && t.inBroadcastGroup));
+        tabEl.classList.toggle('recording', !!t.recording);
+        this._updateActivityBadge(tabEl, t.activity);
+        const tooltip = this._getTabTooltip(t);
+        if (tabEl.title !== tooltip) tabEl.title = tooltip;
 
         // Update name if changed (and not currently being renamed)
         const nameSpan = tabEl.querySelector('.tab-name');
@@ -283,8 +344,12 @@ class TerminalTabBar {
     } else {
       // Full re-render
       tabsContainer.innerHTML = state.terminals.map(t => `
-        <div class="terminal-tab ${t.isActive ? 'active' : ''}" draggable="true" data-terminal-id="${escapeAttr(t.id)}">
+        <div class="terminal-tab ${t.isActive ? 'active' : ''} ${state.broadcastEnabled && t.inBroadcastGroup ? 'broadcasting' : ''} ${t.recording ? 'recording' : ''}" draggable="true" data-terminal-id="${escapeAttr(t.id)}" title="${escapeAttr(this._getTabTooltip(t))}">
+          <span class="tab-broadcast-indicator" title="Receiving broadcast input" aria-label="Receiving broadcast input"></span>
+          <span class="tab-recording-indicator" title="Recording output" aria-label="Recording output"></span>
+          ${t.sshHost || t.container ? `<span class="terminal-host-label">${escapeHtml(t.sshHost || t.container)}</span>` : ''}
           <span class="tab-name">${escapeHtml(t.customName || t.name)}</span>
+          <span class="tab-activity-badge"></span>
           <button class="btn btn-close tab-close" data-embedded data-terminal-id="${escapeAttr(t.id)}" title="Close" aria-label="Close terminal">✕</button>
         </div>
       `).join('');
@@ -292,6 +357,9 @@ class TerminalTabBar {
     tabsContainer.querySelectorAll('.terminal-tab').forEach((tab) => {
       tab.draggable = true;
     });
+    if (!canUpdateInPlace) {
+      state.terminals.forEach((t, i) => this._updateActivityBadge(tabsContainer.children[i], t.activity));
+    }
 
     // Update view toggle button
     const toggleBtn = this.element.querySelector('.btn-view-toggle');
@@ -300,6 +368,14 @@ class TerminalTabBar {
       : '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="18" height="18" rx="2"/></svg>';
     toggleBtn.title = state.viewMode === 'tabs' ? 'Switch to Grid View' : 'Switch to Tab View';
 
+    // Broadcast toggle reflects whether input is being mirrored right now
+    const broadcastBtn = this.element.querySelector('.btn-broadcast-toggle');
+    broadcastBtn.classList.toggle('active', !!state.broadcastEnabled);
+    broadcastBtn.setAttribute('aria-pressed', state.broadcastEnabled ? 'true' : 'false');
+    broadcastBtn.title = state.broadcastEnabled
+      ? `Stop Broadcasting Input to ${state.broadcastCount} Terminals (Ctrl/Cmd+Shift+A)`
+      : 'Broadcast Input (Ctrl/Cmd+Shift+A)';
+
     // Show/hide grid layout dropdown
     const gridDropdown = this.element.querySelector('.grid-layout-dropdown');
     gridDropdown.style.display = state.viewMode === 'grid' ? 'block' : 'none';
@@ -334,8 +410,8 @@ class TerminalTabBar {
     const usageBars = this.element.querySelector('.ai-usage-bars');
     if (!usageBars) return;
 
-    // Find active terminal's aiTool
-    const activeTerminal = state.terminals.find(t => t.id === state.activeTerminalId);
+    // Find active terminal's aiTool (may be a split pane, which has no tab of its own)
+    const activeTerminal = this.manager.getActiveTerminalState();
     const aiTool = activeTerminal ? activeTerminal.aiTool : null;
 
     if (!aiTool) {
@@ -373,7 +449,7 @@ class TerminalTabBar {
       const tab = e.target.closest('.terminal-tab');
       if (tab && !e.target.classList.contains('tab-close')) {
         const terminalId = tab.dataset.terminalId;
-        this.manager.setActiveTerminal(terminalId);
+        this.manager.activateTab(terminalId);
       }
     });
 
@@ -382,8 +458,9 @@ class TerminalTabBar {
       if (e.target.classList.contains('tab-close')) {
         e.stopPropagation();
         const terminalId = e.target.dataset.terminalId;
-        if (!confirm('Close this terminal?')) return;
-        this.manager.closeTerminal(terminalId);
+        const paneCount = this.manager.getTabTerminalIds(terminalId).length;
+        if (!confirm(paneCount > 1 ? `Close this terminal and its ${paneCount - 1} split pane(s)?` : 'Close this terminal?')) return;
+        this.manager.closeTab(terminalId);
       }
     });
 
@@ -488,6 +565,17 @@ class TerminalTabBar {
       this.manager.setViewMode(newMode);
     });
 
+    // Broadcast input toggle
+    this.element.querySelector('.btn-broadcast-toggle').addEventListener('click', () => {
+      if (this.manager.broadcastEnabled) {
+        this.manager.setBroadcastEnabled(false);
+        return;
+      }
+      if (!this.manager.setBroadcastEnabled(true)) {
+        this._toast.show('Broadcast needs at least two terminals', 'info');
+      }
+    });
+
     // Grid layout dropdown
     const gridDropdown = this.element.querySelector('.grid-layout-dropdown');
     gridDropdown.addEventListener('click', (e) => {
@@ -1011,6 +1099,258 @@ class TerminalTabBar {
       this._hideContextMenu();
     });
 
+    // Move to another project (keeps the shells running)
+    const moveProjectItem = document.createElement('div');
+    moveProjectItem.className = 'terminal-context-menu-item';
+    moveProjectItem.innerHTML = `
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>
+        <polyline points="12 11 15 14 12 17"></polyline>
+        <line x1="8" y1="14" x2="15" y2="14"></line>
+      </svg>
+      Move to Project…
+    `;
+    moveProjectItem.addEventListener('click', (e) => {
+      // Keep the menu open: it turns into the project list
+      e.stopPropagation();
+      const terminalId = tabElement.dataset.terminalId;
+      if (terminalId) this._showMoveToProjectMenu(terminalId);
+    });
+
+    // Split options: split the focused pane when it is in this tab, otherwise the tab itself
+    const splitTarget = () => {
+      const tabId = tabElement.dataset.terminalId;
+      const activeId = this.manager.activeTerminalId;
+      return this.manager.getTabId(activeId) === tabId ? activeId : tabId;
+    };
+    const createSplitItem = (label, direction, icon) => {
+      const item = document.createElement('div');
+      item.className = 'terminal-context-menu-item';
+      item.innerHTML = `${icon}${label}`;
+      item.addEventListener('click', () => {
+        const terminalId = splitTarget();
+        this._hideContextMenu();
+        if (!terminalId) return;
+        this.manager.splitTerminal(terminalId, direction)
+          .catch((err) => this._toast.show(err.message || 'Failed to split terminal', 'error'));
+      });
+      return item;
+    };
+    const splitRightItem = createSplitItem('Split Right', 'row', `
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <rect x="3" y="3" width="18" height="18" rx="2"></rect>
+        <line x1="12" y1="3" x2="12" y2="21"></line>
+      </svg>
+    `);
+    const splitDownItem = createSplitItem('Split Down', 'column', `
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <rect x="3" y="3" width="18" height="18" rx="2"></rect>
+        <line x1="3" y1="12" x2="21" y2="12"></line>
+      </svg>
+    `);
+
+    // New tab in the same directory as the (focused pane of the) tab
+    const newHereItem = document.createElement('div');
+    newHereItem.className = 'terminal-context-menu-item';
+    newHereItem.innerHTML = `
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>
+        <line x1="12" y1="11" x2="12" y2="17"></line>
+        <line x1="9" y1="14" x2="15" y2="14"></line>
+      </svg>
+      New Terminal Here
+    `;
+    newHereItem.addEventListener('click', () => {
+      const terminalId = splitTarget();
+      const instance = terminalId && this.manager.getTerminal(terminalId);
+      this._hideContextMenu();
+      if (!instance) return;
+      this._createTerminalAndFocus({
+        projectPath: instance.state.projectPath,
+        shell: instance.state.shell || null,
+        cwd: this.manager.getTerminalCwd(terminalId)
+      });
+    });
+
+    // Export transcript options
+    const createExportItem = (label, format) => {
+      const item = document.createElement('div');
+      item.className = 'terminal-context-menu-item';
+      item.innerHTML = `
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+          <polyline points="7 10 12 15 17 10"></polyline>
+          <line x1="12" y1="15" x2="12" y2="3"></line>
+        </svg>
+        ${label}
+      `;
+      item.addEventListener('click', () => {
+        const terminalId = splitTarget();
+        this._hideContextMenu();
+        if (!terminalId) return;
+        this.manager.exportTranscript(terminalId, format)
+          .then((response) => {
+            if (response && response.success) {
+              this._toast.show(`Transcript saved to ${pathApi.basename(response.path)}`, 'success');
+            } else if (!response || !response.canceled) {
+              this._toast.show((response && response.error) || 'Failed to export transcript', 'error');
+            }
+          })
+          .catch((err) => this._toast.show(err.message || 'Failed to export transcript', 'error'));
+      });
+      return item;
+    };
+    const exportHtmlItem = createExportItem('Export Transcript as HTML…', 'html');
+    const exportMarkdownItem = createExportItem('Export Transcript as Markdown…', 'md');
+
+    // Record output to an asciicast file
+    const recordTargetId = splitTarget();
+    const isRecording = !!recordTargetId && this.manager.isRecording(recordTargetId);
+    const recordItem = document.createElement('div');
+    recordItem.className = 'terminal-context-menu-item';
+    recordItem.innerHTML = `
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        ${isRecording ? '<rect x="6" y="6" width="12" height="12" rx="1"></rect>' : '<circle cx="12" cy="12" r="9"></circle><circle cx="12" cy="12" r="4" fill="currentColor"></circle>'}
+      </svg>
+      ${isRecording ? 'Stop Recording' : 'Start Recording'}
+    `;
+    recordItem.addEventListener('click', () => {
+      this._hideContextMenu();
+      if (!recordTargetId) return;
+      if (isRecording) {
+        this.manager.stopRecording(recordTargetId)
+          .then((response) => {
+            if (response && response.success) {
+              this._toast.show(`Recording saved to ${pathApi.basename(response.path)}`, 'success');
+            } else {
+              this._toast.show((response && response.error) || 'Failed to stop recording', 'error');
+            }
+          })
+          .catch((err) => this._toast.show(err.message || 'Failed to stop recording', 'error'));
+      } else {
+        this.manager.startRecording(recordTargetId)
+          .then((response) => {
+            if (!response || !response.success) {
+              this._toast.show((response && response.error) || 'Failed to start recording', 'error');
+            }
+          })
+          .catch((err) => this._toast.show(err.message || 'Failed to start recording', 'error'));
+      }
+    });
+
+    const replayItem = document.createElement('div');
+    replayItem.className = 'terminal-context-menu-item';
+    replayItem.innerHTML = `
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polygon points="6 4 20 12 6 20 6 4"></polygon>
+      </svg>
+      Replay Recording…
+    `;
+    replayItem.addEventListener('click', () => {
+      this._hideContextMenu();
+      this._openRecording();
+    });
+
+    // Detach option (keeps the shell running)
+    const detachItem = document.createElement('div');
+    detachItem.className = 'terminal-context-menu-item';
+    detachItem.innerHTML = `
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path>
+        <polyline points="15 3 21 3 21 9"></polyline>
+        <line x1="10" y1="14" x2="21" y2="3"></line>
+      </svg>
+      Detach (Keep Running)
+    `;
+    detachItem.addEventListener('click', () => {
+      const terminalId = tabElement.dataset.terminalId;
+      this._hideContextMenu();
+      if (!terminalId) return;
+      this.manager.detachTab(terminalId);
+      this._toast.show('Terminal detached — reattach it from the + menu', 'info');
+    });
+
+    // Clear saved scrollback option
+    const clearScrollbackItem = document.createElement('div');
+    clearScrollbackItem.className = 'terminal-context-menu-item';
+    clearScrollbackItem.innerHTML = `
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="3 6 5 6 21 6"></polyline>
+        <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"></path>
+        <path d="M10 11v6"></path>
+        <path d="M14 11v6"></path>
+      </svg>
+      Clear Saved Scrollback
+    `;
+    clearScrollbackItem.addEventListener('click', () => {
+      const terminalId = tabElement.dataset.terminalId;
+      this._hideContextMenu();
+      if (!terminalId) return;
+      this.manager.clearSavedScrollback(terminalId)
+        .then(() => this._toast.show('Saved scrollback cleared', 'success'))
+        .catch((err) => this._toast.show(err.message || 'Failed to clear saved scrollback', 'error'));
+    });
+
+    // Broadcast group membership
+    const broadcastTabId = tabElement.dataset.terminalId;
+    const inBroadcastGroup = !!broadcastTabId && this.manager.isInBroadcastGroup(broadcastTabId);
+    const broadcastItem = document.createElement('div');
+    broadcastItem.className = 'terminal-context-menu-item';
+    broadcastItem.innerHTML = `
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="12" cy="12" r="2"></circle>
+        <path d="M16.24 7.76a6 6 0 0 1 0 8.49M7.76 16.24a6 6 0 0 1 0-8.49"></path>
+      </svg>
+      ${inBroadcastGroup ? 'Remove from Broadcast Group' : 'Add to Broadcast Group'}
+    `;
+    broadcastItem.addEventListener('click', () => {
+      this._hideContextMenu();
+      if (!broadcastTabId) return;
+      this.manager.toggleBroadcastMember(broadcastTabId);
+    });
+
+    // Desktop notifications for background terminals (global setting)
+    const notifyItem = document.createElement('div');
+    notifyItem.className = 'terminal-context-menu-item';
+    notifyItem.innerHTML = `
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path>
+        <path d="M13.73 21a2 2 0 0 1-3.46 0"></path>
+      </svg>
+      Notify When Background Terminals Finish
+      <span class="shell-default-badge">${this.manager.notificationsEnabled ? 'On' : 'Off'}</span>
+    `;
+    notifyItem.addEventListener('click', () => {
+      this._hideContextMenu();
+      const enabled = !this.manager.notificationsEnabled;
+      this.manager.setNotificationsEnabled(enabled);
+      this._toast.show(enabled ? 'Notifications on for background terminals' : 'Terminal notifications off', 'info');
+    });
+
+    // Save the project's terminals as its startup profile (.frame/terminals.json)
+    const saveProfileItem = document.createElement('div');
+    saveProfileItem.className = 'terminal-context-menu-item';
+    saveProfileItem.innerHTML = `
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path>
+        <polyline points="17 21 17 13 7 13 7 21"></polyline>
+        <polyline points="7 3 7 8 15 8"></polyline>
+      </svg>
+      Save Terminals as Startup Profile
+    `;
+    saveProfileItem.addEventListener('click', () => {
+      this._hideContextMenu();
+      this.manager.saveStartupProfile()
+        .then((response) => {
+          if (response && response.success) {
+            this._toast.show('Startup profile saved to .frame/terminals.json', 'success');
+          } else {
+            this._toast.show((response && response.error) || 'Failed to save startup profile', 'error');
+          }
+        })
+        .catch((err) => this._toast.show(err.message || 'Failed to save startup profile', 'error'));
+    });
+
     const divider = document.createElement('div');
     divider.className = 'terminal-context-menu-divider';
     
@@ -1026,14 +1366,29 @@ class TerminalTabBar {
     `;
     closeItem.addEventListener('click', () => {
       const terminalId = tabElement.dataset.terminalId;
-      this.manager.closeTerminal(terminalId);
+      this.manager.closeTab(terminalId);
       this._hideContextMenu();
     });
 
     this.contextMenu.appendChild(renameItem);
     this.contextMenu.appendChild(moveStartItem);
     this.contextMenu.appendChild(moveEndItem);
+    this.contextMenu.appendChild(moveProjectItem);
+    this.contextMenu.appendChild(newHereItem);
+    this.contextMenu.appendChild(splitRightItem);
+    this.contextMenu.appendChild(splitDownItem);
+    this.contextMenu.appendChild(broadcastItem);
+    this.contextMenu.appendChild(clearScrollbackItem);
+    this.contextMenu.appendChild(exportHtmlItem);
+    this.contextMenu.appendChild(exportMarkdownItem);
+    this.contextMenu.appendChild(recordItem);
+    this.contextMenu.appendChild(replayItem);
+    if (this.manager.getCurrentProject()) {
+      this.contextMenu.appendChild(saveProfileItem);
+    }
+    this.contextMenu.appendChild(notifyItem);
     this.contextMenu.appendChild(divider);
+    this.contextMenu.appendChild(detachItem);
     this.contextMenu.appendChild(closeItem);
 
     // Position and show
@@ -1057,6 +1412,78 @@ class TerminalTabBar {
     }
   }
 
+  /**
+   * Replace the context menu's items with the projects a tab can move to
+   * @param {string} tabId
+   */
+  _showMoveToProjectMenu(tabId) {
+    const currentPath = this.manager.getCurrentProject();
+    const targets = projectListUI.getProjects()
+      .filter((project) => project.path !== currentPath)
+      .map((project) => ({ path: project.path, name: project.name }));
+    if (currentPath) targets.push({ path: null, name: 'Global Terminals' });
+
+    this.contextMenu.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'shell-menu-header';
+    header.textContent = 'Move to Project';
+    this.contextMenu.appendChild(header);
+
+    if (targets.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'terminal-context-menu-item';
+      empty.textContent = 'No other projects';
+      empty.style.opacity = '0.5';
+      this.contextMenu.appendChild(empty);
+      return;
+    }
+
+    targets.forEach((project) => {
+      const item = document.createElement('div');
+      item.className = 'terminal-context-menu-item';
+      if (project.path) item.title = project.path;
+      item.innerHTML = `
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          ${project.path
+            ? '<path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>'
+            : '<circle cx="12" cy="12" r="10"></circle><line x1="2" y1="12" x2="22" y2="12"></line><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>'}
+        </svg>
+        <span>${escapeHtml(project.name)}</span>
+      `;
+      item.addEventListener('click', () => {
+        this._hideContextMenu();
+        this.manager.moveTabToProject(tabId, project.path)
+          .then(() => this._toast.show(`Terminal moved to ${project.name}`, 'success'))
+          .catch((err) => this._toast.show(err.message || 'Failed to move terminal', 'error'));
+      });
+      this.contextMenu.appendChild(item);
+    });
+
+    // Keep the resized menu inside the window
+    const rect = this.contextMenu.getBoundingClientRect();
+    if (rect.bottom > window.innerHeight) {
+      this.contextMenu.style.top = `${Math.max(5, window.innerHeight - rect.height - 5)}px`;
+    }
+  }
+
+  /**
+   * Pick an asciicast file and play it in the replay viewer
+   */
+  async _openRecording() {
+    try {
+      const response = await ipcRenderer.invoke(IPC.TERMINAL_RECORDING_OPEN);
+      if (!response || response.canceled) return;
+      if (!response.success) {
+        this._toast.show(response.error || 'Failed to open recording', 'error');
+        return;
+      }
+      if (!this._recordingPlayer) this._recordingPlayer = new RecordingPlayer();
+      this._recordingPlayer.open(response.content, { title: response.name, settings: this.manager.settings });
+    } catch (err) {
+      this._toast.show(err.message || 'Failed to open recording', 'error');
+    }
+  }
+
   _setDropIndicator(tab, position) {
     if (!tab) return;
     if (this._dropTarget && this._dropTarget !== tab) {
@@ -1125,6 +1552,7 @@ class TerminalTabBar {
   _showShellMenu(x, y) {
     // Clear previous items
     this.shellMenu.innerHTML = '';
+    const menuToken = ++this._shellMenuToken;
 
     // Add header
     const header = document.createElement('div');
@@ -1171,7 +1599,13 @@ class TerminalTabBar {
       });
     }
 
-    // Position and show
+    this._positionShellMenu(x, y);
+    this._appendContainerShells(menuToken, x, y)
+      .then(() => this._appendSshHosts(menuToken, x, y))
+      .then(() => this._appendRunningSessions(menuToken, x, y));
+  }
+
+  _positionShellMenu(x, y) {
     this.shellMenu.style.left = `${x}px`;
     this.shellMenu.style.top = `${y}px`;
     this.shellMenu.classList.add('visible');
@@ -1186,6 +1620,159 @@ class TerminalTabBar {
     }
   }
 
+  /**
+   * Add "exec into container" entries for the current project's running containers
+   */
+  async _appendContainerShells(menuToken, x, y) {
+    const projectPath = this.manager.getCurrentProject();
+    if (!projectPath) return;
+    let containers;
+    try {
+      containers = (await this.manager.getAvailableShells(projectPath)).filter((shell) => shell.container);
+    } catch (err) {
+      console.error('Failed to load project containers:', err);
+      return;
+    }
+    if (menuToken !== this._shellMenuToken || !this.shellMenu.classList.contains('visible')) return;
+    if (containers.length === 0) return;
+
+    const divider = document.createElement('div');
+    divider.className = 'terminal-context-menu-divider';
+    this.shellMenu.appendChild(divider);
+
+    const header = document.createElement('div');
+    header.className = 'shell-menu-header';
+    header.textContent = 'Exec into Container';
+    this.shellMenu.appendChild(header);
+
+    containers.forEach((shell) => {
+      const item = document.createElement('div');
+      item.className = 'terminal-context-menu-item';
+      item.title = `docker exec -it ${shell.container}`;
+      item.innerHTML = `
+        ${this._getShellIcon('container')}
+        <span>${escapeHtml(shell.name)}</span>
+        <span class="shell-default-badge">${shell.source === 'devcontainer' ? 'devcontainer' : 'compose'}</span>
+      `;
+      item.addEventListener('click', () => {
+        this._hideShellMenu();
+        this._createTerminalAndFocus({ container: shell.container });
+      });
+      this.shellMenu.appendChild(item);
+    });
+
+    this._positionShellMenu(x, y);
+  }
+
+  /**
+   * Add the hosts from ~/.ssh/config to the shell menu, the project's default host first
+   */
+  async _appendSshHosts(menuToken, x, y) {
+    let hosts;
+    try {
+      hosts = await this.manager.getSshHosts();
+    } catch (err) {
+      console.error('Failed to load SSH hosts:', err);
+      return;
+    }
+    if (menuToken !== this._shellMenuToken || !this.shellMenu.classList.contains('visible')) return;
+    if (hosts.length === 0) return;
+
+    const projectPath = this.manager.getCurrentProject();
+    const project = projectListUI.getProjects().find((p) => p.path === projectPath);
+    const remote = project && project.remote ? project.remote : null;
+    const defaultHost = remote ? hosts.find((host) => host.alias === remote.host) : null;
+    if (defaultHost) {
+      hosts = [defaultHost, ...hosts.filter((host) => host !== defaultHost)];
+    }
+
+    const divider = document.createElement('div');
+    divider.className = 'terminal-context-menu-divider';
+    this.shellMenu.appendChild(divider);
+
+    const header = document.createElement('div');
+    header.className = 'shell-menu-header';
+    header.textContent = 'SSH Hosts';
+    this.shellMenu.appendChild(header);
+
+    hosts.forEach((host) => {
+      const isDefault = host === defaultHost;
+      const remoteCwd = isDefault ? remote.cwd || null : null;
+      const target = host.hostName
+        ? `${host.user ? `${host.user}@` : ''}${host.hostName}${host.port ? `:${host.port}` : ''}`
+        : '';
+      const item = document.createElement('div');
+      item.className = 'terminal-context-menu-item';
+      item.title = [target, remoteCwd].filter(Boolean).join('\n');
+      item.innerHTML = `
+        ${this._getShellIcon('ssh')}
+        <span>${escapeHtml(host.alias)}</span>
+        ${isDefault ? '<span class="shell-default-badge">project</span>' : ''}
+      `;
+      item.addEventListener('click', () => {
+        this._hideShellMenu();
+        this._createTerminalAndFocus({ sshHost: host.alias, remoteCwd });
+      });
+      this.shellMenu.appendChild(item);
+    });
+
+    this._positionShellMenu(x, y);
+  }
+
+  /**
+   * Add detached sessions of the current project to the shell menu so they can be reattached
+   */
+  async _appendRunningSessions(menuToken, x, y) {
+    let sessions;
+    try {
+      sessions = await this.manager.listRunningSessions({ detachedOnly: true });
+    } catch (err) {
+      console.error('Failed to load running sessions:', err);
+      return;
+    }
+    if (menuToken !== this._shellMenuToken || !this.shellMenu.classList.contains('visible')) return;
+
+    const projectPath = this.manager.getCurrentProject();
+    sessions = sessions.filter((session) => session.projectPath === projectPath);
+    if (sessions.length === 0) return;
+
+    const divider = document.createElement('div');
+    divider.className = 'terminal-context-menu-divider';
+    this.shellMenu.appendChild(divider);
+
+    const header = document.createElement('div');
+    header.className = 'shell-menu-header';
+    header.textContent = 'Running Sessions';
+    this.shellMenu.appendChild(header);
+
+    sessions
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .forEach((session) => {
+        const item = document.createElement('div');
+        item.className = 'terminal-context-menu-item';
+        const shellId = (session.shell || '').split(/[\\/]/).pop().replace(/\.exe$/i, '');
+        const cwdName = session.sshHost || session.container || (session.cwd || '').split(/[\\/]/).filter(Boolean).pop() || session.cwd || '';
+        item.title = session.sshHost ? `SSH: ${session.sshHost}` : session.container ? `Container: ${session.container}` : session.cwd || '';
+        item.innerHTML = `
+          ${this._getShellIcon(shellId)}
+          <span>${escapeHtml(session.name || shellId || session.terminalId)}</span>
+          <span class="running-session-cwd">${escapeHtml(cwdName)}</span>
+        `;
+        item.addEventListener('click', () => {
+          this._hideShellMenu();
+          this.manager.attachSession(session)
+            .then((terminalId) => {
+              this.manager.setViewMode('tabs');
+              this.manager.setActiveTerminal(terminalId);
+            })
+            .catch((err) => this._toast.show(err.message || 'Failed to reattach session', 'error'));
+        });
+        this.shellMenu.appendChild(item);
+      });
+
+    this._positionShellMenu(x, y);
+  }
+
   _hideShellMenu() {
     if (this.shellMenu) {
       this.shellMenu.classList.remove('visible');
@@ -1203,6 +1790,8 @@ class TerminalTabBar {
       'cmd': '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="3" width="20" height="18" rx="2"></rect><line x1="6" y1="12" x2="18" y2="12"></line></svg>',
       'gitbash': '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><line x1="2" y1="12" x2="22" y2="12"></line><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path></svg>',
       'wsl': '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect><line x1="8" y1="21" x2="16" y2="21"></line><line x1="12" y1="17" x2="12" y2="21"></line></svg>',
+      'ssh': '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="2" width="20" height="8" rx="2"></rect><rect x="2" y="14" width="20" height="8" rx="2"></rect><line x1="6" y1="6" x2="6.01" y2="6"></line><line x1="6" y1="18" x2="6.01" y2="18"></line></svg>',
+      'container': '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"></path><polyline points="3.27 6.96 12 12.01 20.73 6.96"></polyline><line x1="12" y1="22.08" x2="12" y2="12"></line></svg>',
       'sh': '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="4 17 10 11 4 5"></polyline><line x1="12" y1="19" x2="20" y2="19"></line></svg>'
     };
     return icons[shellId] || icons['sh'];
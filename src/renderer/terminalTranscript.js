@@ -0,0 +1,269 @@
+/**
+ * Terminal Transcript Module
+ * Serializes an xterm buffer to a standalone HTML page (colors kept) or to
+ * Markdown, split into sections at the commands reported by shell integration.
+ */
+
+const ANSI_THEME_KEYS = [
+  'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white',
+  'brightBlack', 'brightRed', 'brightGreen', 'brightYellow', 'brightBlue', 'brightMagenta', 'brightCyan', 'brightWhite'
+];
+// xterm's defaults for themes that leave an ANSI color unset
+const DEFAULT_ANSI_COLORS = [
+  '#2e3436', '#cc0000', '#4e9a06', '#c4a000', '#3465a4', '#75507b', '#06989a', '#d3d7cf',
+  '#555753', '#ef2929', '#8ae234', '#fce94f', '#729fcf', '#ad7fa8', '#34e2e2', '#eeeeec'
+];
+
+/**
+ * Build the 256-color palette for a theme
+ * @param {Object} [theme] - xterm ITheme
+ * @returns {string[]}
+ */
+function buildPalette(theme = {}) {
+  const palette = ANSI_THEME_KEYS.map((key, i) => theme[key] || DEFAULT_ANSI_COLORS[i]);
+  const steps = [0, 95, 135, 175, 215, 255];
+  for (let i = 0; i < 216; i++) {
+    palette.push(toHex(steps[Math.floor(i / 36) % 6], steps[Math.floor(i / 6) % 6], steps[i % 6]));
+  }
+  for (let i = 0; i < 24; i++) {
+    const level = 8 + i * 10;
+    palette.push(toHex(level, level, level));
+  }
+  return palette;
+}
+
+// Not the shared DOM-based escapeHtml: the serializer has no document to work with in tests
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toHex(r, g, b) {
+  return `#${[r, g, b].map((value) => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function resolveColor(cell, which, palette) {
+  if (which === 'fg' ? cell.isFgDefault() : cell.isBgDefault()) return null;
+  const value = which === 'fg' ? cell.getFgColor() : cell.getBgColor();
+  if (which === 'fg' ? cell.isFgRGB() : cell.isBgRGB()) {
+    return toHex((value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff);
+  }
+  return palette[value] || null;
+}
+
+function getCellStyle(cell, palette, theme) {
+  let fg = resolveColor(cell, 'fg', palette);
+  let bg = resolveColor(cell, 'bg', palette);
+  if (cell.isInverse()) {
+    [fg, bg] = [bg || theme.background || '#000000', fg || theme.foreground || '#ffffff'];
+  }
+
+  const styles = [];
+  if (fg) styles.push(`color:${fg}`);
+  if (bg) styles.push(`background:${bg}`);
+  if (cell.isBold()) styles.push('font-weight:bold');
+  if (cell.isItalic()) styles.push('font-style:italic');
+  if (cell.isDim()) styles.push('opacity:0.6');
+  if (cell.isInvisible()) styles.push('visibility:hidden');
+  const decorations = [];
+  if (cell.isUnderline()) decorations.push('underline');
+  if (cell.isStrikethrough()) decorations.push('line-through');
+  if (decorations.length > 0) styles.push(`text-decoration:${decorations.join(' ')}`);
+  return styles.join(';');
+}
+
+/**
+ * Read buffer rows into logical lines (soft-wrapped rows joined), trailing blank lines dropped
+ * @returns {Array<{row: number, rows: Object[]}>} Buffer row each line starts at and its row objects
+ */
+function collectLines(buffer) {
+  const lines = [];
+  for (let y = 0; y < buffer.length; y++) {
+    const row = buffer.getLine(y);
+    if (!row) continue;
+    if (row.isWrapped && lines.length > 0) {
+      lines[lines.length - 1].rows.push(row);
+    } else {
+      lines.push({ row: y, rows: [row] });
+    }
+  }
+  while (lines.length > 0 && lines[lines.length - 1].rows.every((row) => !row.translateToString(true))) {
+    lines.pop();
+  }
+  return lines;
+}
+
+function lineText(line) {
+  return line.rows.map((row, i) => row.translateToString(i === line.rows.length - 1)).join('');
+}
+
+function renderRowHtml(row, palette, theme, nullCell, trimEnd) {
+  // Keep trailing cells only while they still carry text or a background
+  let end = row.length;
+  if (trimEnd) {
+    while (end > 0) {
+      const cell = row.getCell(end - 1, nullCell);
+      if (cell && (cell.getChars() || !cell.isBgDefault() || cell.isInverse())) break;
+      end--;
+    }
+  }
+
+  let html = '';
+  let runStyle = null;
+  let runText = '';
+  const flush = () => {
+    if (!runText) return;
+    html += runStyle ? `<span style="${runStyle}">${escapeHtml(runText)}</span>` : escapeHtml(runText);
+    runText = '';
+  };
+  for (let x = 0; x < end; x++) {
+    const cell = row.getCell(x, nullCell);
+    if (!cell || cell.getWidth() === 0) continue;
+    const style = getCellStyle(cell, palette, theme);
+    if (style !== runStyle) {
+      flush();
+      runStyle = style;
+    }
+    runText += cell.getChars() || ' ';
+  }
+  flush();
+  return html;
+}
+
+/**
+ * Group lines into sections, one per command that started executing
+ * @param {Array} lines - From collectLines
+ * @param {Array<{line: number, startedAt: number}>} commands - Commands with the buffer row of their prompt
+ * @returns {Array<{command: Object|null, lines: Array}>}
+ */
+function splitIntoSections(lines, commands = []) {
+  const starts = commands
+    .filter((command) => command && command.startedAt && command.line >= 0)
+    .sort((a, b) => a.line - b.line);
+  const sections = [{ command: null, lines: [] }];
+  let next = 0;
+  for (const line of lines) {
+    while (next < starts.length && starts[next].line <= line.row) {
+      sections.push({ command: starts[next], lines: [] });
+      next++;
+    }
+    sections[sections.length - 1].lines.push(line);
+  }
+  return sections.filter((section) => section.command || section.lines.length > 0);
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+function describeCommand(command) {
+  const details = [formatTime(command.startedAt)];
+  if (command.finishedAt) {
+    const seconds = Math.max(0, (command.finishedAt - command.startedAt) / 1000);
+    details.push(`${seconds < 10 ? seconds.toFixed(1) : Math.round(seconds)}s`);
+  }
+  if (command.exitCode !== null && command.exitCode !== undefined) {
+    details.push(`exit ${command.exitCode}`);
+  }
+  return details.join(' · ');
+}
+
+function inlineCode(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const pad = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${pad}${text}${pad}${fence}`;
+}
+
+function codeBlock(text) {
+  const longest = Math.max(0, ...(text.match(/`{3,}/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(Math.max(3, longest + 1));
+  return `${fence}text\n${text}\n${fence}`;
+}
+
+/**
+ * @typedef {Object} TranscriptOptions
+ * @property {string} [title] - Terminal name
+ * @property {string|null} [cwd] - Working directory at export time
+ * @property {Array<{line: number, commandLine: string, startedAt: number, finishedAt: number, exitCode: number|null}>} [commands]
+ * @property {Object} [theme] - xterm ITheme used for colors (HTML only)
+ * @property {number} [exportedAt]
+ */
+
+/**
+ * Serialize a buffer to Markdown
+ * @param {Object} buffer - xterm IBuffer
+ * @param {TranscriptOptions} [options]
+ * @returns {string}
+ */
+function serializeToMarkdown(buffer, options = {}) {
+  const out = [`# ${options.title || 'Terminal'} transcript`, ''];
+  out.push(`- Exported: ${formatTime(options.exportedAt || Date.now())}`);
+  if (options.cwd) out.push(`- Directory: ${inlineCode(options.cwd)}`);
+
+  for (const section of splitIntoSections(collectLines(buffer), options.commands)) {
+    out.push('');
+    if (section.command) {
+      out.push(`## ${inlineCode(section.command.commandLine || '(command)')}`, '', `_${describeCommand(section.command)}_`, '');
+    }
+    const text = section.lines.map(lineText).join('\n').replace(/\s+$/, '');
+    if (text) out.push(codeBlock(text));
+  }
+  return `${out.join('\n')}\n`;
+}
+
+/**
+ * Serialize a buffer to a standalone HTML page with the terminal's colors
+ * @param {Object} buffer - xterm IBuffer
+ * @param {TranscriptOptions} [options]
+ * @returns {string}
+ */
+function serializeToHtml(buffer, options = {}) {
+  const theme = options.theme || {};
+  const palette = buildPalette(theme);
+  const nullCell = buffer.getNullCell ? buffer.getNullCell() : undefined;
+  const title = `${options.title || 'Terminal'} transcript`;
+  const background = theme.background || '#000000';
+  const foreground = theme.foreground || '#ffffff';
+
+  const body = splitIntoSections(collectLines(buffer), options.commands).map((section) => {
+    const header = section.command
+      ? `<div class="command${section.command.exitCode ? ' failed' : ''}"><code>${escapeHtml(section.command.commandLine || '(command)')}</code><span>${escapeHtml(describeCommand(section.command))}</span></div>\n`
+      : '';
+    const rows = section.lines.map((line) => line.rows
+      .map((row, i) => renderRowHtml(row, palette, theme, nullCell, i === line.rows.length - 1))
+      .join(''));
+    return `${header}<pre>${rows.join('\n')}</pre>`;
+  }).join('\n');
+
+  const meta = [`Exported ${escapeHtml(formatTime(options.exportedAt || Date.now()))}`];
+  if (options.cwd) meta.push(escapeHtml(options.cwd));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; padding: 24px; background: ${background}; color: ${foreground}; font-family: "SF Mono", Menlo, Consolas, monospace; font-size: 13px; }
+  h1 { font-size: 16px; margin: 0 0 4px; }
+  .meta { opacity: 0.6; margin-bottom: 16px; }
+  pre { margin: 0 0 12px; font-family: inherit; line-height: 1.35; white-space: pre-wrap; word-break: break-all; }
+  .command { display: flex; gap: 12px; align-items: baseline; margin: 16px 0 6px; padding: 4px 8px; border-left: 3px solid #57cc99; background: rgba(255, 255, 255, 0.05); }
+  .command.failed { border-left-color: #f47067; }
+  .command span { opacity: 0.6; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">${meta.join(' · ')}</div>
+${body}
+</body>
+</html>
+`;
+}
+
+module.exports = { serializeToHtml, serializeToMarkdown, buildPalette };
@@ -0,0 +1,119 @@
+/**
+ * Asciicast v2
+ * Reading and writing asciinema recordings: a JSON header line followed by
+ * one `[time, type, data]` JSON array per line ("o" output, "r" resize).
+ * https://docs.asciinema.org/manual/asciicast/v2/
+ */
+
+/**
+ * Header line for a new recording
+ * @param {{width: number, height: number, timestamp?: number, title?: string|null, env?: Object<string, string>}} info
+ * @returns {string}
+ */
+function createHeader({ width, height, timestamp, title, env }) {
+  const header = {
+    version: 2,
+    width,
+    height,
+    timestamp: Math.floor((timestamp || Date.now()) / 1000)
+  };
+  if (title) header.title = title;
+  if (env && Object.keys(env).length > 0) header.env = env;
+  return `${JSON.stringify(header)}\n`;
+}
+
+/**
+ * Event line
+ * @param {number} seconds - Time since the recording started
+ * @param {'o'|'i'|'r'|'m'} type
+ * @param {string} data
+ * @returns {string}
+ */
+function formatEvent(seconds, type, data) {
+  return `${JSON.stringify([Math.round(seconds * 1e6) / 1e6, type, data])}\n`;
+}
+
+/**
+ * @typedef {Object} Asciicast
+ * @property {{version: number, width: number, height: number, timestamp?: number, title?: string, idle_time_limit?: number}} header
+ * @property {Array<{time: number, type: string, data: string}>} events - Sorted by time (seconds)
+ * @property {number} duration - Seconds
+ */
+
+/**
+ * Parse a recording. A truncated last line (the app quit mid-write) is ignored.
+ * @param {string} text
+ * @param {{idleTimeLimit?: number}} [options] - Shorten pauses longer than this many seconds
+ *   (the header's idle_time_limit wins when present)
+ * @returns {Asciicast}
+ */
+function parseAsciicast(text, options = {}) {
+  const lines = String(text).split('\n');
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch {
+    throw new Error('Not an asciicast file');
+  }
+  if (!header || header.version !== 2) {
+    throw new Error('Only asciicast v2 recordings are supported');
+  }
+  if (!(header.width > 0) || !(header.height > 0)) {
+    throw new Error('Recording has no terminal size');
+  }
+
+  const idleTimeLimit = header.idle_time_limit > 0 ? header.idle_time_limit : options.idleTimeLimit;
+  const events = [];
+  let lastRawTime = 0;
+  let time = 0;
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      if (i >= lines.length - 2) break;
+      throw new Error(`Malformed event on line ${i + 1}`);
+    }
+    if (!Array.isArray(event) || typeof event[0] !== 'number' || typeof event[1] !== 'string') continue;
+    const rawTime = Math.max(lastRawTime, event[0]);
+    const gap = rawTime - lastRawTime;
+    time += idleTimeLimit > 0 ? Math.min(gap, idleTimeLimit) : gap;
+    lastRawTime = rawTime;
+    events.push({ time, type: event[1], data: String(event[2] ?? '') });
+  }
+
+  return { header, events, duration: events.length > 0 ? events[events.length - 1].time : 0 };
+}
+
+/**
+ * Index of the first event after `time`
+ * @param {Array<{time: number}>} events
+ * @param {number} time - Seconds
+ * @returns {number}
+ */
+function findEventIndex(events, time) {
+  let low = 0;
+  let high = events.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (events[mid].time <= time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Parse a resize event's "COLSxROWS" data
+ * @returns {{cols: number, rows: number}|null}
+ */
+function parseResize(data) {
+  const match = /^(\d+)x(\d+)$/.exec(String(data));
+  if (!match) return null;
+  const cols = Number(match[1]);
+  const rows = Number(match[2]);
+  return cols > 0 && rows > 0 ? { cols, rows } : null;
+}
+
+module.exports = { createHeader, formatEvent, parseAsciicast, findEventIndex, parseResize };
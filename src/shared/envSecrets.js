@@ -0,0 +1,20 @@
+/**
+ * Environment Secrets
+ * Which environment variables hold credentials. Their values are masked in
+ * the UI and redacted from the prompt history.
+ */
+
+// Matched anywhere in the variable name, case-insensitively
+const SECRET_KEY_PATTERN = /SECRET|TOKEN|PASSWORD|PASSWD|PASSPHRASE|API_?KEY|ACCESS_?KEY|PRIVATE|CREDENTIAL|AUTH|COOKIE|SESSION|DSN|CONNECTION_?STRING|DATABASE_URL/i;
+// Fixed length, so the mask does not reveal how long the value is
+const MASKED_VALUE = '••••••••';
+
+/**
+ * @param {string} key - Variable name
+ * @returns {boolean}
+ */
+function isSecretKey(key) {
+  return SECRET_KEY_PATTERN.test(String(key));
+}
+
+module.exports = { isSecretKey, MASKED_VALUE };
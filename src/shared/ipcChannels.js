@@ -22,8 +22,10 @@ const IPC = {
   STOP_FILE_TREE_WATCH: 'stop-file-tree-watch',
 
   // History
-  LOAD_PROMPT_HISTORY: 'load-prompt-history',
-  PROMPT_HISTORY_DATA: 'prompt-history-data',
+  PROMPT_HISTORY_PAGE: 'prompt-history-page',
+  PROMPT_HISTORY_PURGE: 'prompt-history-purge',
+  PROMPT_HISTORY_RETENTION_GET: 'prompt-history-retention-get',
+  PROMPT_HISTORY_RETENTION_UPDATE: 'prompt-history-retention-update',
   TOGGLE_HISTORY_PANEL: 'toggle-history-panel',
 
   // Layout
@@ -38,6 +40,7 @@ const IPC = {
   WORKSPACE_UPDATED: 'workspace-updated',
   ADD_PROJECT_TO_WORKSPACE: 'add-project-to-workspace',
   REMOVE_PROJECT_FROM_WORKSPACE: 'remove-project-from-workspace',
+  SET_PROJECT_REMOTE: 'set-project-remote',
 
   // File Editor
   READ_FILE: 'read-file',
@@ -55,7 +58,34 @@ const IPC = {
   TERMINAL_INPUT_ID: 'terminal-input-id',
   TERMINAL_OUTPUT_ID: 'terminal-output-id',
   TERMINAL_RESIZE_ID: 'terminal-resize-id',
+  TERMINAL_SCROLLBACK_LOAD: 'terminal-scrollback-load',
+  TERMINAL_SCROLLBACK_CLEAR: 'terminal-scrollback-clear',
+  TERMINAL_LIST_SESSIONS: 'terminal-list-sessions',
+  TERMINAL_ATTACH: 'terminal-attach',
+  TERMINAL_DETACH: 'terminal-detach',
+  TERMINAL_SET_PROJECT: 'terminal-set-project',
+  TERMINAL_SET_CONTEXT: 'terminal-set-context',
+  TERMINAL_PROFILE_LOAD: 'terminal-profile-load',
+  TERMINAL_PROFILE_SAVE: 'terminal-profile-save',
+  TERMINAL_PROFILE_TRUST: 'terminal-profile-trust',
+  PROJECT_ENV_GET: 'project-env-get',
+  PROJECT_ENV_SAVE: 'project-env-save',
+  SSH_HOSTS_LIST: 'ssh-hosts-list',
+  TERMINAL_NOTIFY: 'terminal-notify',
+  TERMINAL_NOTIFICATION_CLICKED: 'terminal-notification-clicked',
+  TERMINAL_EXPORT_TRANSCRIPT: 'terminal-export-transcript',
+  TERMINAL_SETTINGS_GET: 'terminal-settings-get',
+  TERMINAL_SETTINGS_UPDATE: 'terminal-settings-update',
+  TERMINAL_SETTINGS_CHANGED: 'terminal-settings-changed',
+  TERMINAL_THEME_IMPORT: 'terminal-theme-import',
+  TERMINAL_THEME_REMOVE: 'terminal-theme-remove',
+  OPEN_TERMINAL_SETTINGS: 'open-terminal-settings',
+  TERMINAL_RECORD_START: 'terminal-record-start',
+  TERMINAL_RECORD_STOP: 'terminal-record-stop',
+  TERMINAL_RECORDING_STOPPED: 'terminal-recording-stopped',
+  TERMINAL_RECORDING_OPEN: 'terminal-recording-open',
   GET_AVAILABLE_SHELLS: 'get-available-shells',
+  GET_LOCAL_HOSTNAME: 'get-local-hostname',
   AVAILABLE_SHELLS_DATA: 'available-shells-data',
 
   // Plugins Panel
@@ -120,6 +150,12 @@ const IPC = {
   DELETE_SAVED_PROMPT: 'delete-saved-prompt',
   SAVED_PROMPT_UPDATED: 'saved-prompt-updated',
   TOGGLE_SAVED_PROMPTS_PANEL: 'toggle-saved-prompts-panel',
+  PROMPT_TEMPLATE_CONTEXT: 'prompt-template-context',
+  SAVED_PROMPTS_EXPORT: 'saved-prompts-export',
+  SAVED_PROMPTS_IMPORT: 'saved-prompts-import',
+  SAVED_PROMPT_TO_COMMAND: 'saved-prompt-to-command',
+  SLASH_COMMAND_TO_PROMPT: 'slash-command-to-prompt',
+  SAVED_PROMPT_USED: 'saved-prompt-used',
 
   // AI Tool Settings
   GET_AI_TOOL_CONFIG: 'get-ai-tool-config',
@@ -0,0 +1,84 @@
+/**
+ * Prompt Templates
+ * `{{variable}}` placeholders in saved prompts
+ *
+ *   {{name}}            free text
+ *   {{name=default}}    free text with a default value
+ *   {{name=a|b|c}}      one of a list of choices, the first is the default
+ *
+ * Built-in variables are filled in from the app (current file, branch, ...)
+ * but can still be edited before the prompt is sent.
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_-]*)\s*(?:=([^}]*))?\}\}/g;
+
+const BUILT_IN_VARIABLES = {
+  file: 'File open in the editor, relative to the project',
+  branch: 'Current git branch',
+  staged_diff: 'Staged changes (git diff --cached)',
+  selection: 'Text selected in the active terminal',
+  project: 'Project folder'
+};
+
+function isBuiltInVariable(name) {
+  return Object.prototype.hasOwnProperty.call(BUILT_IN_VARIABLES, name);
+}
+
+/**
+ * Variables a template uses, in order of first appearance
+ * @param {string} content
+ * @returns {Array<{name: string, defaultValue: string, choices: string[]|null, builtIn: boolean}>}
+ */
+function parseTemplate(content) {
+  const variables = new Map();
+  for (const match of String(content || '').matchAll(PLACEHOLDER_PATTERN)) {
+    const name = match[1];
+    const spec = match[2];
+    let variable = variables.get(name);
+    if (!variable) {
+      variable = { name, defaultValue: '', choices: null, builtIn: isBuiltInVariable(name) };
+      variables.set(name, variable);
+    }
+    // The first placeholder that declares a default or choices wins
+    if (spec === undefined || variable.choices || variable.defaultValue) continue;
+    if (spec.includes('|')) {
+      const choices = spec.split('|').map(choice => choice.trim()).filter(Boolean);
+      if (choices.length > 0) {
+        variable.choices = choices;
+        variable.defaultValue = choices[0];
+      }
+    } else {
+      variable.defaultValue = spec.trim();
+    }
+  }
+  return [...variables.values()];
+}
+
+/**
+ * Whether a prompt has any placeholders
+ * @param {string} content
+ */
+function hasTemplateVariables(content) {
+  return parseTemplate(content).length > 0;
+}
+
+/**
+ * Replace placeholders with values; missing values fall back to the placeholder's default
+ * @param {string} content
+ * @param {Object<string, string>} values
+ */
+function renderTemplate(content, values) {
+  const defaults = new Map(parseTemplate(content).map(variable => [variable.name, variable.defaultValue]));
+  return String(content || '').replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const value = values && Object.prototype.hasOwnProperty.call(values, name) ? values[name] : undefined;
+    return typeof value === 'string' ? value : (defaults.get(name) || '');
+  });
+}
+
+module.exports = {
+  BUILT_IN_VARIABLES,
+  isBuiltInVariable,
+  parseTemplate,
+  hasTemplateVariables,
+  renderTemplate
+};
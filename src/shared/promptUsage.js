@@ -0,0 +1,136 @@
+/**
+ * Prompt Usage
+ * How often and when saved prompts are sent or copied, and the sort orders
+ * built on it. Usage is kept apart from the prompts themselves so project
+ * prompt files (often committed) do not change every time one is used.
+ */
+
+const USAGE_ACTIONS = ['send', 'copy'];
+const SORT_MODES = ['default', 'most-used', 'recent'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days after which a use counts half as much when ranking top prompts
+const RANK_HALF_LIFE_DAYS = 7;
+
+/**
+ * Usage store key of a prompt. Global prompts and user-level command files are
+ * the same in every project; project prompts and commands are per project.
+ * @param {string} scope - 'global', 'project' or 'commands'
+ * @param {string|null} projectPath
+ * @param {string} promptId
+ */
+function getUsageKey(scope, projectPath, promptId) {
+  if (scope === 'global' || (scope === 'commands' && !promptId.startsWith('project:'))) {
+    return `${scope}:${promptId}`;
+  }
+  return `${scope}:${projectPath || ''}:${promptId}`;
+}
+
+/**
+ * Count a use of a prompt
+ * @param {Object<string, {sent: number, copied: number, lastUsedAt: string}>} entries - Mutated
+ * @param {string} key
+ * @param {string} action - 'send' or 'copy'
+ * @param {string} [now] - ISO timestamp
+ */
+function recordUsage(entries, key, action, now = new Date().toISOString()) {
+  if (!USAGE_ACTIONS.includes(action)) throw new Error(`Unknown usage action: ${action}`);
+  const entry = entries[key] || { sent: 0, copied: 0, lastUsedAt: now };
+  if (action === 'send') entry.sent++;
+  else entry.copied++;
+  entry.lastUsedAt = now;
+  entries[key] = entry;
+  return entry;
+}
+
+/**
+ * Drop the least recently used entries beyond a limit
+ * @param {Object<string, {lastUsedAt: string}>} entries
+ * @param {number} maxEntries
+ */
+function pruneUsage(entries, maxEntries) {
+  const keys = Object.keys(entries);
+  if (keys.length <= maxEntries) return entries;
+  keys.sort((a, b) => String(entries[b].lastUsedAt).localeCompare(String(entries[a].lastUsedAt)));
+  /** @type {Object<string, *>} */
+  const kept = {};
+  for (const key of keys.slice(0, maxEntries)) kept[key] = entries[key];
+  return kept;
+}
+
+function getUseCount(prompt) {
+  return prompt.usage ? prompt.usage.sent + prompt.usage.copied : 0;
+}
+
+function getLastUsedTime(prompt) {
+  const time = prompt.usage ? Date.parse(prompt.usage.lastUsedAt) : NaN;
+  return Number.isNaN(time) ? 0 : time;
+}
+
+function compareDefault(a, b) {
+  if (a.favorite && !b.favorite) return -1;
+  if (!a.favorite && b.favorite) return 1;
+  return new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime();
+}
+
+/**
+ * Sort prompts; prompts that were never used keep the default order after used ones
+ * @param {Array<Object>} prompts - With an optional `usage` ({sent, copied, lastUsedAt})
+ * @param {string} mode - 'default' (favorites, then last edited), 'most-used' or 'recent'
+ * @returns {Array<Object>} A sorted copy
+ */
+function sortPrompts(prompts, mode) {
+  const sorted = prompts.slice();
+  if (mode === 'most-used') {
+    sorted.sort((a, b) => getUseCount(b) - getUseCount(a) || getLastUsedTime(b) - getLastUsedTime(a) || compareDefault(a, b));
+  } else if (mode === 'recent') {
+    sorted.sort((a, b) => getLastUsedTime(b) - getLastUsedTime(a) || compareDefault(a, b));
+  } else {
+    sorted.sort(compareDefault);
+  }
+  return sorted;
+}
+
+/**
+ * Rank prompts for the quick picker: uses count for less as they age, so a
+ * prompt used a lot last month falls behind one used daily this week
+ * @param {Array<Object>} prompts
+ * @param {number} [now] - Epoch milliseconds
+ * @returns {Array<Object>} A sorted copy
+ */
+function rankPrompts(prompts, now = Date.now()) {
+  const score = (prompt) => {
+    const count = getUseCount(prompt);
+    if (count === 0) return 0;
+    const ageDays = Math.max(0, now - getLastUsedTime(prompt)) / DAY_MS;
+    return count * Math.pow(0.5, ageDays / RANK_HALF_LIFE_DAYS);
+  };
+  const scores = new Map(prompts.map(prompt => [prompt, score(prompt)]));
+  return prompts.slice().sort((a, b) => scores.get(b) - scores.get(a) || compareDefault(a, b));
+}
+
+/**
+ * Short "last used" text: "just now", "5m ago", "3h ago", "2d ago", then a date
+ * @param {string} lastUsedAt - ISO timestamp
+ * @param {number} [now] - Epoch milliseconds
+ */
+function formatLastUsed(lastUsedAt, now = Date.now()) {
+  const time = Date.parse(lastUsedAt);
+  if (Number.isNaN(time)) return '';
+  const minutes = Math.floor(Math.max(0, now - time) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  if (minutes < 30 * 24 * 60) return `${Math.floor(minutes / (24 * 60))}d ago`;
+  return new Date(time).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+module.exports = {
+  USAGE_ACTIONS,
+  SORT_MODES,
+  getUsageKey,
+  recordUsage,
+  pruneUsage,
+  sortPrompts,
+  rankPrompts,
+  formatLastUsed
+};
@@ -0,0 +1,385 @@
+/**
+ * Terminal Themes
+ * Built-in xterm color themes, default appearance settings and importers
+ * for iTerm2 (.itermcolors) and VS Code color theme files
+ */
+
+const ANSI_COLOR_KEYS = [
+  'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white',
+  'brightBlack', 'brightRed', 'brightGreen', 'brightYellow', 'brightBlue', 'brightMagenta', 'brightCyan', 'brightWhite'
+];
+const THEME_COLOR_KEYS = ['background', 'foreground', 'cursor', 'cursorAccent', 'selectionBackground', ...ANSI_COLOR_KEYS];
+const COLOR_PATTERN = /^(#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})|rgba?\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*(?:,\s*(?:0|1|0?\.\d+)\s*)?\))$/i;
+
+const DEFAULT_THEME_ID = 'vibeconsole-dark';
+
+// Used until the persisted settings have loaded, and to fill in missing fields
+const DEFAULT_TERMINAL_SETTINGS = Object.freeze({
+  themeId: DEFAULT_THEME_ID,
+  fontFamily: '"Geist Mono", "SF Mono", Consolas, monospace',
+  fontSize: 14,
+  lineHeight: 1,
+  ligatures: false,
+  cursorStyle: 'block',
+  cursorBlink: true,
+  scrollback: 10000,
+  // Paste handling
+  bracketedPaste: true,
+  confirmMultilinePaste: true,
+  warnDangerousPaste: true,
+  trimAiPasteNewlines: true,
+  customThemes: {}
+});
+
+/** @type {Array<{id: string, name: string, colors: Object<string, string>}>} */
+const BUILT_IN_THEMES = [
+  {
+    id: DEFAULT_THEME_ID,
+    name: 'VibeConsole Dark',
+    colors: {
+      background: '#12121a',
+      foreground: '#d4d4e4',
+      cursor: '#a78bfa',
+      cursorAccent: '#12121a',
+      selectionBackground: 'rgba(167, 139, 250, 0.25)',
+      black: '#16161e',
+      red: '#f47067',
+      green: '#57cc99',
+      yellow: '#e0a458',
+      blue: '#78a5d4',
+      magenta: '#c4b5fd',
+      cyan: '#56d4dd',
+      white: '#e4e4ed',
+      brightBlack: '#6b6880',
+      brightRed: '#ff8080',
+      brightGreen: '#7ee8b0',
+      brightYellow: '#ffd580',
+      brightBlue: '#a0c4f0',
+      brightMagenta: '#ddd6fe',
+      brightCyan: '#80e8f0',
+      brightWhite: '#f0f0f8'
+    }
+  },
+  {
+    id: 'one-dark',
+    name: 'One Dark',
+    colors: {
+      background: '#282c34',
+      foreground: '#abb2bf',
+      cursor: '#528bff',
+      cursorAccent: '#282c34',
+      selectionBackground: 'rgba(103, 118, 150, 0.35)',
+      black: '#3f4451',
+      red: '#e05561',
+      green: '#8cc265',
+      yellow: '#d18f52',
+      blue: '#4aa5f0',
+      magenta: '#c162de',
+      cyan: '#42b3c2',
+      white: '#d7dae0',
+      brightBlack: '#4f5666',
+      brightRed: '#ff616e',
+      brightGreen: '#a5e075',
+      brightYellow: '#f0a45d',
+      brightBlue: '#4dc4ff',
+      brightMagenta: '#de73ff',
+      brightCyan: '#4cd1e0',
+      brightWhite: '#e6e6e6'
+    }
+  },
+  {
+    id: 'dracula',
+    name: 'Dracula',
+    colors: {
+      background: '#282a36',
+      foreground: '#f8f8f2',
+      cursor: '#f8f8f2',
+      cursorAccent: '#282a36',
+      selectionBackground: '#44475a',
+      black: '#21222c',
+      red: '#ff5555',
+      green: '#50fa7b',
+      yellow: '#f1fa8c',
+      blue: '#bd93f9',
+      magenta: '#ff79c6',
+      cyan: '#8be9fd',
+      white: '#f8f8f2',
+      brightBlack: '#6272a4',
+      brightRed: '#ff6e6e',
+      brightGreen: '#69ff94',
+      brightYellow: '#ffffa5',
+      brightBlue: '#d6acff',
+      brightMagenta: '#ff92df',
+      brightCyan: '#a4ffff',
+      brightWhite: '#ffffff'
+    }
+  },
+  {
+    id: 'nord',
+    name: 'Nord',
+    colors: {
+      background: '#2e3440',
+      foreground: '#d8dee9',
+      cursor: '#d8dee9',
+      cursorAccent: '#2e3440',
+      selectionBackground: '#434c5e',
+      black: '#3b4252',
+      red: '#bf616a',
+      green: '#a3be8c',
+      yellow: '#ebcb8b',
+      blue: '#81a1c1',
+      magenta: '#b48ead',
+      cyan: '#88c0d0',
+      white: '#e5e9f0',
+      brightBlack: '#4c566a',
+      brightRed: '#bf616a',
+      brightGreen: '#a3be8c',
+      brightYellow: '#ebcb8b',
+      brightBlue: '#81a1c1',
+      brightMagenta: '#b48ead',
+      brightCyan: '#8fbcbb',
+      brightWhite: '#eceff4'
+    }
+  },
+  {
+    id: 'solarized-dark',
+    name: 'Solarized Dark',
+    colors: {
+      background: '#002b36',
+      foreground: '#839496',
+      cursor: '#93a1a1',
+      cursorAccent: '#002b36',
+      selectionBackground: '#073642',
+      black: '#073642',
+      red: '#dc322f',
+      green: '#859900',
+      yellow: '#b58900',
+      blue: '#268bd2',
+      magenta: '#d33682',
+      cyan: '#2aa198',
+      white: '#eee8d5',
+      brightBlack: '#002b36',
+      brightRed: '#cb4b16',
+      brightGreen: '#586e75',
+      brightYellow: '#657b83',
+      brightBlue: '#839496',
+      brightMagenta: '#6c71c4',
+      brightCyan: '#93a1a1',
+      brightWhite: '#fdf6e3'
+    }
+  },
+  {
+    id: 'solarized-light',
+    name: 'Solarized Light',
+    colors: {
+      background: '#fdf6e3',
+      foreground: '#657b83',
+      cursor: '#586e75',
+      cursorAccent: '#fdf6e3',
+      selectionBackground: '#eee8d5',
+      black: '#073642',
+      red: '#dc322f',
+      green: '#859900',
+      yellow: '#b58900',
+      blue: '#268bd2',
+      magenta: '#d33682',
+      cyan: '#2aa198',
+      white: '#eee8d5',
+      brightBlack: '#002b36',
+      brightRed: '#cb4b16',
+      brightGreen: '#586e75',
+      brightYellow: '#657b83',
+      brightBlue: '#839496',
+      brightMagenta: '#6c71c4',
+      brightCyan: '#93a1a1',
+      brightWhite: '#fdf6e3'
+    }
+  },
+  {
+    id: 'github-light',
+    name: 'GitHub Light',
+    colors: {
+      background: '#ffffff',
+      foreground: '#24292f',
+      cursor: '#0969da',
+      cursorAccent: '#ffffff',
+      selectionBackground: 'rgba(9, 105, 218, 0.2)',
+      black: '#24292f',
+      red: '#cf222e',
+      green: '#116329',
+      yellow: '#4d2d00',
+      blue: '#0969da',
+      magenta: '#8250df',
+      cyan: '#1b7c83',
+      white: '#6e7781',
+      brightBlack: '#57606a',
+      brightRed: '#a40e26',
+      brightGreen: '#1a7f37',
+      brightYellow: '#633c01',
+      brightBlue: '#218bff',
+      brightMagenta: '#a475f9',
+      brightCyan: '#3192aa',
+      brightWhite: '#8c959f'
+    }
+  }
+];
+
+/**
+ * Keep only known theme keys with valid CSS hex/rgb(a) colors
+ * @param {*} colors
+ * @returns {Object<string, string>}
+ */
+function sanitizeThemeColors(colors) {
+  /** @type {Object<string, string>} */
+  const result = {};
+  if (!colors || typeof colors !== 'object') return result;
+  for (const key of THEME_COLOR_KEYS) {
+    const value = colors[key];
+    if (typeof value === 'string' && COLOR_PATTERN.test(value.trim())) {
+      result[key] = value.trim();
+    }
+  }
+  return result;
+}
+
+/**
+ * Look up the colors for the selected theme (built-in or imported)
+ * @param {{themeId?: string, customThemes?: Object}} [settings]
+ * @returns {Object<string, string>}
+ */
+function resolveThemeColors(settings = {}) {
+  const customThemes = settings.customThemes || {};
+  if (settings.themeId && Object.prototype.hasOwnProperty.call(customThemes, settings.themeId)) {
+    return customThemes[settings.themeId].colors;
+  }
+  const theme = BUILT_IN_THEMES.find((t) => t.id === settings.themeId)
+    || BUILT_IN_THEMES.find((t) => t.id === DEFAULT_THEME_ID);
+  return theme.colors;
+}
+
+function componentToHex(value) {
+  const clamped = Math.max(0, Math.min(1, Number(value) || 0));
+  return Math.round(clamped * 255).toString(16).padStart(2, '0');
+}
+
+/**
+ * Parse an iTerm2 .itermcolors property list
+ * @param {string} xml
+ * @returns {Object<string, string>} xterm theme colors
+ */
+function parseItermColors(xml) {
+  if (typeof xml !== 'string' || !xml.includes('<plist')) {
+    throw new Error('Not an iTerm2 color preset');
+  }
+
+  const entries = new Map();
+  const entryPattern = /<key>([^<]+)<\/key>\s*<dict>([\s\S]*?)<\/dict>/g;
+  let match;
+  while ((match = entryPattern.exec(xml)) !== null) {
+    const components = {};
+    const componentPattern = /<key>(Red|Green|Blue|Alpha) Component<\/key>\s*<(?:real|integer)>([^<]+)<\/(?:real|integer)>/g;
+    let component;
+    while ((component = componentPattern.exec(match[2])) !== null) {
+      components[component[1]] = parseFloat(component[2]);
+    }
+    if (components.Red === undefined || components.Green === undefined || components.Blue === undefined) continue;
+    const alpha = components.Alpha !== undefined && components.Alpha < 1 ? componentToHex(components.Alpha) : '';
+    entries.set(match[1].trim(), `#${componentToHex(components.Red)}${componentToHex(components.Green)}${componentToHex(components.Blue)}${alpha}`);
+  }
+
+  /** @type {Object<string, string>} */
+  const colors = {};
+  ANSI_COLOR_KEYS.forEach((key, i) => {
+    if (entries.has(`Ansi ${i} Color`)) colors[key] = entries.get(`Ansi ${i} Color`);
+  });
+  const named = {
+    background: 'Background Color',
+    foreground: 'Foreground Color',
+    cursor: 'Cursor Color',
+    cursorAccent: 'Cursor Text Color',
+    selectionBackground: 'Selection Color'
+  };
+  for (const [key, name] of Object.entries(named)) {
+    if (entries.has(name)) colors[key] = entries.get(name);
+  }
+
+  const result = sanitizeThemeColors(colors);
+  if (!result.background || !result.foreground) {
+    throw new Error('Color preset has no background or foreground color');
+  }
+  return result;
+}
+
+/**
+ * Remove comments and trailing commas from JSON with comments (VS Code theme files)
+ */
+function stripJsonComments(text) {
+  let result = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += text[++i] || '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      i = text.indexOf('*/', i + 2);
+      if (i === -1) break;
+      i++;
+    } else {
+      result += char;
+    }
+  }
+  return result.replace(/,(\s*[}\]])/g, '$1');
+}
+
+/**
+ * Parse a VS Code color theme (uses the terminal.* colors)
+ * @param {string} text - Theme JSON (comments allowed)
+ * @returns {{name: string|null, colors: Object<string, string>}}
+ */
+function parseVSCodeTheme(text) {
+  const data = JSON.parse(stripJsonComments(String(text)));
+  const source = data && typeof data.colors === 'object' ? data.colors : null;
+  if (!source) {
+    throw new Error('Theme has no "colors" section');
+  }
+
+  /** @type {Object<string, string>} */
+  const colors = {};
+  ANSI_COLOR_KEYS.forEach((key) => {
+    const value = source[`terminal.ansi${key.charAt(0).toUpperCase()}${key.slice(1)}`];
+    if (value) colors[key] = value;
+  });
+  colors.background = source['terminal.background'] || source['editor.background'];
+  colors.foreground = source['terminal.foreground'] || source['editor.foreground'];
+  colors.cursor = source['terminalCursor.foreground'] || source['editorCursor.foreground'];
+  colors.cursorAccent = source['terminalCursor.background'];
+  colors.selectionBackground = source['terminal.selectionBackground'] || source['editor.selectionBackground'];
+
+  const result = sanitizeThemeColors(colors);
+  if (!result.background || !result.foreground) {
+    throw new Error('Theme has no terminal or editor background/foreground colors');
+  }
+  return { name: typeof data.name === 'string' ? data.name : null, colors: result };
+}
+
+module.exports = {
+  BUILT_IN_THEMES,
+  DEFAULT_THEME_ID,
+  DEFAULT_TERMINAL_SETTINGS,
+  THEME_COLOR_KEYS,
+  resolveThemeColors,
+  sanitizeThemeColors,
+  parseItermColors,
+  parseVSCodeTheme
+};
@@ -6,6 +6,9 @@ declare global {
 
   interface Window {
     terminalSendCommand?: (command: string, terminalId?: string | null) => void;
+    terminalSendPrompt?: (text: string, terminalId?: string | null, options?: { submit?: boolean, onSent?: () => void }) => boolean;
+    terminalGetSelection?: () => string;
+    terminalGetPromptTargets?: () => Array<{ id: string, name: string, aiTool: string | null, isActive: boolean }>;
     terminalFocus?: () => void;
     fileTreeFocus?: () => void;
     toggleSidebar?: () => void;
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createHeader,
+  formatEvent,
+  parseAsciicast,
+  findEventIndex,
+  parseResize
+} = require('../src/shared/asciicast');
+
+test('createHeader and formatEvent write asciicast v2 lines', () => {
+  const header = JSON.parse(createHeader({ width: 120, height: 30, timestamp: 1700000000500, title: 'Claude', env: { TERM: 'xterm-256color' } }));
+  assert.deepEqual(header, { version: 2, width: 120, height: 30, timestamp: 1700000000, title: 'Claude', env: { TERM: 'xterm-256color' } });
+
+  assert.equal(formatEvent(1.23456789, 'o', 'hi\r\n'), '[1.234568,"o","hi\\r\\n"]\n');
+});
+
+test('parseAsciicast reads events and duration', () => {
+  const text = createHeader({ width: 80, height: 24 }) +
+    formatEvent(0.5, 'o', 'a') +
+    formatEvent(1, 'r', '100x40') +
+    formatEvent(2.5, 'o', 'b');
+  const cast = parseAsciicast(text);
+  assert.equal(cast.header.width, 80);
+  assert.deepEqual(cast.events.map((e) => [e.time, e.type, e.data]), [[0.5, 'o', 'a'], [1, 'r', '100x40'], [2.5, 'o', 'b']]);
+  assert.equal(cast.duration, 2.5);
+});
+
+test('parseAsciicast caps idle time, preferring the header limit', () => {
+  const events = formatEvent(1, 'o', 'a') + formatEvent(61, 'o', 'b') + formatEvent(62, 'o', 'c');
+
+  const capped = parseAsciicast(createHeader({ width: 80, height: 24 }) + events, { idleTimeLimit: 2 });
+  assert.deepEqual(capped.events.map((e) => e.time), [1, 3, 4]);
+
+  const header = JSON.stringify({ version: 2, width: 80, height: 24, idle_time_limit: 5 });
+  const fromHeader = parseAsciicast(`${header}\n${events}`, { idleTimeLimit: 2 });
+  assert.deepEqual(fromHeader.events.map((e) => e.time), [1, 6, 7]);
+});
+
+test('parseAsciicast ignores a truncated last line but rejects other damage', () => {
+  const header = createHeader({ width: 80, height: 24 });
+  const cast = parseAsciicast(`${header}${formatEvent(0.1, 'o', 'ok')}[0.2, "o", "cut of`);
+  assert.equal(cast.events.length, 1);
+
+  assert.throws(() => parseAsciicast(`${header}[0.1, "o"\n${formatEvent(0.2, 'o', 'x')}${formatEvent(0.3, 'o', 'y')}`), /Malformed event on line 2/);
+  assert.throws(() => parseAsciicast('not json'), /Not an asciicast file/);
+  assert.throws(() => parseAsciicast('{"version":1,"width":80,"height":24}'), /Only asciicast v2/);
+});
+
+test('findEventIndex returns the first event after a time', () => {
+  const events = [{ time: 0 }, { time: 1 }, { time: 1 }, { time: 3 }];
+  assert.equal(findEventIndex(events, -1), 0);
+  assert.equal(findEventIndex(events, 0), 1);
+  assert.equal(findEventIndex(events, 1), 3);
+  assert.equal(findEventIndex(events, 2.9), 3);
+  assert.equal(findEventIndex(events, 10), 4);
+  assert.equal(findEventIndex([], 1), 0);
+});
+
+test('parseResize reads COLSxROWS', () => {
+  assert.deepEqual(parseResize('132x43'), { cols: 132, rows: 43 });
+  assert.equal(parseResize('0x10'), null);
+  assert.equal(parseResize('wide'), null);
+});
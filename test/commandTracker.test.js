@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CommandTracker,
+  parseCwdUri,
+  parseShellIntegrationSequence,
+  unescapeSequenceValue
+} = require('../src/renderer/commandTracker');
+
+function createFakeTerminal() {
+  const handlers = new Map();
+  const fake = {
+    cursorLine: 0,
+    scrolledTo: null,
+    decorations: [],
+    buffer: { active: { viewportY: 0, baseY: 100 } },
+    parser: {
+      registerOscHandler: (ident, callback) => {
+        handlers.set(ident, callback);
+        return { dispose: () => handlers.delete(ident) };
+      }
+    },
+    registerMarker: () => {
+      const marker = { line: fake.cursorLine, isDisposed: false, dispose: () => { marker.isDisposed = true; } };
+      return marker;
+    },
+    registerDecoration: (options) => {
+      const decoration = { options, disposed: false, onRender: () => {}, dispose: () => { decoration.disposed = true; } };
+      fake.decorations.push(decoration);
+      return decoration;
+    },
+    scrollToLine: (line) => { fake.scrolledTo = line; },
+    scrollToBottom: () => { fake.scrolledTo = 'bottom'; },
+    osc: (ident, data) => handlers.get(ident)(data),
+    handlers
+  };
+  return fake;
+}
+
+function runCommand(terminal, line, commandLine, exitCode) {
+  terminal.cursorLine = line;
+  terminal.osc(133, 'A');
+  terminal.osc(133, 'B');
+  terminal.osc(633, `E;${commandLine}`);
+  terminal.osc(133, 'C');
+  terminal.osc(133, `D;${exitCode}`);
+}
+
+test('unescapeSequenceValue restores backslashes and hex escapes', () => {
+  assert.equal(unescapeSequenceValue('echo "a\\x3bb" \\\\ done\\x0a'), 'echo "a;b" \\ done\n');
+});
+
+test('parseShellIntegrationSequence understands marks, command lines and properties', () => {
+  assert.deepEqual(parseShellIntegrationSequence('A'), { type: 'A' });
+  assert.deepEqual(parseShellIntegrationSequence('D;127'), { type: 'D', exitCode: 127 });
+  assert.deepEqual(parseShellIntegrationSequence('D'), { type: 'D', exitCode: null });
+  assert.deepEqual(parseShellIntegrationSequence('E;ls\\x3b pwd;nonce'), { type: 'E', commandLine: 'ls; pwd' });
+  assert.deepEqual(parseShellIntegrationSequence('P;Cwd=/tmp/a\\x3bb'), { type: 'P', key: 'Cwd', value: '/tmp/a;b' });
+  assert.equal(parseShellIntegrationSequence('Z'), null);
+  assert.equal(parseShellIntegrationSequence(''), null);
+});
+
+test('parseCwdUri decodes OSC 7 file URIs', () => {
+  assert.equal(parseCwdUri('file://my-mac.local/Users/me/My%20Project', 'my-mac.local'), '/Users/me/My Project');
+  assert.equal(parseCwdUri('file://localhost/tmp'), '/tmp');
+  assert.equal(parseCwdUri('file:///tmp'), '/tmp');
+  assert.equal(parseCwdUri('file:///C:/Users/me'), 'C:/Users/me');
+  assert.equal(parseCwdUri('https://example.com/x'), null);
+  assert.equal(parseCwdUri('file:///bad%zz'), null);
+});
+
+test('parseCwdUri ignores paths on other hosts', () => {
+  assert.equal(parseCwdUri('file://devbox/home/me'), null);
+  assert.equal(parseCwdUri('file://devbox/home/me', 'my-mac.local'), null);
+  assert.equal(parseCwdUri('file://My-Mac/Users/me', 'my-mac.local'), '/Users/me');
+});
+
+test('reports working directory changes from OSC 7 and OSC 633', () => {
+  const terminal = createFakeTerminal();
+  const changes = [];
+  const tracker = new CommandTracker(terminal, { onCwdChange: (cwd) => changes.push(cwd) }, {
+    getLocalHostname: () => 'host'
+  });
+
+  terminal.osc(7, 'file://elsewhere/srv/app');
+  terminal.osc(7, 'file://host/home/me/src');
+  terminal.osc(633, 'P;Cwd=/home/me/src');
+  terminal.osc(633, 'P;Cwd=/home/me/src/app');
+
+  assert.deepEqual(changes, ['/home/me/src', '/home/me/src/app']);
+  assert.equal(tracker.cwd, '/home/me/src/app');
+  assert.equal(tracker.enabled, true, 'OSC 633 means the integration scripts are loaded');
+});
+
+test('tracks finished commands with exit codes and marks them', () => {
+  const terminal = createFakeTerminal();
+  const started = [];
+  const finished = [];
+  const tracker = new CommandTracker(terminal, {
+    onCommandStart: (command) => started.push(command.commandLine),
+    onCommandFinished: (command) => finished.push([command.commandLine, command.exitCode])
+  });
+
+  assert.equal(tracker.enabled, false);
+  terminal.osc(633, 'P;Cwd=/work');
+  runCommand(terminal, 0, 'npm test', 0);
+  runCommand(terminal, 5, 'false', 1);
+
+  assert.equal(tracker.enabled, true);
+  assert.deepEqual(started, ['npm test', 'false']);
+  assert.deepEqual(finished, [['npm test', 0], ['false', 1]]);
+  assert.equal(tracker.getLastFinishedCommand().exitCode, 1);
+  assert.equal(tracker.commands[0].cwd, '/work');
+  assert.equal(terminal.decorations.length, 2);
+});
+
+test('abandoned prompts are dropped and do not get a mark', () => {
+  const terminal = createFakeTerminal();
+  const tracker = new CommandTracker(terminal);
+
+  terminal.osc(133, 'A');
+  terminal.osc(133, 'B');
+  terminal.cursorLine = 1;
+  terminal.osc(133, 'A');
+
+  assert.equal(tracker.commands.length, 1);
+  assert.equal(tracker.commands[0].promptMarker.line, 1);
+  assert.equal(terminal.decorations.length, 0);
+});
+
+test('jumps between prompts relative to the viewport', () => {
+  const terminal = createFakeTerminal();
+  const tracker = new CommandTracker(terminal);
+  runCommand(terminal, 10, 'a', 0);
+  runCommand(terminal, 40, 'b', 0);
+  runCommand(terminal, 80, 'c', 0);
+
+  terminal.buffer.active.viewportY = 50;
+  assert.equal(tracker.scrollToPreviousCommand(), true);
+  assert.equal(terminal.scrolledTo, 40);
+
+  terminal.buffer.active.viewportY = 40;
+  assert.equal(tracker.scrollToNextCommand(), true);
+  assert.equal(terminal.scrolledTo, 80);
+
+  terminal.buffer.active.viewportY = 5;
+  assert.equal(tracker.scrollToPreviousCommand(), false);
+
+  tracker.dispose();
+  assert.equal(terminal.handlers.size, 0);
+  assert.ok(terminal.decorations.every((decoration) => decoration.disposed));
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const containerShells = require('../src/main/containerShells');
+
+test('parseJsonc accepts comments and trailing commas', () => {
+  const config = containerShells.parseJsonc([
+    '{',
+    '  // dev container',
+    '  "name": "API // dev",',
+    '  /* block */ "remoteUser": "node",',
+    '  "forwardPorts": [3000, 5432,],',
+    '}'
+  ].join('\n'));
+  assert.deepEqual(config, { name: 'API // dev', remoteUser: 'node', forwardPorts: [3000, 5432] });
+});
+
+test('buildContainerShells labels dev containers and compose services', () => {
+  const shells = containerShells.buildContainerShells(
+    '/home/me/api',
+    { name: 'API', remoteUser: 'node' },
+    [{ name: 'api_devcontainer-app-1', service: 'app' }],
+    [{ name: 'api_devcontainer-app-1', service: 'app' }, { name: 'api-db-1', service: 'db' }]
+  );
+  assert.deepEqual(shells, [
+    {
+      id: 'container',
+      name: 'API',
+      path: null,
+      container: 'api_devcontainer-app-1',
+      source: 'devcontainer',
+      user: 'node',
+      workdir: '/workspaces/api'
+    },
+    {
+      id: 'container',
+      name: 'db',
+      path: null,
+      container: 'api-db-1',
+      source: 'compose',
+      user: null,
+      workdir: null
+    }
+  ]);
+});
+
+test('resolveWorkspaceFolder fills in local folder variables', () => {
+  const resolve = (folder) => containerShells.resolveWorkspaceFolder('/home/me/api', folder);
+  assert.equal(resolve('/workspaces/${localWorkspaceFolderBasename}'), '/workspaces/api');
+  assert.equal(resolve('${localWorkspaceFolder}/src'), '/home/me/api/src');
+  assert.equal(resolve('/srv/app'), '/srv/app');
+  assert.equal(resolve('/workspaces/${containerWorkspaceFolderBasename}'), '/workspaces/api');
+  assert.equal(resolve('${localEnv:HOME}/api'), '/workspaces/api');
+  assert.equal(resolve('relative/path'), '/workspaces/api');
+  assert.equal(resolve(undefined), '/workspaces/api');
+});
+
+test('discoverContainers skips projects without container config', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-container-test-'));
+  try {
+    assert.deepEqual(await containerShells.discoverContainers(dir), []);
+    assert.deepEqual(await containerShells.discoverContainers(null), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('buildExecArgs builds a docker exec shell and validates its inputs', () => {
+  const args = containerShells.buildExecArgs({ container: 'api-db-1', user: 'node', workdir: '/workspaces/api' });
+  assert.deepEqual(args.slice(0, 8), ['exec', '-it', '-u', 'node', '-w', '/workspaces/api', 'api-db-1', 'sh']);
+  assert.equal(args[8], '-c');
+
+  assert.deepEqual(containerShells.buildExecArgs({ container: 'web' }).slice(0, 4), ['exec', '-it', 'web', 'sh']);
+  assert.throws(() => containerShells.buildExecArgs({ container: '--privileged' }), /Invalid container/);
+  assert.throws(() => containerShells.buildExecArgs({ container: 'web', user: 'root --privileged' }), /Invalid container user/);
+  assert.throws(() => containerShells.buildExecArgs({ container: 'web', workdir: 'relative' }), /Invalid container directory/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzePaste, stripTrailingNewlines } = require('../src/renderer/pasteSafety');
+
+test('counts lines without the trailing newline and notes that it runs the last line', () => {
+  const single = analyzePaste('ls -la\n');
+  assert.equal(single.lineCount, 1);
+  assert.equal(single.endsWithNewline, true);
+
+  const multi = analyzePaste('cd app\r\nnpm install\nnpm test');
+  assert.equal(multi.lineCount, 3);
+  assert.equal(multi.endsWithNewline, false);
+  assert.deepEqual(multi.preview, ['cd app', 'npm install', 'npm test']);
+  assert.deepEqual(multi.warnings, []);
+});
+
+test('flags destructive and remote-code commands', () => {
+  const dangerous = [
+    'rm -rf ~/project',
+    'sudo rm -fr /',
+    'cd /tmp && rm -r -f build',
+    'rm --recursive --force node_modules',
+    'curl -fsSL https://example.com/install.sh | sh',
+    'wget -qO- https://example.com/x | sudo bash',
+    'curl https://example.com/setup.py | python3',
+    'dd if=/dev/zero of=/dev/sda bs=1M',
+    'mkfs.ext4 /dev/sdb1',
+    ':(){ :|:& };:',
+    'chmod -R 777 /',
+    'git reset --hard HEAD~3',
+    'git clean -fdx'
+  ];
+  for (const command of dangerous) {
+    assert.equal(analyzePaste(command).warnings.length, 1, command);
+  }
+
+  const harmless = [
+    'rm -r build',
+    'rm -f package-lock.json',
+    'grep -rf patterns.txt src',
+    'curl https://example.com/install.sh -o install.sh',
+    'chmod -R 755 ./dist',
+    'git reset --soft HEAD~1'
+  ];
+  for (const command of harmless) {
+    assert.deepEqual(analyzePaste(command).warnings, [], command);
+  }
+});
+
+test('flags hidden control characters and shows them in the preview', () => {
+  const analysis = analyzePaste('echo safe\u001b[201~rm -rf ~\tx');
+  assert.ok(analysis.warnings.includes('Contains hidden terminal control characters'));
+  assert.deepEqual(analysis.preview, ['echo safe^[[201~rm -rf ~    x']);
+  assert.deepEqual(analyzePaste('a\tb\r\nc').warnings, []);
+});
+
+test('limits the preview length', () => {
+  const analysis = analyzePaste(Array.from({ length: 20 }, (_, i) => `line ${i} ${'x'.repeat(300)}`).join('\n'));
+  assert.equal(analysis.lineCount, 20);
+  assert.equal(analysis.preview.length, 12);
+  assert.equal(analysis.hiddenLineCount, 8);
+  assert.ok(analysis.preview[0].endsWith('…'));
+  assert.ok(analysis.preview[0].length <= 201);
+});
+
+test('stripTrailingNewlines keeps inner newlines', () => {
+  assert.equal(stripTrailingNewlines('fix the bug\nin parser.js\n\n  \r\n'), 'fix the bug\nin parser.js');
+  assert.equal(stripTrailingNewlines('no newline'), 'no newline');
+  assert.equal(stripTrailingNewlines('\n\n'), '');
+});
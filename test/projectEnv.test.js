@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-project-env-test-'));
+// The .env opt-in and approvals live in ~/.frame/workspaces.json; redirect it before the module computes its paths
+const realHomedir = os.homedir;
+os.homedir = () => tempDir;
+
+const workspace = require('../src/main/workspace');
+const projectEnv = require('../src/main/projectEnv');
+const { isSecretKey, MASKED_VALUE } = require('../src/shared/envSecrets');
+
+workspace.init({}, null);
+
+test.after(() => {
+  os.homedir = realHomedir;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function makeProject(files = {}) {
+  const dir = fs.mkdtempSync(path.join(tempDir, 'project-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  workspace.addProject(dir);
+  return dir;
+}
+
+test('parseDotEnv handles export, quotes, comments and multi-line values', () => {
+  const env = projectEnv.parseDotEnv([
+    '# comment',
+    'export PORT=3000',
+    'NAME = plain value # trailing comment',
+    'HASH=abc#def',
+    'SINGLE=\'$NOT_EXPANDED # kept\'',
+    'DOUBLE="line1\\nline2 \\"quoted\\""',
+    'MULTI="first',
+    'second"',
+    'EMPTY=',
+    'not a variable'
+  ].join('\n'));
+
+  assert.deepEqual(env, {
+    PORT: '3000',
+    NAME: 'plain value',
+    HASH: 'abc#def',
+    SINGLE: '$NOT_EXPANDED # kept',
+    DOUBLE: 'line1\nline2 "quoted"',
+    MULTI: 'first\nsecond',
+    EMPTY: ''
+  });
+});
+
+test('isSecretKey matches credential-like names', () => {
+  for (const key of ['API_KEY', 'GITHUB_TOKEN', 'DB_PASSWORD', 'AWS_SECRET_ACCESS_KEY', 'DATABASE_URL', 'openai_apikey']) {
+    assert.equal(isSecretKey(key), true, key);
+  }
+  for (const key of ['PORT', 'NODE_ENV', 'HOST']) {
+    assert.equal(isSecretKey(key), false, key);
+  }
+});
+
+test('resolveProjectEnv ignores .env files unless enabled', () => {
+  const dir = makeProject({ '.env': 'PORT=3000\n' });
+  assert.deepEqual(projectEnv.resolveProjectEnv(dir), { env: {}, sources: {} });
+
+  projectEnv.saveConfig(dir, { loadDotEnv: true, env: {} });
+  assert.deepEqual(projectEnv.resolveProjectEnv(dir).env, { PORT: '3000' });
+});
+
+test('resolveProjectEnv layers .env, .env.local and .frame/env.json', () => {
+  const dir = makeProject({
+    '.env': 'PORT=3000\nHOST=localhost\nAPI_KEY=dotenv-key\n',
+    '.env.local': 'PORT=3001\n'
+  });
+  projectEnv.saveConfig(dir, { loadDotEnv: true, env: { HOST: '0.0.0.0', 'BAD-NAME': 'x' } });
+
+  const { env, sources } = projectEnv.resolveProjectEnv(dir);
+  assert.deepEqual(env, { PORT: '3001', HOST: '0.0.0.0', API_KEY: 'dotenv-key' });
+  assert.deepEqual(sources, { PORT: '.env.local', HOST: '.frame/env.json', API_KEY: '.env' });
+  assert.deepEqual(projectEnv.getSecretValues(env), ['dotenv-key']);
+});
+
+test('describeProjectEnv masks secret values', () => {
+  const dir = makeProject({ '.env': 'API_KEY=dotenv-key\nPORT=3000\n' });
+  projectEnv.saveConfig(dir, { loadDotEnv: true, env: { NODE_ENV: 'development' } });
+
+  const described = projectEnv.describeProjectEnv(dir);
+  assert.deepEqual(described.config, { loadDotEnv: true, env: { NODE_ENV: 'development' }, envTrusted: true });
+  assert.deepEqual(described.dotEnvFiles, ['.env']);
+  assert.deepEqual(described.variables, [
+    { key: 'API_KEY', value: MASKED_VALUE, source: '.env', secret: true },
+    { key: 'NODE_ENV', value: 'development', source: '.frame/env.json', secret: false },
+    { key: 'PORT', value: '3000', source: '.env', secret: false }
+  ]);
+});
+
+test('saveConfig validates the project and writes .frame/env.json', () => {
+  assert.throws(() => projectEnv.saveConfig(path.join(tempDir, 'missing'), {}), /Invalid project path/);
+
+  const dir = makeProject();
+  const filePath = projectEnv.saveConfig(dir, { loadDotEnv: 'yes', env: { PORT: 8080, 'no good': 'x' } });
+  assert.equal(filePath, projectEnv.getEnvConfigPath(dir));
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { env: { PORT: '8080' } });
+  assert.equal(workspace.getProjectLoadDotEnv(dir), true);
+});
+
+test('a repository cannot opt itself in to .env files or apply its own variables', () => {
+  const dir = makeProject({
+    '.env': 'PORT=3000\n',
+    '.frame/env.json': JSON.stringify({ loadDotEnv: true, env: { HOST: '0.0.0.0' } })
+  });
+  assert.deepEqual(projectEnv.resolveProjectEnv(dir), { env: {}, sources: {} });
+  assert.deepEqual(projectEnv.describeProjectEnv(dir).config, { loadDotEnv: false, env: { HOST: '0.0.0.0' }, envTrusted: false });
+
+  // Saving from the editor approves what was saved...
+  projectEnv.saveConfig(dir, { loadDotEnv: false, env: { HOST: '0.0.0.0' } });
+  assert.deepEqual(projectEnv.resolveProjectEnv(dir).env, { HOST: '0.0.0.0' });
+
+  // ...and a change made outside it (e.g. by a pull) needs approving again
+  fs.writeFileSync(projectEnv.getEnvConfigPath(dir), JSON.stringify({ env: { HOST: '0.0.0.0', DEBUG: '1' } }));
+  assert.deepEqual(projectEnv.resolveProjectEnv(dir).env, {});
+  assert.equal(projectEnv.loadConfig(dir).envTrusted, false);
+});
+
+test('loader and shell startup hooks are dropped from .env files and env.json', () => {
+  const dir = makeProject({ '.env': 'LD_PRELOAD=/tmp/x.so\nBASH_ENV=./x.sh\nPORT=3000\n' });
+  projectEnv.saveConfig(dir, { loadDotEnv: true, env: { NODE_OPTIONS: '--require ./x.js', DYLD_INSERT_LIBRARIES: 'x', HOST: 'localhost' } });
+  assert.deepEqual(projectEnv.resolveProjectEnv(dir).env, { PORT: '3000', HOST: 'localhost' });
+});
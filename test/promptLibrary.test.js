@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validatePrompt,
+  toJsonLibrary,
+  parseJsonLibrary,
+  parseMarkdownPrompt,
+  toMarkdownFiles,
+  mergePrompts
+} = require('../src/main/promptLibrary');
+
+const stored = {
+  id: 'prompt-1',
+  title: 'Review "diff"',
+  content: 'Review {{staged_diff}}\n\n---\nBe brief.',
+  category: 'review',
+  favorite: true,
+  pressEnter: false,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z'
+};
+
+test('validatePrompt keeps allowed fields and rejects unknown or mistyped ones', () => {
+  assert.deepEqual(validatePrompt(stored).prompt, {
+    title: 'Review "diff"',
+    content: stored.content,
+    category: 'review',
+    favorite: true,
+    pressEnter: false
+  });
+  assert.deepEqual(validatePrompt({ title: ' Fix ', content: 'fix it' }).prompt, {
+    title: 'Fix', content: 'fix it', category: 'general', favorite: false, pressEnter: false
+  });
+  assert.match(validatePrompt({ title: 'A', content: 'b', script: 'rm -rf /' }).error, /unknown field "script"/);
+  assert.equal(validatePrompt({ title: 'A', content: 'b', favorite: 'yes' }).error, 'favorite must be true or false');
+  assert.equal(validatePrompt({ title: 'A', content: '  ' }).error, 'missing content');
+  assert.equal(validatePrompt({ content: 'b' }).error, 'missing title');
+  assert.equal(validatePrompt(['A']).error, 'not an object');
+});
+
+test('JSON libraries round-trip without ids or timestamps', () => {
+  const text = toJsonLibrary([stored]);
+  const parsed = JSON.parse(text);
+  assert.equal(parsed.version, 1);
+  assert.deepEqual(Object.keys(parsed.prompts[0]), ['title', 'content', 'category', 'favorite', 'pressEnter']);
+  assert.deepEqual(parseJsonLibrary(text).map(raw => validatePrompt(raw).prompt), [validatePrompt(stored).prompt]);
+  assert.equal(parseJsonLibrary('[{"title":"A","content":"b"}]').length, 1);
+  assert.throws(() => parseJsonLibrary('{"items":[]}'), /"prompts" list/);
+  assert.throws(() => parseJsonLibrary('{oops'), /Invalid JSON/);
+});
+
+test('Markdown files round-trip through frontmatter', () => {
+  const files = toMarkdownFiles([stored, { ...stored, id: 'prompt-2' }]);
+  assert.deepEqual(files.map(file => file.fileName), ['review-diff.md', 'review-diff-2.md']);
+  assert.ok(files[0].text.startsWith('---\ntitle: "Review \\"diff\\""\ncategory: "review"\nfavorite: true\npressEnter: false\n---\n\n'));
+  assert.deepEqual(validatePrompt(parseMarkdownPrompt(files[0].text, files[0].fileName)).prompt, validatePrompt(stored).prompt);
+});
+
+test('parseMarkdownPrompt reads hand-written files', () => {
+  assert.deepEqual(
+    parseMarkdownPrompt("---\r\ntitle: 'It''s fine'\r\n# note\r\npressEnter: true\r\n---\r\nDo it.\r\n", 'x.md'),
+    { title: "It's fine", pressEnter: true, content: 'Do it.' }
+  );
+  assert.deepEqual(parseMarkdownPrompt('Just a body\n', 'Quick Fix.md'), { title: 'Quick Fix', content: 'Just a body' });
+  assert.throws(() => parseMarkdownPrompt('---\n- list item\n---\nbody'), /Invalid frontmatter line/);
+});
+
+test('mergePrompts skips, overwrites or duplicates prompts with the same title', () => {
+  let next = 0;
+  const options = { generateId: () => `new-${++next}`, now: '2026-02-02T00:00:00.000Z' };
+  const incoming = [
+    { title: 'review "DIFF"', content: 'new', category: 'general', favorite: false, pressEnter: true },
+    { title: 'Fresh', content: 'fresh', category: 'general', favorite: false, pressEnter: false }
+  ];
+
+  const skipped = mergePrompts([stored], incoming, 'skip', options);
+  assert.deepEqual([skipped.added, skipped.updated, skipped.skipped], [1, 0, 1]);
+  assert.equal(skipped.prompts[0].content, stored.content);
+  assert.equal(skipped.prompts[1].id, 'new-1');
+
+  const overwritten = mergePrompts([stored], incoming, 'overwrite', options);
+  assert.deepEqual([overwritten.added, overwritten.updated, overwritten.skipped], [1, 1, 0]);
+  assert.deepEqual(overwritten.prompts[0], {
+    ...stored, content: 'new', category: 'general', favorite: false, pressEnter: true, updatedAt: options.now
+  });
+  assert.equal(stored.content, 'Review {{staged_diff}}\n\n---\nBe brief.', 'existing prompts are not mutated');
+
+  const duplicated = mergePrompts([stored, { ...stored, id: 'prompt-9', title: 'review "DIFF" (2)' }], incoming, 'duplicate', options);
+  assert.equal(duplicated.added, 2);
+  assert.equal(duplicated.prompts[2].title, 'review "DIFF" (3)');
+
+  assert.throws(() => mergePrompts([], incoming, 'merge', options), /Unknown conflict strategy/);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseTemplate, hasTemplateVariables, renderTemplate } = require('../src/shared/promptTemplates');
+
+test('parseTemplate lists variables with defaults, choices and built-ins', () => {
+  const variables = parseTemplate(
+    'Review {{ file }} on {{branch}} as a {{tone=strict|friendly}} reviewer, max {{limit=5}} comments. {{file}} {{extra}}'
+  );
+  assert.deepEqual(variables, [
+    { name: 'file', defaultValue: '', choices: null, builtIn: true },
+    { name: 'branch', defaultValue: '', choices: null, builtIn: true },
+    { name: 'tone', defaultValue: 'strict', choices: ['strict', 'friendly'], builtIn: false },
+    { name: 'limit', defaultValue: '5', choices: null, builtIn: false },
+    { name: 'extra', defaultValue: '', choices: null, builtIn: false }
+  ]);
+  assert.equal(hasTemplateVariables('no placeholders, just {braces} and {{ 1bad }}'), false);
+});
+
+test('renderTemplate fills values and falls back to defaults', () => {
+  const content = 'Fix {{file}} ({{tone=terse|chatty}}, {{limit=3}} ideas){{missing}}';
+  assert.equal(
+    renderTemplate(content, { file: 'src/app.js', limit: '10' }),
+    'Fix src/app.js (terse, 10 ideas)'
+  );
+  assert.equal(renderTemplate(content, { file: '$& {{limit}}', tone: '' }), 'Fix $& {{limit}} (, 3 ideas)');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getUsageKey,
+  recordUsage,
+  pruneUsage,
+  sortPrompts,
+  rankPrompts,
+  formatLastUsed
+} = require('../src/shared/promptUsage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.parse('2026-03-10T12:00:00.000Z');
+const daysAgo = days => new Date(now - days * DAY_MS).toISOString();
+
+test('getUsageKey shares global prompts and user commands across projects', () => {
+  assert.equal(getUsageKey('global', '/a', 'prompt-1'), 'global:prompt-1');
+  assert.equal(getUsageKey('commands', '/a', 'user:review.md'), 'commands:user:review.md');
+  assert.equal(getUsageKey('commands', '/a', 'project:review.md'), 'commands:/a:project:review.md');
+  assert.equal(getUsageKey('project', '/a', 'prompt-1'), 'project:/a:prompt-1');
+  assert.notEqual(getUsageKey('project', '/b', 'prompt-1'), getUsageKey('project', '/a', 'prompt-1'));
+});
+
+test('recordUsage counts sends and copies separately', () => {
+  const entries = {};
+  recordUsage(entries, 'global:a', 'send', daysAgo(2));
+  recordUsage(entries, 'global:a', 'copy', daysAgo(1));
+  recordUsage(entries, 'global:a', 'send', daysAgo(0));
+  assert.deepEqual(entries['global:a'], { sent: 2, copied: 1, lastUsedAt: daysAgo(0) });
+  assert.throws(() => recordUsage(entries, 'global:a', 'print'), /Unknown usage action/);
+});
+
+test('pruneUsage keeps the most recently used entries', () => {
+  const entries = {
+    old: { sent: 9, copied: 0, lastUsedAt: daysAgo(30) },
+    mid: { sent: 1, copied: 0, lastUsedAt: daysAgo(5) },
+    new: { sent: 1, copied: 0, lastUsedAt: daysAgo(1) }
+  };
+  assert.deepEqual(Object.keys(pruneUsage(entries, 2)).sort(), ['mid', 'new']);
+  assert.equal(pruneUsage(entries, 5), entries);
+});
+
+test('sortPrompts orders by favorites, use count or last use', () => {
+  const prompts = [
+    { id: 'fav', favorite: true, updatedAt: daysAgo(9) },
+    { id: 'busy', updatedAt: daysAgo(8), usage: { sent: 5, copied: 2, lastUsedAt: daysAgo(6) } },
+    { id: 'fresh', updatedAt: daysAgo(7), usage: { sent: 1, copied: 0, lastUsedAt: daysAgo(0) } },
+    { id: 'unused', updatedAt: daysAgo(1) }
+  ];
+  const ids = mode => sortPrompts(prompts, mode).map(prompt => prompt.id);
+  assert.deepEqual(ids('default'), ['fav', 'unused', 'fresh', 'busy']);
+  assert.deepEqual(ids('most-used'), ['busy', 'fresh', 'fav', 'unused']);
+  assert.deepEqual(ids('recent'), ['fresh', 'busy', 'fav', 'unused']);
+  assert.equal(prompts[0].id, 'fav', 'the input is not reordered');
+});
+
+test('rankPrompts lets recent use outweigh old use', () => {
+  const prompts = [
+    { id: 'last-month', updatedAt: daysAgo(60), usage: { sent: 20, copied: 0, lastUsedAt: daysAgo(35) } },
+    { id: 'this-week', updatedAt: daysAgo(60), usage: { sent: 3, copied: 1, lastUsedAt: daysAgo(1) } },
+    { id: 'never', favorite: true, updatedAt: daysAgo(0) }
+  ];
+  assert.deepEqual(rankPrompts(prompts, now).map(prompt => prompt.id), ['this-week', 'last-month', 'never']);
+});
+
+test('formatLastUsed gives short relative times', () => {
+  assert.equal(formatLastUsed(new Date(now - 20 * 1000).toISOString(), now), 'just now');
+  assert.equal(formatLastUsed(new Date(now - 5 * 60 * 1000).toISOString(), now), '5m ago');
+  assert.equal(formatLastUsed(new Date(now - 3 * 60 * 60 * 1000).toISOString(), now), '3h ago');
+  assert.equal(formatLastUsed(daysAgo(2), now), '2d ago');
+  assert.match(formatLastUsed(daysAgo(90), now), /2025/);
+  assert.equal(formatLastUsed('not a date', now), '');
+});
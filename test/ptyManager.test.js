@@ -12,16 +12,25 @@ function createFakePty() {
     cols: 80,
     rows: 24,
     _exitHandlers: [],
-    onData: () => ({ dispose: () => { fake.dataDisposed = true; } }),
+    _dataHandlers: [],
+    onData: (handler) => {
+      fake._dataHandlers.push(handler);
+      return { dispose: () => { fake.dataDisposed = true; } };
+    },
     onExit: (handler) => { fake._exitHandlers.push(handler); },
     write: (data) => fake.writes.push(data),
     resize: (cols, rows) => { fake.cols = cols; fake.rows = rows; },
     kill: () => { fake.killed = true; },
+    emitData: (data) => fake._dataHandlers.forEach(h => h(data)),
     emitExit: (exitCode = 0) => fake._exitHandlers.forEach(h => h({ exitCode, signal: 0 }))
   };
   return fake;
 }
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
 const nodePtyPath = require.resolve('node-pty');
 require.cache[nodePtyPath] = {
   id: nodePtyPath,
@@ -37,6 +46,16 @@ require.cache[nodePtyPath] = {
 };
 
 const ptyManager = require('../src/main/ptyManager');
+const scrollbackStore = require('../src/main/scrollbackStore');
+const promptLogger = require('../src/main/promptLogger');
+const projectEnv = require('../src/main/projectEnv');
+const workspace = require('../src/main/workspace');
+
+const tempUserData = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-pty-test-'));
+scrollbackStore.init({ getPath: () => tempUserData });
+test.after(() => {
+  fs.rmSync(tempUserData, { recursive: true, force: true });
+});
 
 const sentMessages = [];
 const fakeWindow = {
@@ -70,6 +89,26 @@ test('createTerminal rejects shells outside the allowlist', () => {
   );
 });
 
+test('createTerminal only opens SSH hosts from ~/.ssh/config', () => {
+  const realHomedir = os.homedir;
+  const fakeHome = fs.mkdtempSync(path.join(tempUserData, 'home-'));
+  fs.mkdirSync(path.join(fakeHome, '.ssh'));
+  fs.writeFileSync(path.join(fakeHome, '.ssh', 'config'), 'Host devbox\n  HostName 10.0.0.5\n');
+  os.homedir = () => fakeHome;
+  try {
+    assert.throws(
+      () => ptyManager.createTerminal('/tmp', null, null, { sshHost: 'other-box' }),
+      /Unknown SSH host/
+    );
+    assert.throws(
+      () => ptyManager.createTerminal('/tmp', null, null, { sshHost: '-oProxyCommand=evil' }),
+      /Unknown SSH host/
+    );
+  } finally {
+    os.homedir = realHomedir;
+  }
+});
+
 test('writeToTerminal and resizeTerminal route to the right instance', () => {
   const id = ptyManager.createTerminal('/tmp', null);
   const { fake } = spawnCalls.at(-1);
@@ -102,6 +141,41 @@ test('getTerminalsByProject filters by project path', () => {
   void b;
 });
 
+test('setTerminalProject moves a running terminal to another project', () => {
+  const id = ptyManager.createTerminal('/tmp', '/proj/a');
+
+  assert.equal(ptyManager.setTerminalProject(id, '/proj/b'), true);
+  assert.deepEqual(ptyManager.getTerminalsByProject('/proj/a'), []);
+  assert.deepEqual(ptyManager.getTerminalsByProject('/proj/b'), [id]);
+
+  assert.equal(ptyManager.setTerminalProject(id, null), true);
+  assert.equal(ptyManager.listSessions().find((s) => s.terminalId === id).projectPath, null);
+  assert.equal(ptyManager.setTerminalProject('term-unknown', '/proj/a'), false);
+
+  ptyManager.destroyTerminal(id);
+});
+
+test('prompt context combines the project with what the renderer reported', () => {
+  const id = ptyManager.createTerminal('/tmp', '/proj/a');
+  assert.deepEqual(ptyManager.getPromptContext(id), {
+    projectPath: '/proj/a',
+    terminalName: null,
+    aiTool: null,
+    cwd: '/tmp'
+  });
+
+  assert.equal(ptyManager.setTerminalContext(id, { name: 'Agent', aiTool: 'codex', cwd: '/tmp/src' }), true);
+  assert.deepEqual(ptyManager.getPromptContext(id), {
+    projectPath: '/proj/a',
+    terminalName: 'Agent',
+    aiTool: 'codex',
+    cwd: '/tmp/src'
+  });
+  assert.equal(ptyManager.setTerminalContext('term-unknown', { name: 'x' }), false);
+
+  ptyManager.destroyTerminal(id);
+});
+
 test('destroyTerminal kills the pty and forgets the instance', () => {
   const id = ptyManager.createTerminal('/tmp', null);
   const { fake } = spawnCalls.at(-1);
@@ -132,3 +206,143 @@ test('getAvailableShells returns existing shells with default first', () => {
     assert.ok(shells.some(s => s.path === '/bin/sh'));
   }
 });
+
+test('scrollback is saved on destroyAll and seeded into the next session', () => {
+  const id = ptyManager.createTerminal('/tmp', null, null, { scrollbackKey: 'sess-restore' });
+  spawnCalls.at(-1).fake.emitData('first run\r\n');
+  ptyManager.destroyAll();
+  assert.equal(ptyManager.hasTerminal(id), false);
+  assert.equal(scrollbackStore.readScrollbackSync('sess-restore'), 'first run\r\n');
+
+  ptyManager.createTerminal('/tmp', null, null, { scrollbackKey: 'sess-restore' });
+  spawnCalls.at(-1).fake.emitData('second run\r\n');
+  ptyManager.destroyAll();
+  assert.equal(scrollbackStore.readScrollbackSync('sess-restore'), 'first run\r\nsecond run\r\n');
+});
+
+test('closing or exiting a terminal discards its saved scrollback', () => {
+  scrollbackStore.writeScrollbackSync('sess-closed', 'old output');
+  const closed = ptyManager.createTerminal('/tmp', null, null, { scrollbackKey: 'sess-closed' });
+  ptyManager.destroyTerminal(closed);
+  assert.equal(scrollbackStore.readScrollbackSync('sess-closed'), '');
+
+  scrollbackStore.writeScrollbackSync('sess-exited', 'old output');
+  ptyManager.createTerminal('/tmp', null, null, { scrollbackKey: 'sess-exited' });
+  spawnCalls.at(-1).fake.emitExit(0);
+  assert.equal(scrollbackStore.readScrollbackSync('sess-exited'), '');
+});
+
+test('clearScrollback drops saved output but keeps recording', () => {
+  const id = ptyManager.createTerminal('/tmp', null, null, { scrollbackKey: 'sess-clear' });
+  const { fake } = spawnCalls.at(-1);
+  fake.emitData('secret\r\n');
+
+  assert.equal(ptyManager.clearScrollback(id), true);
+  fake.emitData('after clear\r\n');
+  ptyManager.destroyAll();
+  assert.equal(scrollbackStore.readScrollbackSync('sess-clear'), 'after clear\r\n');
+
+  const plain = ptyManager.createTerminal('/tmp', null);
+  assert.equal(ptyManager.clearScrollback(plain), false);
+  ptyManager.destroyAll();
+});
+
+test('detached terminals keep running and replay their backlog on attach', () => {
+  const id = ptyManager.createTerminal('/tmp', '/proj/a');
+  const { fake } = spawnCalls.at(-1);
+  const outputFor = () => sentMessages
+    .filter(m => m.payload && m.payload.terminalId === id && 'data' in m.payload)
+    .map(m => m.payload.data);
+
+  fake.emitData('before\r\n');
+  assert.equal(ptyManager.detachTerminal(id, 'Agent'), true);
+  fake.emitData('while detached\r\n');
+  assert.deepEqual(outputFor(), ['before\r\n'], 'no output is sent while detached');
+  assert.equal(fake.killed, false);
+
+  const [session] = ptyManager.listSessions({ detachedOnly: true });
+  assert.equal(session.terminalId, id);
+  assert.equal(session.projectPath, '/proj/a');
+  assert.equal(session.name, 'Agent');
+  assert.equal(session.attached, false);
+
+  assert.equal(ptyManager.attachTerminal(id), true);
+  fake.emitData('live\r\n');
+  assert.deepEqual(outputFor(), ['before\r\n', 'before\r\nwhile detached\r\n', 'live\r\n']);
+  assert.deepEqual(ptyManager.listSessions({ detachedOnly: true }), []);
+
+  assert.equal(ptyManager.attachTerminal('term-unknown'), false);
+  ptyManager.destroyAll();
+});
+
+test('the attach replay keeps terminal modes but drops queries xterm would answer', () => {
+  const id = ptyManager.createTerminal('/tmp', null);
+  const { fake } = spawnCalls.at(-1);
+  fake.emitData('\u001b[?1049h\u001b[?2004hagent\u001b[6n\u001b[c\u001b]11;?\u0007\r\n');
+  ptyManager.detachTerminal(id, 'Agent');
+
+  sentMessages.length = 0;
+  assert.equal(ptyManager.attachTerminal(id), true);
+  assert.deepEqual(sentMessages.map(m => m.payload.data), ['\u001b[?1049h\u001b[?2004hagent\r\n']);
+  ptyManager.destroyAll();
+});
+
+test('detachAll detaches every running terminal', () => {
+  const a = ptyManager.createTerminal('/tmp', null);
+  const b = ptyManager.createTerminal('/tmp', null);
+
+  ptyManager.detachAll();
+  const detached = ptyManager.listSessions({ detachedOnly: true }).map(s => s.terminalId);
+  assert.deepEqual(detached.sort(), [a, b].sort());
+
+  ptyManager.destroyAll();
+});
+
+test('project env from .env files and .frame/env.json is injected, terminal env wins', () => {
+  const projectDir = fs.mkdtempSync(path.join(tempUserData, 'env-project-'));
+  fs.writeFileSync(path.join(projectDir, '.env'), 'PORT=3000\nAPI_TOKEN=from-dotenv-secret\n');
+  // The .env opt-in and the approval of env.json are kept in ~/.frame/workspaces.json
+  const realHomedir = os.homedir;
+  os.homedir = () => tempUserData;
+  try {
+    workspace.init({}, null);
+  } finally {
+    os.homedir = realHomedir;
+  }
+  workspace.addProject(projectDir);
+  projectEnv.saveConfig(projectDir, {
+    loadDotEnv: true,
+    env: { NODE_ENV: 'development', PORT: '4000', PATH: '/nowhere' }
+  });
+
+  const id = ptyManager.createTerminal(projectDir, projectDir, null, { env: { NODE_ENV: 'test' } });
+  const { opts } = spawnCalls.at(-1);
+  assert.equal(opts.env.PORT, '4000');
+  assert.equal(opts.env.API_TOKEN, 'from-dotenv-secret');
+  assert.equal(opts.env.NODE_ENV, 'test');
+  assert.notEqual(opts.env.PATH, '/nowhere', 'PATH stays the augmented one');
+  assert.equal(
+    promptLogger.sanitizeHistoryLine('echo from-dotenv-secret', id),
+    'echo [REDACTED]'
+  );
+
+  ptyManager.destroyTerminal(id);
+});
+
+test('profile env is passed to the shell and the initial command runs after the first output', () => {
+  const id = ptyManager.createTerminal('/tmp', '/proj/a', null, {
+    env: { PORT: '3000', 'NOT-VALID': 'x' },
+    initialCommand: 'npm run dev\n'
+  });
+  const { opts, fake } = spawnCalls.at(-1);
+  assert.equal(opts.env.PORT, '3000');
+  assert.equal('NOT-VALID' in opts.env, false);
+  assert.equal(opts.env.TERM, 'xterm-256color');
+  assert.deepEqual(fake.writes, [], 'nothing is typed before the shell prints its prompt');
+
+  fake.emitData('$ ');
+  fake.emitData('more');
+  assert.deepEqual(fake.writes, ['npm run dev\r']);
+
+  ptyManager.destroyTerminal(id);
+});
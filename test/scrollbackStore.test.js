@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempUserData = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-scrollback-test-'));
+const scrollbackStore = require('../src/main/scrollbackStore');
+scrollbackStore.init({ getPath: () => tempUserData });
+
+const scrollbackDir = path.join(tempUserData, 'terminal-scrollback');
+
+test.after(() => {
+  fs.rmSync(tempUserData, { recursive: true, force: true });
+});
+
+test('createRing keeps only the newest characters', () => {
+  const ring = scrollbackStore.createRing(10);
+  ring.append('abcdef');
+  ring.append('ghijkl');
+  assert.equal(ring.toString(), 'cdefghijkl');
+  assert.equal(ring.size, 10);
+
+  ring.append('0123456789XYZ');
+  assert.equal(ring.toString(), '3456789XYZ');
+
+  ring.clear();
+  assert.equal(ring.toString(), '');
+});
+
+test('write, read and remove round-trip by session key', async () => {
+  assert.equal(await scrollbackStore.writeScrollback('sess-a', 'hello\r\nworld'), true);
+  assert.equal(await scrollbackStore.readScrollback('sess-a'), 'hello\r\nworld');
+  assert.equal(scrollbackStore.readScrollbackSync('sess-a'), 'hello\r\nworld');
+
+  assert.equal(scrollbackStore.removeScrollback('sess-a'), true);
+  assert.equal(await scrollbackStore.readScrollback('sess-a'), '');
+});
+
+test('a write in flight when the scrollback is removed does not recreate it', async () => {
+  const write = scrollbackStore.writeScrollback('sess-closed', 'output of a closed shell');
+  assert.equal(scrollbackStore.removeScrollback('sess-closed'), true);
+  assert.equal(await write, false);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(fs.existsSync(path.join(tempUserData, 'terminal-scrollback', 'sess-closed.log')), false);
+
+  // The key can be written again afterwards
+  assert.equal(await scrollbackStore.writeScrollback('sess-closed', 'new shell'), true);
+  assert.equal(await scrollbackStore.readScrollback('sess-closed'), 'new shell');
+});
+
+test('rejects keys that are not plain file names', async () => {
+  assert.equal(scrollbackStore.isValidKey('../escape'), false);
+  assert.equal(scrollbackStore.isValidKey(''), false);
+  assert.equal(await scrollbackStore.writeScrollback('../escape', 'x'), false);
+  assert.equal(fs.existsSync(path.join(tempUserData, 'escape.log')), false);
+});
+
+test('pruneStale removes files that were not written recently', async () => {
+  scrollbackStore.writeScrollbackSync('sess-old', 'old');
+  scrollbackStore.writeScrollbackSync('sess-new', 'new');
+  const oldTime = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000);
+  fs.utimesSync(path.join(scrollbackDir, 'sess-old.log'), oldTime, oldTime);
+
+  assert.equal(await scrollbackStore.pruneStale(), 1);
+  assert.equal(fs.existsSync(path.join(scrollbackDir, 'sess-old.log')), false);
+  assert.equal(fs.existsSync(path.join(scrollbackDir, 'sess-new.log')), true);
+});
+
+test('prepareReplay drops screen clears and mode switches', () => {
+  const saved = 'before\r\n\u001b[?1049hvim screen\u001b[?1049l\u001b[2Jafter\u001bc\r\n';
+  assert.equal(scrollbackStore.prepareReplay(saved), 'before\r\nvim screenafter\r\n');
+  assert.equal(scrollbackStore.prepareReplay('\u001b[?2004h  \r\n'), '');
+});
+
+test('prepareReplay drops device queries so xterm does not answer them into the new shell', () => {
+  const saved = [
+    'a\u001b[6n', 'b\u001b[?6n', 'c\u001b[c', 'd\u001b[>c', 'e\u001b[>0c',
+    'f\u001b]10;?\u0007', 'g\u001b]11;?\u001b\\', 'h\u001b]4;1;?\u0007',
+    'i\u001b[?2004$p', 'j\u001b[14t', 'k\u001b[>q', 'l\u001bP$qm\u001b\\', 'm\r\n'
+  ].join('');
+  assert.equal(scrollbackStore.prepareReplay(saved), 'abcdefghijklm\r\n');
+  // Colors, cursor moves and titles stay
+  const kept = '\u001b[31mred\u001b[0m\u001b[2;5H\u001b]0;title\u0007\r\n';
+  assert.equal(scrollbackStore.stripTerminalQueries(kept), kept);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const shellIntegration = require('../src/main/shellIntegration');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-shell-integration-test-'));
+test.after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const hasBash = spawnSync('bash', ['--version'], { stdio: 'ignore' }).status === 0;
+
+test('getLaunchConfig returns null until the scripts are installed', () => {
+  assert.equal(shellIntegration.getLaunchConfig('/bin/bash'), null);
+});
+
+test('installScripts writes the rc files for every supported shell', () => {
+  const installDir = path.join(tempDir, 'install');
+  assert.equal(shellIntegration.installScripts(installDir), true);
+
+  for (const file of ['bash/vibeconsole.bash', 'zsh/.zshenv', 'zsh/.zshrc', 'zsh/.zprofile', 'zsh/.zlogin', 'fish/vibeconsole.fish']) {
+    assert.equal(fs.existsSync(path.join(installDir, file)), true, file);
+  }
+});
+
+test('getLaunchConfig builds per-shell arguments and environment', { skip: process.platform === 'win32' }, () => {
+  const installDir = path.join(tempDir, 'install');
+  shellIntegration.installScripts(installDir);
+
+  const bash = shellIntegration.getLaunchConfig('/bin/bash', {});
+  assert.deepEqual(bash.args, ['--init-file', path.join(installDir, 'bash', 'vibeconsole.bash'), '-i']);
+  assert.equal(bash.env.VIBECONSOLE_SHELL_LOGIN, '1');
+
+  const zsh = shellIntegration.getLaunchConfig('/usr/local/bin/zsh', { HOME: '/home/me', ZDOTDIR: '/home/me/.config/zsh' });
+  assert.deepEqual(zsh.args, ['-i', '-l']);
+  assert.equal(zsh.env.ZDOTDIR, path.join(installDir, 'zsh'));
+  assert.equal(zsh.env.VIBECONSOLE_USER_ZDOTDIR, '/home/me/.config/zsh');
+
+  const fish = shellIntegration.getLaunchConfig('/opt/homebrew/bin/fish', {});
+  assert.equal(fish.args[1], '--init-command');
+  assert.match(fish.args[2], /^source '.*vibeconsole\.fish'$/);
+
+  assert.equal(shellIntegration.getLaunchConfig('/bin/sh', {}), null);
+  assert.equal(shellIntegration.getLaunchConfig('/usr/bin/nu', {}), null);
+});
+
+test('bash reports command boundaries, escaped command lines, exit codes and cwd', { skip: !hasBash }, () => {
+  const installDir = path.join(tempDir, 'install');
+  shellIntegration.installScripts(installDir);
+  const home = fs.realpathSync(fs.mkdtempSync(path.join(tempDir, 'home-')));
+  const { args, env } = shellIntegration.getLaunchConfig('/bin/bash', { HOME: home });
+
+  const result = spawnSync('bash', args, {
+    cwd: home,
+    input: 'echo "a;b"\nfalse\nexit\n',
+    env: { PATH: process.env.PATH, HOME: home, ...env },
+    encoding: 'utf8',
+    timeout: 10000
+  });
+
+  const osc = Array.from(result.stdout.matchAll(/\u001b\](\d+;[^\u0007]*)\u0007/g), (m) => m[1]);
+  assert.deepEqual(osc.slice(0, 7), [
+    `633;P;Cwd=${home}`,
+    '633;E;echo "a\\x3bb"',
+    '133;C',
+    '133;D;0',
+    `633;P;Cwd=${home}`,
+    '633;E;false',
+    '133;C'
+  ]);
+  assert.equal(osc[7], '133;D;1');
+  assert.match(result.stderr, /\u001b\]133;A\u0007[\s\S]*\u001b\]133;B\u0007/);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  listSlashCommands,
+  toCommandName,
+  toCommandFileText,
+  toSavedPrompt,
+  writeSlashCommand
+} = require('../src/main/slashCommands');
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'slash-commands-'));
+}
+
+test('listSlashCommands reads Claude commands with namespaces and top-level Codex prompts', () => {
+  const root = makeTempDir();
+  try {
+    const claudeDir = path.join(root, 'claude');
+    const codexDir = path.join(root, 'codex');
+    fs.mkdirSync(path.join(claudeDir, 'frontend'), { recursive: true });
+    fs.mkdirSync(path.join(codexDir, 'nested'), { recursive: true });
+    fs.writeFileSync(path.join(claudeDir, 'review.md'),
+      '---\ndescription: Review the diff\nallowed-tools: Bash(git diff:*)\nargument-hint:\n  - file\n---\n\nReview $ARGUMENTS\n');
+    fs.writeFileSync(path.join(claudeDir, 'frontend', 'component.md'), 'Build a component\n');
+    fs.writeFileSync(path.join(claudeDir, 'notes.txt'), 'not a command');
+    fs.writeFileSync(path.join(codexDir, 'plan.md'), 'Plan it');
+    fs.writeFileSync(path.join(codexDir, 'nested', 'skipped.md'), 'Codex does not read subfolders');
+
+    const commands = listSlashCommands(null, {
+      dirs: [{ source: 'project', dir: claudeDir }, { source: 'codex', dir: codexDir }, { source: 'user', dir: path.join(root, 'missing') }]
+    });
+    assert.deepEqual(commands.map(command => [command.id, command.title, command.category, command.description, command.content]), [
+      ['project:frontend/component.md', '/component', 'project:frontend', '', 'Build a component'],
+      ['project:review.md', '/review', 'project', 'Review the diff', 'Review $ARGUMENTS'],
+      ['codex:plan.md', '/prompts:plan', 'codex', '', 'Plan it']
+    ]);
+    assert.equal(commands[1].filePath, path.join(claudeDir, 'review.md'));
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('saved prompts convert to command files and back', () => {
+  assert.equal(toCommandName('Fix: failing  Test!'), 'fix-failing-test');
+  assert.equal(toCommandName('???'), 'prompt');
+  assert.equal(toCommandFileText({ title: 'Say "hi"', content: 'Hello\n\n' }), '---\ndescription: "Say \\"hi\\""\n---\n\nHello\n');
+  assert.equal(toCommandFileText({ content: 'Hello' }), 'Hello\n');
+  assert.deepEqual(toSavedPrompt({ name: 'plan', source: 'codex', description: '', content: 'Plan it' }), {
+    title: '/prompts:plan', content: 'Plan it', category: 'commands'
+  });
+});
+
+test('writeSlashCommand refuses to replace a command unless asked to', async () => {
+  const root = makeTempDir();
+  try {
+    const dir = path.join(root, '.claude', 'commands');
+    const filePath = await writeSlashCommand(dir, { title: 'Fix Tests', content: 'Fix them' });
+    assert.equal(filePath, path.join(dir, 'fix-tests.md'));
+
+    await assert.rejects(writeSlashCommand(dir, { title: 'Fix Tests', content: 'Again' }), { code: 'EEXIST' });
+    await writeSlashCommand(dir, { title: 'Fix Tests', content: 'Again' }, { overwrite: true });
+    const [command] = listSlashCommands(null, { dirs: [{ source: 'user', dir }] });
+    assert.deepEqual(toSavedPrompt(command), { title: 'Fix Tests', content: 'Again', category: 'commands' });
+
+    await assert.rejects(writeSlashCommand(dir, { title: 'x', content: 'y' }, { name: '../escape' }), /Invalid command name/);
+    await assert.rejects(writeSlashCommand(dir, { title: 'Empty', content: ' ' }), /empty/);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const splitLayout = require('../src/renderer/splitLayout');
+
+function buildTree() {
+  // a | (b over c)
+  let tree = splitLayout.createLeaf('a');
+  tree = splitLayout.splitLeaf(tree, 'a', 'b', 'row');
+  tree = splitLayout.splitLeaf(tree, 'b', 'c', 'column');
+  return tree;
+}
+
+test('splitLeaf inserts the new pane after the target in document order', () => {
+  const tree = buildTree();
+  assert.deepEqual(splitLayout.getLeafIds(tree), ['a', 'b', 'c']);
+  assert.equal(tree.direction, 'row');
+  assert.equal(tree.children[1].direction, 'column');
+
+  const before = splitLayout.splitLeaf(tree, 'a', 'z', 'row', true);
+  assert.deepEqual(splitLayout.getLeafIds(before), ['z', 'a', 'b', 'c']);
+  assert.deepEqual(splitLayout.getLeafIds(tree), ['a', 'b', 'c'], 'original tree is not mutated');
+});
+
+test('removeLeaf collapses splits that are left with one child', () => {
+  const tree = buildTree();
+  const withoutB = splitLayout.removeLeaf(tree, 'b');
+  assert.deepEqual(splitLayout.getLeafIds(withoutB), ['a', 'c']);
+  assert.equal(withoutB.type, 'split');
+  assert.equal(withoutB.children[1].type, 'leaf');
+
+  const single = splitLayout.removeLeaf(withoutB, 'c');
+  assert.deepEqual(single, { type: 'leaf', id: 'a' });
+  assert.equal(splitLayout.removeLeaf(single, 'a'), null);
+});
+
+test('findNeighbor moves between adjacent panes', () => {
+  const tree = buildTree();
+  assert.equal(splitLayout.findNeighbor(tree, 'a', 'right'), 'b');
+  assert.equal(splitLayout.findNeighbor(tree, 'c', 'left'), 'a');
+  assert.equal(splitLayout.findNeighbor(tree, 'b', 'down'), 'c');
+  assert.equal(splitLayout.findNeighbor(tree, 'c', 'up'), 'b');
+  assert.equal(splitLayout.findNeighbor(tree, 'a', 'left'), null);
+  assert.equal(splitLayout.findNeighbor(tree, 'missing', 'left'), null);
+});
+
+test('mapLeafIds renames leaves and drops unmapped ones', () => {
+  const tree = buildTree();
+  const mapped = splitLayout.mapLeafIds(tree, (id) => (id === 'b' ? null : `s-${id}`));
+  assert.deepEqual(splitLayout.getLeafIds(mapped), ['s-a', 's-c']);
+});
+
+test('sanitizeTree rejects malformed input and clamps ratios', () => {
+  assert.equal(splitLayout.sanitizeTree(null), null);
+  assert.equal(splitLayout.sanitizeTree({ type: 'split', children: [{ type: 'leaf', id: 'a' }] }), null);
+  assert.equal(splitLayout.sanitizeTree({ type: 'leaf', id: 42 }), null);
+
+  const tree = splitLayout.sanitizeTree({
+    type: 'split',
+    direction: 'diagonal',
+    ratio: 5,
+    children: [{ type: 'leaf', id: 'a' }, { type: 'leaf', id: 'b', extra: true }]
+  });
+  assert.equal(tree.direction, 'row');
+  assert.equal(tree.ratio, 0.9);
+  assert.deepEqual(tree.children[1], { type: 'leaf', id: 'b' });
+});
+
+test('layoutSignature ignores ratios but reflects structure', () => {
+  const tree = buildTree();
+  const resized = { ...tree, ratio: 0.3 };
+  assert.equal(splitLayout.layoutSignature(tree), splitLayout.layoutSignature(resized));
+  assert.notEqual(
+    splitLayout.layoutSignature(tree),
+    splitLayout.layoutSignature(splitLayout.removeLeaf(tree, 'c'))
+  );
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const sshHosts = require('../src/main/sshHosts');
+
+test('parseSshConfig lists concrete aliases with their first options', () => {
+  const hosts = sshHosts.parseSshConfig([
+    '# dev machines',
+    'Host devbox gpu-box',
+    '  HostName 10.0.0.5',
+    '  User alice',
+    '  Port 2222',
+    '  HostName ignored.example.com',
+    '',
+    'Host *.internal !bastion.internal',
+    '  User ops',
+    'Host=build',
+    '  Hostname="build.example.com"',
+    'Match host build',
+    '  User nobody',
+    'Host devbox',
+    '  User bob',
+    'Host -oProxyCommand=evil'
+  ].join('\n'));
+
+  assert.deepEqual(hosts, [
+    { alias: 'devbox', hostName: '10.0.0.5', user: 'alice', port: 2222 },
+    { alias: 'gpu-box', hostName: '10.0.0.5', user: 'alice', port: 2222 },
+    { alias: 'build', hostName: 'build.example.com', user: null, port: null }
+  ]);
+});
+
+test('parseSshConfig follows Include relative to ~/.ssh with globs', () => {
+  const sshDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-ssh-config-test-'));
+  try {
+    fs.mkdirSync(path.join(sshDir, 'config.d'));
+    fs.writeFileSync(path.join(sshDir, 'config.d', 'b.conf'), 'Host beta\n');
+    fs.writeFileSync(path.join(sshDir, 'config.d', 'a.conf'), 'Host alpha\n  HostName a.example.com\n');
+    fs.writeFileSync(path.join(sshDir, 'config.d', 'notes.txt'), 'Host ignored\n');
+    fs.writeFileSync(path.join(sshDir, 'work'), 'Host gamma\n');
+
+    const hosts = sshHosts.parseSshConfig('Include config.d/*.conf work missing\nHost delta\n', { sshDir });
+    assert.deepEqual(hosts.map((host) => host.alias), ['alpha', 'beta', 'gamma', 'delta']);
+    assert.equal(hosts[0].hostName, 'a.example.com');
+  } finally {
+    fs.rmSync(sshDir, { recursive: true, force: true });
+  }
+});
+
+test('buildSshArgs validates the alias and quotes the remote directory', () => {
+  assert.deepEqual(sshHosts.buildSshArgs('devbox'), ['-t', '--', 'devbox']);
+  assert.deepEqual(
+    sshHosts.buildSshArgs('devbox', "/srv/it's here"),
+    ['-t', '--', 'devbox', `cd '/srv/it'\\''s here'; exec "$SHELL" -l`]
+  );
+  assert.deepEqual(
+    sshHosts.buildSshArgs('devbox', '~/src/$(app)'),
+    ['-t', '--', 'devbox', `cd ~/'src/$(app)'; exec "$SHELL" -l`]
+  );
+  assert.throws(() => sshHosts.buildSshArgs('-oProxyCommand=evil'), /Invalid SSH host/);
+  assert.throws(() => sshHosts.buildSshArgs('devbox', '/tmp\nrm -rf ~'), /Invalid remote directory/);
+});
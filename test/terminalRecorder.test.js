@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const terminalRecorder = require('../src/main/terminalRecorder');
+const { parseAsciicast } = require('../src/shared/asciicast');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-terminal-recorder-test-'));
+test.after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+terminalRecorder.init({ getPath: () => tempDir });
+
+test('startRecording writes a replayable asciicast file', () => {
+  const recording = terminalRecorder.startRecording({ cols: 80, rows: 24, title: 'Claude: fix tests', shell: '/bin/zsh' });
+  assert.equal(path.dirname(recording.filePath), terminalRecorder.getRecordingsDir());
+  assert.match(path.basename(recording.filePath), /^claude-fix-tests-\d{4}-\d{2}-\d{2}-\d{2}-\d{2}-\d{2}\.cast$/);
+
+  recording.write('$ ls\r\n');
+  recording.resize(100, 30);
+  recording.write('\u001b[32mdone\u001b[0m\r\n');
+  const result = recording.stop();
+  assert.equal(result.filePath, recording.filePath);
+  assert.equal(result.bytes, fs.statSync(recording.filePath).size);
+
+  // Writes after stop are ignored and stopping again is harmless
+  recording.write('late');
+  assert.deepEqual(recording.stop(), result);
+
+  const cast = parseAsciicast(fs.readFileSync(recording.filePath, 'utf8'));
+  assert.equal(cast.header.width, 80);
+  assert.equal(cast.header.height, 24);
+  assert.equal(cast.header.title, 'Claude: fix tests');
+  assert.deepEqual(cast.header.env, { TERM: 'xterm-256color', SHELL: '/bin/zsh' });
+  assert.deepEqual(cast.events.map((e) => [e.type, e.data]), [
+    ['o', '$ ls\r\n'],
+    ['r', '100x30'],
+    ['o', '\u001b[32mdone\u001b[0m\r\n']
+  ]);
+});
+
+test('recordings started in the same second get distinct files', () => {
+  const first = terminalRecorder.startRecording({ cols: 80, rows: 24, title: 'Same' });
+  const second = terminalRecorder.startRecording({ cols: 80, rows: 24, title: 'Same' });
+  first.stop();
+  second.stop();
+  assert.notEqual(first.filePath, second.filePath);
+  assert.ok(fs.existsSync(first.filePath));
+  assert.ok(fs.existsSync(second.filePath));
+});
+
+test('the size limit stops a recording before the file grows past it', () => {
+  let limited = 0;
+  const recording = terminalRecorder.startRecording({ cols: 80, rows: 24, title: 'Limit', onLimit: () => limited++ });
+  // Two bytes per character, so counting characters would overshoot the limit
+  const chunk = '\u00e9'.repeat(512 * 1024);
+  for (let i = 0; i < 80 && !limited; i++) {
+    recording.write(chunk);
+  }
+  assert.equal(limited, 1);
+
+  const { bytes } = recording.stop();
+  const size = fs.statSync(recording.filePath).size;
+  assert.equal(bytes, size);
+  assert.ok(size <= terminalRecorder.MAX_RECORDING_BYTES, `${size} bytes is over the limit`);
+  const cast = parseAsciicast(fs.readFileSync(recording.filePath, 'utf8'));
+  assert.ok(cast.events.length > 0);
+  assert.ok(cast.events.every((e) => e.data === chunk), 'no event is cut short');
+  fs.rmSync(recording.filePath);
+});
+
+test('a failed write stops the recording and reports the error instead of throwing', async () => {
+  const realWriteSync = fs.writeSync;
+  const errors = [];
+  const recording = terminalRecorder.startRecording({ cols: 80, rows: 24, title: 'Disk full', onError: (err) => errors.push(err.message) });
+  fs.writeSync = () => {
+    throw new Error('ENOSPC: no space left on device');
+  };
+  try {
+    // Small output is flushed by the timer, outside any caller's try/catch
+    recording.write('a');
+    await new Promise((resolve) => setTimeout(resolve, 700));
+    assert.deepEqual(errors, ['ENOSPC: no space left on device']);
+
+    recording.write('x'.repeat(128 * 1024));
+    assert.equal(errors.length, 1, 'writes after the failure are ignored');
+    assert.equal(recording.stop().filePath, recording.filePath);
+  } finally {
+    fs.writeSync = realWriteSync;
+  }
+
+  const large = terminalRecorder.startRecording({ cols: 80, rows: 24, title: 'Disk full', onError: (err) => errors.push(err.message) });
+  fs.writeSync = () => {
+    throw new Error('EIO: i/o error');
+  };
+  try {
+    // Large output is flushed straight from write(), i.e. from the PTY data handler
+    assert.doesNotThrow(() => large.write('x'.repeat(128 * 1024)));
+    assert.deepEqual(errors.slice(1), ['EIO: i/o error']);
+  } finally {
+    fs.writeSync = realWriteSync;
+  }
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  TerminalSearchBar,
+  SEARCH_HIGHLIGHT_LIMIT,
+  getSearchError,
+  formatMatchCount
+} = require('../src/renderer/terminalSearchBar');
+
+// The bar's state without its DOM: a fake input, count element and search addon
+function createBar(term, options = {}) {
+  const calls = [];
+  const bar = Object.create(TerminalSearchBar.prototype);
+  bar.options = { caseSensitive: false, regex: false, wholeWord: false, ...options };
+  bar.isOpen = true;
+  bar.input = { value: term, classes: new Set() };
+  bar.input.classList = {
+    add: name => bar.input.classes.add(name),
+    remove: name => bar.input.classes.delete(name)
+  };
+  bar.countEl = { textContent: '' };
+  bar.searchAddon = {
+    findNext: (value, searchOptions) => { calls.push(['next', value, searchOptions]); return true; },
+    findPrevious: (value, searchOptions) => { calls.push(['previous', value, searchOptions]); return false; },
+    clearDecorations: () => calls.push(['clear'])
+  };
+  return { bar, calls };
+}
+
+test('getSearchError only checks terms as regular expressions in regex mode', () => {
+  assert.equal(getSearchError('a(b', { regex: false }), null);
+  assert.equal(getSearchError('a(b', { regex: true }), 'Invalid regex');
+  assert.equal(getSearchError('^err(or)?\\s+\\d+$', { regex: true }), null);
+});
+
+test('formatMatchCount shows the active match and caps at the highlight limit', () => {
+  assert.equal(formatMatchCount({ resultIndex: 2, resultCount: 7 }, true), '3 of 7');
+  assert.equal(formatMatchCount({ resultIndex: -1, resultCount: 7 }, true), '7 matches');
+  assert.equal(formatMatchCount({ resultIndex: -1, resultCount: SEARCH_HIGHLIGHT_LIMIT }, true), `${SEARCH_HIGHLIGHT_LIMIT}+ matches`);
+  assert.equal(formatMatchCount({ resultIndex: -1, resultCount: 0 }, true), 'No results');
+  assert.equal(formatMatchCount({ resultIndex: -1, resultCount: 0 }, false), '');
+});
+
+test('an invalid regex clears highlights instead of searching', () => {
+  const { bar, calls } = createBar('a(b', { regex: true });
+  bar._search('next', true);
+  assert.deepEqual(calls, [['clear']]);
+  assert.equal(bar.countEl.textContent, 'Invalid regex');
+  assert.ok(bar.input.classes.has('invalid'));
+
+  bar.input.value = 'a(b)';
+  bar._search('next', true);
+  assert.equal(calls[1][0], 'next');
+  assert.ok(!bar.input.classes.has('invalid'));
+});
+
+test('navigation searches forward incrementally while typing and steps on Enter / Shift+Enter', () => {
+  const { bar, calls } = createBar('error', { caseSensitive: true });
+  bar._search('next', true);
+  bar._search('next');
+  bar._search('previous', true);
+  assert.deepEqual(calls.map(([direction, , searchOptions]) => [direction, searchOptions.incremental, searchOptions.caseSensitive]), [
+    ['next', true, true],
+    ['next', false, true],
+    ['previous', false, true]
+  ]);
+  // findPrevious found nothing
+  assert.equal(bar.countEl.textContent, 'No results');
+
+  bar._updateCount({ resultIndex: 0, resultCount: 4 });
+  assert.equal(bar.countEl.textContent, '1 of 4');
+  bar.isOpen = false;
+  bar._updateCount({ resultIndex: 1, resultCount: 4 });
+  assert.equal(bar.countEl.textContent, '1 of 4', 'a closed bar ignores late results');
+});
+
+test('an empty term clears highlights and the count', () => {
+  const { bar, calls } = createBar('');
+  bar.countEl.textContent = '3 of 4';
+  bar._search('next', true);
+  assert.deepEqual(calls, [['clear']]);
+  assert.equal(bar.countEl.textContent, '');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const terminalSettings = require('../src/main/terminalSettings');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-terminal-settings-test-'));
+test.after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function initWithDir(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const sent = [];
+  const window = { isDestroyed: () => false, webContents: { send: (channel, data) => sent.push({ channel, data }) } };
+  terminalSettings.init({ getPath: () => dir }, window);
+  return sent;
+}
+
+test('sanitizeSettings fills defaults and clamps values', () => {
+  assert.deepEqual(terminalSettings.sanitizeSettings(null), { ...terminalSettings.DEFAULT_SETTINGS, customThemes: {} });
+
+  const settings = terminalSettings.sanitizeSettings({
+    themeId: 'no-such-theme',
+    fontFamily: 'Fira Code; } body { color: red',
+    fontSize: 100,
+    lineHeight: 0.5,
+    cursorStyle: 'beam',
+    ligatures: 'yes',
+    scrollback: 5,
+    confirmMultilinePaste: false,
+    customThemes: { 'bad id': { name: 'x', colors: { background: '#000', foreground: '#fff' } } }
+  });
+  assert.equal(settings.themeId, terminalSettings.DEFAULT_SETTINGS.themeId);
+  assert.equal(settings.fontFamily, 'Fira Code  body  color: red');
+  assert.equal(settings.fontSize, 32);
+  assert.equal(settings.lineHeight, 1);
+  assert.equal(settings.cursorStyle, 'block');
+  assert.equal(settings.ligatures, false);
+  assert.equal(settings.scrollback, 1000);
+  assert.equal(settings.confirmMultilinePaste, false);
+  assert.equal(settings.warnDangerousPaste, true);
+  assert.deepEqual(settings.customThemes, {});
+});
+
+test('updateSettings persists changes and notifies the renderer', () => {
+  const dir = path.join(tempDir, 'update');
+  const sent = initWithDir(dir);
+
+  const settings = terminalSettings.updateSettings({ themeId: 'nord', fontSize: 16 });
+  assert.equal(settings.themeId, 'nord');
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].data.fontSize, 16);
+
+  const stored = JSON.parse(fs.readFileSync(path.join(dir, 'terminal-settings.json'), 'utf8'));
+  assert.equal(stored.themeId, 'nord');
+
+  // A fresh init reads the file back instead of the cached copy
+  initWithDir(dir);
+  assert.equal(terminalSettings.getSettings().fontSize, 16);
+});
+
+test('importThemeFile adds and selects a theme; removing it falls back to the default', () => {
+  const dir = path.join(tempDir, 'import');
+  initWithDir(dir);
+  const themePath = path.join(tempDir, 'my-theme.json');
+  fs.writeFileSync(themePath, JSON.stringify({
+    name: 'My Theme!',
+    colors: { 'terminal.background': '#101010', 'terminal.foreground': '#efefef' }
+  }));
+
+  const { id, settings } = terminalSettings.importThemeFile(themePath);
+  assert.equal(id, 'custom-my-theme');
+  assert.equal(settings.themeId, id);
+  assert.equal(settings.customThemes[id].colors.background, '#101010');
+
+  const after = terminalSettings.removeCustomTheme(id);
+  assert.equal(after.themeId, terminalSettings.DEFAULT_SETTINGS.themeId);
+  assert.deepEqual(after.customThemes, {});
+  assert.throws(() => terminalSettings.removeCustomTheme(id), /not found/);
+
+  const textPath = path.join(tempDir, 'theme.txt');
+  fs.writeFileSync(textPath, 'x');
+  assert.throws(() => terminalSettings.importThemeFile(textPath), /Unsupported/);
+});
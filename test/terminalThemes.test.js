@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  BUILT_IN_THEMES,
+  DEFAULT_THEME_ID,
+  resolveThemeColors,
+  sanitizeThemeColors,
+  parseItermColors,
+  parseVSCodeTheme
+} = require('../src/shared/terminalThemes');
+
+function itermEntry(name, r, g, b) {
+  return `<key>${name}</key>
+  <dict>
+    <key>Blue Component</key><real>${b}</real>
+    <key>Color Space</key><string>sRGB</string>
+    <key>Green Component</key><real>${g}</real>
+    <key>Red Component</key><real>${r}</real>
+  </dict>`;
+}
+
+test('built-in themes have unique ids and complete palettes', () => {
+  const ids = BUILT_IN_THEMES.map((theme) => theme.id);
+  assert.equal(new Set(ids).size, ids.length);
+  assert.ok(ids.includes(DEFAULT_THEME_ID));
+  for (const theme of BUILT_IN_THEMES) {
+    assert.equal(Object.keys(sanitizeThemeColors(theme.colors)).length, 21, theme.id);
+  }
+});
+
+test('sanitizeThemeColors drops unknown keys and invalid colors', () => {
+  assert.deepEqual(sanitizeThemeColors({
+    background: '#000',
+    foreground: 'rgba(1, 2, 3, 0.5)',
+    red: 'url(javascript:alert(1))',
+    cursor: 'red; }',
+    extra: '#ffffff'
+  }), { background: '#000', foreground: 'rgba(1, 2, 3, 0.5)' });
+  assert.deepEqual(sanitizeThemeColors(null), {});
+});
+
+test('resolveThemeColors prefers imported themes and falls back to the default', () => {
+  const customThemes = { 'custom-x': { name: 'X', colors: { background: '#010101', foreground: '#fefefe' } } };
+  assert.equal(resolveThemeColors({ themeId: 'custom-x', customThemes }).background, '#010101');
+  assert.equal(resolveThemeColors({ themeId: 'dracula' }).background, '#282a36');
+  assert.equal(resolveThemeColors({ themeId: 'missing' }), BUILT_IN_THEMES[0].colors);
+});
+
+test('parseItermColors converts float components to hex', () => {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<plist version="1.0">
+<dict>
+  ${itermEntry('Ansi 1 Color', 1, 0, 0)}
+  ${itermEntry('Ansi 10 Color', 0, 1, 0.5)}
+  ${itermEntry('Background Color', 0.1, 0.1, 0.1)}
+  ${itermEntry('Foreground Color', 0.9, 0.9, 0.9)}
+  ${itermEntry('Cursor Text Color', 0, 0, 0)}
+</dict>
+</plist>`;
+  assert.deepEqual(parseItermColors(xml), {
+    background: '#1a1a1a',
+    foreground: '#e6e6e6',
+    cursorAccent: '#000000',
+    red: '#ff0000',
+    brightGreen: '#00ff80'
+  });
+  assert.throws(() => parseItermColors('<plist><dict></dict></plist>'), /background or foreground/);
+  assert.throws(() => parseItermColors('{}'), /iTerm2/);
+});
+
+test('parseVSCodeTheme reads terminal colors from JSON with comments', () => {
+  const theme = parseVSCodeTheme(`{
+    // exported from VS Code
+    "name": "Night // Owl",
+    "colors": {
+      "editor.background": "#011627",
+      "editor.foreground": "#d6deeb",
+      "terminal.ansiBrightBlue": "#82aaff", /* trailing comma below */
+      "terminalCursor.foreground": "#80a4c2",
+    },
+  }`);
+  assert.equal(theme.name, 'Night // Owl');
+  assert.deepEqual(theme.colors, {
+    background: '#011627',
+    foreground: '#d6deeb',
+    cursor: '#80a4c2',
+    brightBlue: '#82aaff'
+  });
+  assert.throws(() => parseVSCodeTheme('{"name": "x"}'), /colors/);
+});
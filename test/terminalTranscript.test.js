@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { serializeToHtml, serializeToMarkdown, buildPalette } = require('../src/renderer/terminalTranscript');
+
+// Minimal stand-in for xterm's IBuffer: each cell is {ch, fg?, bg?, bold?}
+function createFakeBuffer(rows) {
+  const makeCell = (spec) => ({
+    getWidth: () => 1,
+    getChars: () => (spec ? spec.ch : ''),
+    isFgDefault: () => !spec || spec.fg === undefined,
+    isBgDefault: () => !spec || spec.bg === undefined,
+    isFgRGB: () => !!spec && typeof spec.fg === 'string',
+    isBgRGB: () => false,
+    getFgColor: () => (spec && typeof spec.fg === 'string' ? parseInt(spec.fg.slice(1), 16) : spec && spec.fg),
+    getBgColor: () => spec && spec.bg,
+    isInverse: () => false,
+    isBold: () => !!(spec && spec.bold),
+    isItalic: () => false,
+    isDim: () => false,
+    isInvisible: () => false,
+    isUnderline: () => false,
+    isStrikethrough: () => false
+  });
+  const lines = rows.map((row) => {
+    const cells = typeof row.text === 'string' ? Array.from(row.text, (ch) => ({ ch, ...row.style })) : row.cells;
+    return {
+      length: 20,
+      isWrapped: !!row.wrapped,
+      getCell: (x) => makeCell(cells[x]),
+      translateToString: (trimRight) => {
+        const text = cells.map((c) => c.ch).join('').padEnd(trimRight ? 0 : 20);
+        return trimRight ? text.replace(/\s+$/, '') : text;
+      }
+    };
+  });
+  return { length: lines.length, getLine: (y) => lines[y] };
+}
+
+test('buildPalette uses theme colors and the xterm 256-color cube', () => {
+  const palette = buildPalette({ red: '#ff0000' });
+  assert.equal(palette.length, 256);
+  assert.equal(palette[1], '#ff0000');
+  assert.equal(palette[16], '#000000');
+  assert.equal(palette[231], '#ffffff');
+  assert.equal(palette[232], '#080808');
+});
+
+test('markdown transcript splits output at commands and keeps timestamps', () => {
+  const buffer = createFakeBuffer([
+    { text: 'Welcome' },
+    { text: '$ npm test' },
+    { text: 'ok 1' },
+    { text: '$ false' },
+    { text: '$' },
+    { text: '' }
+  ]);
+  const startedAt = new Date(2026, 0, 2, 3, 4, 5).getTime();
+  const markdown = serializeToMarkdown(buffer, {
+    title: 'Terminal 1',
+    cwd: '/work',
+    commands: [
+      { line: 1, commandLine: 'npm test', startedAt, finishedAt: startedAt + 1500, exitCode: 0 },
+      { line: 3, commandLine: 'false', startedAt: startedAt + 2000, finishedAt: startedAt + 2100, exitCode: 1 },
+      { line: 4, commandLine: '', startedAt: 0, finishedAt: 0, exitCode: null }
+    ]
+  });
+
+  assert.match(markdown, /^# Terminal 1 transcript\n/);
+  assert.match(markdown, /- Directory: `\/work`/);
+  assert.match(markdown, /```text\nWelcome\n```/);
+  assert.match(markdown, /## `npm test`\n\n_.+ · 1\.5s · exit 0_\n\n```text\n\$ npm test\nok 1\n```/);
+  assert.match(markdown, new RegExp(new Date(startedAt).toLocaleString().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')));
+  assert.match(markdown, /## `false`\n\n_.+ · exit 1_\n\n```text\n\$ false\n\$\n```\n$/);
+});
+
+test('markdown code fences grow to wrap output that contains fences', () => {
+  const markdown = serializeToMarkdown(createFakeBuffer([{ text: '```js' }]));
+  assert.match(markdown, /````text\n```js\n````/);
+});
+
+test('html transcript escapes text, keeps colors and joins wrapped rows', () => {
+  const buffer = createFakeBuffer([
+    { cells: [{ ch: '<' }, { ch: 'o', fg: 2, bold: true }, { ch: 'k', fg: '#123456' }] },
+    { text: 'wrapped', wrapped: true }
+  ]);
+  const html = serializeToHtml(buffer, { title: 'A & B', theme: { background: '#111111', green: '#00ff00' } });
+
+  assert.match(html, /<title>A &amp; B transcript<\/title>/);
+  assert.match(html, /background: #111111/);
+  assert.match(html, /<pre>&lt;<span style="color:#00ff00;font-weight:bold">o<\/span><span style="color:#123456">k<\/span>/);
+  assert.match(html, /k<\/span> {17}wrapped<\/pre>/);
+});
@@ -61,3 +61,44 @@ test('changes are persisted to disk', () => {
   const paths = data.workspaces.default.projects.map(p => p.path);
   assert.deepEqual(paths, ['/tmp/proj-b']);
 });
+
+test('setProjectRemote stores and clears the default SSH host', () => {
+  workspace.addProject('/tmp/proj-remote', 'Remote');
+  workspace.setProjectRemote('/tmp/proj-remote', { host: 'devbox', cwd: '~/src/remote' });
+  let project = workspace.getProjects().find(p => p.path === '/tmp/proj-remote');
+  assert.deepEqual(project.remote, { host: 'devbox', cwd: '~/src/remote' });
+
+  assert.throws(() => workspace.setProjectRemote('/tmp/proj-remote', { host: '-oProxyCommand=x' }), /Invalid SSH host/);
+  assert.throws(() => workspace.setProjectRemote('/tmp/missing', { host: 'devbox' }), /Project not found/);
+
+  workspace.setProjectRemote('/tmp/proj-remote', null);
+  project = workspace.getProjects().find(p => p.path === '/tmp/proj-remote');
+  assert.equal(project.remote, undefined);
+});
+
+test('setProjectTrust stores, replaces and revokes approvals per kind', () => {
+  workspace.addProject('/tmp/proj-trust', 'Trust');
+  assert.equal(workspace.getProjectTrust('/tmp/proj-trust', 'terminalProfile'), null);
+
+  workspace.setProjectTrust('/tmp/proj-trust', 'terminalProfile', 'abc');
+  assert.equal(workspace.getProjectTrust('/tmp/proj-trust', 'terminalProfile'), 'abc');
+  workspace.setProjectTrust('/tmp/proj-trust', 'terminalProfile', 'def');
+  assert.equal(workspace.getProjectTrust('/tmp/proj-trust', 'terminalProfile'), 'def');
+
+  assert.throws(() => workspace.setProjectTrust('/tmp/proj-trust', 'everything', 'x'), /Unknown trust kind/);
+  assert.throws(() => workspace.setProjectTrust('/tmp/missing', 'terminalProfile', 'x'), /Project not found/);
+
+  workspace.setProjectTrust('/tmp/proj-trust', 'terminalProfile', null);
+  const project = workspace.getProjects().find(p => p.path === '/tmp/proj-trust');
+  assert.equal(project.trust, undefined);
+});
+
+test('setProjectLoadDotEnv is stored per project on this machine', () => {
+  workspace.addProject('/tmp/proj-dotenv', 'Dotenv');
+  assert.equal(workspace.getProjectLoadDotEnv('/tmp/proj-dotenv'), false);
+  workspace.setProjectLoadDotEnv('/tmp/proj-dotenv', true);
+  assert.equal(workspace.getProjectLoadDotEnv('/tmp/proj-dotenv'), true);
+  workspace.setProjectLoadDotEnv('/tmp/proj-dotenv', false);
+  assert.equal(workspace.getProjects().find(p => p.path === '/tmp/proj-dotenv').loadDotEnv, undefined);
+  assert.throws(() => workspace.setProjectLoadDotEnv('/tmp/missing', true), /Project not found/);
+});